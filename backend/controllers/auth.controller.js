@@ -1,15 +1,149 @@
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import asyncHandler from '../utils/asyncHandler.util.js';
-import generateToken from '../utils/generateToken.util.js';
+import generateToken, { generateChallengeToken, verifyChallengeToken } from '../utils/generateToken.util.js';
 import User from '../models/user.model.js';
-import { sendPasswordResetEmail, sendPasswordResetConfirmation } from '../utils/emailService.util.js';
+import Session from '../models/session.model.js';
+import OAuthState from '../models/oauthState.model.js';
+import { sendPasswordResetEmail, sendPasswordResetConfirmation, sendAccountLockedEmail } from '../utils/emailService.util.js';
+import { sendEmailVerification } from '../utils/emailVerification.util.js';
+import { assertValidBusinessDetails } from '../utils/vendorRequest.util.js';
+import { getRolePermissions } from '../utils/permissions.util.js';
+import { generateSecret, verifyCode, getProvisioning, generateBackupCodes } from '../utils/totp.util.js';
+import {
+  SOCIAL_PROFILE_FIELDS,
+  createAuthorizationRequest,
+  getOidcProvider,
+  getEnabledOidcProviders
+} from '../utils/oidc.util.js';
+
+// Seconds between verification emails for one user
+const VERIFICATION_RESEND_COOLDOWN = 60;
+
+// Device metadata stored with a session
+const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+/**
+ * Start a session for a user who just signed in
+ * @returns {Promise<Object>} { token, refreshToken } - short-lived access token and refresh token
+ */
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, getClientInfo(req));
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+/**
+ * Finish a login: start a session and send the user with their tokens
+ * @param {Object} extra - More fields for the response data
+ */
+const sendLoginResponse = async (user, req, res, { message = 'Login successful! 👋', ...extra } = {}) => {
+  await user.clearLoginFailures();
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Check if this is the first user in the system
+  const userCount = await User.countDocuments();
+  const isFirstUser = userCount === 1;
+
+  // Determine if profile is complete
+  const hasName = Boolean(user.name && user.name.trim());
+  const hasEmail = Boolean(user.email && user.email.trim());
+  const hasPhone = Boolean(user.phone && user.phone.trim());
+  const hasAddress = Boolean(
+    user.addresses &&
+    user.addresses.length > 0 &&
+    user.addresses[0].street &&
+    user.addresses[0].country
+  );
+  const hasPreferences = Boolean(
+    user.preferences && user.preferences.currency
+  );
+
+  const isProfileComplete = hasName && hasEmail && hasPhone && hasAddress && hasPreferences;
+
+  // Start a session (access and refresh tokens)
+  const { token, refreshToken } = await startSession(user, req);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: [...await getRolePermissions(user.role)],
+      avatar: user.avatar,
+      phone: user.phone,
+      isEmailVerified: user.isEmailVerified,
+      vendorRequestStatus: user.vendorRequest?.status || 'none',
+      isFirstUser: isFirstUser,
+      isProfileComplete: isProfileComplete,
+      token: token,
+      refreshToken: refreshToken,
+      ...extra
+    }
+  });
+};
+
+/**
+ * Finish a first factor (password or social login): start a session, or answer with a
+ * two-factor challenge (a code from the authenticator app, or enrolling one when the role requires it)
+ * @param {Object} options - Passed to sendLoginResponse
+ */
+const continueLogin = async (user, req, res, options) => {
+  if (user.twoFactor?.enabled || await user.requiresTwoFactor()) {
+    const purpose = user.twoFactor?.enabled ? '2fa' : '2fa-setup';
+
+    res.json({
+      success: true,
+      message: purpose === '2fa'
+        ? 'Enter the code from your authenticator app'
+        : 'Your role requires two-factor authentication. Please set it up to continue.',
+      data: {
+        twoFactorRequired: purpose === '2fa',
+        twoFactorSetupRequired: purpose === '2fa-setup',
+        challengeToken: generateChallengeToken(user._id, purpose)
+      }
+    });
+    return;
+  }
+
+  await sendLoginResponse(user, req, res, options);
+};
+
+// Refuse a login to a locked account; Retry-After tells clients when to try again
+const rejectLockedAccount = (res, lockUntil) => {
+  const seconds = Math.max(Math.ceil((lockUntil - Date.now()) / 1000), 1);
+
+  res.set('Retry-After', String(seconds));
+  res.status(423);
+  throw new Error(`Account locked after too many failed login attempts. Try again in ${Math.ceil(seconds / 60)} minutes or reset your password.`);
+};
+
+// Count a failed login; the failure that locks the account emails its owner and gets a 423
+const handleFailedLogin = async (user, res) => {
+  const { locked, lockUntil } = await user.registerFailedLogin();
+  if (!locked) return;
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/forgot-password`;
+  await sendAccountLockedEmail(user.email, lockUntil, resetUrl, user.name);
+
+  rejectLockedAccount(res, lockUntil);
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
 export const registerUser = asyncHandler(async (req, res) => {
-  const { name, email, password, phone, vendorRequest } = req.body;
+  const { name, email, password, phone, vendorRequest, business } = req.body;
 
   // Validation
   if (!name || !email || !password) {
@@ -22,6 +156,9 @@ export const registerUser = asyncHandler(async (req, res) => {
     throw new Error('Password must be at least 6 characters');
   }
 
+  // Vendor applicants submit their business details up front
+  const businessDetails = vendorRequest ? assertValidBusinessDetails(business) : undefined;
+
   // Check if user already exists
   const userExists = await User.findOne({ email });
 
@@ -42,7 +179,8 @@ export const registerUser = asyncHandler(async (req, res) => {
   if (vendorRequest) {
     userData.vendorRequest = {
       status: 'pending',
-      requestedAt: new Date()
+      requestedAt: new Date(),
+      business: businessDetails
     };
   }
 
@@ -50,8 +188,13 @@ export const registerUser = asyncHandler(async (req, res) => {
   const user = await User.create(userData);
 
   if (user) {
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session (access and refresh tokens)
+    const { token, refreshToken } = await startSession(user, req);
+
+    // Send verification email (non-blocking; it can be resent)
+    sendEmailVerification(user).catch(err => {
+      console.error('Failed to send verification email:', err);
+    });
 
     res.status(201).json({
       success: true,
@@ -64,8 +207,10 @@ export const registerUser = asyncHandler(async (req, res) => {
         email: user.email,
         role: user.role,
         phone: user.phone,
+        isEmailVerified: user.isEmailVerified,
         vendorRequestStatus: user.vendorRequest?.status || 'none',
-        token: token
+        token: token,
+        refreshToken: refreshToken
       }
     });
   } else {
@@ -89,50 +234,17 @@ export const loginUser = asyncHandler(async (req, res) => {
   // Check if user exists and password is correct
   const user = await User.findOne({ email }).select('+password');
 
-  if (user && (await user.matchPassword(password))) {
-    // Update last login
-    await user.updateLastLogin();
-
-    // Check if this is the first user in the system
-    const userCount = await User.countDocuments();
-    const isFirstUser = userCount === 1;
-
-    // Determine if profile is complete
-    const hasName = Boolean(user.name && user.name.trim());
-    const hasEmail = Boolean(user.email && user.email.trim());
-    const hasPhone = Boolean(user.phone && user.phone.trim());
-    const hasAddress = Boolean(
-      user.addresses &&
-      user.addresses.length > 0 &&
-      user.addresses[0].street &&
-      user.addresses[0].country
-    );
-    const hasPreferences = Boolean(
-      user.preferences && user.preferences.currency
-    );
-
-    const isProfileComplete = hasName && hasEmail && hasPhone && hasAddress && hasPreferences;
-
-    // Generate token
-    const token = generateToken(user._id);
+  if (user?.isLocked) {
+    rejectLockedAccount(res, user.loginSecurity.lockUntil);
+  }
 
-    res.json({
-      success: true,
-      message: 'Login successful! 👋',
-      data: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar,
-        phone: user.phone,
-        vendorRequestStatus: user.vendorRequest?.status || 'none',
-        isFirstUser: isFirstUser,
-        isProfileComplete: isProfileComplete,
-        token: token
-      }
-    });
+  if (user && (await user.matchPassword(password))) {
+    await continueLogin(user, req, res);
   } else {
+    if (user) {
+      await handleFailedLogin(user, res);
+    }
+
     res.status(401);
     throw new Error('Invalid email or password');
   }
@@ -158,7 +270,7 @@ export const getMe = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: user
+    data: { ...user, permissions: [...req.permissions] }
   });
 });
 
@@ -208,6 +320,8 @@ export const updateProfile = asyncHandler(async (req, res) => {
     }
 
     user.email = email.toLowerCase().trim();
+    // The new address has to be verified again
+    user.isEmailVerified = false;
   }
 
   // Update basic fields
@@ -251,8 +365,15 @@ export const updateProfile = asyncHandler(async (req, res) => {
     user.markModified('preferences');
   }
 
+  const emailChanged = user.isModified('email');
   const updatedUser = await user.save();
 
+  if (emailChanged) {
+    sendEmailVerification(updatedUser).catch(err => {
+      console.error('Failed to send verification email:', err);
+    });
+  }
+
   res.json({
     success: true,
     message: 'Profile updated successfully ✅',
@@ -262,6 +383,7 @@ export const updateProfile = asyncHandler(async (req, res) => {
       email: updatedUser.email,
       role: updatedUser.role,
       phone: updatedUser.phone,
+      isEmailVerified: updatedUser.isEmailVerified,
       avatar: updatedUser.avatar,
       addresses: updatedUser.addresses,
       preferences: updatedUser.preferences
@@ -269,38 +391,604 @@ export const updateProfile = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
-// @access  Private
+// @access  Private (access token, or the refresh token in the body once the access token expired)
 export const logoutUser = asyncHandler(async (req, res) => {
-  // In JWT, logout is handled client-side by removing the token
-  // You could add server-side cleanup here if needed:
-  // - Blacklist the token
-  // - Clear refresh tokens
-  // - Log the logout event
-  
-  try {
-    // Optional: Log logout event for audit trail
-    const user = await User.findById(req.user._id);
-    if (user) {
-      // You can add lastLogout timestamp or logout history if needed
-      // user.lastLogout = new Date();
-      // await user.save();
-      console.log(`User ${user.email} logged out at ${new Date().toISOString()}`);
+  let session = req.authSession;
+
+  if (!session && req.body.refreshToken) {
+    const found = await Session.findByRefreshToken(req.body.refreshToken);
+    if (found && found.session.matchToken(found.secret) !== 'reused') {
+      session = found.session;
     }
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Logged out successfully! See you soon 👋'
+  if (!session) {
+    res.status(401);
+    throw new Error('Not authorized, no valid token provided');
+  }
+
+  await session.revoke('logout');
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully! See you soon 👋'
+  });
+});
+
+// @desc    Get a new access token (the refresh token is replaced too)
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    res.status(400);
+    throw new Error('Please provide a refresh token');
+  }
+
+  const found = await Session.findByRefreshToken(refreshToken);
+
+  if (!found || !found.session.isActive) {
+    res.status(401);
+    throw new Error('Session expired. Please login again.');
+  }
+
+  const { session, secret } = found;
+  const match = session.matchToken(secret);
+
+  // Another tab refreshed moments ago; it holds the new tokens
+  if (match === 'previous') {
+    res.status(401);
+    throw new Error('Refresh token already used');
+  }
+
+  // A replaced token used again means it was copied: end the session for everyone holding it
+  if (match === 'reused') {
+    await session.revoke('token_reuse');
+    res.status(401);
+    throw new Error('Refresh token reuse detected. Please login again.');
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user) {
+    await session.revoke();
+    res.status(401);
+    throw new Error('Not authorized, user not found');
+  }
+
+  // Roles that came under the 2FA policy sign in again and enroll
+  if (!user.twoFactor?.enabled && await user.requiresTwoFactor()) {
+    await session.revoke();
+    res.status(401);
+    throw new Error('Two-factor authentication is required for your role. Please login again.');
+  }
+
+  const newRefreshToken = await session.rotate(getClientInfo(req));
+
+  // Lost the race to another refresh with the same token, same as a 'previous' match
+  if (!newRefreshToken) {
+    res.status(401);
+    throw new Error('Refresh token already used');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: generateToken(user._id, session._id),
+      refreshToken: newRefreshToken
+    }
+  });
+});
+
+// @desc    Get active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveByUser(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      _id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      isCurrent: session._id.equals(req.authSession._id)
+    }))
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!session || !session.isActive) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  await session.revoke('revoked');
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+// Fields needed to check two-factor codes
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+/**
+ * User enrolling in 2FA: signed in, or in the middle of a login that requires enrolling
+ * @returns {Promise<Object|null>} User with the two-factor fields selected
+ */
+const getEnrollingUser = (req) => {
+  const userId = req.user?._id || verifyChallengeToken(req.body.challengeToken, '2fa-setup');
+  return userId ? User.findById(userId).select(TWO_FACTOR_FIELDS) : null;
+};
+
+// @desc    Finish a login with a two-factor code (or a backup code)
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token from login)
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken || !code) {
+    res.status(400);
+    throw new Error('Please provide the challenge token and a code');
+  }
+
+  const userId = verifyChallengeToken(challengeToken, '2fa');
+  const user = userId ? await User.findById(userId).select(TWO_FACTOR_FIELDS) : null;
+
+  if (!user) {
+    res.status(401);
+    throw new Error('Login expired. Please login again.');
+  }
+
+  if (user.isLocked) {
+    rejectLockedAccount(res, user.loginSecurity.lockUntil);
+  }
+
+  const method = await user.verifyTwoFactorCode(code);
+
+  if (!method) {
+    await handleFailedLogin(user, res);
+    res.status(401);
+    throw new Error('Invalid two-factor code');
+  }
+
+  await sendLoginResponse(user, req, res, method === 'backup'
+    ? { backupCodesRemaining: user.twoFactor.backupCodes.length }
+    : {});
+});
+
+// @desc    Start two-factor enrollment (secret and QR code for the authenticator app)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or challenge token from a login that requires 2FA)
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await getEnrollingUser(req);
+
+  if (!user) {
+    res.status(401);
+    throw new Error('Not authorized, please login again');
+  }
+
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then enter a code to confirm',
+    data: await getProvisioning(secret, user.email)
+  });
+});
+
+// @desc    Confirm enrollment with a first code; returns backup codes (shown once)
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or challenge token from a login that requires 2FA)
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await getEnrollingUser(req);
+
+  if (!user) {
+    res.status(401);
+    throw new Error('Not authorized, please login again');
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    res.status(400);
+    throw new Error('Please start the two-factor setup first');
+  }
+
+  const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+
+  if (step === null) {
+    res.status(400);
+    throw new Error('Invalid code. Check the time on your device and try again.');
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  // Enrolled during login: finish it
+  if (!req.user) {
+    await sendLoginResponse(user, req, res, {
+      message: 'Two-factor authentication enabled 🔐',
+      backupCodes: codes
     });
-  } catch (error) {
-    // Even if server-side cleanup fails, return success
-    // since logout is primarily client-side for JWT
-    res.status(200).json({
+    return;
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled 🔐',
+    data: { backupCodes: codes }
+  });
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  if (await user.requiresTwoFactor()) {
+    res.status(403);
+    throw new Error('Two-factor authentication is required for your role');
+  }
+
+  if (!password || !(await user.matchPassword(password)) || !(await user.verifyTwoFactorCode(code))) {
+    res.status(401);
+    throw new Error('Invalid password or two-factor code');
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Replace the backup codes (the old ones stop working)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+export const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  // Only an authenticator code: a backup code must not mint new backup codes
+  const step = verifyCode(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep ?? -1);
+
+  if (step === null) {
+    res.status(401);
+    throw new Error('Invalid two-factor code');
+  }
+
+  // Conditional on the step so the same code cannot be replayed in parallel
+  const { codes, hashes } = generateBackupCodes();
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.backupCodes': hashes, 'twoFactor.lastUsedStep': step } }
+  );
+
+  if (modifiedCount !== 1) {
+    res.status(401);
+    throw new Error('Invalid two-factor code');
+  }
+
+  res.json({
+    success: true,
+    message: 'New backup codes generated',
+    data: { backupCodes: codes }
+  });
+});
+
+// ======================
+// SOCIAL LOGIN (OpenID Connect)
+// ======================
+
+// Providers send users back to the frontend, which posts the code to the callback route
+const getOAuthRedirectUri = (provider) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:5173'}/oauth/callback/${provider}`;
+
+// @desc    Sign-in providers that are enabled
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+export const getOAuthProviders = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: getEnabledOidcProviders()
+  });
+});
+
+// @desc    Start a social login, or linking an account ({ mode: 'link' }); returns the provider's sign-in URL
+// @route   POST /api/auth/oauth/:provider/start
+// @access  Public (Private to link)
+export const startOAuth = asyncHandler(async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  const mode = req.body?.mode === 'link' ? 'link' : 'login';
+
+  if (mode === 'link' && !req.user) {
+    res.status(401);
+    throw new Error('Please login to link an account');
+  }
+
+  const request = createAuthorizationRequest();
+  await OAuthState.start(request, {
+    provider: provider.name,
+    mode,
+    user: mode === 'link' ? req.user._id : undefined
+  });
+
+  const authorizationUrl = await provider.getAuthorizationUrl({
+    ...request,
+    redirectUri: getOAuthRedirectUri(provider.name)
+  });
+
+  res.json({
+    success: true,
+    data: { authorizationUrl }
+  });
+});
+
+// @desc    Finish a social login or account link with the code from the provider
+// @route   POST /api/auth/oauth/:provider/callback
+// @access  Public (Private to link)
+export const completeOAuth = asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+
+  if (!code || !state) {
+    res.status(400);
+    throw new Error('Please provide the code and state from the provider');
+  }
+
+  const provider = getOidcProvider(req.params.provider);
+  const pending = await OAuthState.consume(provider.name, state);
+
+  if (!pending) {
+    res.status(400);
+    throw new Error('Sign-in expired or was already used. Please try again.');
+  }
+
+  const profile = await provider.getProfile({
+    code,
+    codeVerifier: pending.codeVerifier,
+    nonce: pending.nonce,
+    redirectUri: getOAuthRedirectUri(provider.name)
+  });
+
+  if (!profile.id) {
+    res.status(502);
+    throw new Error(`${provider.label} did not return an account id`);
+  }
+
+  const field = `socialProfiles.${provider.profileField}`;
+  const owner = await User.findOne({ [field]: profile.id });
+
+  // Link to the signed-in user who started the flow
+  if (pending.mode === 'link') {
+    if (!req.user || !req.user._id.equals(pending.user)) {
+      res.status(401);
+      throw new Error('Please login again to link your account');
+    }
+
+    if (owner && !owner._id.equals(req.user._id)) {
+      res.status(409);
+      throw new Error(`This ${provider.label} account is already linked to another user`);
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $set: { [field]: profile.id } });
+
+    res.json({
       success: true,
-      message: 'Logged out successfully! See you soon 👋'
+      message: `${provider.label} account linked 🔗`,
+      data: { provider: provider.name, linked: true }
     });
+    return;
+  }
+
+  let user = owner;
+  let isNewUser = false;
+  const email = profile.email?.toLowerCase().trim();
+
+  // Link to an existing account with the same email, when the provider confirmed it
+  if (!user && email) {
+    user = await User.findOne({ email });
+
+    if (user) {
+      if (!profile.emailVerified) {
+        res.status(409);
+        throw new Error(`An account with this email already exists. Login with your password and link ${provider.label} from your profile.`);
+      }
+
+      if (!user.isEmailVerified) {
+        // Whoever registered this account never proved they own the email, so nothing
+        // they set up (password, two-factor, other links, sessions) is kept
+        user.password = crypto.randomBytes(32).toString('hex');
+        user.hasPassword = false;
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        user.twoFactor = { enabled: false };
+        user.socialProfiles = {};
+        user.isEmailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpire = undefined;
+        await Session.revokeAllForUser(user._id, 'password_reset');
+      }
+
+      user.set(field, profile.id);
+      await user.save({ validateBeforeSave: false });
+    }
   }
+
+  if (!user) {
+    if (!email) {
+      res.status(400);
+      throw new Error(`${provider.label} did not share an email address. Please register with your email instead.`);
+    }
+
+    user = await User.create({
+      name: (profile.name || email.split('@')[0]).slice(0, 50),
+      email,
+      // Unknown to anyone; the user can set a password with "Forgot password"
+      password: crypto.randomBytes(32).toString('hex'),
+      hasPassword: false,
+      avatar: profile.avatar || '',
+      isEmailVerified: Boolean(profile.emailVerified),
+      socialProfiles: { [provider.profileField]: profile.id }
+    });
+    isNewUser = true;
+
+    if (!user.isEmailVerified) {
+      sendEmailVerification(user).catch(err => {
+        console.error('Failed to send verification email:', err);
+      });
+    }
+  }
+
+  await continueLogin(user, req, res, {
+    message: isNewUser ? `Welcome to GlobalStock! Signed up with ${provider.label} 🎉` : `Signed in with ${provider.label} 👋`,
+    isNewUser
+  });
+});
+
+// @desc    Unlink a social account
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+export const unlinkOAuth = asyncHandler(async (req, res) => {
+  const provider = getOidcProvider(req.params.provider, { enabledOnly: false });
+  const user = await User.findById(req.user._id);
+
+  if (!user.socialProfiles?.[provider.profileField]) {
+    res.status(400);
+    throw new Error(`No ${provider.label} account is linked`);
+  }
+
+  // Keep a way to sign in
+  const otherLinks = Object.values(SOCIAL_PROFILE_FIELDS)
+    .filter(profileField => profileField !== provider.profileField && user.socialProfiles[profileField]);
+
+  if (!user.hasPassword && otherLinks.length === 0) {
+    res.status(400);
+    throw new Error(`Set a password first (Forgot password) so you can still login without ${provider.label}`);
+  }
+
+  user.set(`socialProfiles.${provider.profileField}`, undefined);
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: `${provider.label} account unlinked`,
+    data: { provider: provider.name, linked: false }
+  });
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = asyncHandler(async (req, res) => {
+  // Hash the token from params to compare with stored hash
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    res.status(400);
+    throw new Error('Invalid or expired verification link');
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully ✅',
+    data: {
+      _id: user._id,
+      email: user.email,
+      isEmailVerified: true
+    }
+  });
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.isEmailVerified) {
+    res.status(400);
+    throw new Error('Email is already verified');
+  }
+
+  const secondsSinceLast = user.emailVerificationSentAt
+    ? (Date.now() - user.emailVerificationSentAt.getTime()) / 1000
+    : Infinity;
+
+  if (secondsSinceLast < VERIFICATION_RESEND_COOLDOWN) {
+    res.status(429);
+    throw new Error(`Please wait ${Math.ceil(VERIFICATION_RESEND_COOLDOWN - secondsSinceLast)} seconds before requesting another email`);
+  }
+
+  try {
+    await sendEmailVerification(user);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    res.status(500);
+    throw new Error('Error sending verification email. Please try again later.');
+  }
+
+  res.json({
+    success: true,
+    message: `Verification email sent to ${user.email}`
+  });
 });
 
 // @desc    Forgot password - Generate reset token
@@ -400,10 +1088,17 @@ export const resetPassword = asyncHandler(async (req, res) => {
 
   // Update password (will be hashed by pre-save middleware)
   user.password = password;
+  user.hasPassword = true;
   user.resetPasswordToken = undefined;
   user.resetPasswordExpire = undefined;
   await user.save();
 
+  // Proving access to the email address lifts a lockout
+  await user.clearLoginFailures();
+
+  // Whoever knew the old password may still be signed in
+  await Session.revokeAllForUser(user._id, 'password_reset');
+
   // Send confirmation email (non-blocking)
   sendPasswordResetConfirmation(user.email, user.name).catch(err => {
     console.error('Failed to send confirmation email:', err);
@@ -411,6 +1106,6 @@ export const resetPassword = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    message: 'Password reset successful! You can now log in with your new password ✅'
+    message: 'Password reset successful! You can now log in with your new password ✅ All devices have been signed out.'
   });
 });
\ No newline at end of file
@@ -1,12 +1,16 @@
 import asyncHandler from '../utils/asyncHandler.util.js';
 import Cart from '../models/cart.model.js';
 import Product from '../models/product.model.js';
+import Order from '../models/order.model.js';
+import { withTransaction, placeOrder } from '../utils/checkout.util.js';
+import { quoteShipping } from '../utils/shipping.util.js';
+import createHttpError from '../utils/httpError.util.js';
 
 // @desc    Get user cart
 // @route   GET /api/cart
 // @access  Private
 export const getCart = asyncHandler(async (req, res) => {
-  let cart = await Cart.findOne({ user: req.user._id })
+  let cart = await Cart.findOne({ user: req.user._id, status: 'active' })
     .populate('items.product', 'name price images inventory brand rating');
 
   if (!cart) {
@@ -27,7 +31,7 @@ export const getCart = asyncHandler(async (req, res) => {
 // @route   POST /api/cart/items
 // @access  Private
 export const addToCart = asyncHandler(async (req, res) => {
-  const { productId, quantity, variant, notes } = req.body;
+  const { productId, quantity, variantId, notes } = req.body;
 
   if (!productId) {
     res.status(400);
@@ -41,21 +45,24 @@ export const addToCart = asyncHandler(async (req, res) => {
     throw new Error('Product not found');
   }
 
+  // Products with variants must be added as one of their variants
+  const variant = product.resolveVariant(variantId);
+
   // Check stock availability
   const requestedQty = quantity || 1;
-  if (product.inventory.trackQuantity && product.inventory.quantity < requestedQty) {
+  if (!product.canFulfil(requestedQty, variant)) {
     res.status(400);
-    throw new Error(`Only ${product.inventory.quantity} items available in stock`);
+    throw new Error(`Only ${product.getAvailableQuantity(variant)} items available in stock`);
   }
 
   // Find or create cart
-  let cart = await Cart.findOne({ user: req.user._id });
+  let cart = await Cart.findOne({ user: req.user._id, status: 'active' });
   if (!cart) {
     cart = await Cart.create({ user: req.user._id });
   }
 
   // Add item to cart
-  await cart.addItem(productId, requestedQty, variant, notes);
+  await cart.addItem(productId, requestedQty, variant?._id, notes);
 
   // Populate and return updated cart
   cart = await Cart.findById(cart._id)
@@ -73,7 +80,7 @@ export const addToCart = asyncHandler(async (req, res) => {
 // @access  Private
 export const updateCartItem = asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  const { quantity, variantAttributes } = req.body;
+  const { quantity, variantId } = req.body;
 
   if (!quantity || quantity < 1) {
     res.status(400);
@@ -81,21 +88,22 @@ export const updateCartItem = asyncHandler(async (req, res) => {
   }
 
   // Find cart
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' });
   if (!cart) {
     res.status(404);
     throw new Error('Cart not found');
   }
 
-  // Check product stock
+  // Check product (or variant) stock
   const product = await Product.findById(productId);
-  if (product && product.inventory.trackQuantity && product.inventory.quantity < quantity) {
+  const variant = product?.findVariant(variantId);
+  if (product && !product.canFulfil(quantity, variant)) {
     res.status(400);
-    throw new Error(`Only ${product.inventory.quantity} items available in stock`);
+    throw new Error(`Only ${product.getAvailableQuantity(variant)} items available in stock`);
   }
 
   // Update item quantity
-  await cart.updateItemQuantity(productId, quantity, variantAttributes);
+  await cart.updateItemQuantity(productId, quantity, variantId);
 
   // Populate and return updated cart
   const updatedCart = await Cart.findById(cart._id)
@@ -113,17 +121,17 @@ export const updateCartItem = asyncHandler(async (req, res) => {
 // @access  Private
 export const removeFromCart = asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  const { variantAttributes } = req.body;
+  const variantId = req.body?.variantId || req.query.variantId;
 
   // Find cart
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' });
   if (!cart) {
     res.status(404);
     throw new Error('Cart not found');
   }
 
   // Remove item
-  await cart.removeItem(productId, variantAttributes);
+  await cart.removeItem(productId, variantId);
 
   // Populate and return updated cart
   const updatedCart = await Cart.findById(cart._id)
@@ -141,7 +149,7 @@ export const removeFromCart = asyncHandler(async (req, res) => {
 // @access  Private
 export const clearCart = asyncHandler(async (req, res) => {
   // Find cart
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' });
   if (!cart) {
     res.status(404);
     throw new Error('Cart not found');
@@ -161,22 +169,27 @@ export const clearCart = asyncHandler(async (req, res) => {
 // @route   POST /api/cart/discount
 // @access  Private
 export const applyDiscount = asyncHandler(async (req, res) => {
-  const { couponCode, discountAmount, discountType, description } = req.body;
+  const { couponCode } = req.body;
 
-  if (!couponCode || !discountAmount) {
+  if (!couponCode || typeof couponCode !== 'string') {
     res.status(400);
-    throw new Error('Coupon code and discount amount are required');
+    throw new Error('Coupon code is required');
   }
 
   // Find cart
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' });
   if (!cart) {
     res.status(404);
     throw new Error('Cart not found');
   }
 
-  // Apply discount
-  await cart.applyDiscount(couponCode, discountAmount, discountType, description);
+  // Discount is worked out from the coupon rules, never from the request
+  const result = await cart.applyCoupon(couponCode);
+
+  if (!result.applied) {
+    res.status(400);
+    throw new Error(result.reason);
+  }
 
   // Populate and return updated cart
   const updatedCart = await Cart.findById(cart._id)
@@ -193,15 +206,17 @@ export const applyDiscount = asyncHandler(async (req, res) => {
 // @route   DELETE /api/cart/discount
 // @access  Private
 export const removeDiscount = asyncHandler(async (req, res) => {
+  const { couponCode } = req.body || {};
+
   // Find cart
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' });
   if (!cart) {
     res.status(404);
     throw new Error('Cart not found');
   }
 
-  // Remove discount
-  await cart.removeDiscount();
+  // Remove a single coupon, or all of them if no code is given
+  await cart.removeDiscount(couponCode);
 
   // Populate and return updated cart
   const updatedCart = await Cart.findById(cart._id)
@@ -226,7 +241,7 @@ export const setShippingAddress = asyncHandler(async (req, res) => {
   }
 
   // Find cart
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' });
   if (!cart) {
     res.status(404);
     throw new Error('Cart not found');
@@ -242,26 +257,55 @@ export const setShippingAddress = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Set shipping method
+// @desc    Get shipping options for the cart
+// @route   GET /api/cart/shipping/options
+// @access  Private
+export const getShippingOptions = asyncHandler(async (req, res) => {
+  const { country, state } = req.query;
+
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' });
+  if (!cart || cart.items.length === 0) {
+    res.status(400);
+    throw new Error('Your cart is empty');
+  }
+
+  // Quote for the cart's address, or for ?country=&state= before an address is entered
+  const address = country ? { country, state } : cart.shippingAddress;
+
+  const options = await quoteShipping({
+    items: cart.getShippingItems(),
+    address
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      options,
+      selected: cart.shipping?.method || null
+    }
+  });
+});
+
+// @desc    Set shipping method (one of the quoted options)
 // @route   POST /api/cart/shipping/method
 // @access  Private
 export const setShippingMethod = asyncHandler(async (req, res) => {
-  const { method, amount, description, estimatedDays } = req.body;
+  const { method } = req.body;
 
-  if (!method || amount === undefined) {
+  if (!method) {
     res.status(400);
-    throw new Error('Shipping method and amount are required');
+    throw new Error('Shipping method is required');
   }
 
   // Find cart
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' });
   if (!cart) {
     res.status(404);
     throw new Error('Cart not found');
   }
 
-  // Set shipping method
-  await cart.setShippingMethod(method, amount, description, estimatedDays);
+  // The amount always comes from the server quote
+  await cart.setShippingMethod(method);
 
   res.status(200).json({
     success: true,
@@ -282,7 +326,7 @@ export const mergeCart = asyncHandler(async (req, res) => {
   }
 
   // Find or create cart
-  let cart = await Cart.findOne({ user: req.user._id });
+  let cart = await Cart.findOne({ user: req.user._id, status: 'active' });
   if (!cart) {
     cart = await Cart.create({ user: req.user._id });
   }
@@ -305,7 +349,7 @@ export const mergeCart = asyncHandler(async (req, res) => {
 // @route   GET /api/cart/summary
 // @access  Private
 export const getCartSummary = asyncHandler(async (req, res) => {
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' });
 
   if (!cart) {
     return res.status(200).json({
@@ -321,7 +365,10 @@ export const getCartSummary = asyncHandler(async (req, res) => {
     });
   }
 
-  // Calculate totals
+  // Re-quote shipping, re-check coupons, recalculate tax and calculate totals
+  await cart.refreshShipping();
+  await cart.refreshCoupons();
+  await cart.refreshTax();
   cart.calculateTotals();
 
   res.status(200).json({
@@ -330,7 +377,7 @@ export const getCartSummary = asyncHandler(async (req, res) => {
       itemsCount: cart.totalItems,
       subtotal: cart.subtotal,
       discount: cart.discount?.amount || 0,
-      shippingCost: cart.shippingCost,
+      shippingCost: cart.shipping.isFree ? 0 : cart.shipping.amount,
       tax: cart.tax,
       total: cart.total
     }
@@ -341,7 +388,7 @@ export const getCartSummary = asyncHandler(async (req, res) => {
 // @route   GET /api/cart/validate
 // @access  Private
 export const validateCart = asyncHandler(async (req, res) => {
-  const cart = await Cart.findOne({ user: req.user._id })
+  const cart = await Cart.findOne({ user: req.user._id, status: 'active' })
     .populate('items.product');
 
   if (!cart) {
@@ -361,22 +408,33 @@ export const validateCart = asyncHandler(async (req, res) => {
       continue;
     }
 
+    // Check the chosen variant still exists
+    const variant = item.product.findVariant(item.variantId);
+    if ((item.variantId && !variant) || (!item.variantId && item.product.hasVariants)) {
+      issues.push({
+        itemId: item._id,
+        productName: item.product.name,
+        issue: 'Please choose an available variant'
+      });
+      continue;
+    }
+
     // Check stock
-    if (item.product.inventory.trackQuantity && 
-        item.product.inventory.quantity < item.quantity) {
+    if (!item.product.canFulfil(item.quantity, variant)) {
       issues.push({
         itemId: item._id,
         productName: item.product.name,
-        issue: `Only ${item.product.inventory.quantity} items available (you have ${item.quantity} in cart)`
+        issue: `Only ${item.product.getAvailableQuantity(variant)} items available (you have ${item.quantity} in cart)`
       });
     }
 
     // Check price change
-    if (item.price !== item.product.price) {
+    const currentPrice = item.product.getPrice(variant);
+    if (item.price !== currentPrice) {
       issues.push({
         itemId: item._id,
         productName: item.product.name,
-        issue: `Price changed from ${item.price} to ${item.product.price}`
+        issue: `Price changed from ${item.price} to ${currentPrice}`
       });
     }
 
@@ -397,3 +455,53 @@ export const validateCart = asyncHandler(async (req, res) => {
     data: cart
   });
 });
+
+// @desc    Checkout cart - convert it into an order atomically
+// @route   POST /api/cart/checkout
+// @access  Private
+export const checkout = asyncHandler(async (req, res) => {
+  const { shippingAddress, paymentMethod, customerNotes } = req.body;
+
+  // Re-price, reserve stock, create the order and convert the cart in one transaction
+  const order = await withTransaction(async (session) => {
+    const cart = await Cart.findOne({ user: req.user._id, status: 'active' }).session(session);
+
+    if (!cart || cart.items.length === 0) {
+      throw createHttpError('Your cart is empty');
+    }
+
+    const address = shippingAddress || (cart.shippingAddress?.street ? cart.shippingAddress : null);
+
+    const createdOrder = await placeOrder({
+      customer: req.user,
+      items: cart.items,
+      shippingAddress: address,
+      paymentMethod: paymentMethod || cart.paymentMethod,
+      shippingMethod: cart.shipping.method,
+      couponCodes: cart.coupons.map(c => c.code),
+      customerNotes,
+      meta: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        source: 'web'
+      }
+    }, session);
+
+    cart.status = 'converted';
+    cart.order = createdOrder._id;
+    cart.convertedAt = new Date();
+    await cart.save({ session });
+
+    return createdOrder;
+  });
+
+  const populatedOrder = await Order.findById(order._id)
+    .populate('orderItems.product', 'name images brand')
+    .populate('customer', 'name email');
+
+  res.status(201).json({
+    success: true,
+    message: 'Order placed successfully 🎉',
+    data: populatedOrder
+  });
+});
@@ -19,7 +19,8 @@ export const createCategory = asyncHandler(async (req, res) => {
     showInFooter,
     seo,
     content,
-    attributes
+    attributes,
+    taxClass
   } = req.body;
 
   // Validation
@@ -59,6 +60,7 @@ export const createCategory = asyncHandler(async (req, res) => {
     seo: seo || {},
     content: content || '',
     attributes: attributes || [],
+    taxClass: taxClass || 'standard',
     createdBy: req.user._id,
     status: 'active'
   });
@@ -159,9 +161,9 @@ export const getCategoryById = asyncHandler(async (req, res) => {
   // Increment view count
   await category.addView();
 
-  // Get products count for this category
+  // Get products count for this category and its subcategories
   const productCount = await Product.countDocuments({ 
-    category: category.name,
+    category: { $in: await Category.getDescendantIds(category._id) },
     status: 'active'
   });
 
@@ -193,19 +195,24 @@ export const getCategoryBySlug = asyncHandler(async (req, res) => {
   // Increment view count
   await category.addView();
 
-  // Get products for this category
-  const products = await Product.find({ 
-    category: category.name,
+  // Get products for this category and its subcategories
+  const productFilter = {
+    category: { $in: await Category.getDescendantIds(category._id) },
     status: 'active'
-  })
-  .populate('vendor', 'name')
-  .sort({ 'rating.average': -1, createdAt: -1 })
-  .limit(20);
+  };
+
+  const [products, productCount] = await Promise.all([
+    Product.find(productFilter)
+      .populate('vendor', 'name')
+      .sort({ 'rating.average': -1, createdAt: -1 })
+      .limit(20),
+    Product.countDocuments(productFilter)
+  ]);
 
   const categoryWithProducts = {
     ...category.toObject(),
     products,
-    productCount: products.length
+    productCount
   };
 
   res.status(200).json({
@@ -232,6 +239,7 @@ export const updateCategory = asyncHandler(async (req, res) => {
     seo,
     content,
     attributes,
+    taxClass,
     status
   } = req.body;
 
@@ -291,6 +299,7 @@ export const updateCategory = asyncHandler(async (req, res) => {
         seo: seo || category.seo,
         content: content !== undefined ? content : category.content,
         attributes: attributes || category.attributes,
+        taxClass: taxClass || category.taxClass,
         status: status || category.status
       }
     },
@@ -326,7 +335,7 @@ export const deleteCategory = asyncHandler(async (req, res) => {
   }
 
   // Check if category has products
-  const productCount = await Product.countDocuments({ category: category.name });
+  const productCount = await Product.countDocuments({ category: category._id });
   if (productCount > 0) {
     res.status(400);
     throw new Error(`Cannot delete category. It has ${productCount} products associated.`);
@@ -543,6 +552,23 @@ export const addAttribute = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get the attributes products in a category must describe (including inherited ones)
+// @route   GET /api/categories/:id/attributes
+// @access  Public
+export const getCategoryAttributes = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    res.status(404);
+    throw new Error('Category not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await category.getEffectiveAttributes()
+  });
+});
+
 // @desc    Remove attribute from category
 // @route   DELETE /api/categories/:id/attributes/:attributeName
 // @access  Private (Admin)
@@ -0,0 +1,184 @@
+import asyncHandler from '../utils/asyncHandler.util.js';
+import Coupon from '../models/coupon.model.js';
+
+// Fields an admin is allowed to set on a coupon
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscountAmount',
+  'minSubtotal',
+  'startsAt',
+  'expiresAt',
+  'usageLimit',
+  'usageLimitPerUser',
+  'scope',
+  'stackable',
+  'isActive'
+];
+
+const pickCouponFields = (body) => {
+  return COUPON_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (Admin)
+export const createCoupon = asyncHandler(async (req, res) => {
+  const { code, type, value } = req.body;
+
+  if (!code || !type) {
+    res.status(400);
+    throw new Error('Coupon code and type are required');
+  }
+
+  if (type !== 'free_shipping' && (value === undefined || value <= 0)) {
+    res.status(400);
+    throw new Error('A positive discount value is required');
+  }
+
+  const { startsAt, expiresAt } = req.body;
+  if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+    res.status(400);
+    throw new Error('Expiry date must be after the start date');
+  }
+
+  const coupon = await Coupon.create({
+    ...pickCouponFields(req.body),
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully 🎉',
+    data: coupon
+  });
+});
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private (Admin)
+export const getCoupons = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, isActive, type, search } = req.query;
+
+  const filter = {};
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive === 'true';
+  }
+
+  if (type) {
+    filter.type = type;
+  }
+
+  if (search) {
+    filter.code = search.trim().toUpperCase();
+  }
+
+  const coupons = await Coupon.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Coupon.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: coupons,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+});
+
+// @desc    Get coupon by ID
+// @route   GET /api/coupons/:id
+// @access  Private (Admin)
+export const getCouponById = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('scope.categories', 'name slug path')
+    .populate('scope.products', 'name')
+    .populate('scope.vendors', 'name email')
+    .populate('createdBy', 'name email');
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (Admin)
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  // Changing the code of a redeemed coupon would break order history
+  if (req.body.code && req.body.code.trim().toUpperCase() !== coupon.code && coupon.usageCount > 0) {
+    res.status(400);
+    throw new Error('Cannot change the code of a coupon that has already been redeemed');
+  }
+
+  coupon.set(pickCouponFields(req.body));
+
+  if (coupon.startsAt && coupon.expiresAt && coupon.expiresAt <= coupon.startsAt) {
+    res.status(400);
+    throw new Error('Expiry date must be after the start date');
+  }
+
+  const updatedCoupon = await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon updated successfully ✅',
+    data: updatedCoupon
+  });
+});
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private (Admin)
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  // Keep redeemed coupons for order history, just deactivate them
+  if (coupon.usageCount > 0) {
+    coupon.isActive = false;
+    await coupon.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon has been redeemed before, so it was deactivated instead of deleted'
+    });
+  }
+
+  await Coupon.findByIdAndDelete(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon deleted successfully'
+  });
+});
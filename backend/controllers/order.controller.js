@@ -1,7 +1,78 @@
 import asyncHandler from '../utils/asyncHandler.util.js';
 import Order from '../models/order.model.js';
-import Product from '../models/product.model.js';
 import User from '../models/user.model.js';
+import { withTransaction, placeOrder } from '../utils/checkout.util.js';
+import { assertTransition, canTransition } from '../utils/orderLifecycle.util.js';
+import { recordManualPayment, refundOrderPayment } from '../utils/payments.util.js';
+import { hasPermission } from '../utils/permissions.util.js';
+import {
+  issueInvoiceNumber,
+  buildOrderDocumentData,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderPackingSlipHtml,
+  renderPackingSlipPdf
+} from '../utils/invoice.util.js';
+
+// Transition rules for shipment updates: staff who manage orders act as admin
+const getShipmentRole = (req) => (hasPermission(req.permissions, 'orders:update') ? 'admin' : 'vendor');
+
+// Load an order and the shipment a vendor may act on (orders:update can act on any shipment)
+const findShipmentForUser = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (!hasPermission(req.permissions, 'orders:update') && req.params.vendorId !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Vendors can only update their own shipments');
+  }
+
+  if (!order.getShipment(req.params.vendorId)) {
+    res.status(404);
+    throw new Error('Shipment not found for this vendor');
+  }
+
+  return order;
+};
+
+// Work out which part of an order a user may print
+// Customers get the whole order; vendors only their own shipment; orders:read either (?vendor=)
+const getDocumentScope = (req, res, order) => {
+  if (hasPermission(req.permissions, 'orders:read')) {
+    return { vendorId: req.query.vendor || null };
+  }
+
+  if (order.customer._id.toString() === req.user._id.toString()) {
+    return { vendorId: null };
+  }
+
+  if (hasPermission(req.permissions, 'orders:fulfil') && order.getShipment(req.user._id)) {
+    return { vendorId: req.user._id };
+  }
+
+  res.status(403);
+  throw new Error('Not authorized to view documents for this order');
+};
+
+// Send a rendered document as PDF (default) or HTML (?format=html)
+const sendOrderDocument = async (req, res, { filename, html, pdf }) => {
+  if (req.query.format === 'html') {
+    res.type('html').send(html());
+    return;
+  }
+
+  const buffer = await pdf();
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}.pdf"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
 
 // @desc    Create new order
 // @route   POST /api/orders
@@ -11,9 +82,9 @@ export const createOrder = asyncHandler(async (req, res) => {
     orderItems,
     shippingAddress,
     paymentMethod,
-    shippingPrice,
-    taxPrice,
-    discount,
+    shippingMethod,
+    couponCode,
+    couponCodes,
     customerNotes
   } = req.body;
 
@@ -28,69 +99,22 @@ export const createOrder = asyncHandler(async (req, res) => {
     throw new Error('Shipping address is required');
   }
 
-  // Calculate prices and validate products
-  let itemsPrice = 0;
-  const orderItemsWithDetails = [];
-
-  for (const item of orderItems) {
-    const product = await Product.findById(item.product);
-    
-    if (!product) {
-      res.status(404);
-      throw new Error(`Product not found: ${item.product}`);
-    }
-
-    if (product.inventory.trackQuantity && product.inventory.quantity < item.quantity) {
-      res.status(400);
-      throw new Error(`Not enough stock for ${product.name}. Available: ${product.inventory.quantity}`);
-    }
-
-    const itemTotal = product.price * item.quantity;
-    itemsPrice += itemTotal;
-
-    orderItemsWithDetails.push({
-      product: item.product,
-      name: product.name,
-      image: product.primaryImage || (product.images[0] ? product.images[0].url : ''),
-      price: product.price,
-      quantity: item.quantity,
-      variant: item.variant || {},
-      totalPrice: itemTotal
-    });
-  }
-
-  // Calculate total price
-  const discountAmount = discount?.amount || 0;
-  const totalPrice = itemsPrice + (taxPrice || 0) + (shippingPrice || 0) - discountAmount;
-
-  // Create order
-  const order = new Order({
-    orderItems: orderItemsWithDetails,
-    customer: req.user._id,
-    customerEmail: req.user.email,
-    customerPhone: req.user.phone,
+  // Price, re-check coupons, calculate tax, reserve stock and save in one transaction
+  // Shipping and tax are always calculated on the server, never taken from the client
+  const createdOrder = await withTransaction((session) => placeOrder({
+    customer: req.user,
+    items: orderItems,
     shippingAddress,
-    paymentMethod: paymentMethod || 'cash_on_delivery',
-    itemsPrice,
-    taxPrice: taxPrice || 0,
-    shippingPrice: shippingPrice || 0,
-    discount: discount || { amount: 0 },
-    totalPrice,
+    paymentMethod,
+    shippingMethod,
+    couponCodes: couponCodes || (couponCode ? [couponCode] : []),
     customerNotes,
-    ipAddress: req.ip,
-    userAgent: req.get('User-Agent'),
-    source: 'web'
-  });
-
-  // Update product inventory
-  for (const item of orderItems) {
-    await Product.findByIdAndUpdate(
-      item.product,
-      { $inc: { 'inventory.quantity': -item.quantity } }
-    );
-  }
-
-  const createdOrder = await order.save();
+    meta: {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      source: 'web'
+    }
+  }, session));
 
   // Populate order for response
   const populatedOrder = await Order.findById(createdOrder._id)
@@ -148,8 +172,8 @@ export const getOrderById = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Check if user owns the order or is admin
-  if (order.customer._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Check if user owns the order or can view all orders
+  if (order.customer._id.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'orders:read')) {
     res.status(403);
     throw new Error('Not authorized to view this order');
   }
@@ -160,46 +184,84 @@ export const getOrderById = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Update order to paid
-// @route   PUT /api/orders/:id/pay
-// @access  Private
-export const updateOrderToPaid = asyncHandler(async (req, res) => {
-  const order = await Order.findById(req.params.id);
+// @desc    Get order invoice (PDF, or HTML with ?format=html)
+// @route   GET /api/orders/:id/invoice
+// @access  Private (Customer - own, Vendor - own shipment, Admin)
+export const getOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).populate('customer', 'name email');
 
   if (!order) {
     res.status(404);
     throw new Error('Order not found');
   }
 
-  const { id, status, update_time, email_address } = req.body;
+  const scope = getDocumentScope(req, res, order);
 
-  order.paymentResult = {
-    id: id || `manual_${Date.now()}`,
-    status: status || 'completed',
-    update_time: update_time || new Date().toISOString(),
-    email_address: email_address || order.customerEmail
-  };
+  if (order.orderStatus === 'cancelled' && !['completed', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+    res.status(400);
+    throw new Error('No invoice is issued for cancelled unpaid orders');
+  }
+
+  // Sequential number assigned the first time the invoice is issued
+  await issueInvoiceNumber(order);
+
+  const data = buildOrderDocumentData(order, scope);
+
+  await sendOrderDocument(req, res, {
+    filename: `invoice-${order.invoiceNumber}`,
+    html: () => renderInvoiceHtml(data),
+    pdf: () => renderInvoicePdf(data)
+  });
+});
+
+// @desc    Get order packing slip (PDF, or HTML with ?format=html)
+// @route   GET /api/orders/:id/packing-slip
+// @access  Private (Customer - own, Vendor - own shipment, Admin)
+export const getOrderPackingSlip = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).populate('customer', 'name email');
 
-  order.paymentStatus = 'completed';
-  order.paidAt = new Date();
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const scope = getDocumentScope(req, res, order);
+  const data = buildOrderDocumentData(order, scope);
+
+  await sendOrderDocument(req, res, {
+    filename: `packing-slip-${order.orderNumber}`,
+    html: () => renderPackingSlipHtml(data),
+    pdf: () => renderPackingSlipPdf(data)
+  });
+});
 
-  // Update order status to confirmed if still pending
-  if (order.orderStatus === 'pending') {
-    await order.updateStatus('confirmed', 'Payment received');
+// @desc    Record an offline payment (cash on delivery, bank transfer)
+// @route   PUT /api/orders/:id/pay
+// @access  Private (Admin)
+export const updateOrderToPaid = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
   }
 
-  const updatedOrder = await order.save();
+  // Card and PayPal orders are only marked paid by a verified provider callback
+  await recordManualPayment(order, {
+    reference: req.body?.reference,
+    recordedBy: req.user._id.toString()
+  });
 
   res.status(200).json({
     success: true,
     message: 'Order payment updated successfully',
-    data: updatedOrder
+    data: order
   });
 });
 
-// @desc    Update order status
+// @desc    Update order status (whole order, cascades to vendor shipments)
 // @route   PUT /api/orders/:id/status
-// @access  Private (Admin/Vendor)
+// @access  Private (Admin)
 export const updateOrderStatus = asyncHandler(async (req, res) => {
   const { status, note } = req.body;
 
@@ -215,13 +277,8 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Check authorization
-  if (req.user.role !== 'admin') {
-    res.status(403);
-    throw new Error('Not authorized to update order status');
-  }
-
-  await order.updateStatus(status, note, req.user._id);
+  // Rejects invalid transitions with 409 and the allowed next states
+  await order.updateStatus(status, note, req.user._id, 'admin');
 
   const updatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email')
@@ -234,9 +291,9 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Add tracking information
+// @desc    Add tracking information (whole order)
 // @route   PUT /api/orders/:id/tracking
-// @access  Private (Admin/Vendor)
+// @access  Private (Admin)
 export const addTracking = asyncHandler(async (req, res) => {
   const { trackingNumber, carrier, estimatedDelivery } = req.body;
 
@@ -252,13 +309,7 @@ export const addTracking = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Check authorization
-  if (req.user.role !== 'admin') {
-    res.status(403);
-    throw new Error('Not authorized to add tracking information');
-  }
-
-  await order.addTracking(trackingNumber, carrier, estimatedDelivery);
+  await order.addTracking(trackingNumber, carrier, estimatedDelivery, req.user._id, 'admin');
 
   const updatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email')
@@ -271,6 +322,64 @@ export const addTracking = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Update vendor shipment status
+// @route   PUT /api/orders/:id/shipments/:vendorId/status
+// @access  Private (Vendor - own shipment, Admin)
+export const updateShipmentStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!status) {
+    res.status(400);
+    throw new Error('Status is required');
+  }
+
+  const order = await findShipmentForUser(req, res);
+
+  // Rejects invalid transitions with 409; the order status follows its shipments
+  await order.updateShipmentStatus(req.params.vendorId, status, note, req.user._id, getShipmentRole(req));
+
+  res.status(200).json({
+    success: true,
+    message: `Shipment status updated to ${status}`,
+    data: {
+      orderStatus: order.orderStatus,
+      shipment: order.getShipment(req.params.vendorId)
+    }
+  });
+});
+
+// @desc    Add tracking information to vendor shipment
+// @route   PUT /api/orders/:id/shipments/:vendorId/tracking
+// @access  Private (Vendor - own shipment, Admin)
+export const addShipmentTracking = asyncHandler(async (req, res) => {
+  const { trackingNumber, carrier, estimatedDelivery } = req.body;
+
+  if (!trackingNumber || !carrier) {
+    res.status(400);
+    throw new Error('Tracking number and carrier are required');
+  }
+
+  const order = await findShipmentForUser(req, res);
+
+  await order.addShipmentTracking(
+    req.params.vendorId,
+    trackingNumber,
+    carrier,
+    estimatedDelivery,
+    req.user._id,
+    getShipmentRole(req)
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Tracking information added successfully',
+    data: {
+      orderStatus: order.orderStatus,
+      shipment: order.getShipment(req.params.vendorId)
+    }
+  });
+});
+
 // @desc    Cancel order
 // @route   PUT /api/orders/:id/cancel
 // @access  Private
@@ -284,28 +393,30 @@ export const cancelOrder = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Check if user owns the order or is admin
-  if (order.customer.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  const isOwner = order.customer.toString() === req.user._id.toString();
+  const canManage = hasPermission(req.permissions, 'orders:update');
+
+  // Check if user owns the order or manages orders
+  if (!isOwner && !canManage) {
     res.status(403);
     throw new Error('Not authorized to cancel this order');
   }
 
-  if (!order.canBeCancelled) {
-    res.status(400);
-    throw new Error('This order cannot be cancelled');
-  }
+  // Owners cancel with customer permissions, order managers with admin permissions
+  const role = canManage ? 'admin' : 'customer';
+  assertTransition(order.orderStatus, 'cancelled', role);
 
   order.cancellationReason = reason || 'changed_mind';
   order.cancellationNote = note;
-  
-  // Calculate refund if paid
-  if (order.paymentStatus === 'completed') {
-    order.refundAmount = order.calculateRefund();
-    order.paymentStatus = 'refunded';
-    order.refundedAt = new Date();
-  }
 
-  await order.updateStatus('cancelled', `Cancelled: ${note || reason}`, req.user._id);
+  // Claims the cancellation first (409 if another request got there), so stock,
+  // coupons and the payment are only given back once
+  await order.updateStatus('cancelled', `Cancelled: ${note || reason}`, req.user._id, role);
+
+  // Refund whatever is left through the payment provider if paid
+  if (order.refundableAmount > 0) {
+    await refundOrderPayment(order, null, 'Order cancelled');
+  }
 
   const updatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email')
@@ -435,38 +546,44 @@ export const getSalesStats = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get vendor orders
-// @route   GET /api/orders/vendor/my-orders
+// @desc    Get vendor sub-orders
+// @route   GET /api/orders/vendor/orders
 // @access  Private (Vendor)
 export const getVendorOrders = asyncHandler(async (req, res) => {
   const { page = 1, limit = 20, status } = req.query;
 
-  // For now, return empty array since vendor order logic needs products linked to vendors
-  // This will be implemented when we have vendor-product relationships
-  
-  const orders = await Order.find({
-    'orderStatus': status || { $exists: true }
-  })
-  .populate('customer', 'name email')
-  .populate('orderItems.product', 'name images vendor')
-  .sort({ createdAt: -1 })
-  .limit(limit * 1)
-  .skip((page - 1) * limit);
-
-  // Filter orders that contain vendor's products
-  const vendorOrders = orders.filter(order => 
-    order.orderItems.some(item => 
-      item.product.vendor && item.product.vendor.toString() === req.user._id.toString()
-    )
-  );
+  // Vendors see only their own shipment of each order (indexed on vendors.vendor)
+  const query = status
+    ? { vendors: { $elemMatch: { vendor: req.user._id, status } } }
+    : { 'vendors.vendor': req.user._id };
+
+  const orders = await Order.find(query)
+    .select('orderNumber customer shippingAddress orderStatus paymentStatus vendors createdAt')
+    .populate('customer', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Order.countDocuments(query);
+
+  const subOrders = orders.map(order => ({
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    customer: order.customer,
+    shippingAddress: order.shippingAddress,
+    orderStatus: order.orderStatus,
+    paymentStatus: order.paymentStatus,
+    createdAt: order.createdAt,
+    shipment: order.getShipment(req.user._id)
+  }));
 
   res.status(200).json({
     success: true,
-    data: vendorOrders,
+    data: subOrders,
     pagination: {
       current: parseInt(page),
-      pages: Math.ceil(vendorOrders.length / limit),
-      total: vendorOrders.length
+      pages: Math.ceil(total / limit),
+      total
     }
   });
 });
@@ -486,8 +603,8 @@ export const getOrderByNumber = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Check if user owns the order or is admin
-  if (order.customer._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Check if user owns the order or can view all orders
+  if (order.customer._id.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'orders:read')) {
     res.status(403);
     throw new Error('Not authorized to view this order');
   }
@@ -512,13 +629,14 @@ export const getRecentOrders = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Process refund for order
-// @route   PUT /api/orders/:id/refund
+// @desc    Process (partial) refund for order
+// @route   POST /api/orders/:id/refund
 // @access  Private (Admin)
 export const processRefund = asyncHandler(async (req, res) => {
-  const { refundAmount, reason } = req.body;
+  const { reason } = req.body;
+  const refundAmount = Number(req.body.refundAmount);
 
-  if (!refundAmount || refundAmount <= 0) {
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
     res.status(400);
     throw new Error('Valid refund amount is required');
   }
@@ -530,23 +648,27 @@ export const processRefund = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  if (order.paymentStatus !== 'completed') {
+  if (!['completed', 'partially_refunded'].includes(order.paymentStatus)) {
     res.status(400);
-    throw new Error('Cannot refund unpaid order');
+    throw new Error(order.paymentStatus === 'refunded'
+      ? 'Order has already been fully refunded'
+      : 'Cannot refund unpaid order');
   }
 
-  if (order.refundAmount > 0) {
+  if (refundAmount > order.refundableAmount) {
     res.status(400);
-    throw new Error('Refund already processed for this order');
+    throw new Error(`Refund amount cannot be more than the remaining $${order.refundableAmount}`);
   }
 
-  order.refundAmount = refundAmount;
-  order.paymentStatus = 'refunded';
-  order.refundedAt = new Date();
-  order.cancellationReason = 'refund_processed';
-  order.cancellationNote = reason || 'Customer refund';
+  // Partial refunds can be repeated; the running total is kept on the order.
+  // The amount is claimed on the payment before the provider is asked, so parallel
+  // requests cannot refund more than was paid
+  await refundOrderPayment(order, refundAmount, reason || 'Customer refund');
 
-  await order.updateStatus('refunded', `Refund processed: ${reason}`, req.user._id);
+  // Fully refunded orders move to 'refunded'
+  if (order.paymentStatus === 'refunded' && canTransition(order.orderStatus, 'refunded', 'admin')) {
+    await order.updateStatus('refunded', `Refund processed: ${reason || 'Customer refund'}`, req.user._id, 'admin');
+  }
 
   const updatedOrder = await Order.findById(order._id)
     .populate('customer', 'name email')
@@ -0,0 +1,250 @@
+import asyncHandler from '../utils/asyncHandler.util.js';
+import Order from '../models/order.model.js';
+import Payment from '../models/payment.model.js';
+import { getPaymentProvider, getProviderForMethod } from '../utils/paymentProviders.util.js';
+import { hasPermission } from '../utils/permissions.util.js';
+
+// Load a payment and check that the user owns it (admins can access any payment)
+const findAccessiblePayment = async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    res.status(404);
+    throw new Error('Payment not found');
+  }
+
+  if (payment.customer.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'orders:read')) {
+    res.status(403);
+    throw new Error('Not authorized to access this payment');
+  }
+
+  return payment;
+};
+
+// @desc    Create payment intent for an order
+// @route   POST /api/payments/orders/:orderId/intent
+// @access  Private
+export const createPaymentIntent = asyncHandler(async (req, res) => {
+  const { captureMethod = 'automatic' } = req.body || {};
+
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (order.customer.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to pay for this order');
+  }
+
+  if (['completed', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+    res.status(400);
+    throw new Error('Order has already been paid');
+  }
+
+  if (['cancelled', 'refunded'].includes(order.orderStatus)) {
+    res.status(400);
+    throw new Error(`Cannot pay for a ${order.orderStatus} order`);
+  }
+
+  if (!['automatic', 'manual'].includes(captureMethod)) {
+    res.status(400);
+    throw new Error('Capture method must be automatic or manual');
+  }
+
+  const provider = getProviderForMethod(order.paymentMethod);
+
+  // Reuse an open intent instead of creating duplicates
+  let payment = await Payment.findOne({
+    order: order._id,
+    provider: provider.name,
+    status: 'requires_confirmation'
+  });
+
+  let clientSecret = null;
+
+  if (!payment) {
+    const intent = await provider.createIntent({
+      amount: order.totalPrice,
+      currency: 'USD',
+      orderId: order._id.toString(),
+      captureMethod
+    });
+
+    payment = await Payment.create({
+      order: order._id,
+      customer: order.customer,
+      provider: provider.name,
+      paymentMethod: order.paymentMethod,
+      intentId: intent.intentId,
+      amount: intent.amount,
+      currency: intent.currency,
+      captureMethod: intent.captureMethod
+    });
+
+    clientSecret = intent.clientSecret;
+
+    order.paymentProvider = provider.name;
+    await order.save();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment intent created successfully',
+    data: {
+      payment,
+      clientSecret
+    }
+  });
+});
+
+// @desc    Confirm payment with payment details
+// @route   POST /api/payments/:id/confirm
+// @access  Private
+export const confirmPayment = asyncHandler(async (req, res) => {
+  const { paymentDetails = {} } = req.body || {};
+
+  const payment = await findAccessiblePayment(req, res);
+
+  const provider = getPaymentProvider(payment.provider);
+
+  // Mark as processing before calling the provider so its callback cannot be overwritten
+  const claimed = await Payment.updateOne(
+    { _id: payment._id, status: 'requires_confirmation' },
+    { $set: { status: 'processing' } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    res.status(400);
+    throw new Error(`Payment cannot be confirmed while ${payment.status}`);
+  }
+
+  let result;
+  try {
+    result = await provider.confirm(payment.intent, paymentDetails);
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $set: { status: 'requires_confirmation' } });
+    throw error;
+  }
+
+  // The order is only updated once the provider callback is verified
+  payment.status = 'processing';
+
+  res.status(202).json({
+    success: true,
+    message: result.status === 'failed'
+      ? 'Payment was declined'
+      : 'Payment submitted, waiting for confirmation from the provider',
+    data: payment
+  });
+});
+
+// @desc    Capture an authorized payment
+// @route   POST /api/payments/:id/capture
+// @access  Private (Admin)
+export const capturePayment = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    res.status(404);
+    throw new Error('Payment not found');
+  }
+
+  // Authorized amount not captured yet
+  const capturable = Math.round((payment.amount - payment.amountCaptured) * 100) / 100;
+  const amount = req.body?.amount === undefined ? capturable : Number(req.body.amount);
+
+  if (!Number.isFinite(amount) || amount <= 0 || amount > capturable) {
+    res.status(400);
+    throw new Error(`Capture amount must be a number greater than 0 and at most ${capturable}`);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+
+  const claimed = await Payment.updateOne(
+    { _id: payment._id, status: 'requires_capture' },
+    { $set: { status: 'processing' } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    res.status(400);
+    throw new Error('Only authorized payments can be captured');
+  }
+
+  try {
+    await provider.capture(payment.intent, amount);
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $set: { status: 'requires_capture' } });
+    throw error;
+  }
+
+  payment.status = 'processing';
+
+  res.status(202).json({
+    success: true,
+    message: 'Capture requested, waiting for confirmation from the provider',
+    data: payment
+  });
+});
+
+// @desc    Get payment by ID
+// @route   GET /api/payments/:id
+// @access  Private
+export const getPaymentById = asyncHandler(async (req, res) => {
+  const payment = await findAccessiblePayment(req, res);
+
+  res.status(200).json({
+    success: true,
+    data: payment
+  });
+});
+
+// @desc    Get payments for an order
+// @route   GET /api/payments/orders/:orderId
+// @access  Private
+export const getOrderPayments = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId).select('customer');
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (order.customer.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'orders:read')) {
+    res.status(403);
+    throw new Error('Not authorized to view payments for this order');
+  }
+
+  const payments = await Payment.find({ order: order._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: payments.length,
+    data: payments
+  });
+});
+
+// @desc    Receive payment provider webhook
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (signature verified by the provider)
+export const handlePaymentWebhook = asyncHandler(async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+  const event = provider.verifyWebhook(req.rawBody, req.headers);
+
+  const payment = await Payment.findOne({ provider: provider.name, intentId: event.intentId });
+
+  if (!payment) {
+    res.status(404);
+    throw new Error('Payment not found for webhook event');
+  }
+
+  const applied = await payment.applyEvent(event);
+
+  res.status(200).json({
+    success: true,
+    received: true,
+    applied
+  });
+});
@@ -1,9 +1,39 @@
 import asyncHandler from '../utils/asyncHandler.util.js';
 import Product from '../models/product.model.js';
+import Category from '../models/category.model.js';
+import createHttpError from '../utils/httpError.util.js';
+import { generateVariantMatrix, applyBulkVariantChanges } from '../utils/variants.util.js';
+import { storeProductImages, deleteProductImageFiles } from '../utils/images.util.js';
+import { getCatalogCategory, buildCatalogFilters, combineFilters, getCatalogFacets } from '../utils/catalogSearch.util.js';
+import { assertValidSpecifications } from '../utils/specifications.util.js';
+import { prepareSearch, findByRelevance } from '../utils/search.util.js';
+import { hasPermission } from '../utils/permissions.util.js';
+
+// Multipart requests (with image files) send the product fields as a productData JSON string
+const getProductBody = (req) => {
+  if (typeof req.body?.productData !== 'string') return req.body || {};
+
+  try {
+    return JSON.parse(req.body.productData);
+  } catch {
+    throw createHttpError('productData must be valid JSON');
+  }
+};
+
+// Products are put in a category by id or slug; only active categories take products
+const resolveProductCategory = async (value) => {
+  const category = await Category.findByIdOrSlug(value, { status: 'active' });
+
+  if (!category) {
+    throw createHttpError(`Category not found: ${value}`);
+  }
+  return category;
+};
 
 // @desc    Create a new product
 // @route   POST /api/products
 // @access  Private (Vendor/Admin)
+// Accepts JSON, or multipart/form-data with productData and image files in "images"
 export const createProduct = asyncHandler(async (req, res) => {
   const {
     name,
@@ -21,8 +51,9 @@ export const createProduct = asyncHandler(async (req, res) => {
     shipping,
     warranty,
     isDigital,
-    options
-  } = req.body;
+    options,
+    variants
+  } = getProductBody(req);
 
   // Validation
   if (!name || !description || !price || !category || !brand) {
@@ -30,14 +61,18 @@ export const createProduct = asyncHandler(async (req, res) => {
     throw new Error('Please fill in all required fields: name, description, price, category, brand');
   }
 
+  // Specifications must fit the attributes of the category and its ancestors
+  const productCategory = await resolveProductCategory(category);
+  const checkedSpecifications = assertValidSpecifications(specifications, await productCategory.getEffectiveAttributes());
+
   // Create product
-  const product = await Product.create({
+  const product = new Product({
     name,
     description,
     shortDescription,
     price,
     comparePrice,
-    category,
+    category: productCategory._id,
     brand,
     inventory: {
       quantity: inventory?.quantity || 0,
@@ -49,7 +84,7 @@ export const createProduct = asyncHandler(async (req, res) => {
       dimensions: inventory?.dimensions
     },
     images: images || [],
-    specifications: specifications || {},
+    specifications: checkedSpecifications,
     features: features || [],
     tags: tags || [],
     vendor: req.user._id,
@@ -58,9 +93,21 @@ export const createProduct = asyncHandler(async (req, res) => {
     warranty: warranty || {},
     isDigital: isDigital || false,
     options: options || [],
+    variants: variants || [],
     status: 'active'
   });
 
+  // Uploaded files go through the image pipeline and are stored under the product id
+  const uploaded = await storeProductImages(req.files, product._id);
+  product.images.push(...uploaded);
+
+  try {
+    await product.save();
+  } catch (error) {
+    await deleteProductImageFiles(uploaded);
+    throw error;
+  }
+
   res.status(201).json({
     success: true,
     message: 'Product created successfully 🎉',
@@ -76,85 +123,39 @@ export const getProducts = asyncHandler(async (req, res) => {
     page = 1,
     limit = 12,
     category,
-    brand,
-    minPrice,
-    maxPrice,
     search,
-    sortBy = 'createdAt',
     sortOrder = 'desc',
-    inStock,
-    featured,
-    vendor
+    facets = 'true'
   } = req.query;
 
-  // Build filter object
-  const filter = { status: 'active' };
-
-  // Category filter
-  if (category) {
-    filter.category = category;
-  }
-
-  // Brand filter
-  if (brand) {
-    filter.brand = new RegExp(brand, 'i');
-  }
-
-  // Price range filter
-  if (minPrice || maxPrice) {
-    filter.price = {};
-    if (minPrice) filter.price.$gte = parseFloat(minPrice);
-    if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-  }
-
-  // Search filter - support both text search and regex for better results
-  if (search) {
-    // Try text search first (requires text index)
-    try {
-      filter.$or = [
-        { $text: { $search: search } },
-        { name: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { brand: new RegExp(search, 'i') }
-      ];
-    } catch (error) {
-      // Fallback to regex if text index is not available
-      filter.$or = [
-        { name: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { brand: new RegExp(search, 'i') }
-      ];
-    }
-  }
-
-  // Stock filter
-  if (inStock === 'true') {
-    filter.$or = [
-      { 'inventory.trackQuantity': false },
-      { 'inventory.trackQuantity': true, 'inventory.quantity': { $gt: 0 } }
-    ];
-  }
-
-  // Featured filter
-  if (featured === 'true') {
-    filter.isFeatured = true;
-  }
+  // Searches are sorted by relevance unless another order is asked for
+  const searchVariants = await prepareSearch(search);
+  const sortBy = req.query.sortBy || (searchVariants ? 'relevance' : 'createdAt');
 
-  // Vendor filter
-  if (vendor) {
-    filter.vendor = vendor;
-  }
-
-  // Sort options
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  // Search, category, brand, price, rating, stock, vendor and attr[Name] filters
+  // (a category includes its subcategories)
+  const catalogCategory = await getCatalogCategory(category);
+  const filters = buildCatalogFilters(req.query, { category: catalogCategory, search: searchVariants });
+  const filter = combineFilters(filters);
 
   // Execute query with pagination
-  const products = await Product.find(filter)
-    .populate('vendor', 'name email')
-    .sort(sortOptions)
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
+  let products;
+  if (sortBy === 'relevance' && searchVariants) {
+    products = await Product.populate(
+      await findByRelevance(filter, searchVariants, { skip: (page - 1) * limit, limit: parseInt(limit) }),
+      { path: 'vendor', select: 'name email' }
+    );
+  } else {
+    // Sort options (relevance needs a search; newest first without one)
+    const sortOptions = {};
+    sortOptions[sortBy === 'relevance' ? 'createdAt' : sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    products = await Product.find(filter)
+      .populate('vendor', 'name email')
+      .sort(sortOptions)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+  }
 
   // Get total count for pagination
   const total = await Product.countDocuments(filter);
@@ -168,7 +169,9 @@ export const getProducts = asyncHandler(async (req, res) => {
       total,
       hasNext: page * limit < total,
       hasPrev: page > 1
-    }
+    },
+    // Counts for the filter sidebar (skip with ?facets=false)
+    facets: facets === 'false' ? undefined : await getCatalogFacets(filters, catalogCategory?.attributes)
   });
 });
 
@@ -184,11 +187,13 @@ export const getProduct = asyncHandler(async (req, res) => {
     // It's an ObjectId
     product = await Product.findById(id)
       .populate('vendor', 'name email rating')
+      .populate('category', 'name slug path ancestors')
       .populate('relatedProducts', 'name price images brand rating');
   } else {
     // It's probably a slug
     product = await Product.findOne({ 'seo.slug': id })
       .populate('vendor', 'name email rating')
+      .populate('category', 'name slug path ancestors')
       .populate('relatedProducts', 'name price images brand rating');
   }
 
@@ -220,21 +225,68 @@ export const updateProduct = asyncHandler(async (req, res) => {
   }
 
   // Check if user owns the product or is admin
-  if (product.vendor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (product.vendor.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'catalog:edit')) {
     res.status(403);
     throw new Error('Not authorized to update this product');
   }
 
+  const update = { ...req.body };
+
+  // Moving a product checks the new category; products can stay in a category that was deactivated
+  let productCategory = null;
+  if (update.category !== undefined && String(update.category) !== product.category?.toString()) {
+    productCategory = await resolveProductCategory(update.category);
+    update.category = productCategory._id;
+  }
+
+  // Specifications are checked against the (new) category whenever either of them changes
+  if (productCategory || update.specifications !== undefined) {
+    productCategory = productCategory || await Category.findById(product.category);
+    update.specifications = assertValidSpecifications(
+      update.specifications ?? product.specifications,
+      productCategory ? await productCategory.getEffectiveAttributes() : []
+    );
+  }
+
+  // Images sent back by the client keep their stored files; files of dropped images are deleted below
+  let removedImages = [];
+  if (Array.isArray(update.images)) {
+    const existing = new Map(product.images.map(image => [image._id.toString(), image]));
+    update.images = update.images.map(image => ({
+      ...image,
+      storageKeys: existing.get(String(image._id))?.storageKeys || []
+    }));
+
+    const keptIds = new Set(update.images.map(image => String(image._id)));
+    removedImages = product.images.filter(image => !keptIds.has(image._id.toString()));
+  }
+
+  // Products with variants keep their total stock on the product
+  if (Array.isArray(update.variants)) {
+    update.hasVariants = update.variants.length > 0;
+
+    if (update.hasVariants) {
+      const quantity = update.variants.reduce((total, variant) => total + (Number(variant.quantity) || 0), 0);
+      if (update.inventory) {
+        update.inventory = { ...update.inventory, quantity };
+      } else {
+        update['inventory.quantity'] = quantity;
+      }
+    }
+  }
+
   // Update product
   product = await Product.findByIdAndUpdate(
     id,
-    { $set: req.body },
+    { $set: update },
     { 
       new: true,
       runValidators: true
     }
   ).populate('vendor', 'name email');
 
+  await deleteProductImageFiles(removedImages);
+
   res.status(200).json({
     success: true,
     message: 'Product updated successfully ✅',
@@ -256,7 +308,7 @@ export const deleteProduct = asyncHandler(async (req, res) => {
   }
 
   // Check if user owns the product or is admin
-  if (product.vendor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (product.vendor.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'catalog:edit')) {
     res.status(403);
     throw new Error('Not authorized to delete this product');
   }
@@ -306,7 +358,7 @@ export const getVendorProducts = asyncHandler(async (req, res) => {
 // @access  Private (Vendor/Admin)
 export const updateInventory = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { quantity, operation = 'set' } = req.body;
+  const { quantity, operation = 'set', variantId } = req.body;
 
   const product = await Product.findById(id);
 
@@ -316,12 +368,18 @@ export const updateInventory = asyncHandler(async (req, res) => {
   }
 
   // Check if user owns the product or is admin
-  if (product.vendor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (product.vendor.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'catalog:edit')) {
     res.status(403);
     throw new Error('Not authorized to update this product');
   }
 
-  await product.updateInventory(quantity, operation);
+  // Products with variants keep stock per variant
+  if (product.hasVariants && !variantId) {
+    res.status(400);
+    throw new Error('Please choose the variant to update');
+  }
+
+  await product.updateInventory(quantity, operation, variantId);
 
   res.status(200).json({
     success: true,
@@ -330,6 +388,225 @@ export const updateInventory = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Preview the variants for a set of options (nothing is saved)
+// @route   POST /api/products/variants/generate
+// @access  Private (Vendor/Admin)
+export const previewVariants = asyncHandler(async (req, res) => {
+  const { options, sku, variants = [] } = req.body;
+
+  if (!Array.isArray(options)) {
+    res.status(400);
+    throw new Error('Please provide an options array');
+  }
+
+  const matrix = generateVariantMatrix({ options, sku, variants });
+
+  res.status(200).json({
+    success: true,
+    message: `${matrix.variants.length} variants generated`,
+    data: matrix
+  });
+});
+
+// @desc    Regenerate a product's variants from its options
+// @route   POST /api/products/:id/variants/generate
+// @access  Private (Vendor/Admin)
+export const generateProductVariants = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const product = await Product.findById(id);
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  // Check if user owns the product or is admin
+  if (product.vendor.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'catalog:edit')) {
+    res.status(403);
+    throw new Error('Not authorized to update this product');
+  }
+
+  // Options from the request replace the saved ones
+  const matrix = generateVariantMatrix({
+    options: req.body.options || product.options.map(option => option.toObject()),
+    sku: product.inventory.sku,
+    variants: product.variants
+  });
+
+  product.options = matrix.options;
+  product.variants = matrix.variants;
+  await product.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Variants generated: ${matrix.added} added, ${matrix.kept} kept, ${matrix.removed} removed ✅`,
+    data: product
+  });
+});
+
+// @desc    Set price, compare price and/or quantity on several variants
+// @route   PUT /api/products/:id/variants/bulk
+// @access  Private (Vendor/Admin)
+export const bulkUpdateVariants = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { variantIds = [], price, comparePrice, quantity } = req.body;
+
+  const product = await Product.findById(id);
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  // Check if user owns the product or is admin
+  if (product.vendor.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'catalog:edit')) {
+    res.status(403);
+    throw new Error('Not authorized to update this product');
+  }
+
+  if (!product.hasVariants) {
+    res.status(400);
+    throw new Error('This product has no variants');
+  }
+
+  const updated = applyBulkVariantChanges(product.variants, { price, comparePrice, quantity }, variantIds);
+  await product.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Updated ${updated} variants ✅`,
+    data: product
+  });
+});
+
+// @desc    Upload product images
+// @route   POST /api/products/:id/images
+// @access  Private (Vendor/Admin)
+// multipart/form-data with files in "images"; optional "alt", and "isPrimary=true" to make the first upload primary
+export const uploadProductImages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const product = await Product.findById(id);
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  // Check if user owns the product or is admin
+  if (product.vendor.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'catalog:edit')) {
+    res.status(403);
+    throw new Error('Not authorized to update this product');
+  }
+
+  if (!req.files || req.files.length === 0) {
+    res.status(400);
+    throw new Error('Please upload at least one image in the "images" field');
+  }
+
+  const images = await storeProductImages(req.files, product._id, { alt: req.body?.alt });
+
+  if (req.body?.isPrimary === 'true') {
+    product.images.forEach(image => {
+      image.isPrimary = false;
+    });
+    images[0].isPrimary = true;
+  }
+
+  product.images.push(...images);
+
+  try {
+    await product.save();
+  } catch (error) {
+    await deleteProductImageFiles(images);
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${images.length} image${images.length === 1 ? '' : 's'} uploaded ✅`,
+    data: product
+  });
+});
+
+// @desc    Make an image the primary product image
+// @route   PUT /api/products/:id/images/:imageId/primary
+// @access  Private (Vendor/Admin)
+export const setPrimaryImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+
+  const product = await Product.findById(id);
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  // Check if user owns the product or is admin
+  if (product.vendor.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'catalog:edit')) {
+    res.status(403);
+    throw new Error('Not authorized to update this product');
+  }
+
+  const primary = product.images.id(imageId);
+
+  if (!primary) {
+    res.status(404);
+    throw new Error('Image not found');
+  }
+
+  product.images.forEach(image => {
+    image.isPrimary = image === primary;
+  });
+  await product.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Primary image updated',
+    data: product
+  });
+});
+
+// @desc    Delete a product image and its stored files
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private (Vendor/Admin)
+export const deleteProductImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+
+  const product = await Product.findById(id);
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  // Check if user owns the product or is admin
+  if (product.vendor.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'catalog:edit')) {
+    res.status(403);
+    throw new Error('Not authorized to update this product');
+  }
+
+  const image = product.images.id(imageId);
+
+  if (!image) {
+    res.status(404);
+    throw new Error('Image not found');
+  }
+
+  // The next image becomes primary if this one was (see the product pre-save hook)
+  product.images.pull(image._id);
+  await product.save();
+
+  await deleteProductImageFiles([image]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Image deleted',
+    data: product
+  });
+});
+
 // @desc    Toggle product featured status
 // @route   PUT /api/products/:id/featured
 // @access  Private (Admin)
@@ -373,23 +650,32 @@ export const getFeaturedProducts = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get products by category
+// @desc    Get products by category (including its subcategories)
 // @route   GET /api/products/category/:category
 // @access  Public
+// :category is a category id or slug
 export const getProductsByCategory = asyncHandler(async (req, res) => {
-  const { category } = req.params;
   const { page = 1, limit = 12 } = req.query;
 
-  const products = await Product.find({
-    category,
+  const category = await Category.findByIdOrSlug(req.params.category);
+
+  if (!category) {
+    res.status(404);
+    throw new Error('Category not found');
+  }
+
+  const filter = {
+    category: { $in: await Category.getDescendantIds(category._id) },
     status: 'active'
-  })
+  };
+
+  const products = await Product.find(filter)
   .populate('vendor', 'name')
   .sort({ 'rating.average': -1 })
   .limit(limit * 1)
   .skip((page - 1) * limit);
 
-  const total = await Product.countDocuments({ category, status: 'active' });
+  const total = await Product.countDocuments(filter);
 
   res.status(200).json({
     success: true,
@@ -409,13 +695,10 @@ export const searchProducts = asyncHandler(async (req, res) => {
   const { query } = req.params;
   const { limit = 20 } = req.query;
 
-  const products = await Product.find({
-    $text: { $search: query },
-    status: 'active'
-  })
-  .limit(parseInt(limit))
-  .sort({ score: { $meta: 'textScore' } })
-  .populate('vendor', 'name');
+  const products = await Product.populate(
+    await Product.search(query, parseInt(limit)),
+    { path: 'vendor', select: 'name' }
+  );
 
   res.status(200).json({
     success: true,
@@ -461,19 +744,33 @@ export const getRelatedProducts = asyncHandler(async (req, res) => {
 // @route   GET /api/products/vendor/low-stock
 // @access  Private (Vendor/Admin)
 export const getLowStockProducts = asyncHandler(async (req, res) => {
+  const threshold = parseInt(req.query.threshold) || 10;
+
   const lowStockProducts = await Product.find({
     vendor: req.user._id,
-    'inventory.quantity': { $lte: 10 },
-    'inventory.trackQuantity': true,
+    ...Product.lowStockFilter(threshold),
     status: 'active'
   })
   .sort({ 'inventory.quantity': 1 })
   .populate('vendor', 'name');
 
+  // List the variants that are running low
+  const data = lowStockProducts.map(product => ({
+    ...product.toJSON(),
+    lowStockVariants: product.variants
+      .filter(variant => variant.quantity <= threshold)
+      .map(variant => ({
+        _id: variant._id,
+        sku: variant.sku,
+        attributes: variant.attributes,
+        quantity: variant.quantity
+      }))
+  }));
+
   res.status(200).json({
     success: true,
-    data: lowStockProducts,
-    count: lowStockProducts.length
+    data,
+    count: data.length
   });
 });
 
@@ -488,8 +785,8 @@ export const bulkUpdateStatus = asyncHandler(async (req, res) => {
     throw new Error('Please provide productIds array and status');
   }
 
-  // Check if user owns all products (for vendors)
-  if (req.user.role !== 'admin') {
+  // Check if user owns all products (unless they can edit the whole catalog)
+  if (!hasPermission(req.permissions, 'catalog:edit')) {
     const products = await Product.find({ _id: { $in: productIds } });
     const notOwned = products.find(p => p.vendor.toString() !== req.user._id.toString());
     
@@ -0,0 +1,140 @@
+import asyncHandler from '../utils/asyncHandler.util.js';
+import Product from '../models/product.model.js';
+import ImportJob from '../models/importJob.model.js';
+import { readProductSheet, writeProductSheet, runProductImport } from '../utils/productImport.util.js';
+import { hasPermission } from '../utils/permissions.util.js';
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// @desc    Import products from a CSV or XLSX file (upsert by SKU)
+// @route   POST /api/products/import
+// @access  Private (Vendor/Admin)
+// multipart/form-data with the file in "file"; dryRun=true only validates
+export const importProducts = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    res.status(400);
+    throw new Error('Please upload a .csv or .xlsx file in the "file" field');
+  }
+
+  const dryRun = String(req.body?.dryRun ?? req.query.dryRun) === 'true';
+
+  // Reading the file up front reports unreadable files and wrong columns straight away
+  const records = await readProductSheet(req.file.buffer, req.file.format);
+
+  const job = await ImportJob.create({
+    vendor: req.user._id,
+    fileName: req.file.originalname,
+    format: req.file.format,
+    dryRun,
+    total: records.length
+  });
+
+  // Rows are processed after the response; clients poll the job for progress
+  const vendor = { _id: req.user._id, name: req.user.name };
+  setImmediate(() => {
+    runProductImport(job._id, records, vendor).catch(error => {
+      console.error(`❌ Product import ${job._id} failed:`, error);
+    });
+  });
+
+  res.status(202).json({
+    success: true,
+    message: dryRun
+      ? `Validating ${records.length} rows 🔍`
+      : `Importing ${records.length} rows 📦`,
+    data: job
+  });
+});
+
+// @desc    Get an import job with its progress and row report
+// @route   GET /api/products/import/:jobId
+// @access  Private (Vendor/Admin)
+// ?failedOnly=true returns only the rows that were not imported
+export const getImportJob = asyncHandler(async (req, res) => {
+  const filter = { _id: req.params.jobId };
+
+  // Vendors only see their own jobs
+  if (!hasPermission(req.permissions, 'catalog:edit')) {
+    filter.vendor = req.user._id;
+  }
+
+  const job = await ImportJob.findOne(filter);
+
+  if (!job) {
+    res.status(404);
+    throw new Error('Import job not found');
+  }
+
+  const data = job.toJSON();
+  if (req.query.failedOnly === 'true') {
+    data.rows = data.rows.filter(row => row.action === 'skip');
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// @desc    Get recent import jobs (without row reports)
+// @route   GET /api/products/import
+// @access  Private (Vendor/Admin)
+export const getImportJobs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const filter = { vendor: req.user._id };
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [jobs, total] = await Promise.all([
+    ImportJob.find(filter)
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ImportJob.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: jobs,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      total
+    }
+  });
+});
+
+// @desc    Export the vendor's catalog in the import format
+// @route   GET /api/products/export
+// @access  Private (Vendor/Admin)
+// ?format=csv (default) or xlsx; admins can pass ?vendor=<id>
+export const exportProducts = asyncHandler(async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+
+  if (!EXPORT_CONTENT_TYPES[format]) {
+    res.status(400);
+    throw new Error('Format must be csv or xlsx');
+  }
+
+  const vendor = hasPermission(req.permissions, 'catalog:edit') && req.query.vendor ? req.query.vendor : req.user._id;
+
+  // Archived products are deleted from the vendor's point of view
+  const products = await Product.find({ vendor, status: { $ne: 'archived' } })
+    .populate('category', 'slug')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const buffer = await writeProductSheet(products, format);
+  const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.set({
+    'Content-Type': EXPORT_CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+});
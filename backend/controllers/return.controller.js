@@ -0,0 +1,446 @@
+import asyncHandler from '../utils/asyncHandler.util.js';
+import Return, { RETURN_TRANSITIONS } from '../models/return.model.js';
+import Order from '../models/order.model.js';
+import { refundOrderPayment } from '../utils/payments.util.js';
+import { assertTransition, canTransition } from '../utils/orderLifecycle.util.js';
+import { hasPermission } from '../utils/permissions.util.js';
+
+const DEFAULT_RETURN_WINDOW_DAYS = 30;
+
+// Days after delivery in which a return can be requested (RETURN_WINDOW_DAYS, default 30)
+const getReturnWindowDays = () => {
+  return parseInt(process.env.RETURN_WINDOW_DAYS) || DEFAULT_RETURN_WINDOW_DAYS;
+};
+
+// Role used for return transitions: customers act on their own returns, vendors on theirs
+// and staff who manage returns or refunds on any
+const getReturnRole = (returnRequest, user, permissions) => {
+  if (hasPermission(permissions, 'returns:manage') || hasPermission(permissions, 'orders:refund')) return 'admin';
+  if (returnRequest.vendor.toString() === user._id.toString()) return 'vendor';
+  if (returnRequest.customer.toString() === user._id.toString()) return 'customer';
+  return null;
+};
+
+// Load a return the user is involved in
+const findAccessibleReturn = async (req, res) => {
+  const returnRequest = await Return.findById(req.params.id);
+
+  if (!returnRequest) {
+    res.status(404);
+    throw new Error('Return not found');
+  }
+
+  const role = getReturnRole(returnRequest, req.user, req.permissions);
+
+  if (!role) {
+    res.status(403);
+    throw new Error('Not authorized to access this return');
+  }
+
+  return { returnRequest, role };
+};
+
+// @desc    Request a return for delivered items
+// @route   POST /api/returns
+// @access  Private
+export const createReturn = asyncHandler(async (req, res) => {
+  const { orderId, items, note } = req.body;
+
+  if (!orderId || !items || items.length === 0) {
+    res.status(400);
+    throw new Error('Order and at least one item are required');
+  }
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (order.customer.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to return items from this order');
+  }
+
+  if (order.orderStatus !== 'delivered' || !order.deliveredAt) {
+    res.status(400);
+    throw new Error('Only delivered orders can be returned');
+  }
+
+  const windowDays = getReturnWindowDays();
+  if (Date.now() - order.deliveredAt > windowDays * 24 * 60 * 60 * 1000) {
+    res.status(400);
+    throw new Error(`Returns must be requested within ${windowDays} days of delivery`);
+  }
+
+  const returnItems = [];
+  let vendor = null;
+
+  for (const item of items) {
+    const orderItem = order.orderItems.id(item.orderItem);
+
+    if (!orderItem) {
+      res.status(400);
+      throw new Error(`Order item not found: ${item.orderItem}`);
+    }
+
+    const quantity = Number(item.quantity);
+    const available = orderItem.quantity - (orderItem.returnedQuantity || 0);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > available) {
+      res.status(400);
+      throw new Error(`You can return up to ${available} of ${orderItem.name}`);
+    }
+
+    // Each return is reviewed by one vendor
+    const shipment = order.vendors.find(s =>
+      s.items.some(shipmentItem => shipmentItem.product.toString() === orderItem.product.toString())
+    );
+
+    if (!shipment) {
+      res.status(400);
+      throw new Error(`${orderItem.name} cannot be returned online, please contact support`);
+    }
+
+    if (vendor && vendor.toString() !== shipment.vendor.toString()) {
+      res.status(400);
+      throw new Error('Items from different sellers must be returned separately');
+    }
+    vendor = shipment.vendor;
+
+    returnItems.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variantId: orderItem.variantId,
+      name: orderItem.name,
+      price: orderItem.price,
+      quantity,
+      reason: item.reason,
+      comment: item.comment,
+      photos: item.photos || []
+    });
+  }
+
+  // Checked again atomically: another request may have returned the same items meanwhile
+  if (!(await Return.reserveQuantities(order, returnItems))) {
+    res.status(409);
+    throw new Error('Some of these items have already been returned, please reload the order');
+  }
+
+  let returnRequest;
+  try {
+    returnRequest = await Return.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customer: req.user._id,
+      vendor,
+      items: returnItems,
+      customerNote: note
+    });
+  } catch (error) {
+    await Return.releaseQuantities(order._id, returnItems);
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Return requested successfully 📦',
+    data: returnRequest
+  });
+});
+
+// @desc    Get logged in user's returns
+// @route   GET /api/returns/my-returns
+// @access  Private
+export const getMyReturns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const filter = { customer: req.user._id };
+
+  const returns = await Return.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Return.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: returns,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+});
+
+// @desc    Get returns for the logged in vendor
+// @route   GET /api/returns/vendor
+// @access  Private (Vendor)
+export const getVendorReturns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const filter = { vendor: req.user._id };
+  if (status) filter.status = status;
+
+  const returns = await Return.find(filter)
+    .populate('customer', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Return.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: returns,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+});
+
+// @desc    Get all returns
+// @route   GET /api/returns
+// @access  Private (Admin)
+export const getReturns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, vendor } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (vendor) filter.vendor = vendor;
+
+  const returns = await Return.find(filter)
+    .populate('customer', 'name email')
+    .populate('vendor', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Return.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: returns,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+});
+
+// @desc    Get return by ID
+// @route   GET /api/returns/:id
+// @access  Private (Customer - own, Vendor - own, Admin)
+export const getReturnById = asyncHandler(async (req, res) => {
+  const { returnRequest } = await findAccessibleReturn(req, res);
+
+  await returnRequest.populate('customer', 'name email');
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest
+  });
+});
+
+// @desc    Approve return and provide return shipping details
+// @route   PUT /api/returns/:id/approve
+// @access  Private (Vendor - own, Admin)
+export const approveReturn = asyncHandler(async (req, res) => {
+  const { labelUrl, carrier, note } = req.body || {};
+
+  const { returnRequest, role } = await findAccessibleReturn(req, res);
+
+  if (labelUrl) returnRequest.returnShipping.labelUrl = labelUrl;
+  if (carrier) returnRequest.returnShipping.carrier = carrier;
+
+  await returnRequest.updateStatus('approved', note || 'Return approved', req.user._id, role);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return approved successfully',
+    data: returnRequest
+  });
+});
+
+// @desc    Reject return
+// @route   PUT /api/returns/:id/reject
+// @access  Private (Vendor - own, Admin)
+export const rejectReturn = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    res.status(400);
+    throw new Error('A reason is required to reject a return');
+  }
+
+  const { returnRequest, role } = await findAccessibleReturn(req, res);
+
+  returnRequest.resolutionNote = reason;
+  await returnRequest.updateStatus('rejected', reason, req.user._id, role);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return rejected',
+    data: returnRequest
+  });
+});
+
+// @desc    Add return shipment tracking
+// @route   PUT /api/returns/:id/ship
+// @access  Private (Customer - own, Admin)
+export const shipReturn = asyncHandler(async (req, res) => {
+  const { carrier, trackingNumber } = req.body;
+
+  if (!trackingNumber) {
+    res.status(400);
+    throw new Error('Tracking number is required');
+  }
+
+  const { returnRequest, role } = await findAccessibleReturn(req, res);
+
+  returnRequest.returnShipping.trackingNumber = trackingNumber;
+  if (carrier) returnRequest.returnShipping.carrier = carrier;
+  returnRequest.returnShipping.shippedAt = new Date();
+
+  await returnRequest.updateStatus('shipped', `Return shipped with ${carrier || 'carrier'} (${trackingNumber})`, req.user._id, role);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return shipment tracking added',
+    data: returnRequest
+  });
+});
+
+// @desc    Receive and inspect returned items (restocks resellable items)
+// @route   PUT /api/returns/:id/receive
+// @access  Private (Vendor - own, Admin)
+export const receiveReturn = asyncHandler(async (req, res) => {
+  const { items = [], notes } = req.body || {};
+
+  const { returnRequest, role } = await findAccessibleReturn(req, res);
+
+  // Check the transition before working anything out
+  assertTransition(returnRequest.status, 'received', role, RETURN_TRANSITIONS, 'return');
+
+  // Restock only once the status change is claimed, so parallel requests cannot restock twice
+  await returnRequest.inspect(items, { notes, inspectedBy: req.user._id });
+  await returnRequest.updateStatus('received', notes || 'Return received and inspected', req.user._id, role);
+  await returnRequest.restockInspectedItems();
+
+  res.status(200).json({
+    success: true,
+    message: `Return received, refund due: $${returnRequest.refundAmount}`,
+    data: returnRequest
+  });
+});
+
+// @desc    Refund a received return
+// @route   PUT /api/returns/:id/refund
+// @access  Private (Admin)
+export const refundReturn = asyncHandler(async (req, res) => {
+  const current = await Return.findById(req.params.id);
+
+  if (!current) {
+    res.status(404);
+    throw new Error('Return not found');
+  }
+
+  if (current.status !== 'received') {
+    res.status(400);
+    throw new Error('Only received returns can be refunded');
+  }
+
+  if (current.refundAmount <= 0) {
+    res.status(400);
+    throw new Error('Nothing to refund for this return, close it instead');
+  }
+
+  // Admins can lower the amount worked out during inspection, not raise it
+  const amount = req.body?.amount === undefined ? current.refundAmount : Number(req.body.amount);
+
+  if (!Number.isFinite(amount) || amount <= 0 || amount > current.refundAmount) {
+    res.status(400);
+    throw new Error(`Refund amount must be a number greater than 0 and at most ${current.refundAmount}`);
+  }
+
+  // Claim the return so concurrent requests cannot refund it twice
+  const returnRequest = await Return.findOneAndUpdate(
+    { _id: current._id, status: 'received' },
+    { $set: { status: 'refunding' } },
+    { new: true }
+  );
+
+  if (!returnRequest) {
+    res.status(409);
+    throw new Error('This return is already being refunded');
+  }
+
+  const order = await Order.findById(returnRequest.order);
+
+  // Also capped at the payment's refundable balance
+  try {
+    await refundOrderPayment(order, amount, `Return ${returnRequest.rmaNumber}`, {
+      returnRequest: returnRequest._id
+    });
+  } catch (error) {
+    await Return.updateOne({ _id: returnRequest._id }, { $set: { status: 'received' } });
+    throw error;
+  }
+
+  // Fully refunded orders move to 'refunded'
+  if (order.paymentStatus === 'refunded' && canTransition(order.orderStatus, 'refunded', 'admin')) {
+    await order.updateStatus('refunded', `Refunded through return ${returnRequest.rmaNumber}`, req.user._id, 'admin');
+  }
+
+  returnRequest.refundAmount = amount;
+  returnRequest.refundedAt = new Date();
+  await returnRequest.updateStatus('refunded', `Refunded $${amount}`, req.user._id, 'admin');
+
+  res.status(200).json({
+    success: true,
+    message: `Refund of $${amount} processed successfully`,
+    data: {
+      return: returnRequest,
+      refundedTotal: order.refundedTotal
+    }
+  });
+});
+
+// @desc    Close a received return without refund
+// @route   PUT /api/returns/:id/close
+// @access  Private (Vendor - own, Admin)
+export const closeReturn = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+
+  const { returnRequest, role } = await findAccessibleReturn(req, res);
+
+  returnRequest.resolutionNote = reason;
+  await returnRequest.updateStatus('closed', reason || 'Return closed', req.user._id, role);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return closed',
+    data: returnRequest
+  });
+});
+
+// @desc    Cancel a return request
+// @route   PUT /api/returns/:id/cancel
+// @access  Private (Customer - own, Admin)
+export const cancelReturn = asyncHandler(async (req, res) => {
+  const { returnRequest, role } = await findAccessibleReturn(req, res);
+
+  await returnRequest.updateStatus('cancelled', req.body?.reason || 'Cancelled by customer', req.user._id, role);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return cancelled',
+    data: returnRequest
+  });
+});
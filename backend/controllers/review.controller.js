@@ -2,6 +2,7 @@ import asyncHandler from '../utils/asyncHandler.util.js';
 import Review from '../models/review.model.js';
 import Product from '../models/product.model.js';
 import Order from '../models/order.model.js';
+import { hasPermission } from '../utils/permissions.util.js';
 
 // @desc    Create new review
 // @route   POST /api/reviews
@@ -34,7 +35,7 @@ export const createReview = asyncHandler(async (req, res) => {
     orderStatus: 'delivered'
   });
 
-  if (!hasPurchased && req.user.role !== 'admin') {
+  if (!hasPurchased && !hasPermission(req.permissions, 'reviews:moderate')) {
     res.status(403);
     throw new Error('You can only review products you have purchased');
   }
@@ -221,7 +222,7 @@ export const updateReview = asyncHandler(async (req, res) => {
   }
 
   // Check if user owns the review or is admin
-  if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (review.user.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'reviews:moderate')) {
     res.status(403);
     throw new Error('Not authorized to update this review');
   }
@@ -278,7 +279,7 @@ export const deleteReview = asyncHandler(async (req, res) => {
   }
 
   // Check if user owns the review or is admin
-  if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (review.user.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'reviews:moderate')) {
     res.status(403);
     throw new Error('Not authorized to delete this review');
   }
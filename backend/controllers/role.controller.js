@@ -0,0 +1,161 @@
+import asyncHandler from '../utils/asyncHandler.util.js';
+import Role, { PERMISSIONS, ALL_PERMISSIONS } from '../models/role.model.js';
+import User from '../models/user.model.js';
+import { clearPermissionCache, missingPermissions } from '../utils/permissions.util.js';
+
+// Check submitted permissions against the catalog and the user's own permissions;
+// '*' is kept for the admin role
+const parsePermissions = (permissions, req, res) => {
+  if (!Array.isArray(permissions)) {
+    res.status(400);
+    throw new Error('Permissions must be an array of permission names');
+  }
+
+  const unknown = permissions.filter(permission => !Object.hasOwn(PERMISSIONS, permission));
+  if (unknown.length > 0) {
+    res.status(400);
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  const missing = missingPermissions(req.permissions, permissions);
+  if (missing.length > 0) {
+    res.status(403);
+    throw new Error(`You cannot grant permissions you do not have: ${missing.join(', ')}`);
+  }
+
+  return [...new Set(permissions)];
+};
+
+// Roles with permissions the user lacks can only be changed by someone who has them
+const assertCanManageRole = (role, req, res) => {
+  if (missingPermissions(req.permissions, role.permissions).length > 0) {
+    res.status(403);
+    throw new Error(`You cannot change the ${role.name} role because it has permissions you do not have`);
+  }
+};
+
+const findRole = async (req, res) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    res.status(404);
+    throw new Error('Role not found');
+  }
+
+  return role;
+};
+
+// @desc    List the permissions roles can be given
+// @route   GET /api/roles/permissions
+// @access  Private (roles:manage)
+export const getPermissions = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// @desc    List roles with the number of users that have each
+// @route   GET /api/roles
+// @access  Private (roles:manage)
+export const getRoles = asyncHandler(async (req, res) => {
+  const [roles, counts] = await Promise.all([
+    Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+  ]);
+
+  const userCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+  res.status(200).json({
+    success: true,
+    data: roles.map(role => ({ ...role, userCount: userCounts.get(role.name) || 0 }))
+  });
+});
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (roles:manage)
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions = [] } = req.body;
+
+  if (!name) {
+    res.status(400);
+    throw new Error('Role name is required');
+  }
+
+  // Duplicate names are reported as 409 by the error handler
+  const role = await Role.create({
+    name,
+    description,
+    permissions: parsePermissions(permissions, req, res)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Role '${role.name}' created ✅`,
+    data: role
+  });
+});
+
+// @desc    Update a role's description and permissions
+// @route   PUT /api/roles/:id
+// @access  Private (roles:manage)
+export const updateRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+  const role = await findRole(req, res);
+  assertCanManageRole(role, req, res);
+
+  // Users keep their role by name, so roles are not renamed
+  if (name !== undefined && name !== role.name) {
+    res.status(400);
+    throw new Error('Roles cannot be renamed; create a new role and move the users to it');
+  }
+
+  if (permissions !== undefined) {
+    if (role.permissions.includes(ALL_PERMISSIONS)) {
+      res.status(400);
+      throw new Error(`The ${role.name} role always has every permission`);
+    }
+    role.permissions = parsePermissions(permissions, req, res);
+  }
+
+  if (description !== undefined) {
+    role.description = description;
+  }
+
+  await role.save();
+  clearPermissionCache(role.name);
+
+  res.status(200).json({
+    success: true,
+    message: `Role '${role.name}' updated ✅`,
+    data: role
+  });
+});
+
+// @desc    Delete a custom role
+// @route   DELETE /api/roles/:id
+// @access  Private (roles:manage)
+export const deleteRole = asyncHandler(async (req, res) => {
+  const role = await findRole(req, res);
+  assertCanManageRole(role, req, res);
+
+  if (role.isSystem) {
+    res.status(400);
+    throw new Error(`The default ${role.name} role cannot be deleted`);
+  }
+
+  const userCount = await User.countDocuments({ role: role.name });
+  if (userCount > 0) {
+    res.status(409);
+    throw new Error(`${userCount} user(s) still have the ${role.name} role; assign them another role first`);
+  }
+
+  await role.deleteOne();
+  clearPermissionCache(role.name);
+
+  res.status(200).json({
+    success: true,
+    message: `Role '${role.name}' deleted`
+  });
+});
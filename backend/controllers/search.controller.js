@@ -0,0 +1,129 @@
+import asyncHandler from '../utils/asyncHandler.util.js';
+import SearchSynonym from '../models/searchSynonym.model.js';
+import { getSuggestions, normalizeText, clearSynonymCache } from '../utils/search.util.js';
+
+const MAX_SUGGESTIONS = 10;
+
+// @desc    Product, brand and category suggestions for the search box
+// @route   GET /api/search/suggest?q=
+// @access  Public
+export const suggest = asyncHandler(async (req, res) => {
+  const { q = '', limit = 5 } = req.query;
+
+  const suggestions = await getSuggestions(q, Math.min(parseInt(limit) || 5, MAX_SUGGESTIONS));
+
+  res.status(200).json({
+    success: true,
+    query: q,
+    data: suggestions
+  });
+});
+
+// @desc    Create synonym set
+// @route   POST /api/search/synonyms
+// @access  Private (Admin)
+export const createSynonym = asyncHandler(async (req, res) => {
+  const { terms, isActive } = req.body;
+
+  if (!Array.isArray(terms)) {
+    res.status(400);
+    throw new Error('Please provide the terms as an array');
+  }
+
+  const synonym = await SearchSynonym.create({
+    terms,
+    isActive,
+    createdBy: req.user._id
+  });
+  clearSynonymCache();
+
+  res.status(201).json({
+    success: true,
+    message: 'Synonyms created successfully 🎉',
+    data: synonym
+  });
+});
+
+// @desc    Get synonym sets
+// @route   GET /api/search/synonyms
+// @access  Private (Admin)
+// ?term= finds the sets containing a term
+export const getSynonyms = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, term } = req.query;
+
+  const filter = {};
+
+  if (term) {
+    filter.terms = normalizeText(term);
+  }
+
+  const synonyms = await SearchSynonym.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await SearchSynonym.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: synonyms,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+});
+
+// @desc    Update synonym set
+// @route   PUT /api/search/synonyms/:id
+// @access  Private (Admin)
+export const updateSynonym = asyncHandler(async (req, res) => {
+  const { terms, isActive } = req.body;
+
+  const synonym = await SearchSynonym.findById(req.params.id);
+
+  if (!synonym) {
+    res.status(404);
+    throw new Error('Synonym set not found');
+  }
+
+  if (terms !== undefined) {
+    if (!Array.isArray(terms)) {
+      res.status(400);
+      throw new Error('Please provide the terms as an array');
+    }
+    synonym.terms = terms;
+  }
+
+  if (isActive !== undefined) {
+    synonym.isActive = isActive;
+  }
+
+  await synonym.save();
+  clearSynonymCache();
+
+  res.status(200).json({
+    success: true,
+    message: 'Synonyms updated successfully ✅',
+    data: synonym
+  });
+});
+
+// @desc    Delete synonym set
+// @route   DELETE /api/search/synonyms/:id
+// @access  Private (Admin)
+export const deleteSynonym = asyncHandler(async (req, res) => {
+  const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+
+  if (!synonym) {
+    res.status(404);
+    throw new Error('Synonym set not found');
+  }
+  clearSynonymCache();
+
+  res.status(200).json({
+    success: true,
+    message: 'Synonyms deleted successfully'
+  });
+});
@@ -0,0 +1,138 @@
+import asyncHandler from '../utils/asyncHandler.util.js';
+import ShippingZone from '../models/shippingZone.model.js';
+
+// Fields an admin is allowed to set on a shipping zone
+const SHIPPING_ZONE_FIELDS = [
+  'name',
+  'countries',
+  'states',
+  'methods',
+  'priority',
+  'isActive'
+];
+
+const pickShippingZoneFields = (body) => {
+  return SHIPPING_ZONE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+// @desc    Create shipping zone
+// @route   POST /api/shipping-zones
+// @access  Private (Admin)
+export const createShippingZone = asyncHandler(async (req, res) => {
+  const { name, methods } = req.body;
+
+  if (!name || !methods || methods.length === 0) {
+    res.status(400);
+    throw new Error('Zone name and at least one shipping method are required');
+  }
+
+  const shippingZone = await ShippingZone.create({
+    ...pickShippingZoneFields(req.body),
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipping zone created successfully 🎉',
+    data: shippingZone
+  });
+});
+
+// @desc    Get all shipping zones
+// @route   GET /api/shipping-zones
+// @access  Private (Admin)
+export const getShippingZones = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, country, isActive } = req.query;
+
+  const filter = {};
+
+  if (country) {
+    filter.countries = country.trim().toUpperCase();
+  }
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive === 'true';
+  }
+
+  const shippingZones = await ShippingZone.find(filter)
+    .sort({ priority: -1, name: 1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await ShippingZone.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: shippingZones,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+});
+
+// @desc    Get shipping zone by ID
+// @route   GET /api/shipping-zones/:id
+// @access  Private (Admin)
+export const getShippingZoneById = asyncHandler(async (req, res) => {
+  const shippingZone = await ShippingZone.findById(req.params.id)
+    .populate('createdBy', 'name email');
+
+  if (!shippingZone) {
+    res.status(404);
+    throw new Error('Shipping zone not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: shippingZone
+  });
+});
+
+// @desc    Update shipping zone
+// @route   PUT /api/shipping-zones/:id
+// @access  Private (Admin)
+export const updateShippingZone = asyncHandler(async (req, res) => {
+  const shippingZone = await ShippingZone.findById(req.params.id);
+
+  if (!shippingZone) {
+    res.status(404);
+    throw new Error('Shipping zone not found');
+  }
+
+  // Carts re-quote their method on the next save; placed orders keep their shipping price
+  shippingZone.set(pickShippingZoneFields(req.body));
+
+  const updatedShippingZone = await shippingZone.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone updated successfully ✅',
+    data: updatedShippingZone
+  });
+});
+
+// @desc    Delete shipping zone
+// @route   DELETE /api/shipping-zones/:id
+// @access  Private (Admin)
+export const deleteShippingZone = asyncHandler(async (req, res) => {
+  const shippingZone = await ShippingZone.findById(req.params.id);
+
+  if (!shippingZone) {
+    res.status(404);
+    throw new Error('Shipping zone not found');
+  }
+
+  await ShippingZone.findByIdAndDelete(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone deleted successfully'
+  });
+});
@@ -0,0 +1,149 @@
+import asyncHandler from '../utils/asyncHandler.util.js';
+import TaxRule from '../models/taxRule.model.js';
+
+// Fields an admin is allowed to set on a tax rule
+const TAX_RULE_FIELDS = [
+  'name',
+  'country',
+  'state',
+  'taxClass',
+  'rate',
+  'priceIncludesTax',
+  'rounding',
+  'priority',
+  'isActive'
+];
+
+const pickTaxRuleFields = (body) => {
+  return TAX_RULE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+// @desc    Create tax rule
+// @route   POST /api/tax-rules
+// @access  Private (Admin)
+export const createTaxRule = asyncHandler(async (req, res) => {
+  const { name, country, rate } = req.body;
+
+  if (!name || !country || rate === undefined) {
+    res.status(400);
+    throw new Error('Tax name, country and rate are required');
+  }
+
+  const taxRule = await TaxRule.create({
+    ...pickTaxRuleFields(req.body),
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Tax rule created successfully 🎉',
+    data: taxRule
+  });
+});
+
+// @desc    Get all tax rules
+// @route   GET /api/tax-rules
+// @access  Private (Admin)
+export const getTaxRules = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, country, state, taxClass, isActive } = req.query;
+
+  const filter = {};
+
+  if (country) {
+    filter.country = country.trim().toUpperCase();
+  }
+
+  if (state !== undefined) {
+    filter.state = state.trim().toUpperCase();
+  }
+
+  if (taxClass) {
+    filter.taxClass = taxClass.trim().toLowerCase();
+  }
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive === 'true';
+  }
+
+  const taxRules = await TaxRule.find(filter)
+    .sort({ country: 1, state: 1, taxClass: 1, priority: 1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await TaxRule.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: taxRules,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+});
+
+// @desc    Get tax rule by ID
+// @route   GET /api/tax-rules/:id
+// @access  Private (Admin)
+export const getTaxRuleById = asyncHandler(async (req, res) => {
+  const taxRule = await TaxRule.findById(req.params.id)
+    .populate('createdBy', 'name email');
+
+  if (!taxRule) {
+    res.status(404);
+    throw new Error('Tax rule not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: taxRule
+  });
+});
+
+// @desc    Update tax rule
+// @route   PUT /api/tax-rules/:id
+// @access  Private (Admin)
+export const updateTaxRule = asyncHandler(async (req, res) => {
+  const taxRule = await TaxRule.findById(req.params.id);
+
+  if (!taxRule) {
+    res.status(404);
+    throw new Error('Tax rule not found');
+  }
+
+  // Placed orders keep the rates they were charged (order.taxBreakdown)
+  taxRule.set(pickTaxRuleFields(req.body));
+
+  const updatedTaxRule = await taxRule.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rule updated successfully ✅',
+    data: updatedTaxRule
+  });
+});
+
+// @desc    Delete tax rule
+// @route   DELETE /api/tax-rules/:id
+// @access  Private (Admin)
+export const deleteTaxRule = asyncHandler(async (req, res) => {
+  const taxRule = await TaxRule.findById(req.params.id);
+
+  if (!taxRule) {
+    res.status(404);
+    throw new Error('Tax rule not found');
+  }
+
+  await TaxRule.findByIdAndDelete(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rule deleted successfully'
+  });
+});
@@ -1,6 +1,18 @@
 import asyncHandler from '../utils/asyncHandler.util.js';
 import User from '../models/user.model.js';
 import Order from '../models/order.model.js';
+import Role from '../models/role.model.js';
+import { sendEmailVerification, isEmailVerificationRequired } from '../utils/emailVerification.util.js';
+import { resetRateLimits } from '../middleware/rateLimit.middleware.js';
+import { getRolePermissions, missingPermissions } from '../utils/permissions.util.js';
+
+// Accounts whose role has permissions the acting user lacks can only be managed by someone who has them
+const assertCanManageUser = async (target, req, res) => {
+  if (missingPermissions(req.permissions, await getRolePermissions(target.role)).length > 0) {
+    res.status(403);
+    throw new Error(`You cannot manage this user because the ${target.role} role has permissions you do not have`);
+  }
+};
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
@@ -55,6 +67,11 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
   // Update user fields
   user.name = name || user.name;
   user.email = email || user.email;
+  // A new address has to be verified again
+  const emailChanged = user.isModified('email');
+  if (emailChanged) {
+    user.isEmailVerified = false;
+  }
   user.phone = phone !== undefined ? phone : user.phone;
   user.avatar = avatar || user.avatar;
   user.gender = gender || user.gender;
@@ -70,6 +87,12 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
 
   const updatedUser = await user.save();
 
+  if (emailChanged) {
+    sendEmailVerification(updatedUser).catch(err => {
+      console.error('Failed to send verification email:', err);
+    });
+  }
+
   // Return user without sensitive information
   const userResponse = {
     _id: updatedUser._id,
@@ -78,6 +101,7 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
     phone: updatedUser.phone,
     avatar: updatedUser.avatar,
     role: updatedUser.role,
+    isEmailVerified: updatedUser.isEmailVerified,
     gender: updatedUser.gender,
     dateOfBirth: updatedUser.dateOfBirth,
     addresses: updatedUser.addresses,
@@ -485,11 +509,39 @@ export const getUserById = asyncHandler(async (req, res) => {
 // @route   PUT /api/users/:id/role
 // @access  Private (Admin)
 export const updateUserRole = asyncHandler(async (req, res) => {
-  const { role } = req.body;
+  const role = String(req.body.role || '').trim().toLowerCase();
+  const newRole = role && await Role.findOne({ name: role }).select('permissions').lean();
+
+  if (!newRole) {
+    const roles = await Role.find().select('name').sort({ name: 1 }).lean();
+    res.status(400);
+    throw new Error(`Valid role is required (${roles.map(({ name }) => name).join(', ')})`);
+  }
+
+  // Keeps admins from locking themselves out of role management
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400);
+    throw new Error('You cannot change your own role');
+  }
+
+  const target = await User.findById(req.params.id).select('role isEmailVerified');
+
+  if (!target) {
+    res.status(404);
+    throw new Error('User not found');
+  }
 
-  if (!role || !['customer', 'vendor', 'admin'].includes(role)) {
+  // Roles can only be given, or taken away, within the user's own permissions
+  if (missingPermissions(req.permissions, newRole.permissions).length > 0) {
+    res.status(403);
+    throw new Error(`You cannot assign the ${role} role because it has permissions you do not have`);
+  }
+
+  await assertCanManageUser(target, req, res);
+
+  if (role === 'vendor' && isEmailVerificationRequired('vendor') && !target.isEmailVerified) {
     res.status(400);
-    throw new Error('Valid role is required (customer, vendor, admin)');
+    throw new Error('The user must verify their email address before becoming a vendor');
   }
 
   const user = await User.findByIdAndUpdate(
@@ -521,6 +573,8 @@ export const toggleUserActive = asyncHandler(async (req, res) => {
     throw new Error('User not found');
   }
 
+  await assertCanManageUser(user, req, res);
+
   user.isActive = !user.isActive;
   await user.save();
 
@@ -539,6 +593,53 @@ export const toggleUserActive = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Unlock a user's login (lockout and the account's rate limits) (Admin only)
+// @route   PUT /api/users/:id/unlock
+// @access  Private (Admin)
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  await user.clearLoginFailures();
+  const clearedLimits = await resetRateLimits({ account: user.email });
+
+  res.status(200).json({
+    success: true,
+    message: 'User unlocked successfully 🔓',
+    data: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      isLocked: user.isLocked,
+      clearedLimits
+    }
+  });
+});
+
+// @desc    Clear the rate limits of an IP address and/or account email (Admin only)
+// @route   POST /api/users/rate-limits/reset
+// @access  Private (Admin)
+export const clearRateLimits = asyncHandler(async (req, res) => {
+  const { ip, email } = req.body;
+
+  if (!ip && !email) {
+    res.status(400);
+    throw new Error('Please provide an IP address or an email');
+  }
+
+  const clearedLimits = await resetRateLimits({ ip, account: email });
+
+  res.status(200).json({
+    success: true,
+    message: 'Rate limits cleared ✅',
+    data: { ip, email, clearedLimits }
+  });
+});
+
 // @desc    Delete user (Admin only)
 // @route   DELETE /api/users/:id
 // @access  Private (Admin)
@@ -550,6 +651,8 @@ export const deleteUser = asyncHandler(async (req, res) => {
     throw new Error('User not found');
   }
 
+  await assertCanManageUser(user, req, res);
+
   // Check if user has orders
   const orderCount = await Order.countDocuments({ customer: user._id });
   if (orderCount > 0) {
@@ -0,0 +1,216 @@
+import asyncHandler from '../utils/asyncHandler.util.js';
+import User from '../models/user.model.js';
+import { assertValidBusinessDetails } from '../utils/vendorRequest.util.js';
+import { isEmailVerificationRequired } from '../utils/emailVerification.util.js';
+import { sendVendorRequestDecisionEmail } from '../utils/emailService.util.js';
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_REJECTION_REASON_LENGTH = 500;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Load the user behind a vendor request
+const findRequestUser = async (req, res) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  return user;
+};
+
+// Only pending requests can be decided on
+const assertPending = (user, res) => {
+  if (user.vendorRequest?.status !== 'pending') {
+    res.status(400);
+    throw new Error(`Only pending vendor requests can be reviewed (this one is ${user.vendorRequest?.status || 'none'})`);
+  }
+};
+
+// Email the decision; the email service logs and swallows delivery failures
+const notifyDecision = (user, approved) => sendVendorRequestDecisionEmail(
+  user.email,
+  {
+    approved,
+    reason: user.vendorRequest.rejectionReason,
+    storeName: user.vendorRequest.business?.storeName,
+    dashboardUrl: approved ? `${frontendUrl()}/profile` : `${frontendUrl()}/vendor-pending`
+  },
+  user.name
+);
+
+// ==========================================
+// APPLICANT
+// ==========================================
+
+// @desc    Get my vendor request
+// @route   GET /api/vendor-requests/my-request
+// @access  Private
+export const getMyVendorRequest = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('role vendorRequest');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      role: user.role,
+      ...(user.vendorRequest?.toObject() || { status: 'none' })
+    }
+  });
+});
+
+// @desc    Submit (or update and resubmit) my vendor request with business details
+// @route   PUT /api/vendor-requests/my-request
+// @access  Private
+export const submitVendorRequest = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.role !== 'customer') {
+    res.status(400);
+    throw new Error(`You already have the ${user.role} role`);
+  }
+
+  const business = assertValidBusinessDetails(req.body.business || req.body);
+  const wasPending = user.vendorRequest?.status === 'pending';
+
+  user.vendorRequest = {
+    status: 'pending',
+    // Updating a pending request keeps its place in the review queue
+    requestedAt: wasPending ? user.vendorRequest.requestedAt : new Date(),
+    business
+  };
+  await user.save();
+
+  const { business: saved, ...request } = user.vendorRequest.toObject();
+  delete saved.payout.accountNumber;
+
+  res.status(200).json({
+    success: true,
+    message: wasPending
+      ? 'Vendor request updated 📝'
+      : 'Vendor request submitted! Our team will review it soon 🎉',
+    data: { role: user.role, ...request, business: saved }
+  });
+});
+
+// ==========================================
+// ADMIN
+// ==========================================
+
+// @desc    List vendor requests (review queue, oldest first)
+// @route   GET /api/vendor-requests
+// @access  Private (Admin)
+export const getVendorRequests = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'pending', search } = req.query;
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+  }
+
+  // Repeated query parameters arrive as arrays
+  if (search !== undefined && typeof search !== 'string') {
+    res.status(400);
+    throw new Error('Search must be a single text value');
+  }
+
+  const filter = { 'vendorRequest.status': status };
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [
+      { name: pattern },
+      { email: pattern },
+      { 'vendorRequest.business.storeName': pattern }
+    ];
+  }
+
+  const requests = await User.find(filter)
+    .select('name email phone role isEmailVerified vendorRequest createdAt')
+    .populate('vendorRequest.reviewedBy', 'name email')
+    .sort(status === 'pending' ? { 'vendorRequest.requestedAt': 1 } : { updatedAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await User.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: requests,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+});
+
+// @desc    Approve a vendor request (grants the vendor role)
+// @route   PUT /api/vendor-requests/:userId/approve
+// @access  Private (Admin)
+export const approveVendorRequest = asyncHandler(async (req, res) => {
+  const user = await findRequestUser(req, res);
+  assertPending(user, res);
+
+  if (isEmailVerificationRequired('vendor') && !user.isEmailVerified) {
+    res.status(400);
+    throw new Error('The user must verify their email address before becoming a vendor');
+  }
+
+  user.role = 'vendor';
+  user.vendorRequest.status = 'approved';
+  user.vendorRequest.approvedAt = new Date();
+  user.vendorRequest.rejectedAt = undefined;
+  user.vendorRequest.rejectionReason = undefined;
+  user.vendorRequest.reviewedBy = req.user._id;
+  await user.save();
+
+  await notifyDecision(user, true);
+
+  res.status(200).json({
+    success: true,
+    message: `${user.name} is now a vendor ✅`,
+    data: user
+  });
+});
+
+// @desc    Reject a vendor request
+// @route   PUT /api/vendor-requests/:userId/reject
+// @access  Private (Admin)
+export const rejectVendorRequest = asyncHandler(async (req, res) => {
+  const { rejectionReason: reason = '' } = req.body || {};
+
+  if (typeof reason !== 'string') {
+    res.status(400);
+    throw new Error('Rejection reason must be text');
+  }
+
+  const rejectionReason = reason.trim();
+
+  if (!rejectionReason) {
+    res.status(400);
+    throw new Error('Please provide a rejection reason');
+  }
+
+  if (rejectionReason.length > MAX_REJECTION_REASON_LENGTH) {
+    res.status(400);
+    throw new Error(`Rejection reason cannot be more than ${MAX_REJECTION_REASON_LENGTH} characters`);
+  }
+
+  const user = await findRequestUser(req, res);
+  assertPending(user, res);
+
+  user.vendorRequest.status = 'rejected';
+  user.vendorRequest.rejectedAt = new Date();
+  user.vendorRequest.rejectionReason = rejectionReason;
+  user.vendorRequest.reviewedBy = req.user._id;
+  await user.save();
+
+  await notifyDecision(user, false);
+
+  res.status(200).json({
+    success: true,
+    message: 'Vendor request rejected',
+    data: user
+  });
+});
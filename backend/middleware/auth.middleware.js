@@ -1,54 +1,84 @@
 import jwt from 'jsonwebtoken';
 import asyncHandler from '../utils/asyncHandler.util.js';
 import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import { isEmailVerificationRequired } from '../utils/emailVerification.util.js';
+import { getRolePermissions, hasPermission } from '../utils/permissions.util.js';
+
+/**
+ * Verify an access token and the session it belongs to
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Promise<Object>} { user, session, permissions } - permissions of the user's role
+ * @throws When the token is invalid or expired, or its session was revoked or has ended
+ */
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed carry no session id
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive || !session.user.equals(decoded.id)) {
+    throw new Error('Session has ended');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return { user, session, permissions: await getRolePermissions(user.role) };
+};
 
 // Protect routes - Verify JWT token
 export const protect = asyncHandler(async (req, res, next) => {
-  let token;
-
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
-
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token and attach to request
-      req.user = await User.findById(decoded.id).select('-password');
-
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Not authorized, user not found'
-        });
-      }
-
-      next();
-    } catch (error) {
-      console.error('Token verification error:', error);
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized, token failed'
-      });
-    }
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token provided'
+    });
   }
 
-  if (!token) {
+  try {
+    // Get token from header
+    const token = req.headers.authorization.split(' ')[1];
+
+    // Attach the user, their session and their role's permissions to the request
+    const { user, session, permissions } = await verifyAccessToken(token);
+    req.user = user;
+    req.authSession = session;
+    req.permissions = permissions;
+  } catch (error) {
+    // Expired access tokens are renewed with the refresh token
     return res.status(401).json({
       success: false,
-      message: 'Not authorized, no token provided'
+      message: error.name === 'TokenExpiredError'
+        ? 'Not authorized, token expired'
+        : 'Not authorized, token failed'
     });
   }
+
+  next();
 });
 
-// Authorize based on roles (Admin, Vendor, etc.)
-export const authorize = (...roles) => {
+// Require a permission of the user's role (any of those listed; see PERMISSIONS in role.model.js)
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.some(permission => hasPermission(req.permissions, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Role '${req.user.role}' needs the ${permissions.join(' or ')} permission to access this route`
+      });
+    }
+    next();
+  };
+};
+
+// Require a verified email when REQUIRE_VERIFIED_EMAIL lists the action (orders, vendor)
+export const requireVerifiedEmail = (action) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (isEmailVerificationRequired(action) && !req.user.isEmailVerified) {
       return res.status(403).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route`
+        message: 'Please verify your email address to continue'
       });
     }
     next();
@@ -73,6 +73,11 @@ export const errorHandler = (err, req, res, next) => {
     method: req.method
   };
 
+  // Add extra error details if provided (e.g. allowed order transitions)
+  if (err.details) {
+    response.details = err.details;
+  }
+
   // Add stack trace in development
   if (process.env.NODE_ENV === 'development') {
     response.stack = err.stack;
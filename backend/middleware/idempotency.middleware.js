@@ -0,0 +1,161 @@
+/**
+ * Idempotency Middleware
+ * Replays the saved response when a mutating request is retried with the same Idempotency-Key
+ */
+import crypto from 'crypto';
+import IdempotencyKey from '../models/idempotencyKey.model.js';
+
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Serialize a value with sorted object keys so equal bodies hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key =>
+      `${JSON.stringify(key)}:${stableStringify(value[key])}`
+    ).join(',')}}`;
+  }
+
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Build the request fingerprint stored with the key
+ */
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Get key expiry in milliseconds (IDEMPOTENCY_KEY_TTL_HOURS, default 24 hours)
+ */
+const getTtlMs = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+  return hours * 60 * 60 * 1000;
+};
+
+/**
+ * Reserve an idempotency key, or return the existing record for it
+ */
+const reserveKey = async (req, key, fingerprint) => {
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      fingerprint,
+      expiresAt: new Date(Date.now() + getTtlMs())
+    });
+    return { record, isNew: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+  // Expired but not yet removed by the TTL monitor - start over
+  if (!existing || existing.isExpired) {
+    await IdempotencyKey.deleteOne({ user: req.user._id, key });
+    return reserveKey(req, key, fingerprint);
+  }
+
+  return { record: existing, isNew: false };
+};
+
+/**
+ * Idempotency-Key support for mutating routes (use after protect)
+ * Requests without the header are processed normally
+ */
+export const idempotency = () => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key cannot be longer than 255 characters'
+      });
+    }
+
+    try {
+      const fingerprint = fingerprintRequest(req);
+      const { record, isNew } = await reserveKey(req, key, fingerprint);
+
+      if (!isNew) {
+        if (record.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key has already been used with a different request'
+          });
+        }
+
+        if (record.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response.statusCode).json(record.response.body);
+      }
+
+      // Capture the response body so it can be replayed later
+      const originalJson = res.json.bind(res);
+      let responseBody;
+      res.json = (body) => {
+        responseBody = body;
+        return originalJson(body);
+      };
+
+      // Settle the key once: on 'finish' when the response was sent, or on 'close' when the
+      // client went away (or the handler failed) before it was, so retries are not stuck on 409
+      let settled = false;
+      const settle = () => {
+        if (settled) return;
+        settled = true;
+
+        // Only successful results are replayed; failures release the key so the client can retry
+        const update = res.writableFinished && res.statusCode < 400
+          ? IdempotencyKey.updateOne(
+              { _id: record._id },
+              {
+                $set: {
+                  status: 'completed',
+                  response: { statusCode: res.statusCode, body: JSON.parse(JSON.stringify(responseBody ?? null)) }
+                }
+              }
+            )
+          : IdempotencyKey.deleteOne({ _id: record._id });
+
+        update.catch(error => {
+          console.error('Failed to store idempotency key result:', error);
+        });
+      };
+
+      res.on('finish', settle);
+      res.on('close', settle);
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export default idempotency;
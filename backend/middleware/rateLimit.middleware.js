@@ -0,0 +1,131 @@
+/**
+ * Rate Limiting Middleware
+ * Counts requests per IP or per account in a pluggable store (RATE_LIMIT_STORE) and sends
+ * the standard RateLimit-* headers, plus Retry-After once the limit is reached
+ */
+import { getRateLimitStore } from '../utils/rateLimitStore.util.js';
+
+// Limiters by name, so admins can clear the counts of an IP or account
+const limiters = new Map();
+
+const KEY_GENERATORS = {
+  ip: (req) => req.ip || req.socket?.remoteAddress,
+  // Email in the request body (login, forgot password); requests without one are not limited here
+  account: (req) => {
+    const email = req.body?.email;
+    return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+  }
+};
+
+/**
+ * Set the RateLimit-* headers, keeping those of a stricter limiter on the same route
+ */
+const setRateLimitHeaders = (res, { max, remaining, resetSeconds, windowMs }) => {
+  const current = res.get('RateLimit-Remaining');
+  if (current !== undefined && Number(current) < remaining) return;
+
+  res.set({
+    'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Unique limiter name, prefixed to its keys in the store
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per window
+ * @param {string} options.message - Message of the 429 response
+ * @param {string} options.scope - 'ip' (default) or 'account' (email in the request body)
+ * @param {boolean} options.skipSuccessfulRequests - Count only requests that end with an error status
+ * @param {string} options.store - Store name (default RATE_LIMIT_STORE)
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  message = 'Too many requests, please try again later.',
+  scope = 'ip',
+  skipSuccessfulRequests = false,
+  store
+}) => {
+  if (limiters.has(name)) {
+    throw new Error(`Rate limiter '${name}' is already defined`);
+  }
+  if (!KEY_GENERATORS[scope]) {
+    throw new Error(`Unknown rate limit scope '${scope}'`);
+  }
+
+  limiters.set(name, { name, scope, store });
+  const getKeyValue = KEY_GENERATORS[scope];
+
+  return async (req, res, next) => {
+    const value = getKeyValue(req);
+    if (!value) return next();
+
+    const key = `${name}:${value}`;
+    // Read on use: the environment is loaded after modules are imported
+    const limitStore = getRateLimitStore(store);
+
+    let hit;
+    try {
+      hit = await limitStore.increment(key, windowMs);
+    } catch (error) {
+      // An unavailable store should not take logins down with it
+      console.error(`Rate limit store error (${name}):`, error.message);
+      return next();
+    }
+
+    const remaining = Math.max(max - hit.count, 0);
+    const resetSeconds = Math.max(Math.ceil((hit.resetAt - Date.now()) / 1000), 0);
+    setRateLimitHeaders(res, { max, remaining, resetSeconds, windowMs });
+
+    if (hit.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    }
+
+    if (skipSuccessfulRequests) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) {
+          limitStore.decrement(key).catch(error =>
+            console.error(`Rate limit store error (${name}):`, error.message)
+          );
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Clear the counts of an IP and/or account in every limiter (admin unlock)
+ * @param {Object} targets - { ip, account } where account is an email
+ * @returns {Promise<string[]>} Names of the limiters that were reset
+ */
+export const resetRateLimits = async ({ ip, account } = {}) => {
+  const values = {
+    ip,
+    account: account?.trim().toLowerCase()
+  };
+  const cleared = [];
+
+  for (const limiter of limiters.values()) {
+    const value = values[limiter.scope];
+    if (!value) continue;
+
+    await getRateLimitStore(limiter.store).reset(`${limiter.name}:${value}`);
+    cleared.push(limiter.name);
+  }
+
+  return cleared;
+};
+
+export default rateLimit;
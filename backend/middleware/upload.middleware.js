@@ -0,0 +1,89 @@
+/**
+ * Upload Middleware
+ * Parses multipart/form-data uploads into memory: images (req.files) for the image pipeline
+ * and spreadsheets (req.file) for product imports
+ */
+import multer from 'multer';
+import createHttpError from '../utils/httpError.util.js';
+import { ALLOWED_IMAGE_TYPES, MAX_IMAGE_SIZE, MAX_IMAGES_PER_UPLOAD } from '../utils/images.util.js';
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_IMAGES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(createHttpError(`${file.originalname}: only JPEG, PNG and WebP images are allowed`, 415));
+    }
+    cb(null, true);
+  }
+});
+
+const MAX_SPREADSHEET_SIZE = 10 * 1024 * 1024;
+
+// Browsers report CSV files under several types, so the extension decides
+export const SPREADSHEET_EXTENSIONS = { '.csv': 'csv', '.xlsx': 'xlsx' };
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SPREADSHEET_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.slice(file.originalname.lastIndexOf('.')).toLowerCase();
+
+    if (!SPREADSHEET_EXTENSIONS[extension]) {
+      return cb(createHttpError(`${file.originalname}: only .csv and .xlsx files are allowed`, 415));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Turn multer errors into HTTP errors with a readable message
+ * @param {Object} limits - { label, maxSize, maxFiles } of the upload
+ */
+const toHttpError = (err, { label, maxSize, maxFiles }) => {
+  if (!(err instanceof multer.MulterError)) return err;
+
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+      return createHttpError(`${label} must be ${maxSize / (1024 * 1024)} MB or smaller`, 413);
+    case 'LIMIT_FILE_COUNT':
+      return createHttpError(`You can upload up to ${maxFiles} ${label.toLowerCase()} at a time`);
+    case 'LIMIT_UNEXPECTED_FILE':
+      return createHttpError(`Unexpected file field '${err.field}'`);
+    default:
+      return createHttpError(err.message);
+  }
+};
+
+/**
+ * Accept up to MAX_IMAGES_PER_UPLOAD images in one form field
+ * Requests that are not multipart pass through untouched
+ * @param {string} field - Form field name (default 'images')
+ */
+export const uploadImages = (field = 'images') => (req, res, next) => {
+  imageUpload.array(field, MAX_IMAGES_PER_UPLOAD)(req, res, (err) => {
+    next(err ? toHttpError(err, { label: 'Images', maxSize: MAX_IMAGE_SIZE, maxFiles: MAX_IMAGES_PER_UPLOAD }) : undefined);
+  });
+};
+
+/**
+ * Accept one .csv or .xlsx file; its format is set on req.file.format
+ * @param {string} field - Form field name (default 'file')
+ */
+export const uploadSpreadsheet = (field = 'file') => (req, res, next) => {
+  spreadsheetUpload.single(field)(req, res, (err) => {
+    if (req.file) {
+      const { originalname } = req.file;
+      req.file.format = SPREADSHEET_EXTENSIONS[originalname.slice(originalname.lastIndexOf('.')).toLowerCase()];
+    }
+    next(err ? toHttpError(err, { label: 'Files', maxSize: MAX_SPREADSHEET_SIZE, maxFiles: 1 }) : undefined);
+  });
+};
+
+export default uploadImages;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { calculateTax, getItemsDiscount } from '../utils/tax.util.js';
+import { getShippingQuote } from '../utils/shipping.util.js';
+import createHttpError from '../utils/httpError.util.js';
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -20,6 +23,12 @@ const cartItemSchema = new mongoose.Schema({
     min: [0, 'Price cannot be negative']
   },
   
+  // Variant of the product (required for products with variants)
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  
+  // Snapshot of the chosen variant for display
   variant: {
     sku: String,
     attributes: {
@@ -58,8 +67,7 @@ const cartSchema = mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
-      unique: true
+      required: true
     },
     
     // Session ID (for guest users - optional)
@@ -94,21 +102,63 @@ const cartSchema = mongoose.Schema(
       description: String
     },
     
+    // Coupons applied to the cart (amounts are computed server-side)
+    coupons: [{
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: {
+        type: String,
+        uppercase: true,
+        trim: true
+      },
+      type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'free_shipping']
+      },
+      amount: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      description: String
+    }],
+    
+    // Tax from the tax rules for the shipping address (see refreshTax)
     tax: {
       amount: {
         type: Number,
         default: 0,
         min: 0
       },
+      // Part of amount already contained in the item prices (tax-inclusive pricing)
+      included: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Effective rate over the taxable amount
       rate: {
         type: Number,
         default: 0,
         min: 0,
         max: 100
       },
-      description: String
+      description: String,
+      breakdown: [{
+        rule: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'TaxRule'
+        },
+        name: String,
+        rate: Number,
+        included: Boolean,
+        amount: Number
+      }]
     },
     
+    // Shipping method picked from the quotes for this cart (see refreshShipping)
     shipping: {
       amount: {
         type: Number,
@@ -116,6 +166,10 @@ const cartSchema = mongoose.Schema(
         min: 0
       },
       method: String,
+      zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShippingZone'
+      },
       description: String,
       estimatedDays: Number,
       isFree: {
@@ -193,6 +247,14 @@ const cartSchema = mongoose.Schema(
       default: 'active'
     },
     
+    // Order created from this cart at checkout
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    
+    convertedAt: Date,
+    
     // Merge tracking (when user logs in with guest cart)
     mergedFrom: [{
       sessionId: String,
@@ -226,6 +288,11 @@ const cartSchema = mongoose.Schema(
 // INDEXES for Performance
 // ======================
 // sessionId field automatically gets sparse index from field definition
+// One active cart per user; converted/expired carts are kept as history
+cartSchema.index(
+  { user: 1 },
+  { name: 'user_active_cart', unique: true, partialFilterExpression: { status: 'active' } }
+);
 cartSchema.index({ expiresAt: 1 });
 cartSchema.index({ status: 1 });
 cartSchema.index({ lastActive: -1 });
@@ -272,25 +339,17 @@ cartSchema.methods.calculateTotals = function() {
     return total + (itemPrice * item.quantity);
   }, 0);
   
-  // Calculate tax if rate is provided
-  if (this.tax.rate > 0 && this.tax.amount === 0) {
-    this.tax.amount = this.subtotal * (this.tax.rate / 100);
-  }
+  // Tax amount is computed from the tax rules (see refreshTax)
+  const taxAmount = (this.tax.amount || 0) - (this.tax.included || 0);
   
-  // Apply discount
-  let discountAmount = this.discount.amount;
-  if (this.discount.type === 'percentage' && this.discount.amount > 0) {
-    discountAmount = this.subtotal * (this.discount.amount / 100);
-  }
+  // Discount amount is computed from the applied coupons (see refreshCoupons)
+  const discountAmount = this.discount.amount || 0;
   
   // Calculate shipping
-  let shippingAmount = this.shipping.amount;
-  if (this.shipping.isFree || this.discount.type === 'free_shipping') {
-    shippingAmount = 0;
-  }
+  const shippingAmount = this.shipping.isFree ? 0 : this.shipping.amount;
   
   // Calculate total
-  this.total = this.subtotal + this.tax.amount + shippingAmount - discountAmount;
+  this.total = Math.max(0, this.subtotal + taxAmount + shippingAmount - discountAmount);
   
   // Update item count
   this.itemCount = this.items.length;
@@ -299,38 +358,41 @@ cartSchema.methods.calculateTotals = function() {
 };
 
 // Add item to cart
-cartSchema.methods.addItem = async function(productId, quantity = 1, variant = null, notes = '') {
+// Products with variants need a variantId; price and stock come from the variant
+cartSchema.methods.addItem = async function(productId, quantity = 1, variantId = null, notes = '') {
   const Product = mongoose.model('Product');
   const product = await Product.findById(productId);
   
   if (!product) {
-    throw new Error('Product not found');
+    throw createHttpError('Product not found', 404);
   }
   
+  const variant = product.resolveVariant(variantId);
+  const existingItem = this.getItem(productId, variant?._id);
+  const totalQuantity = quantity + (existingItem?.quantity || 0);
+  
   // Check stock availability
-  if (product.inventory.trackQuantity && product.inventory.quantity < quantity) {
-    throw new Error(`Not enough stock. Available: ${product.inventory.quantity}`);
+  if (!product.canFulfil(totalQuantity, variant)) {
+    throw createHttpError(`Not enough stock. Available: ${product.getAvailableQuantity(variant)}`);
   }
   
-  const existingItemIndex = this.items.findIndex(item => 
-    item.product.toString() === productId.toString() &&
-    this.areVariantsEqual(item.variant?.attributes, variant?.attributes)
-  );
-  
-  if (existingItemIndex > -1) {
+  if (existingItem) {
     // Update existing item
-    this.items[existingItemIndex].quantity += quantity;
-    this.items[existingItemIndex].updatedAt = new Date();
-    this.items[existingItemIndex].notes = notes || this.items[existingItemIndex].notes;
+    existingItem.quantity = totalQuantity;
+    existingItem.updatedAt = new Date();
+    existingItem.notes = notes || existingItem.notes;
   } else {
     // Add new item
-    const itemPrice = variant?.price || product.price;
+    const itemPrice = product.getPrice(variant);
     
     this.items.push({
       product: productId,
+      variantId: variant?._id,
       quantity,
       price: itemPrice,
-      variant: variant || {},
+      variant: variant
+        ? { sku: variant.sku, attributes: variant.attributes, price: itemPrice }
+        : {},
       notes,
       isDigital: product.isDigital || false,
       addedAt: new Date(),
@@ -345,14 +407,11 @@ cartSchema.methods.addItem = async function(productId, quantity = 1, variant = n
 };
 
 // Update item quantity
-cartSchema.methods.updateItemQuantity = async function(productId, quantity, variantAttributes = null) {
-  const itemIndex = this.items.findIndex(item => 
-    item.product.toString() === productId.toString() &&
-    this.areVariantsEqual(item.variant?.attributes, variantAttributes)
-  );
+cartSchema.methods.updateItemQuantity = async function(productId, quantity, variantId = null) {
+  const itemIndex = this.items.findIndex(item => this.isSameLine(item, productId, variantId));
   
   if (itemIndex === -1) {
-    throw new Error('Item not found in cart');
+    throw createHttpError('Item not found in cart', 404);
   }
   
   if (quantity <= 0) {
@@ -371,16 +430,13 @@ cartSchema.methods.updateItemQuantity = async function(productId, quantity, vari
 };
 
 // Remove item from cart
-cartSchema.methods.removeItem = async function(productId, variantAttributes = null) {
+cartSchema.methods.removeItem = async function(productId, variantId = null) {
   const initialLength = this.items.length;
   
-  this.items = this.items.filter(item => 
-    !(item.product.toString() === productId.toString() &&
-      this.areVariantsEqual(item.variant?.attributes, variantAttributes))
-  );
+  this.items = this.items.filter(item => !this.isSameLine(item, productId, variantId));
   
   if (this.items.length === initialLength) {
-    throw new Error('Item not found in cart');
+    throw createHttpError('Item not found in cart', 404);
   }
   
   this.calculateTotals();
@@ -393,8 +449,11 @@ cartSchema.methods.removeItem = async function(productId, variantAttributes = nu
 cartSchema.methods.clearCart = async function() {
   this.items = [];
   this.subtotal = 0;
+  this.coupons = [];
   this.discount.amount = 0;
   this.tax.amount = 0;
+  this.tax.included = 0;
+  this.tax.breakdown = [];
   this.shipping.amount = 0;
   this.total = 0;
   this.itemCount = 0;
@@ -403,31 +462,95 @@ cartSchema.methods.clearCart = async function() {
   return await this.save();
 };
 
-// Apply coupon/discount
-cartSchema.methods.applyDiscount = async function(couponCode, discountAmount, discountType = 'fixed', description = '') {
-  this.discount = {
-    couponCode,
-    amount: discountAmount,
-    type: discountType,
-    description
+// Re-check applied coupons against the current items and shipping
+// Drops coupons that are no longer valid and returns them with reasons
+cartSchema.methods.refreshCoupons = async function() {
+  const Coupon = mongoose.model('Coupon');
+  
+  if (this.coupons.length === 0) {
+    this.discount = Coupon.summarize([]);
+    return [];
+  }
+  
+  const { applied, rejected } = await Coupon.evaluate(
+    this.coupons.map(c => c.code),
+    {
+      user: this.user,
+      items: this.items.map(item => ({
+        product: item.product,
+        price: item.variant?.price || item.price,
+        quantity: item.quantity
+      })),
+      shippingAmount: this.shipping.isFree ? 0 : this.shipping.amount
+    }
+  );
+  
+  this.coupons = applied.map(({ coupon, code, type, amount, description }) => ({
+    coupon, code, type, amount, description
+  }));
+  this.discount = Coupon.summarize(applied);
+  
+  return rejected;
+};
+
+// Recalculate tax for the current items, coupons and shipping address
+cartSchema.methods.refreshTax = async function() {
+  const tax = await calculateTax({
+    items: this.items.map(item => ({
+      product: item.product,
+      price: item.variant?.price || item.price,
+      quantity: item.quantity
+    })),
+    address: this.shippingAddress,
+    discountAmount: getItemsDiscount(this.coupons)
+  });
+  
+  this.tax = {
+    amount: tax.amount,
+    included: tax.included,
+    rate: tax.rate,
+    description: tax.breakdown.map(t => `${t.name} (${t.rate}%)`).join(', '),
+    breakdown: tax.breakdown.map(({ rule, name, rate, included, amount }) => ({
+      rule, name, rate, included, amount
+    }))
   };
   
-  this.calculateTotals();
+  return this.tax;
+};
+
+// Apply coupon by code
+// Returns { applied: false, reason } when the coupon cannot be used
+cartSchema.methods.applyCoupon = async function(couponCode) {
+  const code = String(couponCode).trim().toUpperCase();
+  
+  if (this.coupons.some(c => c.code === code)) {
+    return { applied: false, reason: `Coupon ${code} is already applied` };
+  }
+  
+  this.coupons.push({ code });
+  
+  const rejected = await this.refreshCoupons();
+  const rejection = rejected.find(r => r.code === code);
+  
+  if (rejection) {
+    return { applied: false, reason: rejection.reason };
+  }
+  
   this.lastActive = new Date();
+  await this.save();
   
-  return await this.save();
+  return { applied: true };
 };
 
-// Remove discount
-cartSchema.methods.removeDiscount = async function() {
-  this.discount = {
-    amount: 0,
-    couponCode: '',
-    type: 'fixed',
-    description: ''
-  };
+// Remove one coupon, or all coupons when no code is given
+cartSchema.methods.removeDiscount = async function(couponCode = null) {
+  if (couponCode) {
+    const code = String(couponCode).trim().toUpperCase();
+    this.coupons = this.coupons.filter(c => c.code !== code);
+  } else {
+    this.coupons = [];
+  }
   
-  this.calculateTotals();
   this.lastActive = new Date();
   
   return await this.save();
@@ -441,29 +564,74 @@ cartSchema.methods.setShippingAddress = async function(address) {
   return await this.save();
 };
 
-// Set shipping method
-cartSchema.methods.setShippingMethod = async function(method, amount, description = '', estimatedDays = null) {
-  this.shipping = {
+// Set shipping method from the quoted options (see utils/shipping.util.js)
+// Throws 400 when the method is not offered for the cart's items and address
+cartSchema.methods.setShippingMethod = async function(method) {
+  const quote = await getShippingQuote({
     method,
-    amount,
-    description,
-    estimatedDays,
-    isFree: amount === 0
-  };
+    items: this.getShippingItems(),
+    address: this.shippingAddress
+  });
   
-  this.calculateTotals();
+  this.applyShippingQuote(quote);
   this.lastActive = new Date();
   
   return await this.save();
 };
 
+// Items as priced for shipping quotes
+cartSchema.methods.getShippingItems = function() {
+  return this.items.map(item => ({
+    product: item.product,
+    price: item.variant?.price || item.price,
+    quantity: item.quantity
+  }));
+};
+
+// Store a shipping quote on the cart
+cartSchema.methods.applyShippingQuote = function(quote) {
+  this.shipping = {
+    method: quote.method,
+    zone: quote.zone,
+    amount: quote.amount,
+    description: quote.name,
+    estimatedDays: quote.estimatedDays,
+    isFree: quote.isFree
+  };
+};
+
+// Re-quote the selected shipping method for the current items and address
+// Drops the method when it is no longer offered and returns the reason
+cartSchema.methods.refreshShipping = async function() {
+  if (!this.shipping?.method) return null;
+  
+  if (this.items.length === 0) {
+    this.shipping = { amount: 0 };
+    return null;
+  }
+  
+  try {
+    const quote = await getShippingQuote({
+      method: this.shipping.method,
+      items: this.getShippingItems(),
+      address: this.shippingAddress
+    });
+    this.applyShippingQuote(quote);
+    return null;
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    this.shipping = { amount: 0 };
+    return error.message;
+  }
+};
+
 // Merge with another cart (for guest to user conversion)
 cartSchema.methods.mergeCart = async function(guestCart) {
   for (const guestItem of guestCart.items) {
     await this.addItem(
       guestItem.product,
       guestItem.quantity,
-      guestItem.variant,
+      guestItem.variantId,
       guestItem.notes
     );
   }
@@ -478,46 +646,31 @@ cartSchema.methods.mergeCart = async function(guestCart) {
   return await this.save();
 };
 
-// Check if product exists in cart
-cartSchema.methods.hasProduct = function(productId, variantAttributes = null) {
-  return this.items.some(item => 
-    item.product.toString() === productId.toString() &&
-    this.areVariantsEqual(item.variant?.attributes, variantAttributes)
-  );
+// Check if product (and variant) exists in cart
+cartSchema.methods.hasProduct = function(productId, variantId = null) {
+  return this.items.some(item => this.isSameLine(item, productId, variantId));
 };
 
 // Get item by product and variant
-cartSchema.methods.getItem = function(productId, variantAttributes = null) {
-  return this.items.find(item => 
-    item.product.toString() === productId.toString() &&
-    this.areVariantsEqual(item.variant?.attributes, variantAttributes)
-  );
+cartSchema.methods.getItem = function(productId, variantId = null) {
+  return this.items.find(item => this.isSameLine(item, productId, variantId));
 };
 
-// Helper method to compare variants
-cartSchema.methods.areVariantsEqual = function(variant1, variant2) {
-  if (!variant1 && !variant2) return true;
-  if (!variant1 || !variant2) return false;
-  
-  const map1 = variant1 instanceof Map ? variant1 : new Map(Object.entries(variant1));
-  const map2 = variant2 instanceof Map ? variant2 : new Map(Object.entries(variant2));
+// Helper method to match a cart line by product and variant id
+cartSchema.methods.isSameLine = function(item, productId, variantId = null) {
+  const itemProductId = (item.product?._id || item.product).toString();
   
-  if (map1.size !== map2.size) return false;
-  
-  for (const [key, value] of map1) {
-    if (map2.get(key) !== value) return false;
-  }
-  
-  return true;
+  return itemProductId === productId.toString() &&
+    (item.variantId?.toString() || null) === (variantId?.toString() || null);
 };
 
 // ======================
 // STATIC METHODS
 // ======================
 
-// Find cart by user ID
+// Find active cart by user ID
 cartSchema.statics.findByUserId = function(userId) {
-  return this.findOne({ user: userId })
+  return this.findOne({ user: userId, status: 'active' })
     .populate('items.product', 'name images price inventory isDigital')
     .populate('user', 'name email');
 };
@@ -602,8 +755,14 @@ cartSchema.statics.cleanupExpiredCarts = async function() {
 // MIDDLEWARE
 // ======================
 
-// Pre-save middleware to calculate totals
-cartSchema.pre('save', function(next) {
+// Pre-save middleware to re-quote shipping, re-check coupons, recalculate tax and calculate totals
+cartSchema.pre('save', async function(next) {
+  // Converted carts keep the shipping, discount and tax they were checked out with
+  if (this.status === 'active') {
+    await this.refreshShipping();
+    await this.refreshCoupons();
+    await this.refreshTax();
+  }
   this.calculateTotals();
   this.lastActive = new Date();
   next();
@@ -151,6 +151,14 @@ const categorySchema = mongoose.Schema(
       }
     }],
     
+    // Tax class used to pick tax rules for products in this category (see TaxRule)
+    taxClass: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'standard'
+    },
+    
     // Analytics & Statistics
     stats: {
       productCount: {
@@ -298,6 +306,26 @@ categorySchema.methods.addView = async function() {
   return await this.save();
 };
 
+// Attributes of this category and its ancestors, in display order
+// A subcategory's attribute overrides an inherited one with the same name
+categorySchema.methods.getEffectiveAttributes = async function() {
+  const ancestors = this.ancestors.length > 0
+    ? await mongoose.model('Category')
+      .find({ _id: { $in: this.ancestors } })
+      .select('attributes level')
+      .sort({ level: 1 })
+    : [];
+  
+  const attributes = new Map();
+  for (const category of [...ancestors, this]) {
+    for (const attribute of category.attributes) {
+      attributes.set(attribute.name, attribute);
+    }
+  }
+  
+  return [...attributes.values()].sort((a, b) => a.displayOrder - b.displayOrder);
+};
+
 // Add attribute to category
 categorySchema.methods.addAttribute = async function(attributeData) {
   this.attributes.push(attributeData);
@@ -366,29 +394,54 @@ categorySchema.statics.findBySlug = function(slug) {
     .populate('subcategories', 'name slug image displayOrder');
 };
 
-// Get categories with product counts
+// Find a category by id or slug
+categorySchema.statics.findByIdOrSlug = function(value, filter = {}) {
+  const match = /^[0-9a-fA-F]{24}$/.test(String(value))
+    ? { _id: value }
+    : { slug: String(value).toLowerCase() };
+  return this.findOne({ ...filter, ...match });
+};
+
+// Ids of a category and all categories below it
+categorySchema.statics.getDescendantIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).distinct('_id');
+  return [categoryId, ...descendants];
+};
+
+// Get categories with product counts (products in subcategories count towards their ancestors)
 categorySchema.statics.getCategoriesWithCounts = async function() {
   const Product = mongoose.model('Product');
   
   const categories = await this.find({ status: 'active' })
     .sort({ displayOrder: 1, name: 1 });
   
-  // Get product counts for each category
-  const categoriesWithCounts = await Promise.all(
-    categories.map(async (category) => {
-      const productCount = await Product.countDocuments({ 
-        category: category.name,
-        status: 'active'
-      });
-      
-      return {
-        ...category.toObject(),
-        productCount
-      };
-    })
-  );
+  // Products directly in each category
+  const directCounts = await Product.aggregate([
+    { $match: { status: 'active' } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  
+  const totals = new Map(categories.map(category => [category._id.toString(), 0]));
+  const ancestorsById = new Map(categories.map(category => [
+    category._id.toString(),
+    category.ancestors.map(ancestor => ancestor.toString())
+  ]));
+  
+  for (const { _id, count } of directCounts) {
+    const id = String(_id);
+    if (!totals.has(id)) continue;
+    
+    for (const categoryId of [id, ...ancestorsById.get(id)]) {
+      if (totals.has(categoryId)) {
+        totals.set(categoryId, totals.get(categoryId) + count);
+      }
+    }
+  }
   
-  return categoriesWithCounts;
+  return categories.map(category => ({
+    ...category.toObject(),
+    productCount: totals.get(category._id.toString())
+  }));
 };
 
 // Search categories
@@ -446,7 +499,7 @@ categorySchema.pre('remove', async function(next) {
   }
   
   // Check if category has products
-  const productCount = await Product.countDocuments({ category: this.name });
+  const productCount = await Product.countDocuments({ category: this._id });
   if (productCount > 0) {
     throw new Error('Cannot delete category with products. Please reassign or delete products first.');
   }
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Named sequences (e.g. invoice numbers) incremented atomically
+const counterSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    value: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// STATIC METHODS
+// ======================
+
+// Increment a sequence and return the new value (creates it on first use)
+// Pass a session to roll the increment back with the surrounding transaction
+counterSchema.statics.next = async function(name, options = {}) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true, session: options.session }
+  );
+
+  return counter.value;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
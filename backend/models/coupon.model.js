@@ -0,0 +1,442 @@
+import mongoose from 'mongoose';
+
+const couponSchema = mongoose.Schema(
+  {
+    // Basic Information
+    code: {
+      type: String,
+      required: [true, 'Please add a coupon code'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxLength: [30, 'Coupon code cannot be more than 30 characters']
+    },
+
+    description: {
+      type: String,
+      maxLength: [200, 'Description cannot be more than 200 characters'],
+      default: ''
+    },
+
+    // Discount Rules
+    type: {
+      type: String,
+      required: [true, 'Please add a discount type'],
+      enum: ['percentage', 'fixed', 'free_shipping']
+    },
+
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount value cannot be negative'],
+      validate: {
+        validator: function(value) {
+          return this.type !== 'percentage' || value <= 100;
+        },
+        message: 'Percentage discount cannot be more than 100'
+      }
+    },
+
+    // Upper bound for percentage discounts
+    maxDiscountAmount: {
+      type: Number,
+      min: [0, 'Maximum discount cannot be negative']
+    },
+
+    minSubtotal: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum subtotal cannot be negative']
+    },
+
+    // Validity Window
+    startsAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    expiresAt: {
+      type: Date
+    },
+
+    // Usage Limits (null = unlimited)
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: [1, 'Usage limit must be at least 1']
+    },
+
+    usageLimitPerUser: {
+      type: Number,
+      default: null,
+      min: [1, 'Per-user usage limit must be at least 1']
+    },
+
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    redemptions: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+      },
+      amount: Number,
+      redeemedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
+    // Scope (empty = whole cart)
+    scope: {
+      // Products in these categories or their subcategories
+      categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+      }],
+      products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      }],
+      vendors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }]
+    },
+
+    // Stacking: only stackable coupons can be combined with each other
+    stackable: {
+      type: Boolean,
+      default: false
+    },
+
+    // Status
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+// code index is automatically created by unique: true
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+couponSchema.index({ 'redemptions.order': 1 });
+
+// ======================
+// VIRTUAL FIELDS
+// ======================
+
+// Check if coupon has a restricted scope
+couponSchema.virtual('isScoped').get(function() {
+  return this.scope.categories.length > 0 ||
+    this.scope.products.length > 0 ||
+    this.scope.vendors.length > 0;
+});
+
+// Remaining overall uses
+couponSchema.virtual('remainingUses').get(function() {
+  if (this.usageLimit === null || this.usageLimit === undefined) return null;
+  return Math.max(0, this.usageLimit - this.usageCount);
+});
+
+// ======================
+// INSTANCE METHODS
+// ======================
+
+// Count how many times a user has redeemed this coupon
+couponSchema.methods.getUserRedemptionCount = function(userId) {
+  if (!userId) return 0;
+  return this.redemptions.filter(redemption =>
+    redemption.user.toString() === userId.toString()
+  ).length;
+};
+
+// Check validity window, status and usage limits
+// Returns a reason string when the coupon cannot be used, otherwise null
+couponSchema.methods.getUnavailableReason = function(userId, now = new Date()) {
+  if (!this.isActive) {
+    return `Coupon ${this.code} is no longer active`;
+  }
+
+  if (this.startsAt && this.startsAt > now) {
+    return `Coupon ${this.code} is not valid yet`;
+  }
+
+  if (this.expiresAt && this.expiresAt < now) {
+    return `Coupon ${this.code} has expired`;
+  }
+
+  if (this.usageLimit !== null && this.usageLimit !== undefined && this.usageCount >= this.usageLimit) {
+    return `Coupon ${this.code} has reached its usage limit`;
+  }
+
+  if (this.usageLimitPerUser !== null && this.usageLimitPerUser !== undefined &&
+      this.getUserRedemptionCount(userId) >= this.usageLimitPerUser) {
+    return `You have already used coupon ${this.code} the maximum number of times`;
+  }
+
+  return null;
+};
+
+// Check if a product falls within the coupon scope
+couponSchema.methods.appliesToProduct = function(product) {
+  if (!this.isScoped) return true;
+  if (!product) return false;
+
+  const productId = (product._id || product).toString();
+
+  if (this.scope.products.some(id => id.toString() === productId)) {
+    return true;
+  }
+
+  if (product.category) {
+    // With the category populated, products of subcategories match through its ancestors
+    const categoryIds = [product.category._id || product.category, ...(product.category.ancestors || [])]
+      .map(id => id.toString());
+
+    if (this.scope.categories.some(id => categoryIds.includes(id.toString()))) {
+      return true;
+    }
+  }
+
+  if (product.vendor && this.scope.vendors.some(id => id.toString() === product.vendor.toString())) {
+    return true;
+  }
+
+  return false;
+};
+
+// Calculate the discount amount for a set of priced items
+// items: [{ product, price, quantity }] where product has category (with ancestors) and vendor loaded
+couponSchema.methods.calculateDiscount = function(items, shippingAmount = 0) {
+  if (this.type === 'free_shipping') {
+    return shippingAmount;
+  }
+
+  const eligibleSubtotal = items
+    .filter(item => this.appliesToProduct(item.product))
+    .reduce((total, item) => total + (item.price * item.quantity), 0);
+
+  let amount = 0;
+  if (this.type === 'percentage') {
+    amount = eligibleSubtotal * (this.value / 100);
+    if (this.maxDiscountAmount) {
+      amount = Math.min(amount, this.maxDiscountAmount);
+    }
+  } else {
+    amount = Math.min(this.value, eligibleSubtotal);
+  }
+
+  return Math.round(amount * 100) / 100;
+};
+
+// ======================
+// STATIC METHODS
+// ======================
+
+// Find coupon by code (case-insensitive via uppercase setter)
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Evaluate a list of coupon codes against priced items
+// Returns applied coupons (with computed amounts) and rejected codes (with reasons)
+// Pass the checkout's transaction session to read the coupons it will redeem
+couponSchema.statics.evaluate = async function(codes, { user, items, shippingAmount = 0, session = null }) {
+  const Product = mongoose.model('Product');
+
+  const normalizedCodes = [...new Set(codes.map(code => String(code).trim().toUpperCase()))];
+  const coupons = await this.find({ code: { $in: normalizedCodes } }).session(session);
+
+  // Load scope-relevant product fields once
+  const productIds = items.map(item => item.product?._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('category vendor')
+    .populate('category', 'ancestors')
+    .session(session);
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const pricedItems = items.map(item => ({
+    product: productMap.get((item.product?._id || item.product).toString()),
+    price: item.price,
+    quantity: item.quantity
+  }));
+
+  const subtotal = pricedItems.reduce((total, item) => total + (item.price * item.quantity), 0);
+
+  const applied = [];
+  const rejected = [];
+  let itemsDiscount = 0;
+
+  for (const code of normalizedCodes) {
+    const coupon = coupons.find(c => c.code === code);
+
+    if (!coupon) {
+      rejected.push({ code, reason: `Coupon ${code} not found` });
+      continue;
+    }
+
+    const unavailableReason = coupon.getUnavailableReason(user);
+    if (unavailableReason) {
+      rejected.push({ code, reason: unavailableReason });
+      continue;
+    }
+
+    if (subtotal < coupon.minSubtotal) {
+      rejected.push({ code, reason: `Coupon ${code} requires a minimum subtotal of ${coupon.minSubtotal}` });
+      continue;
+    }
+
+    // Stacking rules
+    if (applied.length > 0 && (!coupon.stackable || applied.some(c => !c.stackable))) {
+      rejected.push({ code, reason: `Coupon ${code} cannot be combined with other coupons` });
+      continue;
+    }
+
+    if (coupon.type === 'free_shipping' && applied.some(c => c.type === 'free_shipping')) {
+      rejected.push({ code, reason: 'Only one free shipping coupon can be applied' });
+      continue;
+    }
+
+    let amount = coupon.calculateDiscount(pricedItems, shippingAmount);
+
+    if (coupon.type !== 'free_shipping') {
+      if (amount === 0) {
+        rejected.push({ code, reason: `Coupon ${code} does not apply to any items in your cart` });
+        continue;
+      }
+      // Never discount more than the items are worth
+      amount = Math.min(amount, subtotal - itemsDiscount);
+      itemsDiscount += amount;
+    }
+
+    applied.push({
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      amount,
+      description: coupon.description,
+      stackable: coupon.stackable
+    });
+  }
+
+  return {
+    applied,
+    rejected,
+    amount: Math.round(applied.reduce((total, c) => total + c.amount, 0) * 100) / 100
+  };
+};
+
+// Build the summary stored in cart.discount / order.discount
+couponSchema.statics.summarize = function(applied) {
+  if (applied.length === 0) {
+    return { amount: 0, couponCode: '', type: 'fixed', description: '' };
+  }
+
+  return {
+    amount: Math.round(applied.reduce((total, c) => total + c.amount, 0) * 100) / 100,
+    couponCode: applied.map(c => c.code).join(','),
+    type: applied[0].type,
+    description: applied.map(c => c.description).filter(Boolean).join('; ')
+  };
+};
+
+// Atomically record a redemption, enforcing overall and per-user limits
+// Returns the updated coupon, or null if a limit was reached in the meantime
+couponSchema.statics.redeem = function(couponId, userId, orderId, amount, options = {}) {
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $expr: {
+        $and: [
+          {
+            $or: [
+              { $eq: [{ $ifNull: ['$usageLimit', null] }, null] },
+              { $lt: ['$usageCount', '$usageLimit'] }
+            ]
+          },
+          {
+            $or: [
+              { $eq: [{ $ifNull: ['$usageLimitPerUser', null] }, null] },
+              {
+                $lt: [
+                  {
+                    $size: {
+                      $filter: {
+                        input: '$redemptions',
+                        cond: { $eq: ['$$this.user', userObjectId] }
+                      }
+                    }
+                  },
+                  '$usageLimitPerUser'
+                ]
+              }
+            ]
+          }
+        ]
+      }
+    },
+    {
+      $inc: { usageCount: 1 },
+      $push: { redemptions: { user: userId, order: orderId, amount, redeemedAt: new Date() } }
+    },
+    { new: true, session: options.session }
+  );
+};
+
+// Release redemptions recorded for an order (e.g. failed or cancelled order)
+couponSchema.statics.releaseOrder = async function(orderId) {
+  const coupons = await this.find({ 'redemptions.order': orderId });
+
+  for (const coupon of coupons) {
+    const released = coupon.redemptions.filter(r => r.order?.toString() === orderId.toString()).length;
+    await this.updateOne(
+      { _id: coupon._id },
+      {
+        $pull: { redemptions: { order: orderId } },
+        $inc: { usageCount: -released }
+      }
+    );
+  }
+
+  return coupons.length;
+};
+
+// ======================
+// JSON SERIALIZATION
+// ======================
+
+couponSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    // Redemption history can grow large; expose the count instead
+    delete ret.redemptions;
+    return ret;
+  }
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const idempotencyKeySchema = mongoose.Schema(
+  {
+    // Client supplied Idempotency-Key header
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: [255, 'Idempotency key cannot be more than 255 characters']
+    },
+
+    // Keys are scoped per user so clients cannot collide with each other
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    method: {
+      type: String,
+      required: true
+    },
+
+    path: {
+      type: String,
+      required: true
+    },
+
+    // Hash of method, path and body used to detect a reused key with a different request
+    fingerprint: {
+      type: String,
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing'
+    },
+
+    // Saved response replayed for retries
+    response: {
+      statusCode: Number,
+      body: mongoose.Schema.Types.Mixed
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// MongoDB removes keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// VIRTUAL FIELDS
+// ======================
+
+// TTL cleanup runs periodically, so check expiry explicitly as well
+idempotencyKeySchema.virtual('isExpired').get(function() {
+  return this.expiresAt < new Date();
+});
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
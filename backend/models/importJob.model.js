@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// How long finished jobs (and their row reports) are kept
+const JOB_TTL_DAYS = 7;
+
+const importJobSchema = mongoose.Schema(
+  {
+    // Vendor the imported products belong to
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    type: {
+      type: String,
+      enum: ['products'],
+      default: 'products'
+    },
+
+    fileName: String,
+
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+      required: true
+    },
+
+    // Validate every row and report what would happen, without writing anything
+    dryRun: {
+      type: Boolean,
+      default: false
+    },
+
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued'
+    },
+
+    total: {
+      type: Number,
+      default: 0
+    },
+
+    processed: {
+      type: Number,
+      default: 0
+    },
+
+    summary: {
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    },
+
+    // One entry per data row (row numbers are spreadsheet rows, the header being row 1)
+    rows: [{
+      _id: false,
+      row: Number,
+      sku: String,
+      action: {
+        type: String,
+        enum: ['create', 'update', 'skip']
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      // Validation problems; a row with messages is not imported
+      messages: [String]
+    }],
+
+    // Reason a job failed as a whole
+    error: String,
+
+    startedAt: Date,
+    finishedAt: Date,
+
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + JOB_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+importJobSchema.index({ vendor: 1, createdAt: -1 });
+// MongoDB removes jobs once they expire
+importJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// VIRTUAL FIELDS
+// ======================
+
+// Percentage of rows processed
+importJobSchema.virtual('progress').get(function() {
+  if (this.status === 'completed') return 100;
+  return this.total > 0 ? Math.floor((this.processed / this.total) * 100) : 0;
+});
+
+importJobSchema.set('toJSON', { virtuals: true });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// The user has this long to sign in at the provider
+const STATE_LIFETIME_MS = 10 * 60 * 1000;
+
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('hex');
+
+// Pending social login or account link, from the redirect to the provider until its callback
+const oauthStateSchema = mongoose.Schema(
+  {
+    // SHA-256 of the state parameter sent to the provider
+    stateHash: {
+      type: String,
+      required: true
+    },
+
+    provider: {
+      type: String,
+      required: true
+    },
+
+    // PKCE verifier and ID token nonce; they never leave the server
+    codeVerifier: {
+      type: String,
+      required: true
+    },
+
+    nonce: {
+      type: String,
+      required: true
+    },
+
+    mode: {
+      type: String,
+      enum: ['login', 'link'],
+      default: 'login'
+    },
+
+    // User the account is linked to (link mode)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+oauthStateSchema.index({ stateHash: 1 }, { unique: true });
+// MongoDB removes abandoned logins once they expire
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Save a pending login
+ * @param {Object} request - { state, nonce, codeVerifier } from createAuthorizationRequest
+ * @param {Object} details - { provider, mode, user }
+ */
+oauthStateSchema.statics.start = function({ state, nonce, codeVerifier }, details) {
+  return this.create({
+    ...details,
+    stateHash: hashState(state),
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + STATE_LIFETIME_MS)
+  });
+};
+
+/**
+ * Take a pending login for a callback; each state can be used once
+ * @returns {Promise<Object|null>} The pending login, or null when unknown, expired or for another provider
+ */
+oauthStateSchema.statics.consume = function(provider, state) {
+  return this.findOneAndDelete({
+    stateHash: hashState(String(state)),
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+export default OAuthState;
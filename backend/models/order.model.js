@@ -1,4 +1,18 @@
 import mongoose from 'mongoose';
+import {
+  ORDER_STATUSES,
+  SHIPMENT_STATUSES,
+  STATUS_TIMESTAMPS,
+  STOCK_RESTORING_STATUSES,
+  assertTransition,
+  assertShipmentTransition,
+  canTransition,
+  deriveOrderStatus,
+  getAllowedTransitions,
+  isFurtherAlong
+} from '../utils/orderLifecycle.util.js';
+import { sendOrderStatusEmail } from '../utils/emailService.util.js';
+import createHttpError from '../utils/httpError.util.js';
 
 const orderSchema = mongoose.Schema(
   {
@@ -32,6 +46,10 @@ const orderSchema = mongoose.Schema(
         ref: 'Product',
         required: true
       },
+      // Variant sold (products with variants)
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
       name: {
         type: String,
         required: true
@@ -51,6 +69,11 @@ const orderSchema = mongoose.Schema(
         min: 1,
         default: 1
       },
+      // Quantity in active return requests, reserved by Return.reserveQuantities
+      returnedQuantity: {
+        type: Number,
+        default: 0
+      },
       variant: {
         sku: String,
         attributes: {
@@ -62,7 +85,29 @@ const orderSchema = mongoose.Schema(
         type: Number,
         required: true,
         min: 0
-      }
+      },
+      
+      // Tax for this line (see utils/tax.util.js), kept for tax reporting
+      taxClass: String,
+      taxAmount: {
+        type: Number,
+        default: 0
+      },
+      // Part of taxAmount already contained in the price (tax-inclusive pricing)
+      taxIncluded: {
+        type: Number,
+        default: 0
+      },
+      taxes: [{
+        rule: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'TaxRule'
+        },
+        name: String,
+        rate: Number,
+        included: Boolean,
+        amount: Number
+      }]
     }],
     
     // Shipping Information
@@ -114,6 +159,11 @@ const orderSchema = mongoose.Schema(
       default: 'cash_on_delivery'
     },
     
+    // Provider handling this order's payment (mapped from paymentMethod)
+    paymentProvider: {
+      type: String
+    },
+    
     paymentResult: {
       id: String, // Payment processor ID (Stripe, PayPal, etc.)
       status: String,
@@ -123,7 +173,7 @@ const orderSchema = mongoose.Schema(
     
     paymentStatus: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'cancelled'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded', 'cancelled'],
       default: 'pending'
     },
     
@@ -144,6 +194,28 @@ const orderSchema = mongoose.Schema(
       default: 0
     },
     
+    // Part of taxPrice already contained in itemsPrice (not added to the total)
+    taxIncluded: {
+      type: Number,
+      default: 0
+    },
+    
+    // Tax per rule for the shipping address at checkout
+    taxBreakdown: [{
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule'
+      },
+      name: String,
+      country: String,
+      state: String,
+      taxClass: String,
+      rate: Number,
+      included: Boolean,
+      taxableAmount: Number,
+      amount: Number
+    }],
+    
     shippingPrice: {
       type: Number,
       required: true,
@@ -163,6 +235,20 @@ const orderSchema = mongoose.Schema(
       }
     },
     
+    // Coupons redeemed for this order
+    coupons: [{
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: String,
+      type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'free_shipping']
+      },
+      amount: Number
+    }],
+    
     totalPrice: {
       type: Number,
       required: true,
@@ -170,17 +256,10 @@ const orderSchema = mongoose.Schema(
     },
     
     // Order Status & Tracking
+    // Transitions are guarded by the table in utils/orderLifecycle.util.js
     orderStatus: {
       type: String,
-      enum: [
-        'pending',
-        'confirmed',
-        'processing',
-        'shipped',
-        'delivered',
-        'cancelled',
-        'refunded'
-      ],
+      enum: ORDER_STATUSES,
       default: 'pending'
     },
     
@@ -222,11 +301,25 @@ const orderSchema = mongoose.Schema(
       type: Date
     },
     
-    // Vendor Information (for multi-vendor orders)
+    // Lifecycle timestamps (set when entering each status)
+    confirmedAt: Date,
+    
+    processingAt: Date,
+    
+    shippedAt: Date,
+    
+    cancelledAt: Date,
+    
+    // Set once reserved stock has been put back (cancel/refund)
+    stockRestoredAt: Date,
+    
+    // Vendor Shipments (sub-orders, one per vendor)
+    // Each vendor fulfills and tracks its own items; orderStatus is derived from these
     vendors: [{
       vendor: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
+        ref: 'User',
+        required: true
       },
       vendorName: String,
       items: [{
@@ -234,14 +327,65 @@ const orderSchema = mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: 'Product'
         },
+        variantId: mongoose.Schema.Types.ObjectId,
+        name: String,
         quantity: Number,
         price: Number,
-        status: {
-          type: String,
-          enum: ['pending', 'confirmed', 'shipped', 'delivered'],
-          default: 'pending'
+        totalPrice: Number
+      }],
+      
+      // Share of the order totals (tax from the vendor's items, shipping and discount split by items value)
+      itemsPrice: {
+        type: Number,
+        default: 0
+      },
+      taxPrice: {
+        type: Number,
+        default: 0
+      },
+      taxIncluded: {
+        type: Number,
+        default: 0
+      },
+      shippingPrice: {
+        type: Number,
+        default: 0
+      },
+      discountAmount: {
+        type: Number,
+        default: 0
+      },
+      totalPrice: {
+        type: Number,
+        default: 0
+      },
+      
+      // Transitions are guarded by SHIPMENT_TRANSITIONS in utils/orderLifecycle.util.js
+      status: {
+        type: String,
+        enum: SHIPMENT_STATUSES,
+        default: 'pending'
+      },
+      statusHistory: [{
+        status: String,
+        timestamp: {
+          type: Date,
+          default: Date.now
+        },
+        note: String,
+        updatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
         }
-      }]
+      }],
+      
+      trackingNumber: String,
+      carrier: String,
+      estimatedDelivery: Date,
+      shippedAt: Date,
+      deliveredAt: Date,
+      cancelledAt: Date,
+      stockRestoredAt: Date
     }],
     
     // Notes & Communication
@@ -270,15 +414,43 @@ const orderSchema = mongoose.Schema(
     
     cancellationNote: String,
     
-    refundAmount: {
+    // Running total of all refunds (cancellations, returns, manual refunds)
+    refundedTotal: {
       type: Number,
       default: 0
     },
     
+    refunds: [{
+      refundId: String,
+      amount: {
+        type: Number,
+        required: true
+      },
+      reason: String,
+      returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Return'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    
+    // Last refund date
     refundedAt: {
       type: Date
     },
     
+    // Invoice (sequential number assigned when first issued)
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    
+    invoiceIssuedAt: Date,
+    
     // Analytics & Metadata
     ipAddress: String,
     
@@ -313,12 +485,13 @@ const orderSchema = mongoose.Schema(
 // ======================
 // INDEXES for Performance
 // ======================
-// orderNumber index is automatically created by unique: true
+// orderNumber and invoiceNumber indexes are automatically created by unique: true
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
-orderSchema.index({ 'vendors.vendor': 1 });
+orderSchema.index({ 'vendors.vendor': 1, createdAt: -1 });
+orderSchema.index({ 'vendors.vendor': 1, 'vendors.status': 1, createdAt: -1 });
 orderSchema.index({ trackingNumber: 1 });
 
 // ======================
@@ -332,8 +505,23 @@ orderSchema.virtual('isCompleted').get(function() {
 
 // Check if order can be cancelled
 orderSchema.virtual('canBeCancelled').get(function() {
-  const nonCancellableStatuses = ['shipped', 'delivered', 'cancelled', 'refunded'];
-  return !nonCancellableStatuses.includes(this.orderStatus);
+  return canTransition(this.orderStatus, 'cancelled');
+});
+
+// Statuses the order can move to next
+orderSchema.virtual('allowedTransitions').get(function() {
+  return getAllowedTransitions(this.orderStatus);
+});
+
+// Amount paid that has not been refunded yet
+orderSchema.virtual('refundableAmount').get(function() {
+  if (!['completed', 'partially_refunded'].includes(this.paymentStatus)) return 0;
+  return Math.max(0, Math.round((this.totalPrice - this.refundedTotal) * 100) / 100);
+});
+
+// Check if the order is split across several vendors
+orderSchema.virtual('isMultiVendor').get(function() {
+  return this.vendors.length > 1;
 });
 
 // Get order age in days
@@ -352,15 +540,50 @@ orderSchema.methods.calculateTotals = function() {
     return total + (item.price * item.quantity);
   }, 0);
   
-  // Calculate final total
-  this.totalPrice = this.itemsPrice + this.taxPrice + this.shippingPrice - this.discount.amount;
+  // Calculate final total (included tax is already part of itemsPrice)
+  this.totalPrice = this.itemsPrice + this.taxPrice - (this.taxIncluded || 0) + this.shippingPrice - this.discount.amount;
   
   return this.totalPrice;
 };
 
 // Update order status with history
-orderSchema.methods.updateStatus = async function(newStatus, note = '', updatedBy = null) {
-  const oldStatus = this.orderStatus;
+// Throws a 409 error listing the allowed next states for invalid transitions
+orderSchema.methods.updateStatus = async function(newStatus, note = '', updatedBy = null, role = 'system') {
+  assertTransition(this.orderStatus, newStatus, role);
+  
+  // Carry whole-order changes down to the vendor shipments
+  for (const shipment of this.vendors) {
+    const cascades = newStatus === 'cancelled'
+      ? !['delivered', 'cancelled'].includes(shipment.status)
+      : shipment.status !== 'cancelled' && isFurtherAlong(newStatus, shipment.status);
+    
+    if (cascades) {
+      this.setShipmentStatus(shipment, newStatus, note, updatedBy);
+    }
+  }
+  
+  return await this.enterStatus(newStatus, note, updatedBy);
+};
+
+// Move the stored order from the status it was loaded with to a new one
+// Throws 409 when another request changed the status first, so only one request
+// runs the side effects (restocking, coupon release, refunds) of a transition
+orderSchema.methods.claimStatus = async function(newStatus) {
+  if (this.isNew) return;
+  
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, orderStatus: this.orderStatus },
+    { $set: { orderStatus: newStatus } }
+  );
+  
+  if (claimed.matchedCount === 0) {
+    throw createHttpError('This order was updated by another request, please reload it and try again', 409);
+  }
+};
+
+// Record a new order status and run its side effects (no transition check)
+orderSchema.methods.enterStatus = async function(newStatus, note = '', updatedBy = null) {
+  await this.claimStatus(newStatus);
   this.orderStatus = newStatus;
   
   // Add to status history
@@ -370,50 +593,227 @@ orderSchema.methods.updateStatus = async function(newStatus, note = '', updatedB
     updatedBy
   });
   
-  // Set timestamps for specific statuses
-  if (newStatus === 'delivered') {
-    this.deliveredAt = new Date();
-  } else if (newStatus === 'cancelled') {
-    this.cancelledAt = new Date();
+  // Side effects on entering the new status
+  const timestampField = STATUS_TIMESTAMPS[newStatus];
+  if (timestampField) {
+    this[timestampField] = new Date();
+  }
+  
+  if (STOCK_RESTORING_STATUSES.includes(newStatus)) {
+    await this.restoreStock();
+  }
+  
+  if (newStatus === 'cancelled') {
+    // Give back coupon usage consumed by this order
+    await mongoose.model('Coupon').releaseOrder(this._id);
   }
   
   await this.save();
+  
+  // Notify customer (non-blocking)
+  sendOrderStatusEmail(this.customerEmail, {
+    orderNumber: this.orderNumber,
+    status: newStatus,
+    note,
+    trackingNumber: this.trackingNumber,
+    carrier: this.carrier
+  }).catch(err => {
+    console.error('Failed to send order status email:', err);
+  });
+  
+  return this;
+};
+
+// Get the shipment for a vendor
+orderSchema.methods.getShipment = function(vendorId) {
+  return this.vendors.find(shipment =>
+    shipment.vendor.toString() === vendorId.toString()
+  );
+};
+
+// Set a shipment status with history (no transition check)
+orderSchema.methods.setShipmentStatus = function(shipment, newStatus, note = '', updatedBy = null) {
+  shipment.status = newStatus;
+  shipment.statusHistory.push({ status: newStatus, note, updatedBy });
+  
+  const timestampField = { shipped: 'shippedAt', delivered: 'deliveredAt', cancelled: 'cancelledAt' }[newStatus];
+  if (timestampField) {
+    shipment[timestampField] = new Date();
+  }
+  
+  return shipment;
+};
+
+// Update one vendor's shipment and derive the order status from all shipments
+orderSchema.methods.updateShipmentStatus = async function(vendorId, newStatus, note = '', updatedBy = null, role = 'system') {
+  const shipment = this.getShipment(vendorId);
+  
+  if (!shipment) {
+    throw createHttpError('This order has no shipment for this vendor', 404);
+  }
+  
+  assertShipmentTransition(shipment.status, newStatus, role);
+  
+  // Claim the shipment transition like claimStatus does for the order
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, vendors: { $elemMatch: { _id: shipment._id, status: shipment.status } } },
+    { $set: { 'vendors.$.status': newStatus } }
+  );
+  
+  if (claimed.matchedCount === 0) {
+    throw createHttpError('This shipment was updated by another request, please reload it and try again', 409);
+  }
+  
+  this.setShipmentStatus(shipment, newStatus, note, updatedBy);
+  
+  if (newStatus === 'cancelled') {
+    await this.restoreShipmentStock(shipment);
+  }
+  
+  const derivedStatus = deriveOrderStatus(this.vendors.map(s => s.status));
+  const followsShipments = derivedStatus === 'cancelled'
+    ? canTransition(this.orderStatus, 'cancelled')
+    : isFurtherAlong(derivedStatus, this.orderStatus);
+  
+  if (followsShipments) {
+    const vendorLabel = shipment.vendorName || 'vendor';
+    return await this.enterStatus(derivedStatus, `Updated from ${vendorLabel} shipment${note ? `: ${note}` : ''}`, updatedBy);
+  }
+  
+  return await this.save();
+};
+
+// Add tracking information to a vendor shipment
+orderSchema.methods.addShipmentTracking = async function(vendorId, trackingNumber, carrier, estimatedDelivery, updatedBy = null, role = 'system') {
+  const shipment = this.getShipment(vendorId);
+  
+  if (!shipment) {
+    throw createHttpError('This order has no shipment for this vendor', 404);
+  }
+  
+  shipment.trackingNumber = trackingNumber;
+  shipment.carrier = carrier;
+  shipment.estimatedDelivery = estimatedDelivery;
+  
+  // Update shipment to shipped if not already shipped or delivered
+  if (!['shipped', 'delivered'].includes(shipment.status)) {
+    return await this.updateShipmentStatus(vendorId, 'shipped', 'Tracking information added', updatedBy, role);
+  }
+  
+  return await this.save();
+};
+
+// Put a shipment's reserved stock back (only once per shipment)
+orderSchema.methods.restoreShipmentStock = async function(shipment) {
+  if (shipment.stockRestoredAt || this.stockRestoredAt) {
+    return shipment;
+  }
+  
+  const Product = mongoose.model('Product');
+  
+  for (const item of shipment.items) {
+    await Product.restock(item.product, item.quantity, item.variantId);
+  }
+  
+  shipment.stockRestoredAt = new Date();
+  return shipment;
+};
+
+// Put reserved stock back (only once per order)
+orderSchema.methods.restoreStock = async function() {
+  if (this.stockRestoredAt) {
+    return this;
+  }
+  
+  if (this.vendors.length > 0) {
+    // Skip shipments that were already cancelled on their own
+    for (const shipment of this.vendors) {
+      await this.restoreShipmentStock(shipment);
+    }
+  } else {
+    const Product = mongoose.model('Product');
+    
+    for (const item of this.orderItems) {
+      await Product.restock(item.product, item.quantity, item.variantId);
+    }
+  }
+  
+  this.stockRestoredAt = new Date();
   return this;
 };
 
 // Add tracking information
-orderSchema.methods.addTracking = async function(trackingNumber, carrier, estimatedDelivery) {
+orderSchema.methods.addTracking = async function(trackingNumber, carrier, estimatedDelivery, updatedBy = null, role = 'system') {
   this.trackingNumber = trackingNumber;
   this.carrier = carrier;
   this.estimatedDelivery = estimatedDelivery;
   
-  // Update status to shipped if not already
-  if (this.orderStatus !== 'shipped') {
-    await this.updateStatus('shipped', 'Tracking information added');
+  // Update status to shipped if not already shipped or delivered
+  if (!['shipped', 'delivered'].includes(this.orderStatus)) {
+    await this.updateStatus('shipped', 'Tracking information added', updatedBy, role);
   }
   
   return await this.save();
 };
 
-// Process payment
+// Process payment (called for verified provider callbacks, see Payment.applyEvent)
 orderSchema.methods.processPayment = async function(paymentResult) {
   this.paymentResult = paymentResult;
   this.paymentStatus = 'completed';
   this.paidAt = new Date();
   
+  // Confirm the order if it is still waiting for payment
+  if (this.orderStatus === 'pending') {
+    return await this.updateStatus('confirmed', 'Payment received', null, 'system');
+  }
+  
   return await this.save();
 };
 
-// Calculate refund amount
-orderSchema.methods.calculateRefund = function() {
-  if (this.orderStatus === 'cancelled') {
-    // Full refund for cancelled orders
-    this.refundAmount = this.totalPrice;
-  } else {
-    // Partial refund logic (customize based on your business rules)
-    this.refundAmount = this.itemsPrice; // Refund only items price
+// Record a refund and add it to the running total
+// Updates the database atomically so parallel refunds are all counted; fullyRefunded marks
+// the order refunded even when the total differs from the amount paid
+orderSchema.methods.recordRefund = async function({ refundId, amount, reason, returnRequest } = {}, { fullyRefunded = false } = {}) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $inc: { refundedTotal: amount },
+      $push: { refunds: { refundId, amount, reason, returnRequest } },
+      $set: { refundedAt: new Date() }
+    }
+  );
+  
+  // Worked out from the stored total, which includes any refund recorded meanwhile
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [{
+      $set: {
+        refundedTotal: { $round: ['$refundedTotal', 2] },
+        paymentStatus: {
+          $cond: [
+            {
+              $or: [
+                fullyRefunded,
+                { $eq: ['$paymentStatus', 'refunded'] },
+                { $gte: [{ $round: ['$refundedTotal', 2] }, '$totalPrice'] }
+              ]
+            },
+            'refunded',
+            'partially_refunded'
+          ]
+        }
+      }
+    }],
+    { new: true }
+  );
+  
+  // Keep this copy in step without writing these fields again
+  for (const path of ['refunds', 'refundedTotal', 'refundedAt', 'paymentStatus']) {
+    this.set(path, updated.get(path));
+    this.unmarkModified(path);
   }
-  return this.refundAmount;
+  
+  return this.refundedTotal;
 };
 
 // ======================
@@ -498,15 +898,18 @@ orderSchema.statics.findRecent = function(limit = 10) {
 // MIDDLEWARE
 // ======================
 
-// Pre-save middleware to generate order number and calculate totals
-orderSchema.pre('save', async function(next) {
-  // Generate order number if new
+// Generate order number before validation (orderNumber is required)
+orderSchema.pre('validate', function(next) {
   if (this.isNew && !this.orderNumber) {
     this.orderNumber = this.constructor.generateOrderNumber();
   }
-  
+  next();
+});
+
+// Pre-save middleware to calculate totals
+orderSchema.pre('save', async function(next) {
   // Calculate totals before saving
-  if (this.isModified('orderItems') || this.isModified('taxPrice') || 
+  if (this.isModified('orderItems') || this.isModified('taxPrice') || this.isModified('taxIncluded') || 
       this.isModified('shippingPrice') || this.isModified('discount.amount')) {
     this.calculateTotals();
   }
@@ -523,22 +926,6 @@ orderSchema.pre('save', async function(next) {
   next();
 });
 
-// Post-save middleware to update product inventory
-orderSchema.post('save', async function(doc, next) {
-  if (doc.orderStatus === 'cancelled' || doc.orderStatus === 'refunded') {
-    // Restore inventory for cancelled/refunded orders
-    const Product = mongoose.model('Product');
-    
-    for (const item of doc.orderItems) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { 'inventory.quantity': item.quantity } }
-      );
-    }
-  }
-  next();
-});
-
 // ======================
 // JSON SERIALIZATION
 // ======================
@@ -0,0 +1,247 @@
+import mongoose from 'mongoose';
+
+const paymentSchema = mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // Provider handling the payment (see utils/paymentProviders.util.js)
+    provider: {
+      type: String,
+      required: true
+    },
+
+    paymentMethod: {
+      type: String,
+      required: true
+    },
+
+    // Provider reference for this payment
+    intentId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Payment amount cannot be negative']
+    },
+
+    currency: {
+      type: String,
+      default: 'USD'
+    },
+
+    captureMethod: {
+      type: String,
+      enum: ['automatic', 'manual'],
+      default: 'automatic'
+    },
+
+    status: {
+      type: String,
+      enum: ['requires_confirmation', 'processing', 'requires_capture', 'succeeded', 'failed', 'cancelled'],
+      default: 'requires_confirmation'
+    },
+
+    amountCaptured: {
+      type: Number,
+      default: 0
+    },
+
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
+
+    // Refunds sent to the provider and not confirmed yet (see refundOrderPayment)
+    amountRefundPending: {
+      type: Number,
+      default: 0
+    },
+
+    refunds: [{
+      refundId: {
+        type: String,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true
+      },
+      reason: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
+    failureReason: String,
+
+    // Provider event ids already applied (webhooks may be delivered more than once)
+    processedEvents: [String],
+
+    succeededAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+// intentId index is automatically created by unique: true
+paymentSchema.index({ order: 1, createdAt: -1 });
+paymentSchema.index({ customer: 1 });
+
+// ======================
+// VIRTUAL FIELDS
+// ======================
+
+// Amount that can still be refunded
+paymentSchema.virtual('refundableAmount').get(function() {
+  return Math.max(0, Math.round((this.amountCaptured - this.amountRefunded) * 100) / 100);
+});
+
+// Provider-facing view of the payment
+paymentSchema.virtual('intent').get(function() {
+  return {
+    intentId: this.intentId,
+    amount: this.amount,
+    currency: this.currency,
+    captureMethod: this.captureMethod
+  };
+});
+
+// ======================
+// INSTANCE METHODS
+// ======================
+
+// Apply a verified provider event to the payment and its order
+// Returns false if the event was already applied
+paymentSchema.methods.applyEvent = async function(event, { order, returnRequest } = {}) {
+  // Claim the event atomically so duplicate deliveries are ignored
+  const claim = await this.constructor.updateOne(
+    { _id: this._id, processedEvents: { $ne: event.id } },
+    { $push: { processedEvents: event.id } }
+  );
+
+  if (claim.modifiedCount === 0) {
+    return false;
+  }
+
+  if (event.type === 'refund.succeeded' && this.refunds.some(r => r.refundId === event.refundId)) {
+    return false;
+  }
+
+  order = order || await mongoose.model('Order').findById(this.order);
+
+  switch (event.type) {
+    case 'payment.authorized':
+      this.status = 'requires_capture';
+      order.paymentStatus = 'processing';
+      await order.save();
+      break;
+
+    case 'payment.succeeded':
+      this.status = 'succeeded';
+      this.amountCaptured = event.amount;
+      this.succeededAt = new Date(event.createdAt || Date.now());
+      await order.processPayment({
+        id: this.intentId,
+        status: 'succeeded',
+        update_time: this.succeededAt.toISOString(),
+        email_address: order.customerEmail
+      });
+      break;
+
+    case 'payment.failed':
+      this.status = 'failed';
+      this.failureReason = event.reason;
+      order.paymentStatus = 'failed';
+      await order.save();
+      break;
+
+    case 'refund.succeeded': {
+      // Added in the database so parallel refunds are all counted, and never past what was captured
+      const updated = await this.constructor.findOneAndUpdate(
+        {
+          _id: this._id,
+          'refunds.refundId': { $ne: event.refundId },
+          $expr: { $lte: [{ $round: [{ $add: ['$amountRefunded', event.amount] }, 2] }, '$amountCaptured'] }
+        },
+        {
+          $inc: { amountRefunded: event.amount },
+          $push: { refunds: { refundId: event.refundId, amount: event.amount, reason: event.reason } }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        console.error(`Refund ${event.refundId} of ${event.amount} not recorded: more than payment ${this._id} has left to refund`);
+        return false;
+      }
+
+      // Keep this copy in step without writing these fields again
+      for (const path of ['amountRefunded', 'refunds']) {
+        this.set(path, updated.get(path));
+        this.unmarkModified(path);
+      }
+
+      await order.recordRefund({
+        refundId: event.refundId,
+        amount: event.amount,
+        reason: event.reason,
+        returnRequest
+      }, { fullyRefunded: this.refundableAmount === 0 });
+      return true;
+    }
+
+    default:
+      return false;
+  }
+
+  await this.save();
+  return true;
+};
+
+// ======================
+// STATIC METHODS
+// ======================
+
+// Latest payment for an order, optionally filtered by status
+paymentSchema.statics.findLatestForOrder = function(orderId, status = null) {
+  const filter = { order: orderId };
+  if (status) {
+    filter.status = status;
+  }
+  return this.findOne(filter).sort({ createdAt: -1 });
+};
+
+// ======================
+// JSON SERIALIZATION
+// ======================
+
+paymentSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.processedEvents;
+    return ret;
+  }
+});
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import createHttpError from '../utils/httpError.util.js';
+import { getSearchIndex, prepareSearch, searchCondition, findByRelevance } from '../utils/search.util.js';
+
+// Fields the search index is built from (see utils/search.util.js)
+const SEARCH_FIELDS = ['name', 'brand', 'tags'];
 
 const productSchema = mongoose.Schema(
   {
@@ -41,27 +46,11 @@ const productSchema = mongoose.Schema(
     },
     
     // Category & Classification
+    // Any level of the category tree; category pages also list products of subcategories
     category: {
-      type: String,
-      required: [true, 'Please add a product category'],
-      enum: [
-        'electronics',
-        'clothing',
-        'books',
-        'home-garden',
-        'sports-outdoors',
-        'beauty-health',
-        'toys-games',
-        'automotive',
-        'food-grocery',
-        'jewelry-accessories',
-        'other'
-      ]
-    },
-    
-    subcategory: {
-      type: String,
-      trim: true
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: [true, 'Please add a product category']
     },
     
     brand: {
@@ -76,11 +65,16 @@ const productSchema = mongoose.Schema(
     }],
     
     // Images & Media
+    // Uploaded images also have a thumbnail and WebP derivatives (see utils/images.util.js)
+    // Exactly one image is primary
     images: [{
       url: {
         type: String,
         required: true
       },
+      thumbnail: String,
+      webp: String,
+      thumbnailWebp: String,
       alt: {
         type: String,
         default: ''
@@ -88,7 +82,11 @@ const productSchema = mongoose.Schema(
       isPrimary: {
         type: Boolean,
         default: false
-      }
+      },
+      width: Number,
+      height: Number,
+      // Storage keys of the uploaded files, for deleting them with the image
+      storageKeys: [String]
     }],
     
     // Inventory Management
@@ -253,11 +251,17 @@ const productSchema = mongoose.Schema(
       default: false
     },
     
+    // Each variant has its own price (falls back to the product price) and stock;
+    // inventory.quantity holds the total stock of all variants
     variants: [{
       sku: String,
       price: Number,
       comparePrice: Number,
-      quantity: Number,
+      quantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Quantity cannot be negative']
+      },
       attributes: {
         type: Map,
         of: String
@@ -319,6 +323,12 @@ const productSchema = mongoose.Schema(
         type: Number,
         default: 0
       }
+    },
+    
+    // Search index: words and trigrams of the name, brand and tags (kept up to date by middleware)
+    search: {
+      terms: [String],
+      grams: [String]
     }
   },
   {
@@ -329,7 +339,7 @@ const productSchema = mongoose.Schema(
 // ======================
 // INDEXES for Performance
 // ======================
-productSchema.index({ name: 'text', description: 'text', brand: 'text', tags: 'text' });
+productSchema.index({ 'search.grams': 1 });
 productSchema.index({ category: 1, status: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ 'rating.average': -1 });
@@ -344,6 +354,7 @@ productSchema.index({ vendor: 1 });
 // Check if product is in stock
 productSchema.virtual('inStock').get(function() {
   if (!this.inventory.trackQuantity) return true;
+  if (this.hasVariants) return this.variants.some(variant => variant.quantity > 0);
   return this.inventory.quantity > 0;
 });
 
@@ -370,14 +381,25 @@ productSchema.virtual('onSale').get(function() {
 // INSTANCE METHODS
 // ======================
 
-// Update inventory quantity
-productSchema.methods.updateInventory = async function(quantity, operation = 'set') {
+// Update inventory quantity of the product, or of one variant
+productSchema.methods.updateInventory = async function(quantity, operation = 'set', variantId = null) {
+  const target = variantId ? this.findVariant(variantId) : this.inventory;
+  
+  if (!target) {
+    throw createHttpError('Variant not found', 404);
+  }
+  
   if (operation === 'increment') {
-    this.inventory.quantity += quantity;
+    target.quantity += quantity;
   } else if (operation === 'decrement') {
-    this.inventory.quantity = Math.max(0, this.inventory.quantity - quantity);
+    target.quantity = Math.max(0, target.quantity - quantity);
   } else {
-    this.inventory.quantity = quantity;
+    target.quantity = quantity;
+  }
+  
+  // Keep the product total in line with its variants
+  if (this.hasVariants) {
+    this.inventory.quantity = this.variants.reduce((total, variant) => total + (variant.quantity || 0), 0);
   }
   
   // Update status based on inventory
@@ -390,6 +412,47 @@ productSchema.methods.updateInventory = async function(quantity, operation = 'se
   return await this.save();
 };
 
+// Find a variant by id
+productSchema.methods.findVariant = function(variantId) {
+  if (!variantId) return null;
+  return this.variants.id(variantId) || null;
+};
+
+// Variant a customer picked; products with variants cannot be bought without one
+// Throws 400 when no variant was chosen and 404 when it does not exist
+productSchema.methods.resolveVariant = function(variantId = null) {
+  if (!variantId) {
+    if (this.hasVariants) {
+      throw createHttpError(`Please choose a variant of ${this.name}`);
+    }
+    return null;
+  }
+  
+  const variant = this.findVariant(variantId);
+  
+  if (!variant) {
+    throw createHttpError(`Variant not found for ${this.name}`, 404);
+  }
+  
+  return variant;
+};
+
+// Price of the product or of one of its variants
+productSchema.methods.getPrice = function(variant = null) {
+  return variant?.price ?? this.price;
+};
+
+// Stock of the product or of one of its variants
+productSchema.methods.getAvailableQuantity = function(variant = null) {
+  return variant ? (variant.quantity || 0) : this.inventory.quantity;
+};
+
+// Check if a quantity can be sold (untracked or backordered products always can)
+productSchema.methods.canFulfil = function(quantity, variant = null) {
+  if (!this.inventory.trackQuantity || this.inventory.allowBackorder) return true;
+  return this.getAvailableQuantity(variant) >= quantity;
+};
+
 // Add product view
 productSchema.methods.addView = async function() {
   this.meta.views += 1;
@@ -477,9 +540,11 @@ productSchema.methods.generateSlug = async function() {
 // STATIC METHODS
 // ======================
 
-// Find products by category
-productSchema.statics.findByCategory = function(category, limit = 50) {
-  return this.find({ category, status: 'active' })
+// Find products in a category and its subcategories
+productSchema.statics.findByCategory = async function(categoryId, limit = 50) {
+  const categoryIds = await mongoose.model('Category').getDescendantIds(categoryId);
+
+  return this.find({ category: { $in: categoryIds }, status: 'active' })
     .limit(limit)
     .sort({ 'rating.average': -1 });
 };
@@ -497,37 +562,102 @@ productSchema.statics.findByVendor = function(vendorId) {
     .sort({ createdAt: -1 });
 };
 
-// Search products
-productSchema.statics.search = function(query, limit = 20) {
-  return this.find({
-    $text: { $search: query },
-    status: 'active'
-  })
-  .limit(limit)
-  .sort({ score: { $meta: 'textScore' } });
+// Search products, most relevant first (typo tolerant, with synonyms)
+productSchema.statics.search = async function(query, limit = 20) {
+  const variants = await prepareSearch(query);
+  if (!variants) return [];
+  
+  return findByRelevance({ status: 'active', ...searchCondition(variants) }, variants, { limit });
+};
+
+// Query for tracked products at or below a stock threshold
+// A product with variants is low on stock when any of its variants is
+productSchema.statics.lowStockFilter = function(threshold = 10) {
+  return {
+    'inventory.trackQuantity': true,
+    $or: [
+      { hasVariants: { $ne: true }, 'inventory.quantity': { $lte: threshold } },
+      { hasVariants: true, 'variants.quantity': { $lte: threshold } }
+    ]
+  };
 };
 
 // Get low stock products
-productSchema.statics.getLowStock = function(limit = 50) {
+productSchema.statics.getLowStock = function(limit = 50, threshold = 10) {
   return this.find({
-    'inventory.quantity': { $lte: 10 },
-    'inventory.trackQuantity': true,
+    ...this.lowStockFilter(threshold),
     status: 'active'
   })
   .limit(limit)
   .sort({ 'inventory.quantity': 1 });
 };
 
+// Take stock for a sale with a conditional decrement
+// Only decrements when enough stock is left (unless enforce is false)
+// Returns true when the stock was taken
+productSchema.statics.reserveStock = async function(productId, quantity, variantId = null, options = {}) {
+  const { enforce = true, session } = options;
+  const filter = { _id: productId };
+  const update = { $inc: { 'inventory.quantity': -quantity } };
+  
+  if (variantId) {
+    filter.variants = enforce
+      ? { $elemMatch: { _id: variantId, quantity: { $gte: quantity } } }
+      : { $elemMatch: { _id: variantId } };
+    update.$inc['variants.$.quantity'] = -quantity;
+  } else if (enforce) {
+    filter['inventory.quantity'] = { $gte: quantity };
+  }
+  
+  const result = await this.updateOne(filter, update, { session });
+  return result.modifiedCount > 0;
+};
+
+// Put stock back (cancellations, restocked returns)
+productSchema.statics.restock = function(productId, quantity, variantId = null, options = {}) {
+  if (variantId) {
+    return this.updateOne(
+      { _id: productId, 'variants._id': variantId },
+      { $inc: { 'variants.$.quantity': quantity, 'inventory.quantity': quantity } },
+      { session: options.session }
+    );
+  }
+  
+  return this.updateOne(
+    { _id: productId },
+    { $inc: { 'inventory.quantity': quantity } },
+    { session: options.session }
+  );
+};
+
 // ======================
 // MIDDLEWARE
 // ======================
 
 // Generate slug before saving if not provided
 productSchema.pre('save', async function(next) {
+  // Products with variants keep their total stock on the product
+  this.hasVariants = this.variants.length > 0;
+  if (this.hasVariants && this.isModified('variants')) {
+    this.inventory.quantity = this.variants.reduce((total, variant) => total + (variant.quantity || 0), 0);
+  }
+  
+  // Keep exactly one primary image (the first one unless another is marked)
+  if (this.isModified('images') && this.images.length > 0) {
+    const primary = this.images.find(image => image.isPrimary) || this.images[0];
+    this.images.forEach(image => {
+      image.isPrimary = image === primary;
+    });
+  }
+
   if (this.isModified('name') && (!this.seo.slug || this.seo.slug === '')) {
     await this.generateSlug();
   }
   
+  if (this.isNew || SEARCH_FIELDS.some(field => this.isModified(field))) {
+    this.search = getSearchIndex(this);
+  }
+  
   // Generate SKU if not provided
   if (!this.inventory.sku) {
     const prefix = this.brand.substring(0, 3).toUpperCase();
@@ -538,6 +668,20 @@ productSchema.pre('save', async function(next) {
   next();
 });
 
+// Updates through findOneAndUpdate/findByIdAndUpdate rebuild the search index too
+productSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...update.$set };
+  
+  if (!SEARCH_FIELDS.some(field => changes[field] !== undefined)) return;
+  
+  const current = await this.model.findOne(this.getQuery()).select(SEARCH_FIELDS.join(' ')).lean();
+  if (!current) return;
+  
+  const fields = Object.fromEntries(SEARCH_FIELDS.map(field => [field, changes[field] ?? current[field]]));
+  this.set('search', getSearchIndex(fields));
+});
+
 // ======================
 // JSON SERIALIZATION
 // ======================
@@ -548,7 +692,9 @@ productSchema.set('toJSON', {
     // Remove heavy fields for list views
     delete ret.reviews;
     delete ret.relatedProducts;
-    delete ret.variants;
+    // Storage keys are internal
+    ret.images?.forEach(image => delete image.storageKeys);
+    delete ret.search;
     return ret;
   }
 });
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Hit counter of one rate limit window (Mongo rate limit store)
+const rateLimitSchema = mongoose.Schema(
+  {
+    // '<limiter>:<ip or account>'
+    key: {
+      type: String,
+      required: true
+    },
+
+    count: {
+      type: Number,
+      default: 0
+    },
+
+    // End of the current window
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+rateLimitSchema.index({ key: 1 }, { unique: true });
+// MongoDB removes windows once they end
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,433 @@
+import mongoose from 'mongoose';
+import { assertTransition } from '../utils/orderLifecycle.util.js';
+import createHttpError from '../utils/httpError.util.js';
+import { allocate, roundMoney } from '../utils/money.util.js';
+import { getItemsDiscount } from '../utils/tax.util.js';
+
+/**
+ * Return (RMA) transition table
+ *   requested → approved → shipped → received → refunding → refunded
+ *       ↓           ↓                     ↓
+ *   rejected    cancelled               closed (nothing to refund)
+ * 'refunding' is held while the payment provider processes the refund, so a return
+ * cannot be refunded twice; it goes back to 'received' if the refund fails.
+ */
+export const RETURN_TRANSITIONS = {
+  requested: {
+    approved: ['vendor', 'admin'],
+    rejected: ['vendor', 'admin'],
+    cancelled: ['customer', 'admin']
+  },
+  approved: {
+    shipped: ['customer', 'admin'],
+    received: ['vendor', 'admin'],
+    cancelled: ['customer', 'admin']
+  },
+  shipped: {
+    received: ['vendor', 'admin']
+  },
+  received: {
+    refunding: ['admin'],
+    closed: ['vendor', 'admin']
+  },
+  refunding: {
+    refunded: ['admin'],
+    received: ['admin']
+  },
+  refunded: {},
+  rejected: {},
+  cancelled: {},
+  closed: {}
+};
+
+export const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'no_longer_needed',
+  'other'
+];
+
+// Condition of a returned item found during inspection
+export const RETURN_CONDITIONS = ['resellable', 'damaged', 'missing'];
+
+// Return statuses that no longer hold on to the returned quantities
+const INACTIVE_RETURN_STATUSES = ['rejected', 'cancelled'];
+
+const returnSchema = mongoose.Schema(
+  {
+    // Return Merchandise Authorization number
+    rmaNumber: {
+      type: String,
+      unique: true,
+      required: true
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+
+    orderNumber: String,
+
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // Vendor whose shipment the items came from (reviews the return)
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    items: [{
+      // _id of the line item in order.orderItems
+      orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      variantId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      price: {
+        type: Number,
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Return quantity must be at least 1']
+      },
+      reason: {
+        type: String,
+        required: [true, 'Please add a return reason'],
+        enum: RETURN_REASONS
+      },
+      comment: {
+        type: String,
+        maxLength: [500, 'Comment cannot be more than 500 characters']
+      },
+      photos: [{
+        type: String,
+        trim: true
+      }],
+
+      // Inspection results
+      condition: {
+        type: String,
+        enum: RETURN_CONDITIONS
+      },
+      restockedQuantity: {
+        type: Number,
+        default: 0
+      },
+      refundAmount: {
+        type: Number,
+        default: 0
+      }
+    }],
+
+    status: {
+      type: String,
+      enum: Object.keys(RETURN_TRANSITIONS),
+      default: 'requested'
+    },
+
+    statusHistory: [{
+      status: {
+        type: String,
+        required: true
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      },
+      note: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+
+    customerNote: {
+      type: String,
+      maxLength: 500
+    },
+
+    // Why the return was rejected or closed
+    resolutionNote: {
+      type: String,
+      maxLength: 500
+    },
+
+    // Return Shipping
+    returnShipping: {
+      labelUrl: String,
+      carrier: String,
+      trackingNumber: String,
+      shippedAt: Date,
+      receivedAt: Date
+    },
+
+    // Receipt Inspection
+    inspection: {
+      inspectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      inspectedAt: Date,
+      notes: String
+    },
+
+    // Refund
+    refundAmount: {
+      type: Number,
+      default: 0
+    },
+
+    refundedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+// rmaNumber index is automatically created by unique: true
+returnSchema.index({ customer: 1, createdAt: -1 });
+returnSchema.index({ vendor: 1, status: 1, createdAt: -1 });
+returnSchema.index({ order: 1 });
+returnSchema.index({ status: 1, createdAt: -1 });
+
+// ======================
+// VIRTUAL FIELDS
+// ======================
+
+// Total value of the returned items
+returnSchema.virtual('itemsValue').get(function() {
+  return Math.round(this.items.reduce((total, item) => total + (item.price * item.quantity), 0) * 100) / 100;
+});
+
+// Check if the return is still open
+returnSchema.virtual('isOpen').get(function() {
+  return Object.keys(RETURN_TRANSITIONS[this.status] || {}).length > 0;
+});
+
+// ======================
+// INSTANCE METHODS
+// ======================
+
+// Update return status with history
+// Throws 409 for invalid transitions and 403 when the role may not make them. The stored
+// status is claimed first (409 if another request changed it), so a transition happens once
+returnSchema.methods.updateStatus = async function(newStatus, note = '', updatedBy = null, role = 'system') {
+  assertTransition(this.status, newStatus, role, RETURN_TRANSITIONS, 'return');
+
+  if (!this.isNew) {
+    const claimed = await this.constructor.updateOne(
+      { _id: this._id, status: this.status },
+      { $set: { status: newStatus } }
+    );
+
+    if (claimed.matchedCount === 0) {
+      throw createHttpError('This return was updated by another request, please reload it and try again', 409);
+    }
+  }
+
+  this.status = newStatus;
+  this.statusHistory.push({ status: newStatus, note, updatedBy });
+
+  // Rejected and cancelled returns let the items be returned again
+  if (INACTIVE_RETURN_STATUSES.includes(newStatus)) {
+    await this.constructor.releaseQuantities(this.order, this.items);
+  }
+
+  return await this.save();
+};
+
+// What the customer paid per unit of each order line: the price less the line's share of
+// the item discount (split as in utils/tax.util.js) plus tax charged on top of the price
+const getPaidUnitPrices = (order) => {
+  // Orders without a coupon list only keep the combined discount
+  const itemsDiscount = order.coupons?.length > 0
+    ? getItemsDiscount(order.coupons)
+    : (order.discount?.type === 'free_shipping' ? 0 : order.discount?.amount || 0);
+
+  const amounts = order.orderItems.map(item => item.price * item.quantity);
+  const itemsTotal = amounts.reduce((total, amount) => total + amount, 0);
+  const discounts = allocate(Math.min(itemsDiscount, itemsTotal), amounts);
+
+  return new Map(order.orderItems.map((item, index) => [
+    item._id.toString(),
+    (amounts[index] - discounts[index] + (item.taxAmount || 0) - (item.taxIncluded || 0)) / item.quantity
+  ]));
+};
+
+// Record inspection results and work out the refund (nothing is stored or restocked yet)
+// results: [{ itemId, condition, restockQuantity }]; throws 400 for invalid results
+returnSchema.methods.inspect = async function(results = [], { notes, inspectedBy } = {}) {
+  if (!Array.isArray(results)) {
+    throw createHttpError('Inspection results must be a list of items');
+  }
+
+  const order = await mongoose.model('Order').findById(this.order).select('orderItems coupons discount');
+  const unitPrices = order ? getPaidUnitPrices(order) : new Map();
+
+  for (const item of this.items) {
+    const result = results.find(r => r?.itemId?.toString() === item._id.toString()) || {};
+    const condition = result.condition || 'resellable';
+
+    if (!RETURN_CONDITIONS.includes(condition)) {
+      throw createHttpError(`Condition of ${item.name} must be one of: ${RETURN_CONDITIONS.join(', ')}`);
+    }
+
+    // Resellable items go back on the shelf unless told otherwise
+    const restockQuantity = result.restockQuantity ?? (condition === 'resellable' ? item.quantity : 0);
+
+    if (!Number.isInteger(restockQuantity) || restockQuantity < 0 || restockQuantity > item.quantity) {
+      throw createHttpError(`Restock quantity of ${item.name} must be a whole number from 0 to ${item.quantity}`);
+    }
+
+    item.condition = condition;
+    item.restockedQuantity = restockQuantity;
+
+    // Items that never arrived are not refunded
+    const unitPrice = unitPrices.get(item.orderItem.toString()) ?? item.price;
+    item.refundAmount = condition === 'missing' ? 0 : roundMoney(unitPrice * item.quantity);
+  }
+
+  this.refundAmount = Math.round(this.items.reduce((total, item) => total + item.refundAmount, 0) * 100) / 100;
+  this.returnShipping.receivedAt = new Date();
+  this.inspection = {
+    inspectedBy,
+    inspectedAt: new Date(),
+    notes
+  };
+
+  return this;
+};
+
+// Put the items marked for restocking during inspection back on the shelf
+returnSchema.methods.restockInspectedItems = async function() {
+  const Product = mongoose.model('Product');
+
+  for (const item of this.items) {
+    if (item.restockedQuantity > 0) {
+      await Product.restock(item.product, item.restockedQuantity, item.variantId);
+    }
+  }
+
+  return this;
+};
+
+// ======================
+// STATIC METHODS
+// ======================
+
+// Generate unique RMA number
+returnSchema.statics.generateRmaNumber = function() {
+  const timestamp = Date.now().toString();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `RMA${timestamp.substring(timestamp.length - 6)}${random}`;
+};
+
+/**
+ * Reserve order line quantities for a new return
+ * Each line is only incremented while its returned quantity stays within what was bought,
+ * so parallel requests cannot return the same items twice.
+ * @param {Object} order - Order document
+ * @param {Array} items - [{ orderItem, quantity }]
+ * @returns {Promise<boolean>} false (with nothing reserved) when a line has too few items left
+ */
+returnSchema.statics.reserveQuantities = async function(order, items) {
+  const Order = mongoose.model('Order');
+  const reserved = [];
+
+  for (const item of items) {
+    const orderItem = order.orderItems.id(item.orderItem);
+    const result = await Order.updateOne(
+      {
+        _id: order._id,
+        orderItems: {
+          $elemMatch: { _id: orderItem._id, returnedQuantity: { $lte: orderItem.quantity - item.quantity } }
+        }
+      },
+      { $inc: { 'orderItems.$.returnedQuantity': item.quantity } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await this.releaseQuantities(order._id, reserved);
+      return false;
+    }
+
+    reserved.push(item);
+  }
+
+  return true;
+};
+
+// Give back order line quantities reserved by reserveQuantities
+returnSchema.statics.releaseQuantities = async function(orderId, items) {
+  const Order = mongoose.model('Order');
+
+  for (const item of items) {
+    await Order.updateOne(
+      { _id: orderId, 'orderItems._id': item.orderItem },
+      { $inc: { 'orderItems.$.returnedQuantity': -item.quantity } }
+    );
+  }
+};
+
+// Quantities of each order line item in active returns (used to rebuild returnedQuantity)
+returnSchema.statics.getReturnedQuantities = async function(orderId) {
+  const returns = await this.find({
+    order: orderId,
+    status: { $nin: INACTIVE_RETURN_STATUSES }
+  }).select('items.orderItem items.quantity');
+
+  const quantities = new Map();
+  for (const returnRequest of returns) {
+    for (const item of returnRequest.items) {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+
+  return quantities;
+};
+
+// ======================
+// MIDDLEWARE
+// ======================
+
+// Generate RMA number before validation
+returnSchema.pre('validate', function(next) {
+  if (!this.rmaNumber) {
+    this.rmaNumber = this.constructor.generateRmaNumber();
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, note: 'Return requested', updatedBy: this.customer });
+  }
+  next();
+});
+
+// ======================
+// JSON SERIALIZATION
+// ======================
+
+returnSchema.set('toJSON', { virtuals: true });
+
+const Return = mongoose.model('Return', returnSchema);
+
+export default Return;
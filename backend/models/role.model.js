@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+// Every permission a role can be given; routes check them with requirePermission()
+export const PERMISSIONS = {
+  'products:sell': 'Create products and manage your own products, images, variants and imports',
+  'catalog:edit': 'Edit, feature and remove any vendor\'s products',
+  'categories:manage': 'Create and edit categories and their attributes',
+  'orders:read': 'View all orders, invoices and sales analytics',
+  'orders:update': 'Change the status and tracking of any order or shipment and mark orders paid',
+  'orders:refund': 'Refund orders and returns, and capture payments',
+  'orders:fulfil': 'Ship and track your own shipments of orders',
+  'returns:review': 'Approve, reject, receive and close returns of your own products',
+  'returns:manage': 'View and act on every return',
+  'reviews:moderate': 'View, approve and reject reviews',
+  'users:read': 'View customer accounts',
+  'users:manage': 'Change roles, deactivate, unlock and delete accounts, and clear rate limits',
+  'vendors:review': 'Approve and reject vendor requests',
+  'roles:manage': 'Create and edit roles and their permissions',
+  'coupons:manage': 'Manage coupons',
+  'tax:manage': 'Manage tax rules',
+  'shipping:manage': 'Manage shipping zones and rates',
+  'search:manage': 'Manage search synonyms',
+  'newsletter:read': 'View newsletter subscribers'
+};
+
+// Grants every permission, including ones added later
+export const ALL_PERMISSIONS = '*';
+
+// Roles created on startup (see Role.seedDefaults); they can be edited but not deleted
+export const DEFAULT_ROLES = [
+  {
+    name: 'customer',
+    description: 'Browse, purchase and review',
+    permissions: []
+  },
+  {
+    name: 'vendor',
+    description: 'Sell and fulfil own products',
+    permissions: ['products:sell', 'orders:fulfil', 'returns:review']
+  },
+  {
+    name: 'admin',
+    description: 'Full system access',
+    permissions: [ALL_PERMISSIONS]
+  }
+];
+
+const roleSchema = mongoose.Schema(
+  {
+    // Stored on users as their role (e.g. 'support-agent')
+    name: {
+      type: String,
+      required: [true, 'Please add a role name'],
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name must be 2-30 lowercase letters, digits or dashes, starting with a letter']
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [200, 'Description cannot be more than 200 characters']
+    },
+
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) => permissions.every(permission =>
+          permission === ALL_PERMISSIONS || Object.hasOwn(PERMISSIONS, permission)),
+        message: 'Unknown permission'
+      }
+    },
+
+    // Default roles; they cannot be deleted or renamed
+    isSystem: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+roleSchema.index({ name: 1 }, { unique: true });
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Create the default roles that are missing; existing roles keep their edited permissions
+ * @returns {Promise<number>} Number of roles created
+ */
+roleSchema.statics.seedDefaults = async function() {
+  const result = await this.bulkWrite(DEFAULT_ROLES.map(role => ({
+    updateOne: {
+      filter: { name: role.name },
+      update: { $setOnInsert: { ...role, isSystem: true } },
+      upsert: true
+    }
+  })));
+
+  return result.upsertedCount;
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import { normalizeText } from '../utils/search.util.js';
+
+// A set of interchangeable search terms: searching for any of them finds products named
+// with the others ('tv', 'television'). Terms can be several words ('running shoes').
+const searchSynonymSchema = mongoose.Schema(
+  {
+    terms: {
+      type: [String],
+      validate: {
+        validator: (terms) => terms.length >= 2,
+        message: 'A synonym set needs at least two terms'
+      }
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+searchSynonymSchema.index({ terms: 1 });
+
+// ======================
+// MIDDLEWARE
+// ======================
+
+// Terms are stored the way search queries are normalized, without duplicates
+searchSynonymSchema.pre('validate', function(next) {
+  this.terms = [...new Set(this.terms.map(normalizeText).filter(Boolean))];
+  next();
+});
+
+const SearchSynonym = mongoose.model('SearchSynonym', searchSynonymSchema);
+
+export default SearchSynonym;
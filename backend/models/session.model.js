@@ -0,0 +1,235 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Sessions end after this many days without a refresh (REFRESH_TOKEN_EXPIRE_DAYS)
+const DEFAULT_LIFETIME_DAYS = 30;
+
+// A refresh token replaced this recently is a race between tabs, not a stolen token
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getLifetimeMs = () =>
+  (parseFloat(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_LIFETIME_DAYS) * 24 * 60 * 60 * 1000;
+
+// Short device description from a user agent ('Chrome on Windows')
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+const sessionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // SHA-256 of the current refresh token; the token itself is only sent to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+
+    // Token replaced by the last rotation, to tell reuse from a race
+    previousTokenHash: {
+      type: String,
+      select: false
+    },
+
+    rotatedAt: Date,
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    // Client metadata, updated on every refresh
+    ip: String,
+    userAgent: String,
+    device: String,
+
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    revokedAt: Date,
+
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'password_reset', 'token_reuse']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB removes sessions once they expire (revoked ones are kept until then)
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// VIRTUAL FIELDS
+// ======================
+
+// TTL cleanup runs periodically, so check expiry explicitly as well
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ======================
+// INSTANCE METHODS
+// ======================
+
+/**
+ * Replace the refresh token and extend the session
+ * Only rotates while the stored token is still the one this copy was loaded with, so of two
+ * refreshes with the same token only one wins (the other is like a 'previous' match).
+ * @param {Object} client - { ip, userAgent } of the request
+ * @returns {Promise<string|null>} New refresh token, or null when another refresh rotated it first
+ */
+sessionSchema.methods.rotate = async function(client = {}) {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const update = {
+    previousTokenHash: this.tokenHash,
+    tokenHash: hashToken(secret),
+    rotatedAt: new Date(),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + getLifetimeMs())
+  };
+  if (client.ip) update.ip = client.ip;
+  if (client.userAgent) update.userAgent = client.userAgent;
+
+  const rotated = await this.constructor.updateOne(
+    { _id: this._id, tokenHash: this.tokenHash, revokedAt: null },
+    { $set: update }
+  );
+
+  if (rotated.modifiedCount === 0) return null;
+
+  this.set(update);
+  return `${this._id}.${secret}`;
+};
+
+/**
+ * Compare a refresh token secret with the session (needs +tokenHash +previousTokenHash)
+ * @returns {string} 'current', 'previous' (replaced moments ago) or 'reused'
+ */
+sessionSchema.methods.matchToken = function(secret) {
+  const hash = hashToken(secret);
+  const equals = (stored) => Boolean(stored) &&
+    crypto.timingSafeEqual(Buffer.from(stored), Buffer.from(hash));
+
+  if (equals(this.tokenHash)) return 'current';
+  if (equals(this.previousTokenHash) && Date.now() - this.rotatedAt < ROTATION_GRACE_MS) return 'previous';
+  return 'reused';
+};
+
+sessionSchema.methods.revoke = async function(reason = 'revoked') {
+  if (this.revokedAt) return this;
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// ======================
+// STATIC METHODS
+// ======================
+
+/**
+ * Start a session for a user
+ * @param {string} userId - User id
+ * @param {Object} client - { ip, userAgent } of the request
+ * @returns {Promise<Object>} { session, refreshToken } where the token is `<sessionId>.<secret>`
+ */
+sessionSchema.statics.start = async function(userId, client = {}) {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    ip: client.ip,
+    userAgent: client.userAgent,
+    expiresAt: new Date(Date.now() + getLifetimeMs())
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Find the session a refresh token belongs to
+ * @returns {Promise<Object|null>} { session, secret }, or null for a malformed token or unknown session
+ */
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const [id, secret] = String(refreshToken).split('.');
+  if (!secret || !mongoose.isValidObjectId(id)) return null;
+
+  const session = await this.findById(id).select('+tokenHash +previousTokenHash');
+  return session ? { session, secret } : null;
+};
+
+// Active sessions of a user, most recently used first
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+// Revoke every active session of a user (password reset, account changes)
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// ======================
+// MIDDLEWARE
+// ======================
+
+sessionSchema.pre('save', function(next) {
+  if (this.isModified('userAgent')) {
+    this.device = describeDevice(this.userAgent);
+  }
+  next();
+});
+
+// ======================
+// JSON SERIALIZATION
+// ======================
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.tokenHash;
+    delete ret.previousTokenHash;
+    return ret;
+  }
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import createHttpError from '../utils/httpError.util.js';
+
+// Rate tables are looked up by total weight (kg) or volume (litres) of the shipped items
+export const SHIPPING_RATE_BASES = ['flat', 'weight', 'volume'];
+
+const shippingMethodSchema = new mongoose.Schema({
+  // Stable code the cart refers to (e.g. "standard", "express")
+  code: {
+    type: String,
+    required: [true, 'Please add a method code'],
+    trim: true,
+    lowercase: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Please add a method name'],
+    trim: true
+  },
+
+  description: String,
+
+  carrier: String,
+
+  basis: {
+    type: String,
+    enum: SHIPPING_RATE_BASES,
+    default: 'flat'
+  },
+
+  // Amount for 'flat' methods, added to the rate table amount otherwise
+  baseRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rate cannot be negative']
+  },
+
+  // Brackets sorted by max: the first bracket the cart fits in sets the amount
+  // Carts above the last bracket cannot use this method
+  rates: [{
+    max: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+
+  // Items subtotal from which shipping is free
+  freeShippingThreshold: {
+    type: Number,
+    min: 0
+  },
+
+  // Extra charges for products with a shipping class (Product.shipping.shippingClass)
+  classSurcharges: [{
+    shippingClass: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Charge per unit, or once per order
+    per: {
+      type: String,
+      enum: ['item', 'order'],
+      default: 'item'
+    }
+  }],
+
+  estimatedDays: {
+    min: Number,
+    max: Number
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const shippingZoneSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a zone name'],
+      trim: true,
+      maxLength: [60, 'Zone name cannot be more than 60 characters']
+    },
+
+    // Countries in the zone, matched against the shipping address (case-insensitive)
+    // Empty = every country (rest of the world)
+    countries: [{
+      type: String,
+      trim: true,
+      uppercase: true
+    }],
+
+    // Empty = the whole of each country
+    states: [{
+      type: String,
+      trim: true,
+      uppercase: true
+    }],
+
+    methods: [shippingMethodSchema],
+
+    // Tie-breaker between zones that match an address equally well (higher wins)
+    priority: {
+      type: Number,
+      default: 0
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+shippingZoneSchema.index({ countries: 1, isActive: 1 });
+
+// ======================
+// STATIC METHODS
+// ======================
+
+// Zone for a shipping address
+// A zone listing the state beats a country-wide zone, which beats a rest-of-world zone
+shippingZoneSchema.statics.findForAddress = async function(address) {
+  const country = String(address?.country || '').trim().toUpperCase();
+  const state = String(address?.state || '').trim().toUpperCase();
+
+  if (!country) return null;
+
+  const zones = await this.find({
+    isActive: true,
+    $or: [{ countries: country }, { countries: { $size: 0 } }]
+  });
+
+  const specificity = (zone) => {
+    if (zone.countries.length === 0) return 0;
+    if (zone.states.length === 0) return 1;
+    return zone.states.includes(state) ? 2 : -1;
+  };
+
+  return zones
+    .filter(zone => specificity(zone) >= 0)
+    .sort((a, b) => specificity(b) - specificity(a) || b.priority - a.priority)[0] || null;
+};
+
+// ======================
+// MIDDLEWARE
+// ======================
+
+// Keep rate brackets sorted and method codes unique within a zone
+shippingZoneSchema.pre('validate', function(next) {
+  const codes = new Set();
+
+  for (const method of this.methods) {
+    if (codes.has(method.code)) {
+      return next(createHttpError(`Duplicate shipping method code: ${method.code}`));
+    }
+    codes.add(method.code);
+    method.rates.sort((a, b) => a.max - b.max);
+  }
+
+  next();
+});
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+
+const taxRuleSchema = mongoose.Schema(
+  {
+    // Label shown on carts, orders and invoices (e.g. "VAT", "CA State Tax")
+    name: {
+      type: String,
+      required: [true, 'Please add a tax name'],
+      trim: true,
+      maxLength: [60, 'Tax name cannot be more than 60 characters']
+    },
+
+    // Jurisdiction, matched against the shipping address (case-insensitive)
+    country: {
+      type: String,
+      required: [true, 'Please add a country'],
+      trim: true,
+      uppercase: true
+    },
+
+    // Empty = whole country
+    state: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: ''
+    },
+
+    // Products get their tax class from their category (Category.taxClass);
+    // classes without rules in a jurisdiction use the 'standard' rules
+    taxClass: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'standard'
+    },
+
+    rate: {
+      type: Number,
+      required: [true, 'Please add a tax rate'],
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot be more than 100']
+    },
+
+    // Tax-inclusive pricing: product prices already contain this tax
+    priceIncludesTax: {
+      type: Boolean,
+      default: false
+    },
+
+    rounding: {
+      mode: {
+        type: String,
+        enum: ['half_up', 'half_even', 'up', 'down'],
+        default: 'half_up'
+      },
+      // Round each line, or the total of all lines once
+      level: {
+        type: String,
+        enum: ['line', 'total'],
+        default: 'line'
+      }
+    },
+
+    // Order in which stacked taxes are listed
+    priority: {
+      type: Number,
+      default: 0
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ======================
+// INDEXES for Performance
+// ======================
+taxRuleSchema.index({ country: 1, state: 1, taxClass: 1, isActive: 1 });
+
+// ======================
+// VIRTUAL FIELDS
+// ======================
+
+// Human readable jurisdiction
+taxRuleSchema.virtual('jurisdiction').get(function() {
+  return this.state ? `${this.state}, ${this.country}` : this.country;
+});
+
+// ======================
+// STATIC METHODS
+// ======================
+
+// Active rules for a shipping address, grouped by tax class
+// The most specific jurisdiction wins: state rules replace country rules for the same class.
+// Several rules at the same level are stacked (e.g. federal + provincial).
+taxRuleSchema.statics.findForAddress = async function(address) {
+  const country = String(address?.country || '').trim().toUpperCase();
+  const state = String(address?.state || '').trim().toUpperCase();
+
+  const rulesByClass = new Map();
+  if (!country) return rulesByClass;
+
+  const rules = await this.find({
+    isActive: true,
+    country,
+    state: { $in: state ? ['', state] : [''] }
+  }).sort({ priority: 1, createdAt: 1 });
+
+  for (const rule of rules) {
+    const current = rulesByClass.get(rule.taxClass) || [];
+    const currentIsState = current.some(r => r.state);
+
+    if (rule.state && !currentIsState) {
+      rulesByClass.set(rule.taxClass, [rule]);
+    } else if (Boolean(rule.state) === currentIsState || current.length === 0) {
+      rulesByClass.set(rule.taxClass, [...current, rule]);
+    }
+  }
+
+  return rulesByClass;
+};
+
+taxRuleSchema.set('toJSON', { virtuals: true });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+export default TaxRule;
@@ -1,5 +1,24 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { verifyCode, hashBackupCode } from '../utils/totp.util.js';
+import { getRolePermissions } from '../utils/permissions.util.js';
+import { ALL_PERMISSIONS } from './role.model.js';
+
+// Email verification links are valid for 24 hours
+const EMAIL_VERIFICATION_EXPIRE_MS = 24 * 60 * 60 * 1000;
+
+// Roles with any of these permissions must use two-factor authentication (REQUIRE_2FA_PERMISSIONS,
+// comma-separated; '*:manage' matches every manage permission, '*' any permission; empty for none)
+const DEFAULT_2FA_PERMISSIONS = '*';
+
+// Failed logins allowed within the attempt window before the account is locked (LOGIN_MAX_ATTEMPTS)
+const DEFAULT_MAX_LOGIN_ATTEMPTS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// The first lockout lasts LOGIN_LOCKOUT_MINUTES; each further one doubles it, up to a day
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
 
 const userSchema = mongoose.Schema(
   {
@@ -29,10 +48,18 @@ const userSchema = mongoose.Schema(
       select: false 
     },
     
+    // False for accounts created with a social login until the user sets a password (reset)
+    hasPassword: {
+      type: Boolean,
+      default: true
+    },
+    
     
+    // Name of a Role (customer, vendor, admin or a custom role); its permissions decide access
     role: {
       type: String,
-      enum: ['customer', 'admin', 'vendor'],
+      lowercase: true,
+      trim: true,
       default: 'customer'
     },
     
@@ -45,7 +72,33 @@ const userSchema = mongoose.Schema(
       requestedAt: Date,
       approvedAt: Date,
       rejectedAt: Date,
-      rejectionReason: String
+      rejectionReason: String,
+      // Admin who approved or rejected the request
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // Business details submitted with the request (see utils/vendorRequest.util.js)
+      business: {
+        storeName: String,
+        taxId: String,
+        description: String,
+        payout: {
+          method: {
+            type: String,
+            enum: ['bank_transfer', 'paypal']
+          },
+          accountName: String,
+          bankName: String,
+          // Full account number is only read when paying out; reviewers see the last digits
+          accountNumber: {
+            type: String,
+            select: false
+          },
+          accountNumberLast4: String,
+          paypalEmail: String
+        }
+      }
     },
     
     isEmailVerified: {
@@ -213,7 +266,51 @@ const userSchema = mongoose.Schema(
     resetPasswordExpire: Date,
     emailVerificationToken: String,
     emailVerificationExpire: Date,
+    emailVerificationSentAt: Date,
     
+    // Failed logins and lockouts (cleared by a successful login, a password reset or an admin)
+    loginSecurity: {
+      failedAttempts: {
+        type: Number,
+        default: 0
+      },
+      lastFailedAt: Date,
+      lockUntil: Date,
+      // Lockouts in a row, for the progressive lock duration
+      lockoutCount: {
+        type: Number,
+        default: 0
+      }
+    },
+    
+    // TOTP two-factor authentication (secrets and backup codes are never selected by default)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Base32 secret shared with the authenticator app
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret being enrolled, until the first code confirms it
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 of the unused backup codes
+      backupCodes: {
+        type: [String],
+        select: false
+      },
+      // Last time step accepted, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      enabledAt: Date
+    },
     
     socialProfiles: {
       googleId: String,
@@ -229,6 +326,7 @@ const userSchema = mongoose.Schema(
 // Indexes (email index is automatically created by unique: true)
 userSchema.index({ 'socialProfiles.googleId': 1 });
 userSchema.index({ 'socialProfiles.facebookId': 1 });
+userSchema.index({ 'vendorRequest.status': 1, 'vendorRequest.requestedAt': 1 });
 userSchema.index({ createdAt: -1 }); 
 
 
@@ -259,6 +357,149 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
 };
 
 
+// Issue an email verification token (stored hashed, like reset tokens); the caller saves the user
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpire = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_MS);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+
+// Whether a permission matches a REQUIRE_2FA_PERMISSIONS entry ('users:manage', '*:manage', 'orders:*', '*')
+const matchesPermissionPattern = (permission, pattern) => {
+  if (pattern === '*' || pattern === permission) return true;
+
+  const [resource, action] = pattern.split(':');
+  const [permissionResource, permissionAction] = permission.split(':');
+
+  return (resource === '*' && action === permissionAction) || (action === '*' && resource === permissionResource);
+};
+
+// Whether the user's role has to use two-factor authentication
+// Decided by the permissions the role holds, so custom roles are covered too
+userSchema.methods.requiresTwoFactor = async function() {
+  const patterns = (process.env.REQUIRE_2FA_PERMISSIONS ?? DEFAULT_2FA_PERMISSIONS)
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+
+  if (patterns.length === 0) return false;
+
+  const permissions = await getRolePermissions(this.role);
+  if (permissions.has(ALL_PERMISSIONS)) return true;
+
+  return [...permissions].some(permission => patterns.some(pattern => matchesPermissionPattern(permission, pattern)));
+};
+
+/**
+ * Check a two-factor code: an authenticator code, or else a backup code (used up here)
+ * Needs +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep; a code only works once.
+ * @returns {Promise<string|null>} 'totp', 'backup', or null for a wrong code
+ */
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactor?.enabled || !code) return null;
+
+  // Codes are used up with conditional updates, so parallel requests with the same
+  // code cannot both succeed; the document is kept in step for later saves
+  const step = verifyCode(this.twoFactor.secret, code, this.twoFactor.lastUsedStep ?? -1);
+  if (step !== null) {
+    const { modifiedCount } = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (modifiedCount !== 1) return null;
+
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = hashBackupCode(code);
+  if (this.twoFactor.backupCodes?.includes(hash)) {
+    const { modifiedCount } = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    if (modifiedCount !== 1) return null;
+
+    this.twoFactor.backupCodes = this.twoFactor.backupCodes.filter(stored => stored !== hash);
+    return 'backup';
+  }
+
+  return null;
+};
+
+
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.loginSecurity?.lockUntil && this.loginSecurity.lockUntil > new Date());
+});
+
+/**
+ * Count a failed login (wrong password or two-factor code), locking the account when
+ * there were too many. Updates the database atomically so parallel guesses all count;
+ * the document itself is not changed.
+ * @returns {Promise<Object>} { locked, lockUntil } - locked is true only for the failure that locked it
+ */
+userSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || DEFAULT_MAX_LOGIN_ATTEMPTS;
+  const { lastFailedAt, lockUntil: lastLockUntil } = this.loginSecurity || {};
+
+  // Failures older than the window start a new count
+  const update = lastFailedAt && now - lastFailedAt < FAILED_LOGIN_WINDOW_MS
+    ? { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } }
+    : { $set: { 'loginSecurity.failedAttempts': 1, 'loginSecurity.lastFailedAt': now } };
+
+  // A lockout that ended a day ago no longer makes the next one longer
+  if (lastLockUntil && now - lastLockUntil > MAX_LOCKOUT_MS) {
+    update.$set['loginSecurity.lockoutCount'] = 0;
+  }
+
+  const updated = await this.constructor.findByIdAndUpdate(this._id, update, { new: true })
+    .select('loginSecurity');
+
+  if (!updated || updated.loginSecurity.failedAttempts < maxAttempts) {
+    return { locked: false };
+  }
+
+  const lockoutMs = (parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || DEFAULT_LOCKOUT_MINUTES) * 60 * 1000;
+  const duration = Math.min(lockoutMs * 2 ** updated.loginSecurity.lockoutCount, MAX_LOCKOUT_MS);
+  const lockUntil = new Date(now.getTime() + duration);
+
+  // Only one of several parallel failures locks the account
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'loginSecurity.failedAttempts': { $gte: maxAttempts } },
+    {
+      $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockUntil': lockUntil },
+      $inc: { 'loginSecurity.lockoutCount': 1 }
+    }
+  );
+
+  return { locked: result.modifiedCount === 1, lockUntil };
+};
+
+// Forget failed logins and lift a lockout
+userSchema.methods.clearLoginFailures = async function() {
+  const security = this.loginSecurity;
+  if (!security?.failedAttempts && !security?.lockUntil && !security?.lockoutCount) return;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockoutCount': 0 },
+      $unset: { 'loginSecurity.lastFailedAt': 1, 'loginSecurity.lockUntil': 1 }
+    }
+  );
+  this.loginSecurity = { failedAttempts: 0, lockoutCount: 0 };
+};
+
+
 userSchema.methods.updateLastLogin = async function() {
   this.stats.lastLogin = new Date();
   this.stats.loginCount += 1;
@@ -400,6 +641,15 @@ userSchema.set('toJSON', {
     delete ret.resetPasswordExpire;
     delete ret.emailVerificationToken;
     delete ret.emailVerificationExpire;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.backupCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
+    if (ret.vendorRequest?.business?.payout) {
+      delete ret.vendorRequest.business.payout.accountNumber;
+    }
     return ret;
   }
 });
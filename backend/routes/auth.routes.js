@@ -5,22 +5,135 @@ import {
   getMe,
   updateProfile,
   logoutUser,
+  refreshAccessToken,
+  getSessions,
+  revokeSession,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getOAuthProviders,
+  startOAuth,
+  completeOAuth,
+  unlinkOAuth,
+  verifyEmail,
+  resendVerificationEmail,
   forgotPassword,
   resetPassword
 } from '../controllers/auth.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
+import { optionalAuth } from '../middleware/authUtils.middleware.js';
+import { rateLimit } from '../middleware/rateLimit.middleware.js';
 
 const router = express.Router();
 
+// ==========================================
+// RATE LIMITS
+// ==========================================
+
+// Per IP: at most 20 login attempts every 15 minutes
+const loginIpLimit = rateLimit({
+  name: 'login-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many login attempts, please try again later.'
+});
+
+// Per account: at most 10 failed logins every 15 minutes, from any IP
+// (existing accounts are also locked after LOGIN_MAX_ATTEMPTS failures)
+const loginAccountLimit = rateLimit({
+  name: 'login-account',
+  scope: 'account',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: 'Too many failed logins for this account, please try again later.'
+});
+
+// At most 10 registrations per IP every hour
+const registerLimit = rateLimit({
+  name: 'register-ip',
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many accounts created, please try again later.'
+});
+
+// Password reset emails: 5 per IP and 3 per account every hour
+const forgotPasswordIpLimit = rateLimit({
+  name: 'forgot-password-ip',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests, please try again later.'
+});
+
+const forgotPasswordAccountLimit = rateLimit({
+  name: 'forgot-password-account',
+  scope: 'account',
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  message: 'Too many password reset requests for this account, please try again later.'
+});
+
+// At most 10 reset token attempts per IP every 15 minutes
+const resetPasswordLimit = rateLimit({
+  name: 'reset-password-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many password reset attempts, please try again later.'
+});
+
+// At most 5 verification emails per IP every 15 minutes (on top of the per-user cooldown)
+const verificationEmailLimit = rateLimit({
+  name: 'verification-email-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many verification emails requested, please try again later.'
+});
+
+// At most 10 two-factor codes per IP every 5 minutes
+const twoFactorLimit = rateLimit({
+  name: 'two-factor-ip',
+  windowMs: 5 * 60 * 1000,
+  max: 10,
+  message: 'Too many two-factor attempts, please try again later.'
+});
+
+// At most 20 social logins per IP every 15 minutes
+const oauthLimit = rateLimit({
+  name: 'oauth-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many sign-in attempts, please try again later.'
+});
+
 // Public routes
-router.post('/register', registerUser);
-router.post('/login', loginUser);
-router.post('/forgot-password', forgotPassword);
-router.put('/reset-password/:resetToken', resetPassword);
+router.post('/register', registerLimit, registerUser);
+router.post('/login', loginIpLimit, loginAccountLimit, loginUser);
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', optionalAuth, logoutUser); // Access token or refresh token in the body
+router.post('/forgot-password', forgotPasswordIpLimit, forgotPasswordAccountLimit, forgotPassword);
+router.put('/reset-password/:resetToken', resetPasswordLimit, resetPassword);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/2fa/verify', twoFactorLimit, verifyTwoFactorLogin);
+
+// Social login; signed-in users link accounts through the same flow
+router.get('/oauth/providers', getOAuthProviders);
+router.post('/oauth/:provider/start', oauthLimit, optionalAuth, startOAuth);
+router.post('/oauth/:provider/callback', oauthLimit, optionalAuth, completeOAuth);
+
+// Two-factor enrollment: signed in, or with the challenge token of a login that requires it
+router.post('/2fa/setup', optionalAuth, setupTwoFactor);
+router.post('/2fa/enable', twoFactorLimit, optionalAuth, enableTwoFactor);
 
 // Protected routes (require JWT token)
 router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
-router.post('/logout', protect, logoutUser);
+router.post('/verify-email/resend', protect, verificationEmailLimit, resendVerificationEmail);
+router.post('/2fa/disable', protect, twoFactorLimit, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, twoFactorLimit, regenerateBackupCodes);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+router.delete('/oauth/:provider', protect, unlinkOAuth);
 
 export default router;
\ No newline at end of file
@@ -8,12 +8,15 @@ import {
   applyDiscount,
   removeDiscount,
   setShippingAddress,
+  getShippingOptions,
   setShippingMethod,
   mergeCart,
   getCartSummary,
-  validateCart
+  validateCart,
+  checkout
 } from '../controllers/cart.controller.js';
-import { protect } from '../middleware/auth.middleware.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.middleware.js';
+import { idempotency } from '../middleware/idempotency.middleware.js';
 
 const router = express.Router();
 
@@ -36,11 +39,13 @@ router.delete('/discount', removeDiscount);              // Remove discount
 
 // Shipping
 router.post('/shipping/address', setShippingAddress);    // Set shipping address
-router.post('/shipping/method', setShippingMethod);      // Set shipping method
+router.get('/shipping/options', getShippingOptions);     // Quote shipping methods for the cart
+router.post('/shipping/method', setShippingMethod);      // Set shipping method (from the quotes)
 
 // Cart operations
 router.post('/merge', mergeCart);                        // Merge guest cart with user cart
 router.get('/summary', getCartSummary);                  // Get cart totals summary
 router.get('/validate', validateCart);                   // Validate cart (stock, prices, etc.)
+router.post('/checkout', requireVerifiedEmail('orders'), idempotency(), checkout); // Convert cart into an order (supports Idempotency-Key)
 
 export default router;
@@ -16,9 +16,10 @@ import {
   bulkUpdateStatus,
   updateDisplayOrder,
   addAttribute,
+  getCategoryAttributes,
   removeAttribute
 } from '../controllers/category.controller.js';
-import { protect, authorize } from '../middleware/auth.middleware.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -53,6 +54,9 @@ router.get('/slug/:slug', getCategoryBySlug);
 // Get subcategories of a category
 router.get('/:categoryId/subcategories', getSubcategories);
 
+// Get the attributes of a category, including inherited ones
+router.get('/:id/attributes', getCategoryAttributes);
+
 // Get category by ID
 router.get('/:id', getCategoryById);
 
@@ -61,22 +65,22 @@ router.get('/:id', getCategoryById);
 // ==========================================
 
 // Create category
-router.post('/', protect, authorize('admin'), createCategory);
+router.post('/', protect, requirePermission('categories:manage'), createCategory);
 
 // Update category
-router.put('/:id', protect, authorize('admin'), updateCategory);
+router.put('/:id', protect, requirePermission('categories:manage'), updateCategory);
 
 // Delete category
-router.delete('/:id', protect, authorize('admin'), deleteCategory);
+router.delete('/:id', protect, requirePermission('categories:manage'), deleteCategory);
 
 // Bulk update category status
-router.put('/bulk/status', protect, authorize('admin'), bulkUpdateStatus);
+router.put('/bulk/status', protect, requirePermission('categories:manage'), bulkUpdateStatus);
 
 // Update display order
-router.put('/bulk/order', protect, authorize('admin'), updateDisplayOrder);
+router.put('/bulk/order', protect, requirePermission('categories:manage'), updateDisplayOrder);
 
 // Manage category attributes
-router.post('/:id/attributes', protect, authorize('admin'), addAttribute);
-router.delete('/:id/attributes/:attributeName', protect, authorize('admin'), removeAttribute);
+router.post('/:id/attributes', protect, requirePermission('categories:manage'), addAttribute);
+router.delete('/:id/attributes/:attributeName', protect, requirePermission('categories:manage'), removeAttribute);
 
 export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  createCoupon,
+  getCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+} from '../controllers/coupon.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// ==========================================
+// ADMIN ROUTES
+// ==========================================
+
+// All coupon management routes are admin only
+router.use(protect, requirePermission('coupons:manage'));
+
+router.route('/')
+  .get(getCoupons)     // List coupons
+  .post(createCoupon); // Create coupon
+
+router.route('/:id')
+  .get(getCouponById)    // Get coupon details
+  .put(updateCoupon)     // Update coupon
+  .delete(deleteCoupon); // Delete (or deactivate) coupon
+
+export default router;
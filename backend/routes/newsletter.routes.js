@@ -4,7 +4,7 @@ import {
   unsubscribeNewsletter,
   getNewsletterSubscribers
 } from '../controllers/newsletter.controller.js';
-import { protect, authorize } from '../middleware/auth.middleware.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -13,6 +13,6 @@ router.post('/subscribe', subscribeNewsletter);
 router.post('/unsubscribe', unsubscribeNewsletter);
 
 // Admin routes
-router.get('/subscribers', protect, authorize('admin'), getNewsletterSubscribers);
+router.get('/subscribers', protect, requirePermission('newsletter:read'), getNewsletterSubscribers);
 
 export default router;
@@ -3,9 +3,13 @@ import {
   createOrder,
   getMyOrders,
   getOrderById,
+  getOrderInvoice,
+  getOrderPackingSlip,
   updateOrderToPaid,
   updateOrderStatus,
   addTracking,
+  updateShipmentStatus,
+  addShipmentTracking,
   cancelOrder,
   getOrders,
   getSalesStats,
@@ -15,7 +19,8 @@ import {
   processRefund,
   getOrderAnalytics
 } from '../controllers/order.controller.js';
-import { protect, authorize } from '../middleware/auth.middleware.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middleware/auth.middleware.js';
+import { idempotency } from '../middleware/idempotency.middleware.js';
 
 const router = express.Router();
 
@@ -23,8 +28,8 @@ const router = express.Router();
 // CUSTOMER ROUTES
 // ==========================================
 
-// Create new order
-router.post('/', protect, createOrder);
+// Create new order (supports Idempotency-Key header)
+router.post('/', protect, requireVerifiedEmail('orders'), idempotency(), createOrder);
 
 // Get my orders
 router.get('/my-orders', protect, getMyOrders);
@@ -32,45 +37,58 @@ router.get('/my-orders', protect, getMyOrders);
 // Get order by ID (customer can only see their own)
 router.get('/:id', protect, getOrderById);
 
+// Get invoice / packing slip (PDF, or HTML with ?format=html)
+// Vendors get their own shipment only
+router.get('/:id/invoice', protect, getOrderInvoice);
+router.get('/:id/packing-slip', protect, getOrderPackingSlip);
+
 // Get order by order number
 router.get('/number/:orderNumber', protect, getOrderByNumber);
 
 // Cancel order (customer can cancel their own pending orders)
 router.put('/:id/cancel', protect, cancelOrder);
 
-// Update order to paid (for manual payment confirmation)
-router.put('/:id/pay', protect, updateOrderToPaid);
 
 // ==========================================
 // VENDOR ROUTES
 // ==========================================
 
-// Get vendor orders (products from this vendor)
-router.get('/vendor/orders', protect, authorize('vendor', 'admin'), getVendorOrders);
+// Get vendor sub-orders (this vendor's shipment of each order)
+router.get('/vendor/orders', protect, requirePermission('orders:fulfil', 'orders:update'), getVendorOrders);
 
-// Update order status (vendor can update orders containing their products)
-router.put('/:id/status', protect, authorize('vendor', 'admin'), updateOrderStatus);
+// Update shipment status (vendors can only update their own shipment)
+router.put('/:id/shipments/:vendorId/status', protect, requirePermission('orders:fulfil', 'orders:update'), updateShipmentStatus);
 
-// Add tracking information
-router.put('/:id/tracking', protect, authorize('vendor', 'admin'), addTracking);
+// Add shipment tracking information
+router.put('/:id/shipments/:vendorId/tracking', protect, requirePermission('orders:fulfil', 'orders:update'), addShipmentTracking);
 
 // ==========================================
 // ADMIN ROUTES
 // ==========================================
 
 // Get all orders (admin can see all orders)
-router.get('/', protect, authorize('admin'), getOrders);
+router.get('/', protect, requirePermission('orders:read'), getOrders);
 
 // Get recent orders
-router.get('/admin/recent', protect, authorize('admin'), getRecentOrders);
+router.get('/admin/recent', protect, requirePermission('orders:read'), getRecentOrders);
 
 // Get sales statistics
-router.get('/admin/sales-stats', protect, authorize('admin'), getSalesStats);
+router.get('/admin/sales-stats', protect, requirePermission('orders:read'), getSalesStats);
 
 // Get order analytics
-router.get('/admin/analytics', protect, authorize('admin'), getOrderAnalytics);
+router.get('/admin/analytics', protect, requirePermission('orders:read'), getOrderAnalytics);
+
+// Record an offline payment (cash on delivery, bank transfer; supports Idempotency-Key header)
+// Card and PayPal payments go through /api/payments
+router.put('/:id/pay', protect, requirePermission('orders:update'), idempotency(), updateOrderToPaid);
+
+// Update whole order status (cascades to vendor shipments)
+router.put('/:id/status', protect, requirePermission('orders:update'), updateOrderStatus);
+
+// Add tracking information for the whole order
+router.put('/:id/tracking', protect, requirePermission('orders:update'), addTracking);
 
 // Process refund
-router.post('/:id/refund', protect, authorize('admin'), processRefund);
+router.post('/:id/refund', protect, requirePermission('orders:refund'), processRefund);
 
 export default router;
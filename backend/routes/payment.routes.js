@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  createPaymentIntent,
+  confirmPayment,
+  capturePayment,
+  getPaymentById,
+  getOrderPayments,
+  handlePaymentWebhook
+} from '../controllers/payment.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+import { idempotency } from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// ==========================================
+// PUBLIC ROUTES
+// ==========================================
+
+// Provider callbacks (verified by signature, not by token)
+router.post('/webhooks/:provider', handlePaymentWebhook);
+
+// ==========================================
+// CUSTOMER ROUTES
+// ==========================================
+
+// Create or reuse a payment intent for an order (supports Idempotency-Key header)
+router.post('/orders/:orderId/intent', protect, idempotency(), createPaymentIntent);
+
+// Get payments for an order
+router.get('/orders/:orderId', protect, getOrderPayments);
+
+// Confirm a payment with payment details (supports Idempotency-Key header)
+router.post('/:id/confirm', protect, idempotency(), confirmPayment);
+
+// Get payment by ID
+router.get('/:id', protect, getPaymentById);
+
+// ==========================================
+// ADMIN ROUTES
+// ==========================================
+
+// Capture an authorized payment
+router.post('/:id/capture', protect, requirePermission('orders:refund'), capturePayment);
+
+export default router;
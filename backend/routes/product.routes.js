@@ -13,12 +13,31 @@ import {
   searchProducts,
   getRelatedProducts,
   getLowStockProducts,
-  bulkUpdateStatus
+  bulkUpdateStatus,
+  previewVariants,
+  generateProductVariants,
+  bulkUpdateVariants,
+  uploadProductImages,
+  setPrimaryImage,
+  deleteProductImage
 } from '../controllers/product.controller.js';
-import { protect, authorize } from '../middleware/auth.middleware.js';
+import {
+  importProducts,
+  getImportJobs,
+  getImportJob,
+  exportProducts
+} from '../controllers/productImport.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+import { uploadImages, uploadSpreadsheet } from '../middleware/upload.middleware.js';
 
 const router = express.Router();
 
+// Import/export routes come before /:id, which would otherwise match them
+router.post('/import', protect, requirePermission('products:sell', 'catalog:edit'), uploadSpreadsheet(), importProducts);
+router.get('/import', protect, requirePermission('products:sell', 'catalog:edit'), getImportJobs);
+router.get('/import/:jobId', protect, requirePermission('products:sell', 'catalog:edit'), getImportJob);
+router.get('/export', protect, requirePermission('products:sell', 'catalog:edit'), exportProducts);
+
 // Public routes
 router.get('/', getProducts);
 router.get('/featured', getFeaturedProducts);
@@ -31,15 +50,21 @@ router.get('/:id/related', getRelatedProducts);
 router.use(protect);
 
 // Vendor routes
-router.get('/vendor/my-products', authorize('vendor', 'admin'), getVendorProducts);
-router.get('/vendor/low-stock', authorize('vendor', 'admin'), getLowStockProducts);
-router.post('/', authorize('vendor', 'admin'), createProduct);
-router.put('/:id', authorize('vendor', 'admin'), updateProduct);
-router.delete('/:id', authorize('vendor', 'admin'), deleteProduct);
-router.put('/:id/inventory', authorize('vendor', 'admin'), updateInventory);
-router.put('/bulk/status', authorize('vendor', 'admin'), bulkUpdateStatus);
+router.get('/vendor/my-products', requirePermission('products:sell', 'catalog:edit'), getVendorProducts);
+router.get('/vendor/low-stock', requirePermission('products:sell', 'catalog:edit'), getLowStockProducts);
+router.post('/', requirePermission('products:sell', 'catalog:edit'), uploadImages(), createProduct);
+router.put('/:id', requirePermission('products:sell', 'catalog:edit'), updateProduct);
+router.delete('/:id', requirePermission('products:sell', 'catalog:edit'), deleteProduct);
+router.put('/:id/inventory', requirePermission('products:sell', 'catalog:edit'), updateInventory);
+router.put('/bulk/status', requirePermission('products:sell', 'catalog:edit'), bulkUpdateStatus);
+router.post('/variants/generate', requirePermission('products:sell', 'catalog:edit'), previewVariants);
+router.post('/:id/variants/generate', requirePermission('products:sell', 'catalog:edit'), generateProductVariants);
+router.put('/:id/variants/bulk', requirePermission('products:sell', 'catalog:edit'), bulkUpdateVariants);
+router.post('/:id/images', requirePermission('products:sell', 'catalog:edit'), uploadImages(), uploadProductImages);
+router.put('/:id/images/:imageId/primary', requirePermission('products:sell', 'catalog:edit'), setPrimaryImage);
+router.delete('/:id/images/:imageId', requirePermission('products:sell', 'catalog:edit'), deleteProductImage);
 
 // Admin only routes
-router.put('/:id/featured', authorize('admin'), toggleFeatured);
+router.put('/:id/featured', requirePermission('catalog:edit'), toggleFeatured);
 
 export default router;
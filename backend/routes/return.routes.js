@@ -0,0 +1,74 @@
+import express from 'express';
+import {
+  createReturn,
+  getMyReturns,
+  getVendorReturns,
+  getReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  shipReturn,
+  receiveReturn,
+  refundReturn,
+  closeReturn,
+  cancelReturn
+} from '../controllers/return.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+import { idempotency } from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// All return routes require authentication
+router.use(protect);
+
+// ==========================================
+// CUSTOMER ROUTES
+// ==========================================
+
+// Request a return for delivered items
+router.post('/', createReturn);
+
+// Get my returns
+router.get('/my-returns', getMyReturns);
+
+// Add return shipment tracking
+router.put('/:id/ship', shipReturn);
+
+// Cancel a return request
+router.put('/:id/cancel', cancelReturn);
+
+// ==========================================
+// VENDOR ROUTES
+// ==========================================
+
+// Get returns for my products
+router.get('/vendor', requirePermission('returns:review', 'returns:manage'), getVendorReturns);
+
+// Approve / reject a return request
+router.put('/:id/approve', requirePermission('returns:review', 'returns:manage'), approveReturn);
+router.put('/:id/reject', requirePermission('returns:review', 'returns:manage'), rejectReturn);
+
+// Receive and inspect returned items (restocks resellable items)
+router.put('/:id/receive', requirePermission('returns:review', 'returns:manage'), receiveReturn);
+
+// Close a return without refund
+router.put('/:id/close', requirePermission('returns:review', 'returns:manage'), closeReturn);
+
+// ==========================================
+// ADMIN ROUTES
+// ==========================================
+
+// Get all returns
+router.get('/', requirePermission('returns:manage'), getReturns);
+
+// Refund a received return (supports Idempotency-Key header)
+router.put('/:id/refund', requirePermission('orders:refund'), idempotency(), refundReturn);
+
+// ==========================================
+// SHARED ROUTES
+// ==========================================
+
+// Get return by ID (customer, vendor or admin involved in the return)
+router.get('/:id', getReturnById);
+
+export default router;
@@ -15,7 +15,7 @@ import {
   getReviewStats,
   getFeaturedReviews
 } from '../controllers/review.controller.js';
-import { protect, authorize } from '../middleware/auth.middleware.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -60,15 +60,15 @@ router.post('/:id/report', protect, reportReview);
 // ==========================================
 
 // Get all reviews (admin)
-router.get('/', protect, authorize('admin'), getAllReviews);
+router.get('/', protect, requirePermission('reviews:moderate'), getAllReviews);
 
 // Get review statistics
-router.get('/stats/all', protect, authorize('admin'), getReviewStats);
+router.get('/stats/all', protect, requirePermission('reviews:moderate'), getReviewStats);
 
 // Update review status (approve/reject)
-router.put('/:id/status', protect, authorize('admin'), updateReviewStatus);
+router.put('/:id/status', protect, requirePermission('reviews:moderate'), updateReviewStatus);
 
 // Bulk update review status
-router.put('/bulk/status', protect, authorize('admin'), bulkUpdateReviewStatus);
+router.put('/bulk/status', protect, requirePermission('reviews:moderate'), bulkUpdateReviewStatus);
 
 export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/role.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// ==========================================
+// ADMIN ROUTES
+// ==========================================
+
+// All role routes need the roles:manage permission
+router.use(protect, requirePermission('roles:manage'));
+
+// Permission catalog
+router.get('/permissions', getPermissions);
+
+router.route('/')
+  .get(getRoles)       // List roles (with user counts)
+  .post(createRole);   // Create a custom role
+
+router.route('/:id')
+  .put(updateRole)     // Update description / permissions
+  .delete(deleteRole); // Delete a custom role without users
+
+export default router;
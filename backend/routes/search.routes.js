@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  suggest,
+  createSynonym,
+  getSynonyms,
+  updateSynonym,
+  deleteSynonym
+} from '../controllers/search.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// ==========================================
+// PUBLIC ROUTES
+// ==========================================
+
+// Search box suggestions
+router.get('/suggest', suggest);
+
+// ==========================================
+// ADMIN ROUTES
+// ==========================================
+
+router.route('/synonyms')
+  .get(protect, requirePermission('search:manage'), getSynonyms)     // List synonym sets
+  .post(protect, requirePermission('search:manage'), createSynonym); // Create synonym set
+
+router.route('/synonyms/:id')
+  .put(protect, requirePermission('search:manage'), updateSynonym)     // Update synonym set
+  .delete(protect, requirePermission('search:manage'), deleteSynonym); // Delete synonym set
+
+export default router;
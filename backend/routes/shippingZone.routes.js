@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  createShippingZone,
+  getShippingZones,
+  getShippingZoneById,
+  updateShippingZone,
+  deleteShippingZone
+} from '../controllers/shippingZone.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// ==========================================
+// ADMIN ROUTES
+// ==========================================
+
+// All shipping zone management routes are admin only
+router.use(protect, requirePermission('shipping:manage'));
+
+router.route('/')
+  .get(getShippingZones)     // List shipping zones
+  .post(createShippingZone); // Create shipping zone
+
+router.route('/:id')
+  .get(getShippingZoneById)    // Get shipping zone details
+  .put(updateShippingZone)     // Update shipping zone
+  .delete(deleteShippingZone); // Delete shipping zone
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  createTaxRule,
+  getTaxRules,
+  getTaxRuleById,
+  updateTaxRule,
+  deleteTaxRule
+} from '../controllers/taxRule.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// ==========================================
+// ADMIN ROUTES
+// ==========================================
+
+// All tax rule management routes are admin only
+router.use(protect, requirePermission('tax:manage'));
+
+router.route('/')
+  .get(getTaxRules)     // List tax rules
+  .post(createTaxRule); // Create tax rule
+
+router.route('/:id')
+  .get(getTaxRuleById)   // Get tax rule details
+  .put(updateTaxRule)    // Update tax rule
+  .delete(deleteTaxRule); // Delete tax rule
+
+export default router;
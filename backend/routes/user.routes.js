@@ -16,10 +16,12 @@ import {
   getUserById,
   updateUserRole,
   toggleUserActive,
+  unlockUser,
+  clearRateLimits,
   deleteUser,
   getUserDashboardStats
 } from '../controllers/user.controller.js';
-import { protect, authorize } from '../middleware/auth.middleware.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -55,10 +57,12 @@ router.get('/dashboard/stats', protect, getUserDashboardStats);
 // ==========================================
 
 // User management (Admin only)
-router.get('/', protect, authorize('admin'), getUsers);
-router.get('/:id', protect, authorize('admin'), getUserById);
-router.put('/:id/role', protect, authorize('admin'), updateUserRole);
-router.put('/:id/active', protect, authorize('admin'), toggleUserActive);
-router.delete('/:id', protect, authorize('admin'), deleteUser);
+router.get('/', protect, requirePermission('users:read'), getUsers);
+router.post('/rate-limits/reset', protect, requirePermission('users:manage'), clearRateLimits);
+router.get('/:id', protect, requirePermission('users:read'), getUserById);
+router.put('/:id/role', protect, requirePermission('users:manage'), updateUserRole);
+router.put('/:id/active', protect, requirePermission('users:manage'), toggleUserActive);
+router.put('/:id/unlock', protect, requirePermission('users:manage'), unlockUser);
+router.delete('/:id', protect, requirePermission('users:manage'), deleteUser);
 
 export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getMyVendorRequest,
+  submitVendorRequest,
+  getVendorRequests,
+  approveVendorRequest,
+  rejectVendorRequest
+} from '../controllers/vendorRequest.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All vendor request routes require authentication
+router.use(protect);
+
+// ==========================================
+// APPLICANT ROUTES
+// ==========================================
+
+// View my request / submit or update it with business details
+router.get('/my-request', getMyVendorRequest);
+router.put('/my-request', submitVendorRequest);
+
+// ==========================================
+// ADMIN ROUTES
+// ==========================================
+
+// Review queue (?status=pending|approved|rejected, default pending)
+router.get('/', requirePermission('vendors:review'), getVendorRequests);
+
+// Approve (grants the vendor role) / reject with a rejectionReason
+router.put('/:userId/approve', requirePermission('vendors:review'), approveVendorRequest);
+router.put('/:userId/reject', requirePermission('vendors:review'), rejectVendorRequest);
+
+export default router;
@@ -0,0 +1,56 @@
+/**
+ * Rebuild the product search index (Product.search)
+ *
+ * Products keep their index up to date when saved; run this once for products created before
+ * the index existed, or after changing how it is built (utils/search.util.js).
+ *
+ * Usage: npm run search:reindex
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import { getSearchIndex } from '../utils/search.util.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log('🔄 Rebuilding the product search index');
+
+  const cursor = Product.find().select('name brand tags').lean().cursor();
+  let operations = [];
+  let total = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Product.collection.bulkWrite(operations);
+    total += operations.length;
+    operations = [];
+    console.log(`  ${total} products`);
+  };
+
+  for await (const product of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { search: getSearchIndex(product) } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log('✅ Done');
+};
+
+run()
+  .catch(error => {
+    console.error(`❌ Reindex failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
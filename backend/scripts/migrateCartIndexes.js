@@ -0,0 +1,49 @@
+/**
+ * Update the cart indexes for keeping checked-out carts
+ *
+ * Carts used to have a unique index on user (user_1), which allowed one cart per user ever.
+ * Carts are now kept after checkout as history, with one active cart per user enforced by
+ * the partial index user_active_cart. MongoDB keeps the old index until it is dropped, and
+ * while it exists the first cart a user starts after a checkout fails with a duplicate key error.
+ * This script drops user_1 and creates the indexes the schema defines.
+ *
+ * Usage: npm run migrate:carts [-- --dry-run]
+ * Safe to run more than once.
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Cart from '../models/cart.model.js';
+
+dotenv.config();
+
+const LEGACY_INDEX = 'user_1';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`🔄 Migrating cart indexes${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  // Listing fails when the collection does not exist yet
+  const indexes = await Cart.collection.indexes().catch(() => []);
+
+  if (indexes.some(index => index.name === LEGACY_INDEX)) {
+    if (!dryRun) await Cart.collection.dropIndex(LEGACY_INDEX);
+    console.log(`  - ${LEGACY_INDEX}`);
+  }
+
+  if (!dryRun) {
+    // Only creates missing indexes; syncIndexes would also drop indexes added by hand
+    await Cart.createIndexes();
+  }
+  console.log('  + indexes from the cart schema');
+
+  console.log('✅ Done');
+};
+
+run()
+  .catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,107 @@
+/**
+ * Bring orders created before returns and itemised refunds up to date
+ *
+ * This script:
+ *   1. works out each order line's quantity in active return requests (returnedQuantity),
+ *      which new returns reserve atomically, from the existing returns
+ *   2. moves the single refund amount orders used to keep (refundAmount) into the list of
+ *      refunds and the running total (refunds, refundedTotal), so those orders are not
+ *      shown as unrefunded and refunded again
+ *
+ * Usage: npm run migrate:orders [-- --dry-run]
+ * Safe to run more than once; orders that were already migrated are left alone.
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import Return from '../models/return.model.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateReturnedQuantities = async () => {
+  // Read the raw documents: the schema fills in returnedQuantity with its default
+  const orders = await Order.collection
+    .find({ 'orderItems.returnedQuantity': { $exists: false } })
+    .project({ orderItems: 1 })
+    .toArray();
+
+  const operations = [];
+  let withReturns = 0;
+
+  for (const order of orders) {
+    const returned = await Return.getReturnedQuantities(order._id);
+    if (returned.size > 0) withReturns++;
+
+    const $set = {};
+    order.orderItems.forEach((item, index) => {
+      $set[`orderItems.${index}.returnedQuantity`] = returned.get(item._id.toString()) || 0;
+    });
+
+    operations.push({ updateOne: { filter: { _id: order._id }, update: { $set } } });
+  }
+
+  if (!dryRun && operations.length > 0) {
+    await Order.collection.bulkWrite(operations);
+  }
+
+  console.log(`  ${operations.length} orders (${withReturns} with returns)`);
+};
+
+const migrateRefunds = async () => {
+  const orders = await Order.collection
+    .find({ refundAmount: { $gt: 0 }, 'refunds.0': { $exists: false } })
+    .project({ refundAmount: 1, refundedAt: 1, updatedAt: 1, totalPrice: 1, cancellationNote: 1 })
+    .toArray();
+
+  const operations = orders.map(order => {
+    const refundedTotal = Math.round(order.refundAmount * 100) / 100;
+
+    return {
+      updateOne: {
+        filter: { _id: order._id },
+        update: {
+          $set: {
+            refundedTotal,
+            refunds: [{
+              _id: new mongoose.Types.ObjectId(),
+              amount: refundedTotal,
+              reason: order.cancellationNote || 'Refund recorded before itemised refunds',
+              createdAt: order.refundedAt || order.updatedAt
+            }],
+            refundedAt: order.refundedAt || order.updatedAt,
+            paymentStatus: refundedTotal >= order.totalPrice ? 'refunded' : 'partially_refunded'
+          },
+          $unset: { refundAmount: '' }
+        }
+      }
+    };
+  });
+
+  if (!dryRun && operations.length > 0) {
+    await Order.collection.bulkWrite(operations);
+  }
+
+  console.log(`  ${operations.length} orders`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`🔄 Migrating orders${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  console.log('Returned quantities:');
+  await migrateReturnedQuantities();
+
+  console.log('Refunds:');
+  await migrateRefunds();
+
+  console.log('✅ Done');
+};
+
+run()
+  .catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,181 @@
+/**
+ * Migrate product categories from the old fixed list to Category documents
+ *
+ * Products used to store their category as one of a fixed set of slugs ('electronics',
+ * 'clothing', ...) with an optional free-text subcategory. This script:
+ *   1. seeds a root category for each old slug that has no category yet
+ *   2. points every product at its category, or at a subcategory below it whose name or
+ *      slug matches the product's old subcategory text
+ *   3. turns coupon category scopes (slugs) into category ids
+ *
+ * Usage: npm run migrate:categories [-- --dry-run]
+ * Safe to run more than once; documents that were already migrated are left alone.
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Category from '../models/category.model.js';
+import Product from '../models/product.model.js';
+import Coupon from '../models/coupon.model.js';
+import User from '../models/user.model.js';
+
+dotenv.config();
+
+// Old Product.category values and the names of their seeded categories
+const LEGACY_CATEGORIES = {
+  'electronics': 'Electronics',
+  'clothing': 'Clothing',
+  'books': 'Books',
+  'home-garden': 'Home & Garden',
+  'sports-outdoors': 'Sports & Outdoors',
+  'beauty-health': 'Beauty & Health',
+  'toys-games': 'Toys & Games',
+  'automotive': 'Automotive',
+  'food-grocery': 'Food & Grocery',
+  'jewelry-accessories': 'Jewelry & Accessories',
+  'other': 'Other'
+};
+
+const FALLBACK_SLUG = 'other';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find or create the category for each old slug
+ * @returns {Promise<Map>} Category by old slug
+ */
+const seedCategories = async () => {
+  const seeded = new Map();
+  let createdBy = null;
+
+  for (const [slug, name] of Object.entries(LEGACY_CATEGORIES)) {
+    let category = await Category.findOne({ $or: [{ slug }, { name }] });
+
+    if (!category) {
+      if (!createdBy) {
+        const admin = await User.findOne({ role: 'admin' }).sort({ createdAt: 1 });
+        if (!admin) {
+          throw new Error('An admin user is needed to own the seeded categories');
+        }
+        createdBy = admin._id;
+      }
+
+      category = new Category({ name, slug, createdBy });
+      if (!dryRun) await category.save();
+      console.log(`  + ${name} (${slug})`);
+    }
+
+    seeded.set(slug, category);
+  }
+
+  return seeded;
+};
+
+/**
+ * Category for an old product: its subcategory under the seeded category when one matches
+ */
+const findProductCategory = async (root, subcategory) => {
+  if (!subcategory || root.isNew) return root;
+
+  const text = subcategory.trim();
+  const match = await Category.findOne({
+    ancestors: root._id,
+    $or: [
+      { name: new RegExp(`^${escapeRegex(text)}$`, 'i') },
+      { slug: text.toLowerCase().replace(/\s+/g, '-') }
+    ]
+  });
+
+  return match || root;
+};
+
+const migrateProducts = async (seeded) => {
+  // Read the raw documents: the schema now casts category to an ObjectId
+  const products = await Product.collection
+    .find({ category: { $type: 'string' } })
+    .project({ category: 1, subcategory: 1 })
+    .toArray();
+
+  const operations = [];
+  const unknown = new Set();
+
+  for (const product of products) {
+    let root = seeded.get(product.category);
+    if (!root) {
+      unknown.add(product.category);
+      root = seeded.get(FALLBACK_SLUG);
+    }
+
+    const category = await findProductCategory(root, product.subcategory);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { category: category._id }, $unset: { subcategory: '' } }
+      }
+    });
+  }
+
+  if (!dryRun && operations.length > 0) {
+    await Product.collection.bulkWrite(operations);
+  }
+
+  console.log(`  ${operations.length} products`);
+  if (unknown.size > 0) {
+    console.log(`  ⚠️  Unknown categories moved to '${FALLBACK_SLUG}': ${[...unknown].join(', ')}`);
+  }
+};
+
+const migrateCoupons = async () => {
+  const coupons = await Coupon.collection
+    .find({ 'scope.categories': { $elemMatch: { $type: 'string' } } })
+    .project({ code: 1, 'scope.categories': 1 })
+    .toArray();
+
+  for (const coupon of coupons) {
+    const slugs = coupon.scope.categories.filter(value => typeof value === 'string');
+    const categories = await Category.find({ slug: { $in: slugs.map(slug => slug.toLowerCase()) } }).select('slug');
+    const idsBySlug = new Map(categories.map(category => [category.slug, category._id]));
+
+    const ids = coupon.scope.categories.map(value =>
+      typeof value === 'string' ? idsBySlug.get(value.toLowerCase()) : value
+    );
+    const missing = slugs.filter(slug => !idsBySlug.has(slug.toLowerCase()));
+
+    const update = { $set: { 'scope.categories': ids.filter(Boolean) } };
+
+    // Dropping a category could leave the coupon with no scope, i.e. valid for the whole cart
+    if (missing.length > 0) {
+      update.$set.isActive = false;
+      console.log(`  ⚠️  ${coupon.code}: unknown categories ${missing.join(', ')}; coupon deactivated for review`);
+    }
+
+    if (!dryRun) await Coupon.collection.updateOne({ _id: coupon._id }, update);
+  }
+
+  console.log(`  ${coupons.length} coupons`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`🔄 Migrating product categories${dryRun ? ' (dry run, nothing is written)' : ''}`);
+
+  console.log('Categories:');
+  const seeded = await seedCategories();
+
+  console.log('Products:');
+  await migrateProducts(seeded);
+
+  console.log('Coupons:');
+  await migrateCoupons();
+
+  console.log('✅ Done');
+};
+
+run()
+  .catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
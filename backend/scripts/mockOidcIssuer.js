@@ -0,0 +1,180 @@
+/**
+ * Local mock OpenID Connect issuer
+ *
+ * Implements discovery, authorization (code flow with PKCE), token, userinfo and JWKS
+ * endpoints, so social login can be tried without provider accounts. Any client id and
+ * secret are accepted; the sign-in page asks for the email and name to sign in as
+ * (or pass ?email=...&name=... on the authorization URL to skip it).
+ *
+ * Usage: npm run oidc:mock
+ * Then point a provider at it, e.g.:
+ *   OIDC_GOOGLE_ISSUER=http://localhost:9400
+ *   OIDC_GOOGLE_CLIENT_ID=globalstock-local
+ */
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PORT = 9400;
+const CODE_LIFETIME_MS = 60 * 1000;
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+/**
+ * Create the mock issuer app
+ * @param {Object} options - { issuer } - public URL of the issuer
+ * @returns {Object} Express app
+ */
+export const createMockOidcIssuer = ({ issuer = `http://localhost:${DEFAULT_PORT}` } = {}) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  // Stable subject per email, like a real provider account id
+  const subjectFor = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: ['openid', 'email', 'profile']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [jwk] });
+  });
+
+  const authorize = (req, res) => {
+    const params = { ...req.query, ...req.body };
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce } = params;
+
+    if (params.response_type !== 'code' || !clientId || !redirectUri) {
+      return res.status(400).send('response_type=code, client_id and redirect_uri are required');
+    }
+    if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+      return res.status(400).send('PKCE with code_challenge_method=S256 is required');
+    }
+
+    // Sign-in page
+    if (!params.email) {
+      const hidden = Object.entries(params)
+        .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+        .join('');
+
+      return res.send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Mock OIDC sign-in</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 360px; margin: 60px auto;">
+  <h2>Mock OIDC sign-in</h2>
+  <form method="post" action="${issuer}/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" value="${escapeHtml(params.login_hint || 'jane@example.com')}" required></label></p>
+    <p><label>Name<br><input name="name" value="Jane Doe"></label></p>
+    <p><label><input name="email_verified" type="checkbox" value="true" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      clientId,
+      redirectUri,
+      nonce,
+      codeChallenge: params.code_challenge,
+      expiresAt: Date.now() + CODE_LIFETIME_MS,
+      claims: {
+        sub: subjectFor(params.email.toLowerCase()),
+        email: params.email,
+        // The GET shortcut confirms the email unless email_verified=false is passed
+        email_verified: req.method === 'GET' ? params.email_verified !== 'false' : params.email_verified === 'true',
+        name: params.name || params.email.split('@')[0]
+      }
+    });
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    if (state) url.searchParams.set('state', state);
+
+    res.redirect(302, url.toString());
+  };
+
+  app.get('/authorize', authorize);
+  app.post('/authorize', authorize);
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, client_id: clientId, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    const fail = (description) => res.status(400).json({ error: 'invalid_grant', error_description: description });
+
+    if (grantType !== 'authorization_code') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    if (!grant || grant.expiresAt < Date.now()) return fail('Unknown or expired code');
+    if (grant.clientId !== clientId) return fail('Code was issued to another client');
+    if (grant.redirectUri !== redirectUri) return fail('redirect_uri does not match');
+
+    const challenge = codeVerifier && crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    if (challenge !== grant.codeChallenge) return fail('PKCE verification failed');
+
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.claims);
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: TOKEN_LIFETIME_SECONDS }
+    );
+
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_LIFETIME_SECONDS,
+      id_token: idToken
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const claims = accessTokens.get(token);
+
+    if (!claims) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json(claims);
+  });
+
+  return app;
+};
+
+// Run as a script
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || DEFAULT_PORT;
+  const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+
+  createMockOidcIssuer({ issuer }).listen(port, () => {
+    console.log(`🔑 Mock OIDC issuer running at ${issuer}`);
+  });
+}
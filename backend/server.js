@@ -10,27 +10,62 @@ import userRoutes from "./routes/user.routes.js";
 import orderRoutes from "./routes/order.routes.js";
 import reviewRoutes from "./routes/review.routes.js";
 import categoryRoutes from "./routes/category.routes.js";
+import searchRoutes from "./routes/search.routes.js";
 import cartRoutes from "./routes/cart.routes.js";
 import newsletterRoutes from "./routes/newsletter.routes.js";
+import couponRoutes from "./routes/coupon.routes.js";
+import paymentRoutes from "./routes/payment.routes.js";
+import returnRoutes from "./routes/return.routes.js";
+import taxRuleRoutes from "./routes/taxRule.routes.js";
+import shippingZoneRoutes from "./routes/shippingZone.routes.js";
+import vendorRequestRoutes from "./routes/vendorRequest.routes.js";
+import roleRoutes from "./routes/role.routes.js";
 
 // Import middleware
 import { errorHandler, notFound } from "./middleware/error.middleware.js";
+import { getStorage } from "./utils/storage.util.js";
+import { setupPaymentProviders } from "./utils/paymentProviders.util.js";
+import Role from "./models/role.model.js";
 
 dotenv.config();
 
+// Fails fast on unsafe payment configuration (e.g. mock gateway without a webhook secret)
+setupPaymentProviders();
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind reverse proxies, read the client IP (used by rate limits) from X-Forwarded-For
+if (parseInt(process.env.TRUST_PROXY, 10) > 0) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10));
+}
+
 // Middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for payment webhooks so signatures can be verified
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:5173",
-  credentials: true
+  credentials: true,
+  // Let the frontend read rate limit details
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
+// Uploaded files (local storage driver); names are unique, so they can be cached for good
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  const storage = getStorage('local');
+  app.use(storage.baseUrl, express.static(storage.root, { maxAge: '365d', immutable: true, index: false }));
+}
+
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/products", productRoutes);
@@ -40,6 +75,14 @@ app.use("/api/reviews", reviewRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api/newsletter", newsletterRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/tax-rules", taxRuleRoutes);
+app.use("/api/shipping-zones", shippingZoneRoutes);
+app.use("/api/vendor-requests", vendorRequestRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/search", searchRoutes);
 
 // Health check route
 app.get("/api/health", (req, res) => {
@@ -58,6 +101,14 @@ app.get("/api/health", (req, res) => {
       categories: "/api/categories",
       cart: "/api/cart",
       newsletter: "/api/newsletter",
+      coupons: "/api/coupons",
+      payments: "/api/payments",
+      returns: "/api/returns",
+      taxRules: "/api/tax-rules",
+      shippingZones: "/api/shipping-zones",
+      vendorRequests: "/api/vendor-requests",
+      roles: "/api/roles",
+      search: "/api/search",
       health: "/api/health"
     }
   });
@@ -80,6 +131,14 @@ app.get("/", (req, res) => {
       categories: "/api/categories",
       cart: "/api/cart",
       newsletter: "/api/newsletter",
+      coupons: "/api/coupons",
+      payments: "/api/payments",
+      returns: "/api/returns",
+      taxRules: "/api/tax-rules",
+      shippingZones: "/api/shipping-zones",
+      vendorRequests: "/api/vendor-requests",
+      roles: "/api/roles",
+      search: "/api/search",
       health: "/api/health"
     }
   });
@@ -94,6 +153,13 @@ app.use(errorHandler);
 // Start server
 const server = app.listen(PORT, async () => {
   await connectDB();
+
+  // Create the default roles (customer, vendor, admin) that are missing
+  const createdRoles = await Role.seedDefaults();
+  if (createdRoles > 0) {
+    console.log(`🔐 Created ${createdRoles} default role(s)`);
+  }
+
   console.log(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode`);
   console.log(`📡 Server started at http://localhost:${PORT}`);
 });
@@ -0,0 +1,278 @@
+import mongoose from 'mongoose';
+import createHttpError from './httpError.util.js';
+import { searchCondition } from './search.util.js';
+
+// Price facet boundaries; prices from the last boundary up share one bucket
+export const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+// Rating facet counts products rated at least this much ("4 stars & up")
+export const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Most values returned for a brand or attribute facet
+const MAX_FACET_VALUES = 50;
+
+// Attribute filters are sent as attr[Name]=value1,value2 (or attr[Name]=min..max for numbers)
+const ATTRIBUTE_PARAM = /^attr\[(.+)\]$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match of any of the values
+const anyOf = (values) => ({ $in: values.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) });
+
+const splitValues = (value) => [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+
+// Specification values are stored as text; number attributes are compared as numbers
+const specificationNumber = (name) => ({
+  $convert: { input: `$specifications.${name}`, to: 'double', onError: null, onNull: null }
+});
+
+/**
+ * Category a catalog query is limited to
+ * @param {string} category - Category id or slug
+ * @returns {Promise<Object|null>} { ids, attributes } where ids are the category and its
+ *   subcategories (empty for an unknown category) and attributes its filterable attributes
+ *   ([{ name, type, values }], inherited ones included), or null without a category
+ */
+export const getCatalogCategory = async (category) => {
+  if (!category) return null;
+
+  const Category = mongoose.model('Category');
+  const found = await Category.findByIdOrSlug(category, { status: 'active' });
+
+  if (!found) return { ids: [], attributes: [] };
+
+  const [ids, attributes] = await Promise.all([
+    Category.getDescendantIds(found._id),
+    found.getEffectiveAttributes()
+  ]);
+
+  return {
+    ids,
+    // Attribute names are used as specification paths
+    attributes: attributes
+      .filter(attribute => attribute.isFilterable && !attribute.name.includes('.') && !attribute.name.startsWith('$'))
+      .map(({ name, type, values }) => ({ name, type, values }))
+  };
+};
+
+/**
+ * Build the product filters for a catalog query
+ * Filters that have a facet are kept apart from the others, so each facet can be counted
+ * without its own selection (picking a brand still shows the other brands)
+ * @param {Object} query - Request query
+ * @param {Object} options - { category } from getCatalogCategory and { search } from prepareSearch
+ * @returns {Object} { base, facets } where facets maps facet keys to conditions
+ * @throws 400 for an invalid vendor id
+ */
+export const buildCatalogFilters = (query, { category = null, search = null } = {}) => {
+  const { brand, minPrice, maxPrice, minRating, inStock, featured, vendor } = query;
+  const attributes = category?.attributes || [];
+
+  const conditions = [{ status: 'active' }];
+  const facets = {};
+
+  if (category) {
+    conditions.push({ category: { $in: category.ids } });
+  }
+
+  // Typo-tolerant search on the name, brand and tags
+  if (search) {
+    conditions.push(searchCondition(search));
+  }
+
+  if (inStock === 'true') {
+    conditions.push({
+      $or: [
+        { 'inventory.trackQuantity': false },
+        { 'inventory.trackQuantity': true, 'inventory.quantity': { $gt: 0 } }
+      ]
+    });
+  }
+
+  if (featured === 'true') {
+    conditions.push({ isFeatured: true });
+  }
+
+  if (vendor) {
+    // Aggregations do not cast ids like find() does
+    if (!mongoose.isValidObjectId(vendor)) {
+      throw createHttpError(`Invalid vendor id: ${vendor}`);
+    }
+    conditions.push({ vendor: new mongoose.Types.ObjectId(String(vendor)) });
+  }
+
+  // Faceted filters
+  const brands = brand ? splitValues(brand) : [];
+  if (brands.length > 0) {
+    facets.brand = { brand: anyOf(brands) };
+  }
+
+  if (minPrice || maxPrice) {
+    facets.price = { price: {} };
+    if (minPrice) facets.price.price.$gte = parseFloat(minPrice);
+    if (maxPrice) facets.price.price.$lte = parseFloat(maxPrice);
+  }
+
+  if (minRating) {
+    facets.rating = { 'rating.average': { $gte: parseFloat(minRating) } };
+  }
+
+  const requested = new Map(Object.entries(query)
+    .map(([key, value]) => [key.match(ATTRIBUTE_PARAM)?.[1], value])
+    .filter(([name]) => name));
+
+  for (const attribute of attributes) {
+    const value = requested.get(attribute.name);
+    if (value === undefined || value === '') continue;
+
+    const key = `attribute:${attribute.name}`;
+    const range = attribute.type === 'number' && String(value).match(/^(-?[\d.]*)\.\.(-?[\d.]*)$/);
+
+    if (range) {
+      const bounds = [];
+      if (range[1]) bounds.push({ $gte: [specificationNumber(attribute.name), parseFloat(range[1])] });
+      if (range[2]) bounds.push({ $lte: [specificationNumber(attribute.name), parseFloat(range[2])] });
+      // Products without a numeric value for the attribute never match a range
+      bounds.push({ $ne: [specificationNumber(attribute.name), null] });
+      facets[key] = { $expr: { $and: bounds } };
+    } else {
+      const values = splitValues(value);
+      if (values.length > 0) {
+        facets[key] = { [`specifications.${attribute.name}`]: anyOf(values) };
+      }
+    }
+  }
+
+  return {
+    base: conditions.length === 1 ? conditions[0] : { $and: conditions },
+    facets
+  };
+};
+
+/**
+ * Combine base and facet filters into one query
+ * @param {Object} filters - From buildCatalogFilters
+ * @param {string} except - Facet key to leave out
+ */
+export const combineFilters = ({ base, facets }, except = null) => {
+  const conditions = Object.entries(facets)
+    .filter(([key]) => key !== except)
+    .map(([, condition]) => condition);
+
+  return conditions.length === 0 ? base : { $and: [base, ...conditions] };
+};
+
+/**
+ * Count products per facet value with one $facet aggregation
+ * @param {Object} filters - From buildCatalogFilters
+ * @param {Array} attributes - Filterable attributes of the category (see getCatalogCategory)
+ * @returns {Promise<Object>} {
+ *   brands: [{ value, count }],
+ *   price: [{ min, max, count }],
+ *   rating: [{ min, count }],
+ *   attributes: [{ name, type, values: [{ value, count }] }] or, for numbers, [{ name, type, min, max }]
+ * }
+ */
+export const getCatalogFacets = async (filters, attributes = []) => {
+  const Product = mongoose.model('Product');
+
+  // Conditions of the other facets; the base filter is applied before $facet
+  const others = (except) => ({ $match: combineFilters({ base: {}, facets: filters.facets }, except) });
+
+  const stages = {
+    brands: [
+      others('brand'),
+      { $group: { _id: '$brand', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_FACET_VALUES }
+    ],
+    price: [
+      others('price'),
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: PRICE_BUCKETS,
+          default: 'above',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    rating: [
+      others('rating'),
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(RATING_THRESHOLDS.map(threshold => [
+            `min${threshold}`,
+            { $sum: { $cond: [{ $gte: ['$rating.average', threshold] }, 1, 0] } }
+          ]))
+        }
+      }
+    ]
+  };
+
+  attributes.forEach((attribute, index) => {
+    const key = `attribute:${attribute.name}`;
+
+    stages[`attribute${index}`] = attribute.type === 'number'
+      ? [
+        others(key),
+        {
+          $group: {
+            _id: null,
+            min: { $min: specificationNumber(attribute.name) },
+            max: { $max: specificationNumber(attribute.name) }
+          }
+        }
+      ]
+      : [
+        others(key),
+        { $group: { _id: `$specifications.${attribute.name}`, count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, ''] } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_FACET_VALUES }
+      ];
+  });
+
+  const [result] = await Product.aggregate([
+    { $match: filters.base },
+    { $facet: stages }
+  ]);
+
+  const ratingCounts = result.rating[0] || {};
+
+  return {
+    brands: result.brands.map(({ _id, count }) => ({ value: _id, count })),
+    price: result.price.map(({ _id, count }) => {
+      if (_id === 'above') return { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count };
+      return { min: _id, max: PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1], count };
+    }),
+    rating: RATING_THRESHOLDS.map(threshold => ({ min: threshold, count: ratingCounts[`min${threshold}`] || 0 })),
+    attributes: attributes.map((attribute, index) => {
+      const rows = result[`attribute${index}`];
+
+      if (attribute.type === 'number') {
+        return { name: attribute.name, type: attribute.type, min: rows[0]?.min ?? null, max: rows[0]?.max ?? null };
+      }
+
+      // Predefined values are listed even when no product has them
+      const counts = new Map(rows.map(({ _id, count }) => [String(_id), count]));
+      const values = [...new Set([...(attribute.values || []), ...counts.keys()])];
+
+      return {
+        name: attribute.name,
+        type: attribute.type,
+        values: values.map(value => ({ value, count: counts.get(value) || 0 }))
+      };
+    })
+  };
+};
+
+export default {
+  PRICE_BUCKETS,
+  RATING_THRESHOLDS,
+  getCatalogCategory,
+  buildCatalogFilters,
+  combineFilters,
+  getCatalogFacets
+};
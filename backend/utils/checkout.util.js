@@ -0,0 +1,279 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import Product from '../models/product.model.js';
+import Coupon from '../models/coupon.model.js';
+import createHttpError from './httpError.util.js';
+import { allocate, roundMoney } from './money.util.js';
+import { calculateTax, getItemsDiscount } from './tax.util.js';
+import { getShippingQuote } from './shipping.util.js';
+
+/**
+ * Run a function inside a MongoDB transaction
+ * Everything written with the given session is rolled back if the function throws
+ * @param {Function} fn - Async function receiving the session
+ * @returns {Promise<*>} Value returned by fn
+ */
+export const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Reserve stock for order items with conditional decrements
+ * A tracked product without backorders is only decremented if enough stock is left,
+ * so concurrent checkouts cannot oversell the last unit. Items with a variant take
+ * the variant's stock (and the product total).
+ * @param {Array} items - [{ product (document), variant (subdocument), quantity }]
+ * @param {ClientSession} session - Active transaction session
+ */
+export const reserveStock = async (items, session) => {
+  for (const { product, variant, quantity } of items) {
+    const enforce = product.inventory.trackQuantity && !product.inventory.allowBackorder;
+
+    const reserved = await Product.reserveStock(product._id, quantity, variant?._id, { enforce, session });
+
+    if (!reserved) {
+      throw createHttpError(`Not enough stock for ${product.name}`, 409);
+    }
+  }
+};
+
+/**
+ * Split priced order items into one shipment per vendor
+ * Each vendor carries the tax of its own items; shipping and discount are shared out
+ * in proportion to each vendor's items value
+ * @param {Array} orderItems - Priced order items with their tax (taxAmount, taxIncluded)
+ * @param {Map} productMap - Product documents by id
+ * @param {Object} totals - { shippingPrice, discountAmount }
+ * @returns {Array<Object>} Vendor shipments for order.vendors
+ */
+export const splitByVendor = (orderItems, productMap, { shippingPrice = 0, discountAmount = 0 } = {}) => {
+  const shipments = new Map();
+
+  for (const item of orderItems) {
+    const product = productMap.get(item.product.toString());
+    const vendorId = product.vendor.toString();
+
+    if (!shipments.has(vendorId)) {
+      shipments.set(vendorId, {
+        vendor: product.vendor,
+        vendorName: product.vendorName,
+        items: [],
+        itemsPrice: 0,
+        taxPrice: 0,
+        taxIncluded: 0
+      });
+    }
+
+    const shipment = shipments.get(vendorId);
+    shipment.items.push({
+      product: item.product,
+      variantId: item.variantId,
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      totalPrice: item.totalPrice
+    });
+    shipment.itemsPrice += item.totalPrice;
+    shipment.taxPrice += item.taxAmount || 0;
+    shipment.taxIncluded += item.taxIncluded || 0;
+  }
+
+  const vendorShipments = [...shipments.values()];
+  const weights = vendorShipments.map(shipment => shipment.itemsPrice);
+  const shippingShares = allocate(shippingPrice, weights);
+  const discountShares = allocate(discountAmount, weights);
+
+  return vendorShipments.map((shipment, index) => ({
+    ...shipment,
+    taxPrice: roundMoney(shipment.taxPrice),
+    taxIncluded: roundMoney(shipment.taxIncluded),
+    shippingPrice: shippingShares[index],
+    discountAmount: discountShares[index],
+    totalPrice: Math.max(0, roundMoney(
+      shipment.itemsPrice + shipment.taxPrice - shipment.taxIncluded + shippingShares[index] - discountShares[index]
+    )),
+    statusHistory: [{ status: 'pending', note: 'Shipment created' }]
+  }));
+};
+
+/**
+ * Price items on the server, quote shipping, re-check coupons, calculate tax, reserve stock and create the order
+ * Shipping comes from the shipping zones (see utils/shipping.util.js) and tax from the
+ * tax rules (see utils/tax.util.js) for the shipping address
+ * The order is split into one shipment per vendor (order.vendors)
+ * Must be called inside a transaction (see withTransaction)
+ * @param {Object} params - Order parameters
+ * @param {Object} params.customer - User document placing the order
+ * @param {Array} params.items - [{ product (id), quantity, variantId }]
+ * @param {Object} params.shippingAddress - Shipping address
+ * @param {string} params.paymentMethod - Payment method
+ * @param {string} params.shippingMethod - Shipping method code (from the quoted options)
+ * @param {Array<string>} params.couponCodes - Coupon codes to redeem
+ * @param {string} params.customerNotes - Notes from the customer
+ * @param {Object} params.meta - { ipAddress, userAgent, source }
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} Created order document
+ */
+export const placeOrder = async ({
+  customer,
+  items,
+  shippingAddress,
+  paymentMethod,
+  shippingMethod,
+  couponCodes = [],
+  customerNotes,
+  meta = {}
+}, session) => {
+  if (!items || items.length === 0) {
+    throw createHttpError('No order items');
+  }
+
+  if (!shippingAddress) {
+    throw createHttpError('Shipping address is required');
+  }
+
+  // Load current product data inside the transaction
+  const productIds = items.map(item => item.product?._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } }).session(session);
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  let itemsPrice = 0;
+  const orderItems = [];
+  const reservations = [];
+
+  for (const item of items) {
+    const productId = (item.product?._id || item.product).toString();
+    const product = productMap.get(productId);
+
+    if (!product) {
+      throw createHttpError(`Product not found: ${productId}`, 404);
+    }
+
+    if (product.status !== 'active') {
+      throw createHttpError(`${product.name} is no longer available`);
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(`Invalid quantity for ${product.name}`);
+    }
+
+    // Products with variants are sold per variant
+    const variant = product.resolveVariant(item.variantId);
+
+    // Always charge the current (variant) price, never a client or cart snapshot
+    const price = product.getPrice(variant);
+    const itemTotal = price * quantity;
+    itemsPrice += itemTotal;
+
+    orderItems.push({
+      product: product._id,
+      variantId: variant?._id,
+      name: product.name,
+      image: variant?.images?.[0] || product.primaryImage,
+      price,
+      quantity,
+      variant: variant ? { sku: variant.sku, attributes: variant.attributes } : {},
+      totalPrice: itemTotal
+    });
+
+    reservations.push({ product, variant, quantity });
+  }
+
+  // Quote the chosen shipping method for the re-priced items
+  const shipping = await getShippingQuote({
+    method: shippingMethod,
+    items: orderItems,
+    address: shippingAddress,
+    session
+  });
+  const shippingPrice = shipping.amount;
+
+  // Re-check coupons against the re-priced items
+  let appliedCoupons = [];
+
+  if (couponCodes.length > 0) {
+    const evaluation = await Coupon.evaluate(couponCodes, {
+      user: customer._id,
+      items: orderItems,
+      shippingAmount: shippingPrice,
+      session
+    });
+
+    if (evaluation.rejected.length > 0) {
+      throw createHttpError(evaluation.rejected[0].reason);
+    }
+
+    appliedCoupons = evaluation.applied;
+  }
+
+  const discount = Coupon.summarize(appliedCoupons);
+
+  // Tax per line, after discounts
+  const tax = await calculateTax({
+    items: orderItems,
+    address: shippingAddress,
+    discountAmount: getItemsDiscount(appliedCoupons),
+    session
+  });
+
+  orderItems.forEach((item, index) => {
+    const line = tax.lines[index];
+    item.taxClass = line.taxClass;
+    item.taxAmount = line.amount;
+    item.taxIncluded = line.included;
+    item.taxes = line.taxes;
+  });
+
+  const order = new Order({
+    orderItems,
+    customer: customer._id,
+    customerEmail: customer.email,
+    customerPhone: customer.phone,
+    shippingAddress,
+    paymentMethod: paymentMethod || 'cash_on_delivery',
+    itemsPrice,
+    taxPrice: tax.amount,
+    taxIncluded: tax.included,
+    taxBreakdown: tax.breakdown,
+    shippingPrice,
+    shippingMethod: shipping.method,
+    estimatedDelivery: shipping.estimatedDays
+      ? new Date(Date.now() + shipping.estimatedDays * 24 * 60 * 60 * 1000)
+      : undefined,
+    discount,
+    coupons: appliedCoupons.map(({ coupon, code, type, amount }) => ({ coupon, code, type, amount })),
+    vendors: splitByVendor(orderItems, productMap, {
+      shippingPrice,
+      discountAmount: discount.amount
+    }),
+    customerNotes,
+    ipAddress: meta.ipAddress,
+    userAgent: meta.userAgent,
+    source: meta.source || 'web'
+  });
+
+  // Record coupon usage, enforcing usage limits atomically
+  for (const applied of appliedCoupons) {
+    const redeemed = await Coupon.redeem(applied.coupon, customer._id, order._id, applied.amount, { session });
+    if (!redeemed) {
+      throw createHttpError(`Coupon ${applied.code} has reached its usage limit`);
+    }
+  }
+
+  await reserveStock(reservations, session);
+
+  await order.save({ session });
+
+  return order;
+};
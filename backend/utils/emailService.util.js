@@ -208,7 +208,388 @@ export const sendPasswordResetConfirmation = async (email, userName = 'User') =>
   }
 };
 
+/**
+ * Send email address verification email
+ * @param {string} email - Recipient email
+ * @param {string} verifyUrl - Verification URL with token
+ * @param {string} userName - User's name
+ */
+export const sendVerificationEmail = async (email, verifyUrl, userName = 'User') => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.log('\n📧 ========== EMAIL VERIFICATION ==========');
+    console.log(`To: ${email}`);
+    console.log(`Subject: Verify your email - GlobalStock`);
+    console.log(`Verification Link: ${verifyUrl}`);
+    console.log('==========================================\n');
+    return { success: true, simulated: true };
+  }
+
+  const mailOptions = {
+    from: `"GlobalStock" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'Verify your email - GlobalStock',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Verify your email</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0;">✉️ Verify your email</h1>
+        </div>
+        
+        <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+          <p style="font-size: 16px;">Hi ${userName},</p>
+          
+          <p style="font-size: 16px;">
+            Please confirm that this is the email address of your GlobalStock account:
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${verifyUrl}" 
+               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                      color: white; 
+                      padding: 14px 28px; 
+                      text-decoration: none; 
+                      border-radius: 5px; 
+                      font-weight: bold;
+                      display: inline-block;">
+              Verify Email
+            </a>
+          </div>
+          
+          <p style="font-size: 14px; color: #666;">
+            Or copy and paste this link into your browser:
+          </p>
+          <p style="font-size: 14px; word-break: break-all; background: white; padding: 10px; border-radius: 5px;">
+            ${verifyUrl}
+          </p>
+          
+          <p style="font-size: 14px; color: #666;">
+            This link will expire in 24 hours. If you didn't create an account, please ignore this email.
+          </p>
+          
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          
+          <p style="font-size: 12px; color: #999; text-align: center;">
+            © ${new Date().getFullYear()} GlobalStock. All rights reserved.<br>
+            This is an automated email, please do not reply.
+          </p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+Hi ${userName},
+
+Please confirm that this is the email address of your GlobalStock account:
+${verifyUrl}
+
+This link will expire in 24 hours. If you didn't create an account, please ignore this email.
+
+© ${new Date().getFullYear()} GlobalStock. All rights reserved.
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Verification email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending verification email:', error);
+    throw new Error('Failed to send verification email');
+  }
+};
+
+/**
+ * Tell a user their account was locked after repeated failed logins
+ * @param {string} email - Recipient email
+ * @param {Date} lockUntil - When logins are allowed again
+ * @param {string} resetUrl - Forgot-password page, to regain access right away
+ * @param {string} userName - User's name
+ */
+export const sendAccountLockedEmail = async (email, lockUntil, resetUrl, userName = 'User') => {
+  const transporter = createTransporter();
+  const unlockTime = new Date(lockUntil).toUTCString();
+
+  if (!transporter) {
+    console.log('\n📧 ========== ACCOUNT LOCKED ==========');
+    console.log(`To: ${email}`);
+    console.log(`Subject: Your account has been locked - GlobalStock`);
+    console.log(`Locked until: ${unlockTime}`);
+    console.log('======================================\n');
+    return { success: true, simulated: true };
+  }
+
+  const mailOptions = {
+    from: `"GlobalStock" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'Your account has been locked - GlobalStock',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Locked</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0;">🔒 Account Locked</h1>
+        </div>
+        
+        <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+          <p style="font-size: 16px;">Hi ${userName},</p>
+          
+          <p style="font-size: 16px;">
+            We locked your GlobalStock account after several failed login attempts.
+            You can log in again after <strong>${unlockTime}</strong>.
+          </p>
+          
+          <p style="font-size: 16px;">
+            If this wasn't you, someone may be trying to guess your password. Reset it to unlock your account now:
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${resetUrl}" 
+               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                      color: white; 
+                      padding: 14px 28px; 
+                      text-decoration: none; 
+                      border-radius: 5px; 
+                      font-weight: bold;
+                      display: inline-block;">
+              Reset Password
+            </a>
+          </div>
+          
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          
+          <p style="font-size: 12px; color: #999; text-align: center;">
+            © ${new Date().getFullYear()} GlobalStock. All rights reserved.<br>
+            This is an automated email, please do not reply.
+          </p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+Hi ${userName},
+
+We locked your GlobalStock account after several failed login attempts.
+You can log in again after ${unlockTime}.
+
+If this wasn't you, someone may be trying to guess your password. Reset it to unlock your account now:
+${resetUrl}
+
+© ${new Date().getFullYear()} GlobalStock. All rights reserved.
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Account locked email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending account locked email:', error);
+    // Don't throw - the lockout itself already happened
+    return { success: false, error: error.message };
+  }
+};
+
+const ORDER_STATUS_MESSAGES = {
+  confirmed: { icon: '✅', title: 'Order Confirmed', text: 'Your order has been confirmed and will be prepared soon.' },
+  processing: { icon: '📦', title: 'Order Processing', text: 'Your order is being prepared for shipment.' },
+  shipped: { icon: '🚚', title: 'Order Shipped', text: 'Your order is on its way.' },
+  delivered: { icon: '🎉', title: 'Order Delivered', text: 'Your order has been delivered. Enjoy!' },
+  cancelled: { icon: '❌', title: 'Order Cancelled', text: 'Your order has been cancelled.' },
+  refunded: { icon: '💸', title: 'Order Refunded', text: 'Your order has been refunded.' }
+};
+
+/**
+ * Send order status update email
+ * @param {string} email - Recipient email
+ * @param {Object} order - Order details ({ orderNumber, status, note, trackingNumber, carrier })
+ * @param {string} userName - User's name
+ */
+export const sendOrderStatusEmail = async (email, order, userName = 'Customer') => {
+  const statusMessage = ORDER_STATUS_MESSAGES[order.status] || {
+    icon: 'ℹ️',
+    title: 'Order Update',
+    text: `Your order status is now ${order.status}.`
+  };
+
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.log('\n📧 ========== ORDER STATUS EMAIL ==========');
+    console.log(`To: ${email}`);
+    console.log(`Subject: ${statusMessage.title} - #${order.orderNumber}`);
+    console.log(`Status: ${order.status}${order.note ? ` (${order.note})` : ''}`);
+    console.log('==========================================\n');
+    return { success: true, simulated: true };
+  }
+
+  const trackingHtml = order.trackingNumber
+    ? `<p style="font-size: 14px;">Tracking: <strong>${order.trackingNumber}</strong>${order.carrier ? ` (${order.carrier})` : ''}</p>`
+    : '';
+
+  const mailOptions = {
+    from: `"GlobalStock" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: `${statusMessage.title} - #${order.orderNumber} - GlobalStock`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${statusMessage.title}</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0;">${statusMessage.icon} ${statusMessage.title}</h1>
+        </div>
+        
+        <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+          <p style="font-size: 16px;">Hi ${userName},</p>
+          
+          <p style="font-size: 16px;">${statusMessage.text}</p>
+          
+          <p style="font-size: 14px;">Order number: <strong>#${order.orderNumber}</strong></p>
+          ${trackingHtml}
+          ${order.note ? `<p style="font-size: 14px; color: #666;">${order.note}</p>` : ''}
+          
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          
+          <p style="font-size: 12px; color: #999; text-align: center;">
+            © ${new Date().getFullYear()} GlobalStock. All rights reserved.
+          </p>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Order status email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending order status email:', error);
+    // Don't throw - the status change has already been saved
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send the outcome of a vendor request
+ * @param {string} email - Recipient email
+ * @param {Object} decision - { approved, reason, storeName, dashboardUrl }
+ * @param {string} userName - User's name
+ */
+export const sendVendorRequestDecisionEmail = async (email, decision, userName = 'User') => {
+  const { approved, reason, storeName, dashboardUrl } = decision;
+  const title = approved ? 'Vendor Request Approved' : 'Vendor Request Declined';
+  const icon = approved ? '🎉' : '📋';
+  const store = storeName ? ` for <strong>${storeName}</strong>` : '';
+  const text = approved
+    ? 'Your vendor request has been approved. You can now list products and manage orders from your vendor dashboard.'
+    : 'Unfortunately we could not approve your vendor request.';
+
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.log('\n📧 ========== VENDOR REQUEST EMAIL ==========');
+    console.log(`To: ${email}`);
+    console.log(`Subject: ${title} - GlobalStock`);
+    console.log(`Decision: ${approved ? 'approved' : 'rejected'}${reason ? ` (${reason})` : ''}`);
+    console.log('============================================\n');
+    return { success: true, simulated: true };
+  }
+
+  const mailOptions = {
+    from: `"GlobalStock" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: `${title} - GlobalStock`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="color: white; margin: 0;">${icon} ${title}</h1>
+        </div>
+        
+        <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+          <p style="font-size: 16px;">Hi ${userName},</p>
+          
+          <p style="font-size: 16px;">Thanks for applying to sell on GlobalStock${store}.</p>
+          
+          <p style="font-size: 16px;">${text}</p>
+          ${reason ? `<p style="font-size: 14px; color: #666;">Reason: ${reason}</p>` : ''}
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${dashboardUrl}" 
+               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                      color: white; 
+                      padding: 14px 28px; 
+                      text-decoration: none; 
+                      border-radius: 5px; 
+                      font-weight: bold;
+                      display: inline-block;">
+              ${approved ? 'Go to GlobalStock' : 'Update Your Request'}
+            </a>
+          </div>
+          
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+          
+          <p style="font-size: 12px; color: #999; text-align: center;">
+            © ${new Date().getFullYear()} GlobalStock. All rights reserved.<br>
+            This is an automated email, please do not reply.
+          </p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+Hi ${userName},
+
+Thanks for applying to sell on GlobalStock${storeName ? ` for ${storeName}` : ''}.
+
+${text}
+${reason ? `Reason: ${reason}\n` : ''}
+${dashboardUrl}
+
+© ${new Date().getFullYear()} GlobalStock. All rights reserved.
+    `,
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Vendor request email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending vendor request email:', error);
+    // Don't throw - the decision has already been saved
+    return { success: false, error: error.message };
+  }
+};
+
 export default {
   sendPasswordResetEmail,
   sendPasswordResetConfirmation,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendOrderStatusEmail,
+  sendVendorRequestDecisionEmail,
 };
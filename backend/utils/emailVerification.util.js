@@ -0,0 +1,34 @@
+import { sendVerificationEmail } from './emailService.util.js';
+
+// Actions that can be limited to verified emails with REQUIRE_VERIFIED_EMAIL (e.g. 'orders,vendor')
+export const VERIFICATION_ACTIONS = ['orders', 'vendor'];
+
+/**
+ * Whether an action needs a verified email address
+ * @param {string} action - One of VERIFICATION_ACTIONS
+ */
+export const isEmailVerificationRequired = (action) =>
+  (process.env.REQUIRE_VERIFIED_EMAIL || '')
+    .split(',')
+    .map(value => value.trim())
+    .includes(action);
+
+/**
+ * Issue a new verification token and email the link to the user
+ * @param {Object} user - User document (saved here)
+ * @returns {Promise<Object>} Email service result
+ * @throws When the email cannot be sent
+ */
+export const sendEmailVerification = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email/${token}`;
+  return sendVerificationEmail(user.email, verifyUrl, user.name);
+};
+
+export default {
+  VERIFICATION_ACTIONS,
+  isEmailVerificationRequired,
+  sendEmailVerification
+};
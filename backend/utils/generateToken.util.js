@@ -1,9 +1,37 @@
 import jwt from 'jsonwebtoken';
 
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
+// Two-factor login steps must be finished within this time
+const CHALLENGE_EXPIRE = '5m';
+
+// Access tokens are short-lived; clients get new ones from POST /api/auth/refresh
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+  });
+};
+
+/**
+ * Token for an unfinished login (password checked, second factor pending)
+ * It has no session, so it is never accepted as an access token.
+ * @param {string} purpose - '2fa' (enter a code) or '2fa-setup' (enroll first)
+ */
+export const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRE,
   });
 };
 
-export default generateToken;
\ No newline at end of file
+/**
+ * Read a challenge token
+ * @returns {string|null} User id, or null when the token is invalid, expired or for another purpose
+ */
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+export default generateToken;
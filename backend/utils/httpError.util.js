@@ -0,0 +1,17 @@
+/**
+ * Create an error carrying an HTTP status code for the global error handler
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} details - Extra data included in the error response
+ * @returns {Error}
+ */
+const createHttpError = (message, statusCode = 400, details = undefined) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+export default createHttpError;
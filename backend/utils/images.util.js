@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import createHttpError from './httpError.util.js';
+import { getStorage } from './storage.util.js';
+
+// Accepted uploads; the file contents are checked as well as the declared type
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ALLOWED_IMAGE_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+export const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Longest side in pixels; smaller images are not enlarged
+const IMAGE_SIZES = {
+  full: 1600,
+  thumbnail: 400
+};
+
+// Encode in the uploaded format (EXIF and other metadata are dropped by sharp unless asked to keep them)
+const encode = (pipeline, format) => {
+  if (format === 'png') return pipeline.png({ compressionLevel: 9 });
+  if (format === 'webp') return pipeline.webp({ quality: 82 });
+  return pipeline.jpeg({ quality: 85, mozjpeg: true });
+};
+
+/**
+ * Validate an uploaded image and build its derivatives
+ * The image is rotated to its EXIF orientation and stripped of metadata, then resized to a
+ * full-size image and a thumbnail, each in the uploaded format and as WebP
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} { format, width, height, files: { full, thumbnail, fullWebp, thumbnailWebp } }
+ *   where each file is { buffer, extension, contentType }; WebP uploads have no separate WebP files
+ * @throws 400 when the file is not a JPEG, PNG or WebP image
+ */
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw createHttpError('File is not a valid image');
+  }
+
+  const extension = ALLOWED_IMAGE_FORMATS[metadata.format];
+  if (!extension) {
+    throw createHttpError('Only JPEG, PNG and WebP images are allowed');
+  }
+
+  const resize = (size) => sharp(buffer)
+    .rotate()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+
+  const contentType = `image/${metadata.format}`;
+  const full = await encode(resize(IMAGE_SIZES.full), metadata.format).toBuffer({ resolveWithObject: true });
+
+  const files = {
+    full: { buffer: full.data, extension, contentType },
+    thumbnail: { buffer: await encode(resize(IMAGE_SIZES.thumbnail), metadata.format).toBuffer(), extension, contentType }
+  };
+
+  // WebP uploads are their own WebP derivatives
+  if (metadata.format !== 'webp') {
+    files.fullWebp = { buffer: await encode(resize(IMAGE_SIZES.full), 'webp').toBuffer(), extension: 'webp', contentType: 'image/webp' };
+    files.thumbnailWebp = { buffer: await encode(resize(IMAGE_SIZES.thumbnail), 'webp').toBuffer(), extension: 'webp', contentType: 'image/webp' };
+  }
+
+  return {
+    format: metadata.format,
+    width: full.info.width,
+    height: full.info.height,
+    files
+  };
+};
+
+/**
+ * Delete the stored files of product images
+ * @param {Array} images - Product images with their storageKeys
+ */
+export const deleteProductImageFiles = async (images = []) => {
+  const storage = getStorage();
+  const keys = images.flatMap(image => image.storageKeys || []);
+
+  await Promise.all(keys.map(key => storage.delete(key)));
+};
+
+/**
+ * Process and store uploaded product images
+ * Files are handled one at a time to keep memory use flat; if any file fails,
+ * the files already stored for this upload are removed again
+ * @param {Array} files - Multer files ({ buffer, originalname })
+ * @param {string} productId - Product the images belong to
+ * @param {Object} options - { alt }
+ * @returns {Promise<Array>} Entries for product.images
+ */
+export const storeProductImages = async (files = [], productId, { alt = '' } = {}) => {
+  const storage = getStorage();
+  const images = [];
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      const { width, height, files: derivatives } = await processImage(file.buffer);
+      const prefix = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+
+      const urls = {};
+      const storageKeys = [];
+
+      for (const [name, derivative] of Object.entries(derivatives)) {
+        const suffix = name.startsWith('thumbnail') ? '-thumb' : '';
+        const { key, url } = await storage.put(
+          `${prefix}${suffix}.${derivative.extension}`,
+          derivative.buffer,
+          { contentType: derivative.contentType }
+        );
+        urls[name] = url;
+        storageKeys.push(key);
+        stored.push(key);
+      }
+
+      images.push({
+        url: urls.full,
+        thumbnail: urls.thumbnail,
+        webp: urls.fullWebp || urls.full,
+        thumbnailWebp: urls.thumbnailWebp || urls.thumbnail,
+        alt: alt || file.originalname.replace(/\.[^.]+$/, ''),
+        width,
+        height,
+        storageKeys
+      });
+    }
+  } catch (error) {
+    await Promise.all(stored.map(key => storage.delete(key)));
+    throw error;
+  }
+
+  return images;
+};
+
+export default {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  MAX_IMAGES_PER_UPLOAD,
+  processImage,
+  storeProductImages,
+  deleteProductImageFiles
+};
@@ -0,0 +1,493 @@
+import PDFDocument from 'pdfkit';
+import Order from '../models/order.model.js';
+import Counter from '../models/counter.model.js';
+import { withTransaction } from './checkout.util.js';
+
+/**
+ * Seller details printed on invoices (COMPANY_* environment variables)
+ */
+const getSellerDetails = () => ({
+  name: process.env.COMPANY_NAME || 'GlobalStock',
+  address: process.env.COMPANY_ADDRESS || '',
+  email: process.env.COMPANY_EMAIL || process.env.EMAIL_USER || '',
+  taxId: process.env.COMPANY_TAX_ID || ''
+});
+
+const formatMoney = (amount) => `$${(Number(amount) || 0).toFixed(2)}`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatPaymentMethod = (method) => (method || '').replace(/_/g, ' ');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Assign the next sequential invoice number to an order (once)
+ * Runs in a transaction so concurrent requests cannot skip or reuse numbers
+ * Format: INV-<year>-<6 digit sequence>, restarting every year
+ * @param {Object} order - Order document (updated in place)
+ * @returns {Promise<string>} Invoice number
+ */
+export const issueInvoiceNumber = async (order) => {
+  if (order.invoiceNumber) {
+    return order.invoiceNumber;
+  }
+
+  const issuedAt = new Date();
+  const year = issuedAt.getFullYear();
+
+  const invoiceNumber = await withTransaction(async (session) => {
+    const current = await Order.findById(order._id).select('invoiceNumber').session(session);
+
+    if (current.invoiceNumber) {
+      return current.invoiceNumber;
+    }
+
+    const sequence = await Counter.next(`invoice-${year}`, { session });
+    const number = `INV-${year}-${String(sequence).padStart(6, '0')}`;
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { invoiceNumber: number, invoiceIssuedAt: issuedAt } },
+      { session }
+    );
+
+    return number;
+  });
+
+  order.invoiceNumber = invoiceNumber;
+  order.invoiceIssuedAt = order.invoiceIssuedAt || issuedAt;
+  return invoiceNumber;
+};
+
+/**
+ * Build the data shared by invoice and packing slip templates
+ * @param {Object} order - Order document
+ * @param {Object} options - { vendorId } limit the document to one vendor's shipment
+ * @returns {Object} Document data
+ */
+export const buildOrderDocumentData = (order, { vendorId = null } = {}) => {
+  const shipments = vendorId
+    ? order.vendors.filter(shipment => shipment.vendor.toString() === vendorId.toString())
+    : order.vendors;
+
+  const productIds = vendorId
+    ? new Set(shipments.flatMap(shipment => shipment.items.map(item => item.product.toString())))
+    : null;
+
+  const items = order.orderItems
+    .filter(item => !productIds || productIds.has(item.product.toString()))
+    .map(item => ({
+      product: item.product.toString(),
+      variantId: item.variantId?.toString() || null,
+      name: item.name,
+      sku: item.variant?.sku || '',
+      variant: item.variant?.attributes
+        ? [...item.variant.attributes.entries()].map(([key, value]) => `${key}: ${value}`).join(', ')
+        : '',
+      quantity: item.quantity,
+      unitPrice: item.price,
+      total: item.totalPrice
+    }));
+
+  // Totals for the whole order, or the vendor's share of them
+  const scope = vendorId && shipments[0]
+    ? {
+        itemsPrice: shipments[0].itemsPrice,
+        discount: shipments[0].discountAmount,
+        shipping: shipments[0].shippingPrice,
+        tax: shipments[0].taxPrice,
+        total: shipments[0].totalPrice
+      }
+    : {
+        itemsPrice: order.itemsPrice,
+        discount: order.discount?.amount || 0,
+        shipping: order.shippingPrice,
+        tax: order.taxPrice,
+        total: order.totalPrice
+      };
+
+  const totals = [{ label: 'Subtotal', amount: scope.itemsPrice }];
+
+  if (scope.discount > 0) {
+    const codes = order.coupons?.length
+      ? order.coupons.map(coupon => coupon.code).join(', ')
+      : order.discount?.couponCode;
+    totals.push({ label: codes ? `Discount (${codes})` : 'Discount', amount: -scope.discount });
+  }
+
+  totals.push({ label: 'Shipping', amount: scope.shipping });
+
+  // Tax breakdown: one line per tax rule from the per-line taxes recorded at checkout
+  const ruleTaxes = new Map();
+  for (const item of order.orderItems) {
+    if (productIds && !productIds.has(item.product.toString())) continue;
+    for (const tax of item.taxes || []) {
+      const key = tax.rule?.toString() || tax.name;
+      const line = ruleTaxes.get(key) || { name: tax.name, rate: tax.rate, included: tax.included, amount: 0 };
+      line.amount += tax.amount;
+      ruleTaxes.set(key, line);
+    }
+  }
+
+  if (ruleTaxes.size > 0) {
+    for (const line of ruleTaxes.values()) {
+      const label = `${line.included ? 'Includes ' : ''}${line.name} (${line.rate}%)`;
+      totals.push({ label, amount: Math.round(line.amount * 100) / 100 });
+    }
+  } else {
+    // Orders placed before tax rules: one line per seller when the order is split, with the effective rate
+    const taxLines = !vendorId && order.vendors.length > 1
+      ? order.vendors.map(shipment => ({ label: shipment.vendorName || 'Seller', base: shipment.itemsPrice, amount: shipment.taxPrice }))
+      : [{ label: '', base: scope.itemsPrice, amount: scope.tax }];
+
+    for (const line of taxLines) {
+      const rate = line.base > 0 ? Math.round((line.amount / line.base) * 10000) / 100 : 0;
+      const label = ['Tax', line.label && `- ${line.label}`, rate > 0 && `(${rate}%)`].filter(Boolean).join(' ');
+      totals.push({ label, amount: line.amount });
+    }
+  }
+
+  totals.push({ label: 'Total', amount: scope.total, isGrandTotal: true });
+
+  if (!vendorId && order.refundedTotal > 0) {
+    totals.push({ label: 'Refunded', amount: -order.refundedTotal });
+  }
+
+  const address = order.shippingAddress || {};
+
+  return {
+    seller: getSellerDetails(),
+    vendorName: vendorId ? shipments[0]?.vendorName : null,
+    orderNumber: order.orderNumber,
+    invoiceNumber: order.invoiceNumber,
+    invoiceDate: formatDate(order.invoiceIssuedAt || new Date()),
+    orderDate: formatDate(order.createdAt),
+    billTo: {
+      name: order.customer?.name || `${address.firstName || ''} ${address.lastName || ''}`.trim(),
+      email: order.customerEmail,
+      phone: order.customerPhone || address.phone || ''
+    },
+    shipTo: [
+      `${address.firstName || ''} ${address.lastName || ''}`.trim(),
+      address.street,
+      [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+      address.country,
+      address.phone
+    ].filter(Boolean),
+    payment: {
+      method: formatPaymentMethod(order.paymentMethod),
+      status: order.paymentStatus,
+      paidAt: formatDate(order.paidAt)
+    },
+    items,
+    totals,
+    // Orders placed before vendor shipments existed are packed as a single shipment
+    shipments: shipments.length > 0
+      ? shipments.map(shipment => ({
+          vendorName: shipment.vendorName,
+          status: shipment.status,
+          carrier: shipment.carrier,
+          trackingNumber: shipment.trackingNumber,
+          items: shipment.items.map(item => {
+            const orderItem = items.find(i =>
+              i.product === item.product.toString() && i.variantId === (item.variantId?.toString() || null)
+            ) || {};
+            return { name: item.name, sku: orderItem.sku || '', variant: orderItem.variant || '', quantity: item.quantity };
+          })
+        }))
+      : [{ vendorName: null, status: order.orderStatus, carrier: order.carrier, trackingNumber: order.trackingNumber, items }]
+  };
+};
+
+// ======================
+// HTML TEMPLATES
+// ======================
+
+const HTML_STYLES = `
+  body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; margin: 40px; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  .muted { color: #6b7280; font-size: 13px; }
+  .row { display: flex; justify-content: space-between; gap: 24px; margin: 24px 0; }
+  .box h3 { margin: 0 0 6px; font-size: 13px; text-transform: uppercase; color: #6b7280; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; font-size: 14px; }
+  th { background: #f3f4f6; }
+  .num { text-align: right; }
+  .totals { width: 320px; margin-left: auto; }
+  .grand td { font-weight: bold; border-top: 2px solid #1f2937; }
+  @media print { body { margin: 0; } }
+`;
+
+const htmlPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const htmlAddressBlock = (heading, lines) => `
+  <div class="box">
+    <h3>${escapeHtml(heading)}</h3>
+    ${lines.filter(Boolean).map(line => `<div>${escapeHtml(line)}</div>`).join('\n    ')}
+  </div>`;
+
+/**
+ * Render an invoice as a printable HTML page
+ * @param {Object} data - Output of buildOrderDocumentData
+ * @returns {string} HTML
+ */
+export const renderInvoiceHtml = (data) => {
+  const itemRows = data.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.name)}${item.variant ? `<div class="muted">${escapeHtml(item.variant)}</div>` : ''}</td>
+        <td>${escapeHtml(item.sku)}</td>
+        <td class="num">${item.quantity}</td>
+        <td class="num">${formatMoney(item.unitPrice)}</td>
+        <td class="num">${formatMoney(item.total)}</td>
+      </tr>`).join('');
+
+  const totalRows = data.totals.map(line => `
+      <tr${line.isGrandTotal ? ' class="grand"' : ''}>
+        <td>${escapeHtml(line.label)}</td>
+        <td class="num">${formatMoney(line.amount)}</td>
+      </tr>`).join('');
+
+  return htmlPage(`Invoice ${data.invoiceNumber}`, `
+  <h1>Invoice ${escapeHtml(data.invoiceNumber)}</h1>
+  <div class="muted">Order #${escapeHtml(data.orderNumber)} &middot; Issued ${escapeHtml(data.invoiceDate)} &middot; Ordered ${escapeHtml(data.orderDate)}</div>
+
+  <div class="row">
+    ${htmlAddressBlock('From', [data.seller.name, data.vendorName && `Sold by ${data.vendorName}`, data.seller.address, data.seller.email, data.seller.taxId && `Tax ID: ${data.seller.taxId}`])}
+    ${htmlAddressBlock('Bill To', [data.billTo.name, data.billTo.email, data.billTo.phone])}
+    ${htmlAddressBlock('Ship To', data.shipTo)}
+  </div>
+
+  <table>
+    <thead>
+      <tr><th>Item</th><th>SKU</th><th class="num">Qty</th><th class="num">Unit Price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+  </table>
+
+  <table class="totals">
+    <tbody>${totalRows}
+    </tbody>
+  </table>
+
+  <p class="muted">Payment: ${escapeHtml(data.payment.method)} (${escapeHtml(data.payment.status)}${data.payment.paidAt ? `, paid ${escapeHtml(data.payment.paidAt)}` : ''})</p>
+`);
+};
+
+/**
+ * Render a packing slip as a printable HTML page (no prices)
+ * @param {Object} data - Output of buildOrderDocumentData
+ * @returns {string} HTML
+ */
+export const renderPackingSlipHtml = (data) => {
+  const shipmentSections = data.shipments.map(shipment => `
+  <h3>${escapeHtml(shipment.vendorName || 'Shipment')}${shipment.trackingNumber ? ` &middot; ${escapeHtml(shipment.carrier || '')} ${escapeHtml(shipment.trackingNumber)}` : ''}</h3>
+  <table>
+    <thead>
+      <tr><th>Item</th><th>SKU</th><th class="num">Qty</th><th>Packed</th></tr>
+    </thead>
+    <tbody>${shipment.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.name)}${item.variant ? `<div class="muted">${escapeHtml(item.variant)}</div>` : ''}</td>
+        <td>${escapeHtml(item.sku)}</td>
+        <td class="num">${item.quantity}</td>
+        <td>&#9744;</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>`).join('\n');
+
+  return htmlPage(`Packing Slip ${data.orderNumber}`, `
+  <h1>Packing Slip</h1>
+  <div class="muted">Order #${escapeHtml(data.orderNumber)} &middot; Ordered ${escapeHtml(data.orderDate)}</div>
+
+  <div class="row">
+    ${htmlAddressBlock('From', [data.vendorName || data.seller.name, data.seller.address])}
+    ${htmlAddressBlock('Ship To', data.shipTo)}
+  </div>
+${shipmentSections}
+`);
+};
+
+// ======================
+// PDF TEMPLATES
+// ======================
+
+/**
+ * Collect a PDFKit document into a Buffer
+ */
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  draw(doc);
+  doc.end();
+});
+
+const pdfAddressBlock = (doc, heading, lines, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#6b7280').text(heading.toUpperCase(), x, y, { width });
+  doc.font('Helvetica').fontSize(10).fillColor('#1f2937');
+  for (const line of lines.filter(Boolean)) {
+    doc.text(line, { width });
+  }
+  return doc.y;
+};
+
+// Draw a table row; columns: [{ text, width, align }]
+const pdfRow = (doc, columns, y, { bold = false } = {}) => {
+  let x = doc.page.margins.left;
+  let rowBottom = y;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('#1f2937');
+  for (const column of columns) {
+    doc.text(String(column.text ?? ''), x, y, { width: column.width - 6, align: column.align || 'left' });
+    rowBottom = Math.max(rowBottom, doc.y);
+    x += column.width;
+  }
+
+  return rowBottom + 6;
+};
+
+// Start a new page when there is no room left for the next row
+const ensureSpace = (doc, y, needed = 40) => {
+  if (y + needed > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    return doc.page.margins.top;
+  }
+  return y;
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} data - Output of buildOrderDocumentData
+ * @returns {Promise<Buffer>} PDF file
+ */
+export const renderInvoicePdf = (data) => renderPdf((doc) => {
+  const left = doc.page.margins.left;
+  const columnWidth = (doc.page.width - left - doc.page.margins.right) / 3;
+
+  doc.font('Helvetica-Bold').fontSize(20).text(`Invoice ${data.invoiceNumber}`);
+  doc.font('Helvetica').fontSize(10).fillColor('#6b7280')
+    .text(`Order #${data.orderNumber}  |  Issued ${data.invoiceDate}  |  Ordered ${data.orderDate}`);
+
+  const top = doc.y + 20;
+  const bottom = Math.max(
+    pdfAddressBlock(doc, 'From', [data.seller.name, data.vendorName && `Sold by ${data.vendorName}`, data.seller.address, data.seller.email, data.seller.taxId && `Tax ID: ${data.seller.taxId}`], left, top, columnWidth - 10),
+    pdfAddressBlock(doc, 'Bill To', [data.billTo.name, data.billTo.email, data.billTo.phone], left + columnWidth, top, columnWidth - 10),
+    pdfAddressBlock(doc, 'Ship To', data.shipTo, left + columnWidth * 2, top, columnWidth - 10)
+  );
+
+  const columns = [
+    { text: 'Item', width: 200 },
+    { text: 'SKU', width: 90 },
+    { text: 'Qty', width: 40, align: 'right' },
+    { text: 'Unit Price', width: 80, align: 'right' },
+    { text: 'Amount', width: 85, align: 'right' }
+  ];
+
+  let y = pdfRow(doc, columns, bottom + 25, { bold: true });
+
+  for (const item of data.items) {
+    y = ensureSpace(doc, y);
+    y = pdfRow(doc, [
+      { ...columns[0], text: item.variant ? `${item.name}\n${item.variant}` : item.name },
+      { ...columns[1], text: item.sku },
+      { ...columns[2], text: item.quantity },
+      { ...columns[3], text: formatMoney(item.unitPrice) },
+      { ...columns[4], text: formatMoney(item.total) }
+    ], y);
+  }
+
+  y += 10;
+  for (const line of data.totals) {
+    y = ensureSpace(doc, y);
+    y = pdfRow(doc, [
+      { text: '', width: 250 },
+      { text: line.label, width: 160 },
+      { text: formatMoney(line.amount), width: 85, align: 'right' }
+    ], y, { bold: line.isGrandTotal });
+  }
+
+  y = ensureSpace(doc, y + 10);
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(
+    `Payment: ${data.payment.method} (${data.payment.status}${data.payment.paidAt ? `, paid ${data.payment.paidAt}` : ''})`,
+    left,
+    y
+  );
+});
+
+/**
+ * Render a packing slip as a PDF (no prices)
+ * @param {Object} data - Output of buildOrderDocumentData
+ * @returns {Promise<Buffer>} PDF file
+ */
+export const renderPackingSlipPdf = (data) => renderPdf((doc) => {
+  const left = doc.page.margins.left;
+  const columnWidth = (doc.page.width - left - doc.page.margins.right) / 2;
+
+  doc.font('Helvetica-Bold').fontSize(20).text('Packing Slip');
+  doc.font('Helvetica').fontSize(10).fillColor('#6b7280')
+    .text(`Order #${data.orderNumber}  |  Ordered ${data.orderDate}`);
+
+  const top = doc.y + 20;
+  let y = Math.max(
+    pdfAddressBlock(doc, 'From', [data.vendorName || data.seller.name, data.seller.address], left, top, columnWidth - 10),
+    pdfAddressBlock(doc, 'Ship To', data.shipTo, left + columnWidth, top, columnWidth - 10)
+  ) + 20;
+
+  const columns = [
+    { text: 'Item', width: 260 },
+    { text: 'SKU', width: 120 },
+    { text: 'Qty', width: 50, align: 'right' },
+    { text: 'Packed', width: 65, align: 'right' }
+  ];
+
+  for (const shipment of data.shipments) {
+    y = ensureSpace(doc, y, 60);
+    const heading = [shipment.vendorName || 'Shipment', shipment.trackingNumber && `${shipment.carrier || ''} ${shipment.trackingNumber}`.trim()]
+      .filter(Boolean)
+      .join('  |  ');
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#1f2937').text(heading, left, y);
+
+    y = pdfRow(doc, columns, doc.y + 8, { bold: true });
+
+    for (const item of shipment.items) {
+      y = ensureSpace(doc, y);
+      y = pdfRow(doc, [
+        { ...columns[0], text: item.variant ? `${item.name}\n${item.variant}` : item.name },
+        { ...columns[1], text: item.sku },
+        { ...columns[2], text: item.quantity },
+        { ...columns[3], text: '[  ]' }
+      ], y);
+    }
+
+    y += 15;
+  }
+});
+
+export default {
+  issueInvoiceNumber,
+  buildOrderDocumentData,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderPackingSlipHtml,
+  renderPackingSlipPdf
+};
@@ -0,0 +1,47 @@
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount to round
+ * @param {string} mode - half_up, half_even, up or down
+ * @returns {number} Rounded amount
+ */
+export const roundMoney = (amount, mode = 'half_up') => {
+  // Drop floating point noise (e.g. 1.005 * 100 = 100.49999...) before rounding
+  const cents = Math.round(amount * 100 * 1e6) / 1e6;
+
+  switch (mode) {
+    case 'up':
+      return Math.ceil(cents) / 100;
+    case 'down':
+      return Math.floor(cents) / 100;
+    case 'half_even': {
+      const floor = Math.floor(cents);
+      const diff = cents - floor;
+      if (diff > 0.5) return (floor + 1) / 100;
+      if (diff < 0.5) return floor / 100;
+      return (floor % 2 === 0 ? floor : floor + 1) / 100;
+    }
+    default:
+      return Math.round(cents) / 100;
+  }
+};
+
+/**
+ * Split an amount across shares in proportion to their weights
+ * Rounded to cents, with any rounding difference added to the last share
+ * @param {number} amount - Amount to split
+ * @param {Array<number>} weights - One weight per share
+ * @returns {Array<number>} Shares adding up to amount
+ */
+export const allocate = (amount, weights) => {
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  let remaining = Math.round(amount * 100);
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return remaining / 100;
+    }
+    const cents = totalWeight > 0 ? Math.round(amount * 100 * weight / totalWeight) : 0;
+    remaining -= cents;
+    return cents / 100;
+  });
+};
@@ -0,0 +1,377 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import createHttpError from './httpError.util.js';
+
+// Discovery documents and signing keys are cached for this long
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Signature algorithms accepted for ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+/**
+ * Random values for one authorization request
+ * @returns {Object} { state, nonce, codeVerifier, codeChallenge } - the challenge is S256 of the verifier
+ */
+export const createAuthorizationRequest = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    state: crypto.randomBytes(24).toString('base64url'),
+    nonce: crypto.randomBytes(24).toString('base64url'),
+    codeVerifier,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  };
+};
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    throw createHttpError(`Could not reach the sign-in provider: ${error.message}`, 502);
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = data.error_description || data.error?.message || data.error;
+    throw createHttpError(
+      typeof reason === 'string' ? `Sign-in provider error: ${reason}` : `Sign-in provider answered with status ${response.status}`,
+      // A rejected code or token is the client's problem; provider outages are not
+      response.status >= 500 ? 502 : 400
+    );
+  }
+
+  return data;
+};
+
+const sameIssuer = (a, b) => String(a).replace(/\/+$/, '') === String(b).replace(/\/+$/, '');
+
+// Standard OIDC claims → normalized profile
+const mapOidcClaims = (claims) => ({
+  id: claims.sub,
+  email: claims.email,
+  emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+  name: claims.name,
+  avatar: claims.picture
+});
+
+/**
+ * OpenID Connect provider (authorization code flow with PKCE)
+ * Endpoints come from the issuer's discovery document. Plain OAuth 2.0 providers are
+ * configured with explicit endpoints instead and read the profile from their userinfo
+ * endpoint (mapped with mapProfile).
+ *
+ * Profile: { id, email, emailVerified, name, avatar }
+ */
+export class OidcProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Provider name used in routes
+   * @param {string} config.label - Name shown on buttons
+   * @param {string} config.profileField - User.socialProfiles field that stores the account id
+   * @param {string} config.issuer - OIDC issuer (discovery), or
+   * @param {Object} config.endpoints - { authorization, token, userinfo } for OAuth 2.0 providers
+   * @param {Function} config.mapProfile - Userinfo response → profile (OAuth 2.0 providers)
+   */
+  constructor({
+    name,
+    label,
+    profileField,
+    issuer,
+    clientId,
+    clientSecret,
+    scopes = ['openid', 'email', 'profile'],
+    endpoints = {},
+    mapProfile = mapOidcClaims
+  }) {
+    this.name = name;
+    this.label = label || name;
+    this.profileField = profileField;
+    this.issuer = issuer;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scopes = scopes;
+    this.endpoints = endpoints;
+    this.mapProfile = mapProfile;
+    this.metadata = null;
+    this.keys = null;
+  }
+
+  get enabled() {
+    return Boolean(this.clientId && (this.issuer || this.endpoints.authorization));
+  }
+
+  /**
+   * Provider endpoints (discovery document for OIDC issuers)
+   * @returns {Promise<Object>} { issuer, authorization_endpoint, token_endpoint, userinfo_endpoint, jwks_uri }
+   */
+  async getMetadata() {
+    if (!this.issuer) {
+      return {
+        authorization_endpoint: this.endpoints.authorization,
+        token_endpoint: this.endpoints.token,
+        userinfo_endpoint: this.endpoints.userinfo
+      };
+    }
+
+    if (this.metadata && Date.now() - this.metadata.fetchedAt < METADATA_CACHE_MS) {
+      return this.metadata.document;
+    }
+
+    const document = await fetchJson(`${this.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+
+    if (!sameIssuer(document.issuer, this.issuer)) {
+      throw createHttpError(`Discovery document of ${this.label} is for another issuer`, 502);
+    }
+
+    this.metadata = { document, fetchedAt: Date.now() };
+    return document;
+  }
+
+  /**
+   * URL of the provider's sign-in page
+   * @param {Object} params - { state, nonce, codeChallenge, redirectUri }
+   * @returns {Promise<string>}
+   */
+  async getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri }) {
+    const { authorization_endpoint: endpoint } = await this.getMetadata();
+    const url = new URL(endpoint);
+
+    Object.entries({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).forEach(([key, value]) => url.searchParams.set(key, value));
+
+    return url.toString();
+  }
+
+  /**
+   * Exchange the authorization code for tokens
+   * @returns {Promise<Object>} Token response ({ access_token, id_token, ... })
+   */
+  async exchangeCode({ code, codeVerifier, redirectUri }) {
+    const { token_endpoint: endpoint } = await this.getMetadata();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier
+    });
+    if (this.clientSecret) {
+      body.set('client_secret', this.clientSecret);
+    }
+
+    return fetchJson(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      },
+      body
+    });
+  }
+
+  // Public key for an ID token signature; keys are fetched again once for an unknown kid (rotation)
+  async getSigningKey(kid) {
+    const find = () => this.keys?.list.find(key => !kid || key.kid === kid);
+
+    const isFresh = this.keys && Date.now() - this.keys.fetchedAt < METADATA_CACHE_MS;
+    if (!isFresh || !find()) {
+      const { jwks_uri: jwksUri } = await this.getMetadata();
+      const { keys = [] } = await fetchJson(jwksUri);
+      this.keys = { list: keys, fetchedAt: Date.now() };
+    }
+
+    const jwk = find();
+    if (!jwk) {
+      throw createHttpError(`Unknown signing key for the ${this.label} ID token`, 401);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @returns {Promise<Object>} Token claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw createHttpError(`Invalid ${this.label} ID token`, 401);
+    }
+
+    const metadata = await this.getMetadata();
+    const key = await this.getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: this.clientId
+      });
+    } catch (error) {
+      throw createHttpError(`Invalid ${this.label} ID token: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw createHttpError(`Invalid ${this.label} ID token: nonce mismatch`, 401);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Finish the authorization code flow and read the user's profile
+   * @param {Object} params - { code, codeVerifier, nonce, redirectUri }
+   * @returns {Promise<Object>} Profile
+   */
+  async getProfile({ code, codeVerifier, nonce, redirectUri }) {
+    const tokens = await this.exchangeCode({ code, codeVerifier, redirectUri });
+    const { userinfo_endpoint: userinfoEndpoint } = await this.getMetadata();
+
+    const getUserinfo = () => fetchJson(userinfoEndpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+
+    if (!tokens.id_token) {
+      if (!userinfoEndpoint || !tokens.access_token) {
+        throw createHttpError(`${this.label} did not return an ID token`, 502);
+      }
+      return this.mapProfile(await getUserinfo());
+    }
+
+    let claims = await this.verifyIdToken(tokens.id_token, nonce);
+
+    // Some issuers keep the email out of the ID token; it is in the userinfo of the same subject
+    if (!claims.email && userinfoEndpoint && tokens.access_token) {
+      const userinfo = await getUserinfo();
+      if (userinfo.sub === claims.sub) {
+        claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+      }
+    }
+
+    return this.mapProfile(claims);
+  }
+}
+
+// ======================
+// PROVIDER REGISTRY
+// ======================
+
+// Providers that fill User.socialProfiles. Each one is enabled by OIDC_<NAME>_CLIENT_ID
+// (and _CLIENT_SECRET); OIDC_<NAME>_ISSUER points it at another OIDC issuer, such as the
+// local mock issuer (npm run oidc:mock).
+const PROVIDER_DEFINITIONS = {
+  google: {
+    label: 'Google',
+    profileField: 'googleId',
+    issuer: 'https://accounts.google.com'
+  },
+  // Facebook web login is plain OAuth 2.0; the profile comes from the Graph API.
+  // Facebook only returns confirmed email addresses.
+  facebook: {
+    label: 'Facebook',
+    profileField: 'facebookId',
+    scopes: ['email', 'public_profile'],
+    endpoints: {
+      authorization: 'https://www.facebook.com/v19.0/dialog/oauth',
+      token: 'https://graph.facebook.com/v19.0/oauth/access_token',
+      userinfo: 'https://graph.facebook.com/v19.0/me?fields=id,name,email,picture'
+    },
+    mapProfile: (data) => ({
+      id: data.id,
+      email: data.email,
+      emailVerified: Boolean(data.email),
+      name: data.name,
+      avatar: data.picture?.data?.url
+    })
+  }
+};
+
+// User.socialProfiles field of every known provider
+export const SOCIAL_PROFILE_FIELDS = Object.fromEntries(
+  Object.entries(PROVIDER_DEFINITIONS).map(([name, definition]) => [name, definition.profileField])
+);
+
+const providers = new Map();
+let definitionsLoaded = false;
+
+/**
+ * Register a provider under its name (replaces the one built from the environment)
+ * @param {OidcProvider} provider - Provider instance
+ */
+export const registerOidcProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// Built on first use: the environment is loaded after modules are imported
+const loadProviderDefinitions = () => {
+  if (definitionsLoaded) return;
+  definitionsLoaded = true;
+
+  for (const [name, definition] of Object.entries(PROVIDER_DEFINITIONS)) {
+    if (providers.has(name)) continue;
+
+    const prefix = `OIDC_${name.toUpperCase()}`;
+    const issuer = process.env[`${prefix}_ISSUER`];
+    const config = issuer
+      ? { label: definition.label, profileField: definition.profileField, issuer }
+      : definition;
+
+    registerOidcProvider(new OidcProvider({
+      ...config,
+      name,
+      clientId: process.env[`${prefix}_CLIENT_ID`],
+      clientSecret: process.env[`${prefix}_CLIENT_SECRET`]
+    }));
+  }
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @param {Object} options - { enabledOnly } - false to also return providers without credentials
+ * @returns {OidcProvider}
+ */
+export const getOidcProvider = (name, { enabledOnly = true } = {}) => {
+  loadProviderDefinitions();
+  const provider = providers.get(name);
+
+  if (!provider || (enabledOnly && !provider.enabled)) {
+    throw createHttpError(`Unknown sign-in provider '${name}'`, 404);
+  }
+
+  return provider;
+};
+
+/**
+ * Providers users can sign in with
+ * @returns {Array} [{ name, label, profileField }]
+ */
+export const getEnabledOidcProviders = () => {
+  loadProviderDefinitions();
+
+  return [...providers.values()]
+    .filter(provider => provider.enabled)
+    .map(({ name, label, profileField }) => ({ name, label, profileField }));
+};
+
+export default {
+  OidcProvider,
+  SOCIAL_PROFILE_FIELDS,
+  createAuthorizationRequest,
+  registerOidcProvider,
+  getOidcProvider,
+  getEnabledOidcProviders
+};
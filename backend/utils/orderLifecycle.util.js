@@ -0,0 +1,217 @@
+import createHttpError from './httpError.util.js';
+
+/**
+ * Order lifecycle transition table
+ * For each current status: the statuses it may move to and the roles allowed to make that move.
+ * 'system' is used for automated transitions (e.g. verified payment callbacks).
+ *
+ *   pending → confirmed → processing → shipped → delivered → refunded
+ *      ↓           ↓            ↓
+ *   cancelled ─────────────────────────────────────────────→ refunded
+ */
+export const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'vendor', 'system'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  confirmed: {
+    processing: ['admin', 'vendor'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  processing: {
+    shipped: ['admin', 'vendor'],
+    cancelled: ['admin']
+  },
+  shipped: {
+    delivered: ['admin', 'vendor', 'system']
+  },
+  delivered: {
+    refunded: ['admin', 'system']
+  },
+  cancelled: {
+    refunded: ['admin', 'system']
+  },
+  refunded: {}
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+/**
+ * Vendor shipment (sub-order) transition table
+ * Vendors move their own shipment forward; only admins and the system can cancel one.
+ */
+export const SHIPMENT_TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'vendor', 'system'],
+    cancelled: ['admin', 'system']
+  },
+  confirmed: {
+    processing: ['admin', 'vendor', 'system'],
+    cancelled: ['admin', 'system']
+  },
+  processing: {
+    shipped: ['admin', 'vendor', 'system'],
+    cancelled: ['admin', 'system']
+  },
+  shipped: {
+    delivered: ['admin', 'vendor', 'system']
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+export const SHIPMENT_STATUSES = Object.keys(SHIPMENT_TRANSITIONS);
+
+// Fulfillment progress shared by orders and shipments
+const FULFILLMENT_RANK = {
+  pending: 0,
+  confirmed: 1,
+  processing: 2,
+  shipped: 3,
+  delivered: 4
+};
+
+// Timestamp field set when an order enters a status
+export const STATUS_TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  processing: 'processingAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+  refunded: 'refundedAt'
+};
+
+// Statuses whose entry puts reserved stock back on the shelf
+// Delivered goods only come back through returns (see models/return.model.js)
+export const STOCK_RESTORING_STATUSES = ['cancelled'];
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} fromStatus - Current order status
+ * @param {string} role - Optional role to filter by ('customer', 'vendor', 'admin', 'system')
+ * @param {Object} transitions - Transition table (defaults to ORDER_TRANSITIONS)
+ * @returns {Array<string>} Allowed next statuses
+ */
+export const getAllowedTransitions = (fromStatus, role = null, transitions = ORDER_TRANSITIONS) => {
+  const next = transitions[fromStatus] || {};
+
+  return Object.keys(next).filter(status =>
+    !role || next[status].includes(role)
+  );
+};
+
+/**
+ * Check whether a transition is allowed for a role
+ * @param {string} fromStatus - Current order status
+ * @param {string} toStatus - Requested status
+ * @param {string} role - Role making the change
+ * @param {Object} transitions - Transition table (defaults to ORDER_TRANSITIONS)
+ * @returns {boolean}
+ */
+export const canTransition = (fromStatus, toStatus, role = null, transitions = ORDER_TRANSITIONS) => {
+  return getAllowedTransitions(fromStatus, role, transitions).includes(toStatus);
+};
+
+/**
+ * Throw an HTTP error if a transition is not allowed
+ * 400 for unknown statuses, 409 for invalid transitions, 403 when the role may not make it
+ * @param {string} fromStatus - Current order status
+ * @param {string} toStatus - Requested status
+ * @param {string} role - Role making the change
+ * @param {Object} transitions - Transition table (defaults to ORDER_TRANSITIONS)
+ * @param {string} label - Name used in error messages
+ */
+export const assertTransition = (fromStatus, toStatus, role, transitions = ORDER_TRANSITIONS, label = 'order') => {
+  const statuses = Object.keys(transitions);
+
+  if (!statuses.includes(toStatus)) {
+    throw createHttpError(
+      `Invalid ${label} status '${toStatus}'. Valid statuses: ${statuses.join(', ')}`,
+      400
+    );
+  }
+
+  const allowedStatuses = getAllowedTransitions(fromStatus, null, transitions);
+
+  if (!allowedStatuses.includes(toStatus)) {
+    throw createHttpError(
+      `Cannot change ${label} status from '${fromStatus}' to '${toStatus}'. ` +
+        (allowedStatuses.length > 0
+          ? `Allowed next states: ${allowedStatuses.join(', ')}`
+          : `'${fromStatus}' is a final state`),
+      409,
+      { currentStatus: fromStatus, allowedStatuses }
+    );
+  }
+
+  if (!canTransition(fromStatus, toStatus, role, transitions)) {
+    throw createHttpError(
+      `Role '${role}' is not allowed to change ${label} status from '${fromStatus}' to '${toStatus}'`,
+      403,
+      { currentStatus: fromStatus, allowedStatuses: getAllowedTransitions(fromStatus, role, transitions) }
+    );
+  }
+};
+
+/**
+ * Throw an HTTP error if a vendor shipment transition is not allowed
+ * @param {string} fromStatus - Current shipment status
+ * @param {string} toStatus - Requested status
+ * @param {string} role - Role making the change
+ */
+export const assertShipmentTransition = (fromStatus, toStatus, role) => {
+  assertTransition(fromStatus, toStatus, role, SHIPMENT_TRANSITIONS, 'shipment');
+};
+
+/**
+ * Derive the parent order status from its shipment statuses
+ *   all cancelled        → cancelled
+ *   all delivered        → delivered
+ *   all shipped or later → shipped
+ *   any being worked on  → processing
+ *   all confirmed        → confirmed
+ * Cancelled shipments are ignored while others are still active.
+ * @param {Array<string>} shipmentStatuses - Status of each shipment
+ * @returns {string|null} Derived status (null when there are no shipments)
+ */
+export const deriveOrderStatus = (shipmentStatuses) => {
+  if (shipmentStatuses.length === 0) return null;
+
+  const active = shipmentStatuses.filter(status => status !== 'cancelled');
+  if (active.length === 0) return 'cancelled';
+
+  const ranks = active.map(status => FULFILLMENT_RANK[status]);
+  const lowest = Math.min(...ranks);
+
+  if (lowest >= FULFILLMENT_RANK.delivered) return 'delivered';
+  if (lowest >= FULFILLMENT_RANK.shipped) return 'shipped';
+  if (Math.max(...ranks) >= FULFILLMENT_RANK.processing) return 'processing';
+  if (lowest >= FULFILLMENT_RANK.confirmed) return 'confirmed';
+  return 'pending';
+};
+
+/**
+ * Check whether a status is further along in fulfillment than another
+ * @param {string} status - Candidate status
+ * @param {string} than - Status to compare against
+ * @returns {boolean}
+ */
+export const isFurtherAlong = (status, than) => {
+  return status in FULFILLMENT_RANK && than in FULFILLMENT_RANK &&
+    FULFILLMENT_RANK[status] > FULFILLMENT_RANK[than];
+};
+
+export default {
+  ORDER_TRANSITIONS,
+  ORDER_STATUSES,
+  SHIPMENT_TRANSITIONS,
+  SHIPMENT_STATUSES,
+  STATUS_TIMESTAMPS,
+  STOCK_RESTORING_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  assertShipmentTransition,
+  deriveOrderStatus,
+  isFurtherAlong
+};
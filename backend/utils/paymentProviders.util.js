@@ -0,0 +1,338 @@
+import crypto from 'crypto';
+import createHttpError from './httpError.util.js';
+
+/**
+ * Payment provider interface
+ * Every provider works with normalized intents and events so controllers never
+ * depend on a specific gateway.
+ *
+ * Intent:  { intentId, amount, currency, captureMethod }
+ * Event:   { id, type, intentId, amount, refundId, reason, createdAt }
+ * Types:   payment.authorized, payment.succeeded, payment.failed, refund.succeeded
+ */
+export class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create a payment intent for an order
+   * @param {Object} params - { amount, currency, orderId, captureMethod }
+   * @returns {Promise<Object>} { intentId, clientSecret, status }
+   */
+  async createIntent() {
+    throw createHttpError(`${this.name} provider does not support creating payments`);
+  }
+
+  /**
+   * Confirm an intent with the customer's payment details
+   * The result is provisional - the order is only updated by the provider callback
+   * @returns {Promise<Object>} { status }
+   */
+  async confirm() {
+    throw createHttpError(`${this.name} provider does not support confirming payments`);
+  }
+
+  /**
+   * Capture an authorized intent
+   * @returns {Promise<Object>} { status, amount }
+   */
+  async capture() {
+    throw createHttpError(`${this.name} provider does not support capturing payments`);
+  }
+
+  /**
+   * Refund part or all of a captured intent
+   * @returns {Promise<Object>} Normalized refund.succeeded event
+   */
+  async refund() {
+    throw createHttpError(`${this.name} provider does not support refunds`);
+  }
+
+  /**
+   * Verify a webhook request and return the normalized event
+   * Must throw if the signature is missing or invalid
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers
+   * @returns {Object} Normalized event
+   */
+  verifyWebhook() {
+    throw createHttpError(`${this.name} provider does not accept webhooks`);
+  }
+}
+
+/**
+ * Build a normalized event
+ */
+const createEvent = (type, data) => ({
+  id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+  type,
+  createdAt: new Date().toISOString(),
+  ...data
+});
+
+const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+const MOCK_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Card numbers / tokens the mock gateway declines
+const MOCK_DECLINED_TOKENS = ['tok_declined', 'tok_chargeDeclined'];
+const MOCK_DECLINED_CARD_SUFFIX = '0002';
+
+/**
+ * Local mock gateway
+ * Simulates a card processor and delivers HMAC-signed webhooks back to the API,
+ * so the full payment flow runs without network access or third-party accounts.
+ * It approves any card, so it is only registered outside production (see setupPaymentProviders).
+ */
+export class MockPaymentProvider extends PaymentProvider {
+  constructor({ secret, webhookUrl } = {}) {
+    super('mock');
+    this.secret = secret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    if (!this.secret) {
+      // The webhook route is public: a known secret would let anyone mark orders paid
+      throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider');
+    }
+    this.webhookUrl = webhookUrl || process.env.MOCK_PAYMENT_WEBHOOK_URL ||
+      `http://localhost:${process.env.PORT || 5000}/api/payments/webhooks/mock`;
+  }
+
+  // Sign a payload the same way real gateways do: HMAC over "timestamp.body"
+  sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Send a signed event to the webhook endpoint without blocking the caller
+  dispatch(event) {
+    const payload = JSON.stringify(event);
+
+    setImmediate(async () => {
+      try {
+        const response = await fetch(this.webhookUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            [MOCK_SIGNATURE_HEADER]: this.sign(payload)
+          },
+          body: payload,
+          signal: AbortSignal.timeout(5000)
+        });
+
+        if (!response.ok) {
+          console.error(`Mock payment webhook ${event.type} rejected with status ${response.status}`);
+        }
+      } catch (error) {
+        console.error(`Failed to deliver mock payment webhook ${event.type}:`, error.message);
+      }
+    });
+  }
+
+  async createIntent({ amount, currency = 'USD', captureMethod = 'automatic' }) {
+    const intentId = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+      intentId,
+      clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      amount,
+      currency,
+      captureMethod,
+      status: 'requires_confirmation'
+    };
+  }
+
+  async confirm(intent, paymentDetails = {}) {
+    const cardNumber = String(paymentDetails.cardNumber || '').replace(/\s/g, '');
+    const declined = MOCK_DECLINED_TOKENS.includes(paymentDetails.token) ||
+      cardNumber.endsWith(MOCK_DECLINED_CARD_SUFFIX);
+
+    if (declined) {
+      this.dispatch(createEvent('payment.failed', {
+        intentId: intent.intentId,
+        amount: intent.amount,
+        reason: 'Card declined'
+      }));
+      return { status: 'failed' };
+    }
+
+    const type = intent.captureMethod === 'manual' ? 'payment.authorized' : 'payment.succeeded';
+    this.dispatch(createEvent(type, { intentId: intent.intentId, amount: intent.amount }));
+
+    return { status: 'processing' };
+  }
+
+  async capture(intent, amount = intent.amount) {
+    this.dispatch(createEvent('payment.succeeded', { intentId: intent.intentId, amount }));
+    return { status: 'processing', amount };
+  }
+
+  async refund(intent, amount, reason = '') {
+    const event = createEvent('refund.succeeded', {
+      intentId: intent.intentId,
+      refundId: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+      amount,
+      reason
+    });
+
+    // Refunds are confirmed synchronously; the webhook copy is deduplicated by refundId
+    this.dispatch(event);
+    return event;
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const header = headers[MOCK_SIGNATURE_HEADER];
+
+    if (!rawBody || !header) {
+      throw createHttpError('Missing webhook signature', 400);
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > MOCK_SIGNATURE_TOLERANCE_SECONDS) {
+      throw createHttpError('Webhook signature has expired', 400);
+    }
+
+    const expected = Buffer.from(this.sign(rawBody.toString(), timestamp));
+    const received = Buffer.from(header);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw createHttpError('Invalid webhook signature', 400);
+    }
+
+    return JSON.parse(rawBody.toString());
+  }
+}
+
+/**
+ * Offline payments (cash on delivery, bank transfer)
+ * There is no gateway: an administrator records the payment once the money arrives.
+ */
+export class ManualPaymentProvider extends PaymentProvider {
+  constructor() {
+    super('manual');
+  }
+
+  async createIntent({ amount, currency = 'USD' }) {
+    return {
+      intentId: `manual_${crypto.randomBytes(12).toString('hex')}`,
+      clientSecret: null,
+      amount,
+      currency,
+      captureMethod: 'automatic',
+      status: 'requires_confirmation'
+    };
+  }
+
+  async confirm() {
+    throw createHttpError('This payment is confirmed by an administrator once it has been received');
+  }
+
+  /**
+   * Build the event for a payment recorded by an administrator
+   * @param {Object} intent - Payment intent
+   * @param {Object} details - { reference, recordedBy }
+   */
+  recordPayment(intent, { reference, recordedBy } = {}) {
+    return createEvent('payment.succeeded', {
+      intentId: intent.intentId,
+      amount: intent.amount,
+      reference,
+      recordedBy
+    });
+  }
+
+  async refund(intent, amount, reason = '') {
+    return createEvent('refund.succeeded', {
+      intentId: intent.intentId,
+      refundId: `manual_re_${crypto.randomBytes(12).toString('hex')}`,
+      amount,
+      reason
+    });
+  }
+}
+
+// ======================
+// PROVIDER REGISTRY
+// ======================
+
+const providers = new Map();
+
+/**
+ * Register a provider implementation under its name
+ * @param {PaymentProvider} provider - Provider instance
+ */
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+registerPaymentProvider(new ManualPaymentProvider());
+
+/**
+ * Register the providers that depend on configuration (call once at startup, after .env is loaded)
+ * The mock gateway is left out in production unless ENABLE_MOCK_PAYMENTS=true.
+ * @throws When the mock gateway is enabled without MOCK_PAYMENT_WEBHOOK_SECRET
+ */
+export const setupPaymentProviders = () => {
+  if (process.env.NODE_ENV !== 'production' || process.env.ENABLE_MOCK_PAYMENTS === 'true') {
+    registerPaymentProvider(new MockPaymentProvider());
+  }
+};
+
+// Order paymentMethod → provider name
+// Point card/paypal methods at a real provider once one is registered; until then they
+// are only available where the mock gateway is
+export const PAYMENT_METHOD_PROVIDERS = {
+  credit_card: 'mock',
+  debit_card: 'mock',
+  paypal: 'mock',
+  cash_on_delivery: 'manual',
+  bank_transfer: 'manual'
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {PaymentProvider}
+ */
+export const getPaymentProvider = (name) => {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw createHttpError(`Unknown payment provider '${name}'`, 404);
+  }
+
+  return provider;
+};
+
+/**
+ * Get the provider that handles an order payment method
+ * @param {string} paymentMethod - Order paymentMethod
+ * @returns {PaymentProvider}
+ */
+export const getProviderForMethod = (paymentMethod) => {
+  const name = PAYMENT_METHOD_PROVIDERS[paymentMethod];
+
+  if (!name) {
+    throw createHttpError(`Unsupported payment method '${paymentMethod}'`);
+  }
+
+  if (!providers.has(name)) {
+    throw createHttpError(`Payment method '${paymentMethod}' is not available`);
+  }
+
+  return getPaymentProvider(name);
+};
+
+export default {
+  PaymentProvider,
+  MockPaymentProvider,
+  ManualPaymentProvider,
+  PAYMENT_METHOD_PROVIDERS,
+  registerPaymentProvider,
+  setupPaymentProviders,
+  getPaymentProvider,
+  getProviderForMethod
+};
@@ -0,0 +1,101 @@
+import Payment from '../models/payment.model.js';
+import { getPaymentProvider, getProviderForMethod } from './paymentProviders.util.js';
+import createHttpError from './httpError.util.js';
+
+/**
+ * Record an offline payment (cash on delivery, bank transfer) confirmed by an administrator
+ * Goes through the same event handling as gateway callbacks
+ * @param {Object} order - Order document
+ * @param {Object} details - { reference, recordedBy }
+ * @returns {Promise<Object>} Payment document
+ */
+export const recordManualPayment = async (order, details = {}) => {
+  const provider = getProviderForMethod(order.paymentMethod);
+
+  if (typeof provider.recordPayment !== 'function') {
+    throw createHttpError(
+      `Payments made by ${order.paymentMethod.replace(/_/g, ' ')} are confirmed by the payment provider`
+    );
+  }
+
+  if (['completed', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+    throw createHttpError('Order has already been paid');
+  }
+
+  let payment = await Payment.findLatestForOrder(order._id, 'requires_confirmation');
+
+  if (!payment) {
+    const intent = await provider.createIntent({ amount: order.totalPrice, currency: 'USD' });
+
+    payment = await Payment.create({
+      order: order._id,
+      customer: order.customer,
+      provider: provider.name,
+      paymentMethod: order.paymentMethod,
+      intentId: intent.intentId,
+      amount: intent.amount,
+      currency: intent.currency
+    });
+  }
+
+  order.paymentProvider = provider.name;
+  await payment.applyEvent(provider.recordPayment(payment.intent, details), { order });
+
+  return payment;
+};
+
+/**
+ * Refund part or all of an order's captured payment through its provider
+ * @param {Object} order - Order document (updated in place)
+ * @param {number} amount - Amount to refund (null refunds everything still refundable)
+ * @param {string} reason - Refund reason
+ * @param {Object} options - { returnRequest } return being refunded, if any
+ * @returns {Promise<Object>} Payment document
+ */
+export const refundOrderPayment = async (order, amount = null, reason = '', { returnRequest } = {}) => {
+  const payment = await Payment.findLatestForOrder(order._id, 'succeeded');
+
+  if (!payment) {
+    throw createHttpError('No captured payment found for this order');
+  }
+
+  // Numeric strings from request bodies would concatenate in Payment#applyEvent
+  amount = amount === null || amount === undefined ? payment.refundableAmount : Number(amount);
+
+  if (!Number.isFinite(amount) || amount <= 0 || amount > payment.refundableAmount) {
+    throw createHttpError(`Refund amount must be between 0 and ${payment.refundableAmount}`);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+
+  // Reserve the amount first so parallel refunds cannot go past what was captured
+  const pending = { $ifNull: ['$amountRefundPending', 0] };
+  const reserved = await Payment.updateOne(
+    {
+      _id: payment._id,
+      $expr: { $lte: [{ $round: [{ $add: ['$amountRefunded', pending, amount] }, 2] }, '$amountCaptured'] }
+    },
+    [{ $set: { amountRefundPending: { $round: [{ $add: [pending, amount] }, 2] } } }]
+  );
+
+  if (reserved.modifiedCount === 0) {
+    throw createHttpError('Refund amount is more than what can still be refunded, another refund may be in progress', 409);
+  }
+
+  try {
+    const event = await provider.refund(payment.intent, amount, reason);
+    await payment.applyEvent(event, { order, returnRequest });
+  } finally {
+    await Payment.updateOne(
+      { _id: payment._id },
+      [{ $set: { amountRefundPending: { $round: [{ $subtract: [pending, amount] }, 2] } } }]
+    );
+  }
+
+  return payment;
+};
+
+export default {
+  recordManualPayment,
+  refundOrderPayment
+};
@@ -0,0 +1,61 @@
+import Role, { ALL_PERMISSIONS, DEFAULT_ROLES } from '../models/role.model.js';
+
+// Role permissions are cached per process; edits made through the role endpoints clear it,
+// other instances pick them up after this long
+const CACHE_MS = 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * Permissions granted by a role
+ * Default roles that are not in the database yet fall back to their built-in permissions.
+ * @param {string} roleName - User's role
+ * @returns {Promise<Set<string>>} Permission names ('*' grants all)
+ */
+export const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+  const fallback = DEFAULT_ROLES.find(defaultRole => defaultRole.name === roleName);
+  const permissions = new Set(role?.permissions || fallback?.permissions || []);
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_MS });
+  return permissions;
+};
+
+// Forget cached permissions (after a role changes)
+export const clearPermissionCache = (roleName) => {
+  if (roleName) {
+    cache.delete(roleName);
+  } else {
+    cache.clear();
+  }
+};
+
+/**
+ * Whether a permission set includes a permission
+ * @param {Set<string>} permissions - From getRolePermissions (req.permissions after protect)
+ * @param {string} permission - Permission name (see PERMISSIONS)
+ */
+export const hasPermission = (permissions, permission) =>
+  Boolean(permissions) && (permissions.has(ALL_PERMISSIONS) || permissions.has(permission));
+
+/**
+ * Permissions from a list that a permission set does not include
+ * Used to keep users from granting more than they have ('*' is only covered by '*').
+ * @param {Set<string>} permissions - The acting user's permissions
+ * @param {Iterable<string>} required - Permissions being granted
+ * @returns {string[]} Missing permissions (empty when all are covered)
+ */
+export const missingPermissions = (permissions, required) =>
+  [...required].filter(permission => !hasPermission(permissions, permission));
+
+export default {
+  getRolePermissions,
+  clearPermissionCache,
+  hasPermission,
+  missingPermissions
+};
@@ -0,0 +1,480 @@
+import ExcelJS from 'exceljs';
+import Product from '../models/product.model.js';
+import Category from '../models/category.model.js';
+import ImportJob from '../models/importJob.model.js';
+import createHttpError from './httpError.util.js';
+import { validateSpecifications } from './specifications.util.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Save job progress every N rows so polling clients see it move
+const PROGRESS_INTERVAL = 25;
+
+// Columns of import and export files; headers are Product schema paths
+// Products are matched by inventory.sku; empty cells leave the product's value unchanged
+export const PRODUCT_COLUMNS = [
+  { path: 'inventory.sku', type: 'sku' },
+  { path: 'name' },
+  { path: 'description' },
+  { path: 'shortDescription' },
+  { path: 'price', type: 'number' },
+  { path: 'comparePrice', type: 'number' },
+  // Category slug
+  { path: 'category', type: 'category' },
+  { path: 'brand' },
+  { path: 'inventory.quantity', type: 'integer' },
+  // "tag one, tag two"
+  { path: 'tags', type: 'list' },
+  // "Color: Red; Material: Cotton"
+  { path: 'specifications', type: 'map' },
+  { path: 'status', type: 'lowercase' }
+];
+
+const COLUMN_PATHS = PRODUCT_COLUMNS.map(column => column.path);
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// ======================
+// CSV
+// ======================
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Write rows as CSV, quoting fields where needed
+ * @param {Array<Array>} rows - Rows of values
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const toCsv = (rows) => {
+  const quote = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+};
+
+// ======================
+// CELL VALUES
+// ======================
+
+/**
+ * Turn a cell into the value for a product path
+ * @returns {Object} { value } or { error }
+ */
+const parseCell = (column, raw) => {
+  // Text that was escaped on export to keep spreadsheet apps from running it ('=A1 -> =A1)
+  const text = raw.startsWith("'") && FORMULA_PREFIX.test(raw.slice(1)) ? raw.slice(1) : raw;
+
+  switch (column.type) {
+    case 'number': {
+      const value = Number(text);
+      return Number.isFinite(value) ? { value } : { error: `${column.path} must be a number` };
+    }
+    case 'integer': {
+      const value = Number(text);
+      return Number.isInteger(value) ? { value } : { error: `${column.path} must be a whole number` };
+    }
+    case 'sku':
+      return { value: text.toUpperCase() };
+    case 'lowercase':
+    case 'category':
+      return { value: text.toLowerCase() };
+    case 'list':
+      return { value: text.split(',').map(item => item.trim()).filter(Boolean) };
+    case 'map': {
+      const entries = [];
+
+      for (const pair of text.split(';').map(item => item.trim()).filter(Boolean)) {
+        const separator = pair.indexOf(':');
+        const key = pair.slice(0, separator).trim();
+
+        if (separator < 1 || !key) {
+          return { error: `${column.path} entries must look like "Name: Value" (got "${pair}")` };
+        }
+        if (key.includes('.') || key.startsWith('$')) {
+          return { error: `${column.path} name cannot contain "." or start with "$": ${key}` };
+        }
+
+        entries.push([key, pair.slice(separator + 1).trim()]);
+      }
+
+      return { value: new Map(entries) };
+    }
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * Turn a product value into a cell
+ * @param {boolean} escapeFormulas - Prefix text that looks like a formula with ' (CSV)
+ */
+const formatCell = (column, value, escapeFormulas) => {
+  if (value === undefined || value === null) return '';
+
+  switch (column.type) {
+    case 'number':
+    case 'integer':
+      return value;
+    case 'category':
+      // Exports populate the category
+      return value.slug ?? '';
+    case 'list':
+      return value.join(', ');
+    case 'map': {
+      const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+      return entries.map(([key, entry]) => `${key}: ${entry}`).join('; ');
+    }
+    default: {
+      const text = String(value);
+      return escapeFormulas && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+    }
+  }
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Effective attributes of a category, loaded once per import
+ * @param {Object} context - Import context with categoriesBySlug and attributesByCategory
+ */
+const getCategoryAttributes = (categoryId, { categoriesBySlug, attributesByCategory }) => {
+  const key = categoryId.toString();
+
+  if (!attributesByCategory.has(key)) {
+    const loaded = [...categoriesBySlug.values()].find(category => category._id.toString() === key);
+    attributesByCategory.set(key, Promise.resolve(loaded || Category.findById(categoryId))
+      .then(category => (category ? category.getEffectiveAttributes() : [])));
+  }
+
+  return attributesByCategory.get(key);
+};
+
+// ======================
+// READING & WRITING FILES
+// ======================
+
+/**
+ * Read the data rows of an import file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' or 'xlsx' (first worksheet)
+ * @returns {Promise<Array>} [{ row, values: { path: text } }], blank rows left out
+ * @throws 400 for unreadable files, unknown or missing columns, and too many rows
+ */
+export const readProductSheet = async (buffer, format) => {
+  let table;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch {
+      throw createHttpError('File is not a valid XLSX workbook');
+    }
+
+    const worksheet = workbook.worksheets[0];
+    table = [];
+    worksheet?.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      table[rowNumber - 1] = Array.from({ length: row.cellCount }, (_, index) => row.getCell(index + 1).text);
+    });
+    table = Array.from(table, row => row || []);
+  } else {
+    table = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  }
+
+  const headers = (table[0] || []).map(header => String(header).trim());
+
+  if (headers.length === 0 || headers.every(header => !header)) {
+    throw createHttpError('The file is empty; the first row must hold the column names');
+  }
+
+  const unknown = headers.filter(header => header && !COLUMN_PATHS.includes(header));
+  if (unknown.length > 0) {
+    throw createHttpError(`Unknown columns: ${unknown.join(', ')}. Columns are: ${COLUMN_PATHS.join(', ')}`);
+  }
+
+  if (!headers.includes('inventory.sku')) {
+    throw createHttpError('The inventory.sku column is required to match products');
+  }
+
+  const records = table.slice(1)
+    .map((cells, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(headers
+        .map((header, column) => [header, String(cells[column] ?? '').trim()])
+        .filter(([header]) => header))
+    }))
+    .filter(record => Object.values(record.values).some(Boolean));
+
+  if (records.length === 0) {
+    throw createHttpError('The file has no product rows');
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw createHttpError(`Files can have up to ${MAX_IMPORT_ROWS} rows; split this one into smaller files`);
+  }
+
+  return records;
+};
+
+/**
+ * Write products as an import file
+ * @param {Array} products - Products (documents or plain objects)
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<Buffer>} File contents
+ */
+export const writeProductSheet = async (products, format) => {
+  const escapeFormulas = format === 'csv';
+  const rows = products.map(product =>
+    PRODUCT_COLUMNS.map(column => formatCell(column, getPath(product, column.path), escapeFormulas))
+  );
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Products');
+
+    worksheet.addRow(COLUMN_PATHS).font = { bold: true };
+    worksheet.addRows(rows);
+    worksheet.columns.forEach(column => {
+      column.width = 20;
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  // The byte order mark makes Excel read the file as UTF-8
+  return Buffer.from(`\uFEFF${toCsv([COLUMN_PATHS, ...rows])}`, 'utf8');
+};
+
+// ======================
+// IMPORT JOB
+// ======================
+
+/**
+ * Validate one row and, unless it is a dry run, create or update its product
+ * @returns {Promise<Object>} Row report { row, sku, action, product, messages }
+ */
+const importRow = async (record, context) => {
+  const { vendor, productsBySku, categoriesBySlug, seenSkus, dryRun } = context;
+  const fields = {};
+  const messages = [];
+  const invalidPaths = new Set();
+
+  for (const column of PRODUCT_COLUMNS) {
+    const raw = record.values[column.path];
+    if (!raw) continue;
+
+    const { value, error } = parseCell(column, raw);
+    if (error) {
+      messages.push(error);
+      invalidPaths.add(column.path);
+    } else {
+      fields[column.path] = value;
+    }
+  }
+
+  if (fields.category) {
+    const category = categoriesBySlug.get(fields.category);
+
+    if (category) {
+      fields.category = category._id;
+    } else {
+      messages.push(`Unknown or inactive category: ${fields.category}`);
+      invalidPaths.add('category');
+      delete fields.category;
+    }
+  }
+
+  const sku = fields['inventory.sku'];
+  const report = { row: record.row, sku, action: 'skip', messages };
+
+  if (!sku) {
+    messages.push('inventory.sku is required');
+    return report;
+  }
+
+  if (seenSkus.has(sku)) {
+    messages.push(`SKU ${sku} appears more than once in this file`);
+    return report;
+  }
+  seenSkus.add(sku);
+
+  const existing = productsBySku.get(sku);
+
+  // SKUs are unique across the marketplace, but each vendor can only touch their own products
+  if (existing && existing.vendor.toString() !== vendor._id.toString()) {
+    messages.push(`SKU ${sku} is used by another vendor`);
+    return report;
+  }
+
+  if (existing?.hasVariants && fields['inventory.quantity'] !== undefined) {
+    messages.push('This product has variants; its stock is set per variant');
+  }
+
+  // Specifications must fit the category attributes; checked for new products and when either changes
+  const categoryId = fields.category || existing?.category;
+  if (categoryId && !invalidPaths.has('specifications') && (!existing || fields.category || fields.specifications)) {
+    const { specifications, errors } = validateSpecifications(
+      fields.specifications ?? existing?.specifications,
+      await getCategoryAttributes(categoryId, context)
+    );
+
+    if (errors.length > 0) {
+      messages.push(...errors.map(error => error.message));
+      invalidPaths.add('specifications');
+    } else {
+      fields.specifications = new Map(Object.entries(specifications));
+    }
+  }
+
+  const product = existing || new Product({
+    vendor: vendor._id,
+    vendorName: vendor.name,
+    status: 'active'
+  });
+
+  for (const [path, value] of Object.entries(fields)) {
+    product.set(path, value);
+  }
+
+  // Schema validation reports the remaining problems, so a dry run lists all of them at once
+  const validationError = product.validateSync();
+  if (validationError) {
+    messages.push(...Object.entries(validationError.errors)
+      .filter(([path]) => !invalidPaths.has(path))
+      .map(([, error]) => error.message));
+  }
+
+  if (messages.length > 0) return report;
+
+  report.action = existing ? 'update' : 'create';
+  report.product = product._id;
+
+  if (dryRun) return report;
+
+  try {
+    await product.save();
+    productsBySku.set(sku, product);
+  } catch (error) {
+    messages.push(error.code === 11000 ? `SKU ${sku} already exists` : error.message);
+    report.action = 'skip';
+    report.product = undefined;
+  }
+
+  return report;
+};
+
+/**
+ * Run a product import job
+ * Runs in the API process after the upload request has returned; progress and the per-row
+ * report are saved on the ImportJob for polling. Rows are independent: a failing row is
+ * reported and the rest are still imported.
+ * @param {string} jobId - ImportJob id
+ * @param {Array} records - Rows from readProductSheet
+ * @param {Object} vendor - User the products belong to ({ _id, name })
+ */
+export const runProductImport = async (jobId, records, vendor) => {
+  const job = await ImportJob.findById(jobId);
+  if (!job) return;
+
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  try {
+    const skus = records.map(record => String(record.values['inventory.sku'] || '').toUpperCase()).filter(Boolean);
+    const existing = await Product.find({ 'inventory.sku': { $in: skus } });
+    const categories = await Category.find({ status: 'active' }).select('slug attributes ancestors');
+
+    const context = {
+      vendor,
+      dryRun: job.dryRun,
+      productsBySku: new Map(existing.map(product => [product.inventory.sku, product])),
+      categoriesBySlug: new Map(categories.map(category => [category.slug, category])),
+      attributesByCategory: new Map(),
+      seenSkus: new Set()
+    };
+
+    for (const record of records) {
+      const report = await importRow(record, context);
+
+      job.rows.push(report);
+      job.processed += 1;
+      if (report.action === 'create') job.summary.created += 1;
+      else if (report.action === 'update') job.summary.updated += 1;
+      else job.summary.failed += 1;
+
+      if (job.processed % PROGRESS_INTERVAL === 0) {
+        await ImportJob.updateOne(
+          { _id: job._id },
+          { $set: { processed: job.processed, summary: job.summary } }
+        );
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+};
+
+export default {
+  MAX_IMPORT_ROWS,
+  PRODUCT_COLUMNS,
+  parseCsv,
+  toCsv,
+  readProductSheet,
+  writeProductSheet,
+  runProductImport
+};
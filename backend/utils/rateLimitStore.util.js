@@ -0,0 +1,175 @@
+import createHttpError from './httpError.util.js';
+import RateLimit from '../models/rateLimit.model.js';
+
+// Expired windows are swept from memory after this many hits
+const MEMORY_SWEEP_INTERVAL = 1000;
+
+/**
+ * Rate limit store interface
+ * Counts hits per key in fixed windows. Stores are shared by all limiters; keys are
+ * prefixed with the limiter name.
+ */
+export class RateLimitStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Count a hit, starting a new window when the last one ended
+   * @param {string} key - Limiter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetAt } of the current window
+   */
+  async increment() {
+    throw createHttpError(`${this.name} rate limit store does not count hits`, 500);
+  }
+
+  /**
+   * Take back a hit (requests that should not count once they finished)
+   * @param {string} key - Limiter key
+   */
+  async decrement() {
+    throw createHttpError(`${this.name} rate limit store does not count hits`, 500);
+  }
+
+  /**
+   * Forget a key (admin unlock)
+   * @param {string} key - Limiter key
+   */
+  async reset() {
+    throw createHttpError(`${this.name} rate limit store does not reset keys`, 500);
+  }
+}
+
+/**
+ * In-process store
+ * Fast, but every server process counts on its own and counts are lost on restart
+ */
+export class MemoryRateLimitStore extends RateLimitStore {
+  constructor() {
+    super('memory');
+    this.windows = new Map();
+    this.hits = 0;
+  }
+
+  sweep(now) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+
+    if (++this.hits % MEMORY_SWEEP_INTERVAL === 0) {
+      this.sweep(now);
+    }
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+    return { count: window.count, resetAt: new Date(window.resetAt) };
+  }
+
+  async decrement(key) {
+    const window = this.windows.get(key);
+    if (window && window.count > 0) window.count -= 1;
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+}
+
+/**
+ * MongoDB store (RateLimit model)
+ * Counts are shared by every server process and survive restarts
+ */
+export class MongoRateLimitStore extends RateLimitStore {
+  constructor() {
+    super('mongo');
+  }
+
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+
+    const current = await RateLimit.findOneAndUpdate(
+      { key, expiresAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    if (current) {
+      return { count: current.count, resetAt: current.expiresAt };
+    }
+
+    // No open window: start one (replacing an ended window the TTL monitor has not removed yet)
+    try {
+      const started = await RateLimit.findOneAndUpdate(
+        { key, expiresAt: { $lte: now } },
+        { $set: { count: 1, expiresAt: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true }
+      );
+      return { count: started.count, resetAt: started.expiresAt };
+    } catch (error) {
+      // Another request opened the window first - count the hit in it
+      if (error.code !== 11000 || retried) throw error;
+      return this.increment(key, windowMs, true);
+    }
+  }
+
+  async decrement(key) {
+    await RateLimit.updateOne(
+      { key, count: { $gt: 0 }, expiresAt: { $gt: new Date() } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+// ======================
+// STORE REGISTRY
+// ======================
+
+const stores = new Map();
+
+/**
+ * Register a rate limit store under its name
+ * @param {RateLimitStore} store - Store instance
+ */
+export const registerRateLimitStore = (store) => {
+  stores.set(store.name, store);
+};
+
+registerRateLimitStore(new MemoryRateLimitStore());
+registerRateLimitStore(new MongoRateLimitStore());
+
+/**
+ * Get the rate limit store selected by RATE_LIMIT_STORE (default 'memory')
+ * @param {string} name - Store name
+ * @returns {RateLimitStore}
+ */
+export const getRateLimitStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  const store = stores.get(name);
+
+  if (!store) {
+    throw createHttpError(`Unknown rate limit store '${name}'`, 500);
+  }
+
+  return store;
+};
+
+export default {
+  RateLimitStore,
+  MemoryRateLimitStore,
+  MongoRateLimitStore,
+  registerRateLimitStore,
+  getRateLimitStore
+};
@@ -0,0 +1,309 @@
+import mongoose from 'mongoose';
+
+// Share of a query's trigrams a product must contain to match (typos still leave most of them)
+export const MIN_SIMILARITY = 0.4;
+
+// Relevance = text match, rating and sales mixed with these weights
+export const RANKING_WEIGHTS = { text: 0.7, rating: 0.15, sales: 0.15 };
+
+// Within the text score: trigram overlap versus whole words
+const TEXT_WEIGHTS = { grams: 0.7, terms: 0.3 };
+
+// Units sold (log scale) at which the sales signal is full
+const SALES_SATURATION = 1000;
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_VARIANTS = 8;
+const SYNONYM_CACHE_MS = 60 * 1000;
+
+// ======================
+// TEXT PROCESSING
+// ======================
+
+/**
+ * Lowercase text without accents or punctuation
+ * @example normalizeText('Café-Noir 2L') // 'cafe noir 2l'
+ */
+export const normalizeText = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+export const tokenize = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+/**
+ * Trigrams of each word, padded so word starts weigh more ('  i', ' ip', 'iph', ..., 'ne ')
+ * A prefix typed so far shares most trigrams with the full word, and so does a word with a typo.
+ * @returns {Array} Unique trigrams
+ */
+export const trigrams = (text) => {
+  const grams = new Set();
+
+  for (const token of tokenize(text)) {
+    const padded = `  ${token} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+
+  return [...grams];
+};
+
+/**
+ * Share of the query's trigrams found in a text (0-1)
+ */
+export const similarity = (query, text) => {
+  const queryGrams = trigrams(query);
+  if (queryGrams.length === 0) return 0;
+
+  const textGrams = new Set(trigrams(text));
+  return queryGrams.filter(gram => textGrams.has(gram)).length / queryGrams.length;
+};
+
+/**
+ * Search fields stored on a product (Product.search)
+ * @param {Object} product - { name, brand, tags }
+ * @returns {Object} { terms, grams }
+ */
+export const getSearchIndex = ({ name, brand, tags }) => {
+  const text = [name, brand, ...(tags || [])].join(' ');
+
+  return {
+    terms: [...new Set(tokenize(text))],
+    grams: trigrams(text)
+  };
+};
+
+// ======================
+// SYNONYMS
+// ======================
+
+let synonymCache = null;
+
+// Called when admins change synonyms
+export const clearSynonymCache = () => {
+  synonymCache = null;
+};
+
+const getSynonymSets = async () => {
+  if (!synonymCache || synonymCache.expiresAt < Date.now()) {
+    const synonyms = await mongoose.model('SearchSynonym')
+      .find({ isActive: true })
+      .select('terms')
+      .lean();
+
+    synonymCache = {
+      sets: synonyms.map(synonym => synonym.terms.map(normalizeText)),
+      expiresAt: Date.now() + SYNONYM_CACHE_MS
+    };
+  }
+
+  return synonymCache.sets;
+};
+
+/**
+ * The query and its variants with synonyms swapped in ('tv stand' -> 'television stand')
+ * @returns {Promise<Array>} Normalized queries, the original first
+ */
+export const expandQuery = async (query) => {
+  const normalized = normalizeText(query);
+  const variants = new Set([normalized]);
+
+  for (const terms of await getSynonymSets()) {
+    for (const term of terms) {
+      if (!` ${normalized} `.includes(` ${term} `)) continue;
+
+      for (const synonym of terms) {
+        if (synonym !== term) {
+          variants.add(` ${normalized} `.replace(` ${term} `, ` ${synonym} `).trim());
+        }
+      }
+    }
+  }
+
+  return [...variants].slice(0, MAX_QUERY_VARIANTS);
+};
+
+// ======================
+// QUERIES
+// ======================
+
+/**
+ * Prepare a search query
+ * @param {string} query - Text typed by the user
+ * @returns {Promise<Array|null>} Query variants [{ terms, grams }], or null when there is nothing to search for
+ */
+export const prepareSearch = async (query) => {
+  const text = String(query ?? '').slice(0, MAX_QUERY_LENGTH);
+  if (!normalizeText(text)) return null;
+
+  return (await expandQuery(text)).map(variant => ({
+    terms: tokenize(variant),
+    grams: trigrams(variant)
+  }));
+};
+
+const productGrams = { $ifNull: ['$search.grams', []] };
+const productTerms = { $ifNull: ['$search.terms', []] };
+
+// Share of the variant's trigrams the product has; the best variant counts
+const gramScore = (variants) => ({
+  $max: variants.map(({ grams }) => ({
+    $divide: [{ $size: { $setIntersection: [productGrams, grams] } }, grams.length]
+  }))
+});
+
+// Trigram overlap plus whole-word matches; the best variant counts
+const textScore = (variants) => ({
+  $max: variants.map(({ grams, terms }) => ({
+    $add: [
+      { $multiply: [{ $divide: [{ $size: { $setIntersection: [productGrams, grams] } }, grams.length] }, TEXT_WEIGHTS.grams] },
+      { $multiply: [{ $divide: [{ $size: { $setIntersection: [productTerms, terms] } }, terms.length] }, TEXT_WEIGHTS.terms] }
+    ]
+  }))
+});
+
+/**
+ * Product filter matching a search (works in find() and $match)
+ * The $in on indexed trigrams narrows the candidates; $expr keeps those similar enough.
+ * @param {Array} variants - From prepareSearch
+ */
+export const searchCondition = (variants) => ({
+  'search.grams': { $in: [...new Set(variants.flatMap(variant => variant.grams))] },
+  $expr: { $gte: [gramScore(variants), MIN_SIMILARITY] }
+});
+
+/**
+ * Aggregation stage adding a relevance score (0-1) to matching products
+ * @param {Array} variants - From prepareSearch
+ */
+export const relevanceStage = (variants) => ({
+  $addFields: {
+    relevance: {
+      $add: [
+        { $multiply: [textScore(variants), RANKING_WEIGHTS.text] },
+        { $multiply: [{ $divide: [{ $ifNull: ['$rating.average', 0] }, 5] }, RANKING_WEIGHTS.rating] },
+        {
+          $multiply: [
+            {
+              $min: [1, {
+                $divide: [
+                  { $log10: { $add: [1, { $ifNull: ['$sales.totalSold', 0] }] } },
+                  Math.log10(SALES_SATURATION)
+                ]
+              }]
+            },
+            RANKING_WEIGHTS.sales
+          ]
+        }
+      ]
+    }
+  }
+});
+
+/**
+ * Find products by relevance
+ * @param {Object} filter - Product filter that includes searchCondition(variants)
+ * @param {Array} variants - From prepareSearch
+ * @param {Object} options - { skip, limit }
+ * @returns {Promise<Array>} Product documents, most relevant first
+ */
+export const findByRelevance = async (filter, variants, { skip = 0, limit = 20 } = {}) => {
+  const Product = mongoose.model('Product');
+
+  const results = await Product.aggregate([
+    { $match: filter },
+    relevanceStage(variants),
+    { $sort: { relevance: -1, _id: 1 } },
+    { $skip: skip },
+    { $limit: limit }
+  ]);
+
+  return results.map(result => Product.hydrate(result));
+};
+
+/**
+ * Suggestions for a search box, as the user types
+ * @param {string} query - Text typed so far
+ * @param {number} limit - Most suggestions of each kind
+ * @returns {Promise<Object>} {
+ *   products: [{ _id, name, slug, price, image }],
+ *   brands: [{ name, count }],
+ *   categories: [{ _id, name, slug, path }]
+ * }
+ */
+export const getSuggestions = async (query, limit = 5) => {
+  const variants = await prepareSearch(query);
+  if (!variants) return { products: [], brands: [], categories: [] };
+
+  const Product = mongoose.model('Product');
+  const Category = mongoose.model('Category');
+  const match = { status: 'active', ...searchCondition(variants) };
+  const bestSimilarity = (text) => Math.max(...variants.map(variant => similarity(variant.terms.join(' '), text)));
+
+  const [products, brands, categories] = await Promise.all([
+    Product.aggregate([
+      { $match: match },
+      relevanceStage(variants),
+      { $sort: { relevance: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          name: 1,
+          price: 1,
+          slug: '$seo.slug',
+          image: {
+            $ifNull: [
+              { $arrayElemAt: [{ $filter: { input: '$images', cond: '$$this.isPrimary' } }, 0] },
+              { $arrayElemAt: ['$images', 0] }
+            ]
+          }
+        }
+      }
+    ]),
+    Product.aggregate([
+      { $match: match },
+      { $group: { _id: '$brand', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 50 }
+    ]),
+    Category.find({ status: 'active' }).select('name slug path').lean()
+  ]);
+
+  return {
+    products: products.map(({ image, ...product }) => ({
+      ...product,
+      image: image ? image.thumbnail || image.url : null
+    })),
+    // Products can match on their name; only brands that match themselves are suggested
+    brands: brands
+      .filter(({ _id }) => _id && bestSimilarity(_id) >= MIN_SIMILARITY)
+      .slice(0, limit)
+      .map(({ _id, count }) => ({ name: _id, count })),
+    categories: categories
+      .map(category => ({ category, score: bestSimilarity(category.name) }))
+      .filter(({ score }) => score >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ category }) => category)
+  };
+};
+
+export default {
+  MIN_SIMILARITY,
+  RANKING_WEIGHTS,
+  normalizeText,
+  tokenize,
+  trigrams,
+  similarity,
+  getSearchIndex,
+  clearSynonymCache,
+  expandQuery,
+  prepareSearch,
+  searchCondition,
+  relevanceStage,
+  findByRelevance,
+  getSuggestions
+};
@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import ShippingZone from '../models/shippingZone.model.js';
+import createHttpError from './httpError.util.js';
+import { roundMoney } from './money.util.js';
+
+const KG_PER_UNIT = { g: 0.001, kg: 1, lb: 0.45359237, oz: 0.028349523 };
+const CM_PER_UNIT = { cm: 1, m: 100, in: 2.54, ft: 30.48 };
+
+// Shipping method code for carts with digital products only
+export const NO_SHIPPING_METHOD = 'none';
+
+/**
+ * Shipping weight (kg) and volume (litres) of one unit of a product
+ * Uses product.shipping (kg / cm) when set, otherwise inventory.weight and inventory.dimensions with their units
+ * @param {Object} product - Product document
+ * @returns {Object} { weight, volume }
+ */
+export const getProductMeasures = (product) => {
+  const inventoryWeight = product.inventory?.weight;
+  const weight = product.shipping?.weight
+    || (inventoryWeight?.value || 0) * (KG_PER_UNIT[inventoryWeight?.unit] || KG_PER_UNIT.g);
+
+  const shippingDimensions = product.shipping?.dimensions;
+  const inventoryDimensions = product.inventory?.dimensions;
+  const hasShippingDimensions = shippingDimensions?.length && shippingDimensions?.width && shippingDimensions?.height;
+
+  const dimensions = hasShippingDimensions ? shippingDimensions : inventoryDimensions;
+  const cm = hasShippingDimensions ? 1 : (CM_PER_UNIT[inventoryDimensions?.unit] || CM_PER_UNIT.cm);
+
+  const volume = dimensions?.length && dimensions?.width && dimensions?.height
+    ? (dimensions.length * cm) * (dimensions.width * cm) * (dimensions.height * cm) / 1000
+    : 0;
+
+  return { weight, volume };
+};
+
+/**
+ * Quote one shipping method for the billable items
+ * @returns {number|null} Amount, or null when the method cannot ship these items
+ */
+const quoteMethod = (method, { billable, weight, volume, subtotal }) => {
+  // Every item ships free
+  if (billable.length === 0) return 0;
+
+  if (method.freeShippingThreshold && subtotal >= method.freeShippingThreshold) return 0;
+
+  let amount = method.baseRate || 0;
+
+  if (method.basis !== 'flat' && method.rates.length > 0) {
+    const measure = method.basis === 'weight' ? weight : volume;
+    const bracket = method.rates.find(rate => measure <= rate.max);
+
+    if (!bracket) return null;
+    amount += bracket.amount;
+  }
+
+  for (const surcharge of method.classSurcharges) {
+    const matching = billable.filter(({ product }) =>
+      String(product.shipping?.shippingClass || '').trim().toLowerCase() === surcharge.shippingClass
+    );
+
+    if (matching.length === 0) continue;
+
+    amount += surcharge.per === 'order'
+      ? surcharge.amount
+      : matching.reduce((total, { quantity }) => total + surcharge.amount * quantity, 0);
+  }
+
+  return roundMoney(amount);
+};
+
+/**
+ * Quote every available shipping method for items shipped to an address
+ * The zone is picked by ShippingZone.findForAddress; items marked isFreeShipping
+ * are not weighed or charged, and digital products do not ship at all.
+ * @param {Object} params - Quote parameters
+ * @param {Array} params.items - [{ product (id or document), price, quantity }]
+ * @param {Object} params.address - Shipping address ({ country, state })
+ * @param {ClientSession} params.session - Optional transaction session
+ * @returns {Promise<Array>} Options sorted by amount:
+ *   [{ method, name, description, carrier, amount, isFree, estimatedDays, zone, zoneName }]
+ */
+export const quoteShipping = async ({ items = [], address = {}, session = null }) => {
+  if (!address?.country) {
+    throw createHttpError('Please add a shipping address to see shipping options');
+  }
+
+  const Product = mongoose.model('Product');
+  const productIds = items.map(item => item.product?._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('inventory.weight inventory.dimensions shipping isDigital')
+    .session(session);
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const physical = items
+    .map(item => ({
+      product: productMap.get((item.product?._id || item.product).toString()),
+      price: item.price,
+      quantity: item.quantity
+    }))
+    .filter(item => item.product && !item.product.isDigital);
+
+  if (physical.length === 0) {
+    return [{
+      method: NO_SHIPPING_METHOD,
+      name: 'No shipping required',
+      description: 'Digital products are delivered online',
+      amount: 0,
+      isFree: true,
+      estimatedDays: 0
+    }];
+  }
+
+  const zone = await ShippingZone.findForAddress(address);
+  if (!zone) return [];
+
+  const billable = physical.filter(item => !item.product.shipping?.isFreeShipping);
+  const totals = billable.reduce((sum, item) => {
+    const { weight, volume } = getProductMeasures(item.product);
+    sum.weight += weight * item.quantity;
+    sum.volume += volume * item.quantity;
+    return sum;
+  }, { weight: 0, volume: 0 });
+
+  // Free shipping thresholds apply to the value of all shipped items
+  const subtotal = physical.reduce((total, item) => total + item.price * item.quantity, 0);
+
+  const options = [];
+
+  for (const method of zone.methods) {
+    if (!method.isActive) continue;
+
+    const amount = quoteMethod(method, { billable, subtotal, ...totals });
+    if (amount === null) continue;
+
+    options.push({
+      method: method.code,
+      name: method.name,
+      description: method.description,
+      carrier: method.carrier,
+      amount,
+      isFree: amount === 0,
+      estimatedDays: method.estimatedDays?.max ?? method.estimatedDays?.min ?? null,
+      zone: zone._id,
+      zoneName: zone.name
+    });
+  }
+
+  return options.sort((a, b) => a.amount - b.amount);
+};
+
+/**
+ * Quote the chosen shipping method
+ * @param {Object} params - Same as quoteShipping, plus method (code)
+ * @returns {Promise<Object>} The matching option
+ * @throws 400 when the method is not offered for these items and address
+ */
+export const getShippingQuote = async ({ method, ...params }) => {
+  const options = await quoteShipping(params);
+
+  // Digital-only carts need no method
+  if (options.length === 1 && options[0].method === NO_SHIPPING_METHOD) {
+    return options[0];
+  }
+
+  if (!method) {
+    throw createHttpError('Please choose a shipping method');
+  }
+
+  const option = options.find(o => o.method === String(method).trim().toLowerCase());
+
+  if (!option) {
+    throw createHttpError(
+      options.length > 0
+        ? `Shipping method ${method} is not available for this order. Available methods: ${options.map(o => o.method).join(', ')}`
+        : 'We do not ship to this address yet'
+    );
+  }
+
+  return option;
+};
+
+export default {
+  NO_SHIPPING_METHOD,
+  getProductMeasures,
+  quoteShipping,
+  getShippingQuote
+};
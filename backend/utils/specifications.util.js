@@ -0,0 +1,118 @@
+import createHttpError from './httpError.util.js';
+
+const BOOLEAN_VALUES = {
+  true: 'true', yes: 'true', '1': 'true',
+  false: 'false', no: 'false', '0': 'false'
+};
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Turn a specification value into the stored text for its attribute
+ * @param {Object} attribute - Category attribute { name, type, values }
+ * @param {*} raw - Submitted value
+ * @returns {Object} { value } or { error }
+ */
+export const coerceSpecification = (attribute, raw) => {
+  const text = String(raw).trim();
+  const allowed = attribute.values || [];
+
+  // Allowed values are matched case-insensitively and stored as defined
+  const pick = () => {
+    const match = allowed.find(value => value.toLowerCase() === text.toLowerCase());
+    return match !== undefined
+      ? { value: match }
+      : { error: `${attribute.name} must be one of: ${allowed.join(', ')}` };
+  };
+
+  switch (attribute.type) {
+    case 'number': {
+      const value = Number(text);
+      return text !== '' && Number.isFinite(value)
+        ? { value: String(value) }
+        : { error: `${attribute.name} must be a number` };
+    }
+    case 'boolean': {
+      const value = BOOLEAN_VALUES[text.toLowerCase()];
+      return value ? { value } : { error: `${attribute.name} must be true or false` };
+    }
+    case 'select':
+      return allowed.length > 0 ? pick() : { value: text };
+    case 'color':
+      if (allowed.length > 0) return pick();
+      return HEX_COLOR.test(text)
+        ? { value: text.toUpperCase() }
+        : { error: `${attribute.name} must be a hex color such as #FF0000` };
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * Check product specifications against the attributes of its category
+ * Keys without an attribute are kept as free text.
+ * @param {Object|Map} specifications - Submitted specifications
+ * @param {Array} attributes - Effective attributes of the category (Category#getEffectiveAttributes)
+ * @returns {Object} { specifications, errors } with coerced values and [{ field, message }]
+ */
+export const validateSpecifications = (specifications, attributes) => {
+  const entries = specifications instanceof Map
+    ? [...specifications.entries()]
+    : Object.entries(specifications || {});
+
+  const submitted = new Map(entries
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(([key, value]) => [key.trim(), value]));
+
+  const result = {};
+  const errors = [];
+
+  for (const [key, value] of submitted) {
+    result[key] = String(value).trim();
+  }
+
+  for (const attribute of attributes) {
+    const field = `specifications.${attribute.name}`;
+
+    if (!submitted.has(attribute.name)) {
+      if (attribute.isRequired) {
+        errors.push({ field, message: `${attribute.name} is required` });
+      }
+      continue;
+    }
+
+    const { value, error } = coerceSpecification(attribute, submitted.get(attribute.name));
+    if (error) {
+      errors.push({ field, message: error });
+    } else {
+      result[attribute.name] = value;
+    }
+  }
+
+  return { specifications: result, errors };
+};
+
+/**
+ * validateSpecifications that throws for invalid specifications
+ * @returns {Object} Coerced specifications
+ * @throws 400 naming every invalid field (details.fields lists them as { field, message })
+ */
+export const assertValidSpecifications = (specifications, attributes) => {
+  const { specifications: result, errors } = validateSpecifications(specifications, attributes);
+
+  if (errors.length > 0) {
+    throw createHttpError(
+      `Invalid specifications: ${errors.map(error => error.message).join('; ')}`,
+      400,
+      { fields: errors }
+    );
+  }
+
+  return result;
+};
+
+export default {
+  coerceSpecification,
+  validateSpecifications,
+  assertValidSpecifications
+};
@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import createHttpError from './httpError.util.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Storage adapter interface
+ * Files are addressed by a key ("products/<id>/<name>.webp") like an S3 object, so an
+ * S3-compatible adapter can be registered without changing the callers.
+ */
+export class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Object key
+   * @param {Buffer} body - File contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { key, url }
+   */
+  async put() {
+    throw createHttpError(`${this.name} storage does not support uploads`, 500);
+  }
+
+  /**
+   * Delete a file; missing files are ignored
+   * @param {string} key - Object key
+   */
+  async delete() {
+    throw createHttpError(`${this.name} storage does not support deleting files`, 500);
+  }
+
+  /**
+   * Public URL of a stored file
+   * @param {string} key - Object key
+   * @returns {string}
+   */
+  getUrl() {
+    throw createHttpError(`${this.name} storage does not serve files`, 500);
+  }
+}
+
+/**
+ * Local filesystem storage
+ * Files are written under UPLOAD_DIR (default backend/uploads) and served statically
+ * by server.js under UPLOAD_URL (default /uploads)
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('local');
+    this.options = options;
+  }
+
+  // Read on use: the environment is loaded after modules are imported
+  get root() {
+    return path.resolve(this.options.root || process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+  }
+
+  get baseUrl() {
+    return (this.options.baseUrl || process.env.UPLOAD_URL || '/uploads').replace(/\/+$/, '');
+  }
+
+  // Absolute path of a key, refusing keys that point outside the upload directory
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw createHttpError(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+
+    return { key, url: this.getUrl(key) };
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+// ======================
+// ADAPTER REGISTRY
+// ======================
+
+const adapters = new Map();
+
+/**
+ * Register a storage adapter under its name
+ * @param {StorageAdapter} adapter - Adapter instance
+ */
+export const registerStorageAdapter = (adapter) => {
+  adapters.set(adapter.name, adapter);
+};
+
+registerStorageAdapter(new LocalStorageAdapter());
+
+/**
+ * Get the storage adapter selected by STORAGE_DRIVER (default 'local')
+ * @param {string} name - Adapter name
+ * @returns {StorageAdapter}
+ */
+export const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const adapter = adapters.get(name);
+
+  if (!adapter) {
+    throw createHttpError(`Unknown storage driver '${name}'`, 500);
+  }
+
+  return adapter;
+};
+
+export default {
+  StorageAdapter,
+  LocalStorageAdapter,
+  registerStorageAdapter,
+  getStorage
+};
@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import TaxRule from '../models/taxRule.model.js';
+import { allocate, roundMoney } from './money.util.js';
+
+// Tax class for products whose category does not set one
+export const DEFAULT_TAX_CLASS = 'standard';
+
+/**
+ * Look up the tax class of each product through its category
+ * @param {Array} productIds - Product ids
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Map>} Tax class by product id
+ */
+const getProductTaxClasses = async (productIds, session = null) => {
+  const Product = mongoose.model('Product');
+  const Category = mongoose.model('Category');
+
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('category')
+    .session(session);
+
+  const categories = await Category.find({ _id: { $in: products.map(p => p.category) } })
+    .select('taxClass')
+    .session(session);
+
+  const classByCategory = new Map(categories.map(category => [category._id.toString(), category.taxClass]));
+
+  return new Map(products.map(product => [
+    product._id.toString(),
+    classByCategory.get(product.category?.toString()) || DEFAULT_TAX_CLASS
+  ]));
+};
+
+/**
+ * Calculate tax for a set of priced items shipped to an address
+ * Rules are picked per item by jurisdiction (see TaxRule.findForAddress) and tax class.
+ * Discounts reduce the taxable amount in proportion to each item's value; shipping is not taxed.
+ * For tax-inclusive rules the tax is worked out of the price instead of added to it.
+ * @param {Object} params - Tax parameters
+ * @param {Array} params.items - [{ product (id), price, quantity }]
+ * @param {Object} params.address - Shipping address ({ country, state })
+ * @param {number} params.discountAmount - Discount on the items (excluding free shipping)
+ * @param {ClientSession} params.session - Optional transaction session
+ * @returns {Promise<Object>} { amount, included, rate, jurisdiction, lines, breakdown }
+ *   amount is all tax, included is the part already contained in the item prices;
+ *   lines are in the same order as items
+ */
+export const calculateTax = async ({ items = [], address = {}, discountAmount = 0, session = null }) => {
+  const country = String(address?.country || '').trim();
+  const state = String(address?.state || '').trim();
+
+  const result = {
+    amount: 0,
+    included: 0,
+    rate: 0,
+    jurisdiction: [state, country].filter(Boolean).join(', '),
+    lines: [],
+    breakdown: []
+  };
+
+  if (items.length === 0) return result;
+
+  const productIds = items.map(item => (item.product?._id || item.product).toString());
+  const [rulesByClass, taxClasses] = await Promise.all([
+    TaxRule.findForAddress(address),
+    getProductTaxClasses(productIds, session)
+  ]);
+
+  const itemAmounts = items.map(item => item.price * item.quantity);
+  const itemsTotal = itemAmounts.reduce((total, amount) => total + amount, 0);
+  const discounts = allocate(Math.min(discountAmount, itemsTotal), itemAmounts);
+
+  const lines = items.map((item, index) => {
+    const taxClass = taxClasses.get(productIds[index]) || DEFAULT_TAX_CLASS;
+    // Classes without rules of their own in this jurisdiction are taxed at the standard rules;
+    // zero-rated classes need an explicit 0% rule
+    const rules = rulesByClass.get(taxClass) || rulesByClass.get(DEFAULT_TAX_CLASS) || [];
+    const gross = Math.max(0, itemAmounts[index] - discounts[index]);
+
+    // Tax-inclusive prices contain the included taxes: net = gross / (1 + rate)
+    const includedRate = rules
+      .filter(rule => rule.priceIncludesTax)
+      .reduce((total, rule) => total + rule.rate, 0);
+
+    return {
+      product: productIds[index],
+      taxClass,
+      gross,
+      net: gross / (1 + includedRate / 100),
+      rules,
+      taxes: []
+    };
+  });
+
+  // Each rule is rounded on its own, per line or once over all lines
+  const rules = new Map();
+  for (const line of lines) {
+    for (const rule of line.rules) rules.set(rule._id.toString(), rule);
+  }
+
+  for (const rule of rules.values()) {
+    const ruleLines = lines.filter(line => line.rules.includes(rule));
+    const rawAmounts = ruleLines.map(line => line.net * rule.rate / 100);
+    const mode = rule.rounding?.mode || 'half_up';
+
+    const amounts = rule.rounding?.level === 'total'
+      ? allocate(roundMoney(rawAmounts.reduce((total, amount) => total + amount, 0), mode), rawAmounts)
+      : rawAmounts.map(amount => roundMoney(amount, mode));
+
+    ruleLines.forEach((line, index) => {
+      line.taxes.push({
+        rule: rule._id,
+        name: rule.name,
+        rate: rule.rate,
+        included: rule.priceIncludesTax,
+        amount: amounts[index]
+      });
+    });
+
+    result.breakdown.push({
+      rule: rule._id,
+      name: rule.name,
+      country: rule.country,
+      state: rule.state,
+      taxClass: rule.taxClass,
+      rate: rule.rate,
+      included: rule.priceIncludesTax,
+      taxableAmount: roundMoney(ruleLines.reduce((total, line) => total + line.net, 0)),
+      amount: roundMoney(amounts.reduce((total, amount) => total + amount, 0))
+    });
+  }
+
+  result.lines = lines.map(line => {
+    const amount = roundMoney(line.taxes.reduce((total, tax) => total + tax.amount, 0));
+    const included = roundMoney(line.taxes.filter(tax => tax.included).reduce((total, tax) => total + tax.amount, 0));
+
+    return {
+      product: line.product,
+      taxClass: line.taxClass,
+      taxableAmount: roundMoney(line.gross - included),
+      amount,
+      included,
+      taxes: line.taxes
+    };
+  });
+
+  result.amount = roundMoney(result.lines.reduce((total, line) => total + line.amount, 0));
+  result.included = roundMoney(result.lines.reduce((total, line) => total + line.included, 0));
+
+  // Effective rate over the taxable amount, for display
+  const taxableTotal = result.lines.reduce((total, line) => total + line.taxableAmount, 0);
+  result.rate = taxableTotal > 0 ? Math.round((result.amount / taxableTotal) * 10000) / 100 : 0;
+
+  return result;
+};
+
+/**
+ * Part of a discount that applies to items (free shipping coupons only discount shipping)
+ * @param {Array} coupons - Applied coupons [{ type, amount }]
+ * @returns {number} Items discount
+ */
+export const getItemsDiscount = (coupons = []) => {
+  return roundMoney(coupons
+    .filter(coupon => coupon.type !== 'free_shipping')
+    .reduce((total, coupon) => total + (coupon.amount || 0), 0));
+};
+
+export default {
+  DEFAULT_TAX_CLASS,
+  calculateTax,
+  getItemsDiscount
+};
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+// RFC 6238 defaults understood by every authenticator app
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+// Steps before and after the current one that are accepted (clock drift)
+const DRIFT_STEPS = 1;
+
+const ISSUER = 'GlobalStock';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BACKUP_CODE_COUNT = 10;
+
+// ======================
+// ENCODING
+// ======================
+
+export const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+export const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// ======================
+// TOTP
+// ======================
+
+/**
+ * New random secret (160 bits, base32 as authenticator apps expect)
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step a moment falls in
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+/**
+ * Code for a time step (HOTP of the step, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (see getTimeStep)
+ * @returns {string} Zero-padded code
+ */
+export const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} afterStep - Steps up to this one were already used and are rejected (replays)
+ * @returns {number|null} Step the code belongs to, or null when it does not match
+ */
+export const verifyCode = (secret, code, afterStep = -1) => {
+  const clean = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+  const current = getTimeStep();
+
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (step <= afterStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Enrollment details for an authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app (the user's email)
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL of otpauthUrl
+ */
+export const getProvisioning = async (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// ======================
+// BACKUP CODES
+// ======================
+
+// Backup codes are compared case- and dash-insensitively
+export const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * New one-time backup codes
+ * @returns {Object} { codes, hashes } - codes are shown to the user once, hashes are stored
+ */
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const text = crypto.randomBytes(5).toString('hex');
+    return `${text.slice(0, 5)}-${text.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  getProvisioning,
+  hashBackupCode,
+  generateBackupCodes
+};
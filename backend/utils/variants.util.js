@@ -0,0 +1,215 @@
+import createHttpError from './httpError.util.js';
+
+// Upper bound on generated combinations, so a typo in an option cannot create thousands of rows
+export const MAX_VARIANTS = 250;
+
+const toPlain = (value) => (typeof value?.toObject === 'function' ? value.toObject() : value);
+
+// Attributes of a variant as a plain object (they are stored as a Map)
+const getAttributes = (variant) => {
+  const attributes = variant?.attributes;
+  if (!attributes) return {};
+  return attributes instanceof Map ? Object.fromEntries(attributes) : { ...attributes };
+};
+
+// Uppercase alphanumeric code of an option value for SKUs ("Navy Blue" -> "NAVYBLUE")
+const skuPart = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+
+/**
+ * Clean up product options: trim names and values, drop empty and duplicate values
+ * @param {Array} options - [{ name, values: [String] }]
+ * @returns {Array} Options with at least one value
+ * @throws 400 for duplicate option names or names that cannot be used as attribute keys
+ */
+export const normalizeOptions = (options = []) => {
+  if (!Array.isArray(options)) {
+    throw createHttpError('Options must be an array');
+  }
+
+  const names = new Set();
+
+  return options
+    .map(option => ({
+      name: String(option?.name || '').trim(),
+      values: [...new Set((option?.values || []).map(value => String(value).trim()).filter(Boolean))]
+    }))
+    .filter(option => option.name && option.values.length > 0)
+    .map(option => {
+      // Attribute keys are stored in a Map, which cannot hold "." or a leading "$"
+      if (option.name.includes('.') || option.name.startsWith('$')) {
+        throw createHttpError(`Option name cannot contain "." or start with "$": ${option.name}`);
+      }
+
+      const key = option.name.toLowerCase();
+      if (names.has(key)) {
+        throw createHttpError(`Duplicate option: ${option.name}`);
+      }
+      names.add(key);
+
+      return option;
+    });
+};
+
+/**
+ * SKU of a variant, derived from the parent SKU and its option values
+ * @param {string} parentSku - Product SKU
+ * @param {Array<string>} values - Option values in option order
+ * @returns {string} e.g. "TSHIRT-001-M-RED"
+ */
+export const buildVariantSku = (parentSku, values) => {
+  return [String(parentSku || '').trim().toUpperCase(), ...values.map(skuPart)]
+    .filter(Boolean)
+    .join('-');
+};
+
+/**
+ * Build the variant rows for every combination of option values
+ * Rows that already exist for a combination are kept as they are (id, SKU, price, stock, images).
+ * When an option is added or removed, new rows inherit the price of the closest existing row,
+ * so a price set on "Red" carries over to "Red / S" and "Red / M"; stock is never copied.
+ * @param {Object} params - Generator parameters
+ * @param {Array} params.options - [{ name, values }]
+ * @param {string} params.sku - Parent SKU the variant SKUs are derived from
+ * @param {Array} params.variants - Existing variants
+ * @returns {Object} { options, variants, added, kept, removed }
+ * @throws 400 when there are more than MAX_VARIANTS combinations
+ */
+export const generateVariantMatrix = ({ options = [], sku = '', variants = [] } = {}) => {
+  const normalized = normalizeOptions(options);
+
+  if (normalized.length === 0) {
+    return { options: [], variants: [], added: 0, kept: 0, removed: variants.length };
+  }
+
+  const count = normalized.reduce((total, option) => total * option.values.length, 1);
+  if (count > MAX_VARIANTS) {
+    throw createHttpError(`These options make ${count} variants; the maximum is ${MAX_VARIANTS}`);
+  }
+
+  // Cartesian product of the option values, in option order
+  const combinations = normalized.reduce(
+    (rows, option) => rows.flatMap(row => option.values.map(value => [...row, value])),
+    [[]]
+  );
+
+  const existing = variants.map(variant => ({
+    variant: toPlain(variant),
+    attributes: getAttributes(variant),
+    used: false
+  }));
+
+  const usedSkus = new Set();
+  let kept = 0;
+
+  const rows = combinations.map(values => {
+    const attributes = Object.fromEntries(normalized.map((option, index) => [option.name, values[index]]));
+    const names = Object.keys(attributes);
+
+    const exact = existing.find(row =>
+      !row.used
+      && Object.keys(row.attributes).length === names.length
+      && names.every(name => row.attributes[name] === attributes[name])
+    );
+
+    if (exact) {
+      exact.used = true;
+      kept += 1;
+
+      const variantSku = exact.variant.sku || buildVariantSku(sku, values);
+      usedSkus.add(variantSku);
+      return { ...exact.variant, sku: variantSku, attributes };
+    }
+
+    // Closest row: every attribute they share has the same value
+    const closest = existing.find(row => {
+      const shared = names.filter(name => name in row.attributes);
+      return shared.length > 0 && shared.every(name => row.attributes[name] === attributes[name]);
+    });
+
+    let variantSku = buildVariantSku(sku, values);
+    for (let suffix = 2; usedSkus.has(variantSku); suffix += 1) {
+      variantSku = `${buildVariantSku(sku, values)}-${suffix}`;
+    }
+    usedSkus.add(variantSku);
+
+    return {
+      sku: variantSku,
+      price: closest?.variant.price,
+      comparePrice: closest?.variant.comparePrice,
+      quantity: 0,
+      attributes,
+      images: []
+    };
+  });
+
+  return {
+    options: normalized,
+    variants: rows,
+    added: rows.length - kept,
+    kept,
+    removed: existing.filter(row => !row.used).length
+  };
+};
+
+/**
+ * Apply the same price, compare price and/or quantity to several variants
+ * @param {Array} variants - Variant subdocuments (changed in place)
+ * @param {Object} changes - { price, comparePrice, quantity }; missing fields are left alone,
+ *   null clears a price so the variant falls back to the product price
+ * @param {Array<string>} variantIds - Variants to change (all when empty)
+ * @returns {number} Number of variants changed
+ * @throws 400 for invalid values or unknown variant ids
+ */
+export const applyBulkVariantChanges = (variants, changes = {}, variantIds = []) => {
+  const updates = {};
+
+  for (const field of ['price', 'comparePrice']) {
+    if (changes[field] === undefined || changes[field] === '') continue;
+    if (changes[field] === null) {
+      updates[field] = undefined;
+      continue;
+    }
+
+    const value = Number(changes[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw createHttpError(`Invalid ${field}`);
+    }
+    updates[field] = value;
+  }
+
+  if (changes.quantity !== undefined && changes.quantity !== '') {
+    const quantity = Number(changes.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw createHttpError('Quantity must be a whole number of 0 or more');
+    }
+    updates.quantity = quantity;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw createHttpError('Please provide a price, compare price or quantity to apply');
+  }
+
+  const ids = (variantIds || []).map(String);
+  const unknown = ids.filter(id => !variants.some(variant => String(variant._id) === id));
+  if (unknown.length > 0) {
+    throw createHttpError(`Variant not found: ${unknown.join(', ')}`, 404);
+  }
+
+  const targets = ids.length > 0
+    ? variants.filter(variant => ids.includes(String(variant._id)))
+    : variants;
+
+  for (const variant of targets) {
+    Object.assign(variant, updates);
+  }
+
+  return targets.length;
+};
+
+export default {
+  MAX_VARIANTS,
+  normalizeOptions,
+  buildVariantSku,
+  generateVariantMatrix,
+  applyBulkVariantChanges
+};
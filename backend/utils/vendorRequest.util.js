@@ -0,0 +1,108 @@
+import createHttpError from './httpError.util.js';
+
+export const PAYOUT_METHODS = ['bank_transfer', 'paypal'];
+
+const MAX_LENGTHS = {
+  storeName: 100,
+  taxId: 30,
+  description: 1000,
+  accountName: 100,
+  bankName: 100
+};
+
+const TAX_ID = /^[A-Z0-9][A-Z0-9 ./-]{3,29}$/i;
+const ACCOUNT_NUMBER = /^[A-Z0-9]{6,34}$/i;
+const EMAIL = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Check the business details a vendor submits with their request
+ * @param {Object} input - { storeName, taxId, description, payout: { method, accountName, bankName, accountNumber, paypalEmail } }
+ * @returns {Object} { business, errors } with trimmed values (account number without spaces) and [{ field, message }]
+ */
+export const validateBusinessDetails = (input = {}) => {
+  const payoutInput = input.payout || {};
+  const errors = [];
+
+  const business = {
+    storeName: clean(input.storeName),
+    taxId: clean(input.taxId).toUpperCase(),
+    description: clean(input.description),
+    payout: { method: clean(payoutInput.method) }
+  };
+
+  if (!business.storeName) {
+    errors.push({ field: 'business.storeName', message: 'Store name is required' });
+  }
+  if (!business.taxId) {
+    errors.push({ field: 'business.taxId', message: 'Tax ID is required' });
+  } else if (!TAX_ID.test(business.taxId)) {
+    errors.push({ field: 'business.taxId', message: 'Tax ID may only contain letters, digits, spaces, dots, slashes and dashes' });
+  }
+
+  for (const key of ['storeName', 'taxId', 'description']) {
+    if (business[key].length > MAX_LENGTHS[key]) {
+      errors.push({ field: `business.${key}`, message: `${key} cannot be more than ${MAX_LENGTHS[key]} characters` });
+    }
+  }
+
+  const { payout } = business;
+
+  if (payout.method === 'bank_transfer') {
+    payout.accountName = clean(payoutInput.accountName);
+    payout.bankName = clean(payoutInput.bankName);
+    payout.accountNumber = clean(payoutInput.accountNumber).replace(/\s/g, '').toUpperCase();
+
+    if (!payout.accountName) {
+      errors.push({ field: 'business.payout.accountName', message: 'Account holder name is required' });
+    }
+    if (!payout.bankName) {
+      errors.push({ field: 'business.payout.bankName', message: 'Bank name is required' });
+    }
+    for (const key of ['accountName', 'bankName']) {
+      if (payout[key].length > MAX_LENGTHS[key]) {
+        errors.push({ field: `business.payout.${key}`, message: `${key} cannot be more than ${MAX_LENGTHS[key]} characters` });
+      }
+    }
+    if (!ACCOUNT_NUMBER.test(payout.accountNumber)) {
+      errors.push({ field: 'business.payout.accountNumber', message: 'Account number (or IBAN) must be 6-34 letters and digits' });
+    }
+    payout.accountNumberLast4 = payout.accountNumber.slice(-4);
+  } else if (payout.method === 'paypal') {
+    payout.paypalEmail = clean(payoutInput.paypalEmail).toLowerCase();
+
+    if (!EMAIL.test(payout.paypalEmail)) {
+      errors.push({ field: 'business.payout.paypalEmail', message: 'A valid PayPal email is required' });
+    }
+  } else {
+    errors.push({ field: 'business.payout.method', message: `Payout method must be one of: ${PAYOUT_METHODS.join(', ')}` });
+  }
+
+  return { business, errors };
+};
+
+/**
+ * validateBusinessDetails that throws for invalid details
+ * @returns {Object} Business details to store on vendorRequest.business
+ * @throws 400 naming every invalid field (details.fields lists them as { field, message })
+ */
+export const assertValidBusinessDetails = (input) => {
+  const { business, errors } = validateBusinessDetails(input);
+
+  if (errors.length > 0) {
+    throw createHttpError(
+      `Invalid business details: ${errors.map(error => error.message).join('; ')}`,
+      400,
+      { fields: errors }
+    );
+  }
+
+  return business;
+};
+
+export default {
+  PAYOUT_METHODS,
+  validateBusinessDetails,
+  assertValidBusinessDetails
+};
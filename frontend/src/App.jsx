@@ -9,11 +9,14 @@ import LoginPage from "./pages/Auth/Login";
 import Register from "./pages/Auth/Register";
 import ForgotPassword from "./pages/Auth/ForgotPassword";
 import ResetPassword from "./pages/Auth/ResetPassword";
+import VerifyEmail from "./pages/Auth/VerifyEmail";
+import OAuthCallback from "./pages/Auth/OAuthCallback";
 import VendorPending from "./pages/Auth/VendorPending";
 import ProfilePage from './pages/User/Profile';
 import ProductCreationPage from './pages/Products/ProductCreationPage';
 import ProductEditForm from './components/forms/ProductEditForm/ProductEditForm';
 import AdminProductEdit from './pages/Admin/Products/ProductEdit';
+import AdminVendorRequests from './pages/Admin/VendorRequests';
 import ProductEditPage from './pages/Vendor/Products/ProductEdit';
 import HomePage from './pages/Home/Home';
 import ProductsPage from './pages/Products/Products';
@@ -32,12 +35,15 @@ function App() {
           <Route path="/register" element={<Register />} />
           <Route path="/forgot-password" element={<ForgotPassword />} />
           <Route path="/reset-password/:token" element={<ResetPassword />} />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
+          <Route path="/oauth/callback/:provider" element={<OAuthCallback />} />
           <Route path="/vendor-pending" element={<VendorPending />} />
           <Route path="/profile" element={<ProfilePage />} />
           <Route path="/products" element={<ProductsPage />} />
           <Route path="/products/create" element={<ProductCreationPage />} />
           <Route path="/products/edit/:productId" element={<ProductEditForm />} /> 
           <Route path="/admin/products/edit/:productId" element={<AdminProductEdit />} /> 
+          <Route path="/admin/vendor-requests" element={<AdminVendorRequests />} />
           <Route path="/vendor/products/edit/:productId" element={<ProductEditPage />} />
           {/* Add more routes here */}
         </Routes>
@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+
+// Depth-first list of the category tree, so subcategories follow their parent
+const flattenTree = (nodes, depth = 0) => nodes.flatMap(node => [
+  { _id: node._id, name: node.name, depth },
+  ...flattenTree(node.children || [], depth + 1)
+]);
+
+/**
+ * Category picker for products
+ * Lists the whole category tree (GET /api/categories/tree) with subcategories indented;
+ * the value is the category id.
+ *
+ * @param {Object} props
+ * @param {string} props.name - Field name passed back in change events
+ * @param {string} props.value - Selected category id
+ * @param {function} props.onChange - Change handler of the select
+ * @param {function} props.onBlur - Blur handler of the select
+ * @param {string} props.label - Field label
+ * @param {string} props.error - Validation message
+ * @param {boolean} props.required - Whether a category must be chosen
+ */
+const CategorySelect = ({
+  name = 'category',
+  value = '',
+  onChange,
+  onBlur,
+  label = 'Category',
+  error = '',
+  required = false,
+  className = ''
+}) => {
+  const [categories, setCategories] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await fetch('/api/categories/tree');
+        const data = await response.json();
+
+        if (data.success) {
+          setCategories(flattenTree(data.data || []));
+        }
+      } catch (err) {
+        console.error('Failed to fetch categories:', err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
+  return (
+    <div className={className}>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">
+        {label}{required && ' *'}
+      </label>
+      <select
+        id={name}
+        name={name}
+        value={value}
+        onChange={onChange}
+        onBlur={onBlur}
+        disabled={isLoading}
+        className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white ${
+          error ? 'border-red-500' : 'border-gray-300'
+        }`}
+        required={required}
+      >
+        <option value="">{isLoading ? 'Loading categories...' : 'Select Category'}</option>
+        {categories.map(category => (
+          <option key={category._id} value={category._id}>
+            {'  '.repeat(category.depth * 2)}{category.name}
+          </option>
+        ))}
+      </select>
+      {error && (
+        <p className="mt-1 text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default CategorySelect;
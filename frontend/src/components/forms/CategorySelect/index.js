@@ -0,0 +1,2 @@
+export { default } from './CategorySelect';
+export { default as CategorySelect } from './CategorySelect';
@@ -1,17 +1,19 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
 import { Card } from '@/components/ui/Card';
 import { Alert } from '@/components/ui/Alert';
+import { SocialLoginButtons } from '@/components/ui/SocialLoginButtons';
 import { useAuth } from '@/hooks/useAuth';
 
 const LoginForm = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { login } = useAuth();
   const [isLoading, setIsLoading] = useState(false);
   const [errors, setErrors] = useState({});
-  const [successMessage, setSuccessMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState(location.state?.message || '');
   const [showPassword, setShowPassword] = useState(false);
   const [formData, setFormData] = useState({
     email: '',
@@ -19,6 +21,14 @@ const LoginForm = () => {
     rememberMe: false,
   });
 
+  // Two-factor step after the password:
+  // { step: 'code' | 'setup' | 'backupCodes', challengeToken, provisioning, backupCodes, loginData }
+  // A social login that needs a second factor continues here (OAuthCallback)
+  const [twoFactor, setTwoFactor] = useState(location.state?.twoFactor || null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+
+  const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
   // Validation functions
   const validateField = (name, value) => {
     const newErrors = { ...errors };
@@ -91,6 +101,131 @@ const LoginForm = () => {
     return isValid;
   };
 
+  // Store the session and continue to the app
+  const completeLogin = (data) => {
+    const token = data.data?.token;
+    const userData = {
+      id: data.data._id,
+      name: data.data.name,
+      email: data.data.email,
+      role: data.data.role,
+      permissions: data.data.permissions,
+      avatar: data.data.avatar,
+      phone: data.data.phone,
+      isEmailVerified: data.data.isEmailVerified,
+      isFirstUser: data.data.isFirstUser,
+      isProfileComplete: data.data.isProfileComplete
+    };
+
+    // Store in localStorage
+    if (token) {
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', data.data.refreshToken);
+      localStorage.setItem('user', JSON.stringify(userData));
+      
+      // Update auth context
+      login(userData, token, data.data.refreshToken);
+    }
+
+    // Show success message with context-appropriate message
+    const message = userData.isFirstUser 
+      ? 'Welcome! Please complete your profile setup.' 
+      : (data.message || 'Login successful!');
+    setSuccessMessage(message);
+
+    // Redirect based on user status after short delay
+    setTimeout(() => {
+      // First priority: if first user, send to profile
+      if (userData.isFirstUser) {
+        navigate('/profile');
+        return;
+      }
+
+      // If profile is complete, send to products
+      if (userData.isProfileComplete) {
+        navigate('/products');
+        return;
+      }
+
+      // Otherwise send to profile for completion
+      navigate('/profile');
+    }, 1500); // Slightly longer delay for first user to read the message
+  };
+
+  // Get the secret and QR code for enrolling an authenticator app
+  const startTwoFactorSetup = async (challengeToken) => {
+    const response = await fetch(`${API_BASE_URL}/api/auth/2fa/setup`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ challengeToken }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to start two-factor setup');
+    }
+
+    setTwoFactor({ step: 'setup', challengeToken, provisioning: data.data });
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!twoFactorCode.trim()) {
+      setErrors({ submit: 'Please enter a code' });
+      return;
+    }
+
+    setIsLoading(true);
+    setErrors({});
+    setSuccessMessage('');
+
+    try {
+      const endpoint = twoFactor.step === 'setup' ? '2fa/enable' : '2fa/verify';
+      const response = await fetch(`${API_BASE_URL}/api/auth/${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ challengeToken: twoFactor.challengeToken, code: twoFactorCode.trim() }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Invalid code');
+      }
+
+      // New enrollment: show the backup codes once before continuing
+      if (data.data?.backupCodes) {
+        setTwoFactor({ step: 'backupCodes', backupCodes: data.data.backupCodes, loginData: data });
+        return;
+      }
+
+      if (data.data?.backupCodesRemaining !== undefined) {
+        data.message = `Signed in with a backup code. ${data.data.backupCodesRemaining} backup codes left.`;
+      }
+
+      completeLogin(data);
+    } catch (error) {
+      setErrors({ submit: error.message });
+      setTwoFactorCode('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTwoFactorCancel = () => {
+    setTwoFactor(null);
+    setTwoFactorCode('');
+    setErrors({});
+    setSuccessMessage('');
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -106,8 +241,6 @@ const LoginForm = () => {
         password: formData.password
       };
 
-      // Use environment variable or default to localhost
-      const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
       const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
         method: 'POST',
         headers: {
@@ -131,53 +264,24 @@ const LoginForm = () => {
         }
       }
 
-        // Login successful
-        if (data.success) {
-          const token = data.data?.token;
-          const userData = {
-            id: data.data._id,
-            name: data.data.name,
-            email: data.data.email,
-            role: data.data.role,
-            avatar: data.data.avatar,
-            phone: data.data.phone,
-            isFirstUser: data.data.isFirstUser,
-            isProfileComplete: data.data.isProfileComplete
-          };
-
-          // Store in localStorage
-          if (token) {
-            localStorage.setItem('token', token);
-            localStorage.setItem('user', JSON.stringify(userData));
-            
-            // Update auth context
-            login(userData, token);
-          }
-
-          // Show success message with context-appropriate message
-          const message = userData.isFirstUser 
-            ? 'Welcome! Please complete your profile setup.' 
-            : (data.message || 'Login successful!');
-          setSuccessMessage(message);
-
-          // Redirect based on user status after short delay
-          setTimeout(() => {
-            // First priority: if first user, send to profile
-            if (userData.isFirstUser) {
-              navigate('/profile');
-              return;
-            }
-
-            // If profile is complete, send to products
-            if (userData.isProfileComplete) {
-              navigate('/products');
-              return;
-            }
-
-            // Otherwise send to profile for completion
-            navigate('/profile');
-          }, 1500); // Slightly longer delay for first user to read the message
-        }    } catch (error) {
+      // Password accepted; a second factor is needed
+      if (data.data?.twoFactorRequired) {
+        setTwoFactor({ step: 'code', challengeToken: data.data.challengeToken });
+        setSuccessMessage(data.message);
+        return;
+      }
+
+      if (data.data?.twoFactorSetupRequired) {
+        await startTwoFactorSetup(data.data.challengeToken);
+        setSuccessMessage(data.message);
+        return;
+      }
+
+      // Login successful
+      if (data.success) {
+        completeLogin(data);
+      }
+    } catch (error) {
       setErrors({ submit: error.message });
       
       // Clear password field on error for security
@@ -199,6 +303,90 @@ const LoginForm = () => {
         <Alert variant="success" message={successMessage} className="mb-4" />
       )}
 
+      {/* Two-Factor Step */}
+      {twoFactor?.step === 'backupCodes' && (
+        <div className="space-y-4">
+          <Alert
+            variant="warning"
+            title="Save your backup codes"
+            message="Each code signs you in once if you lose your authenticator. They will not be shown again."
+          />
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 p-4 rounded-lg">
+            {twoFactor.backupCodes.map(code => (
+              <li key={code}>{code}</li>
+            ))}
+          </ul>
+          <Button
+            type="button"
+            variant="primary"
+            size="lg"
+            fullWidth
+            onClick={() => completeLogin(twoFactor.loginData)}
+          >
+            I saved my backup codes
+          </Button>
+        </div>
+      )}
+
+      {(twoFactor?.step === 'code' || twoFactor?.step === 'setup') && (
+        <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+          {twoFactor.step === 'setup' && twoFactor.provisioning && (
+            <div className="text-center space-y-2">
+              <p className="text-sm text-gray-700">
+                Scan this QR code with an authenticator app, or enter the key manually.
+              </p>
+              <img
+                src={twoFactor.provisioning.qrCode}
+                alt="Authenticator QR code"
+                className="mx-auto w-48 h-48"
+              />
+              <p className="font-mono text-sm break-all bg-gray-50 p-2 rounded">
+                {twoFactor.provisioning.secret}
+              </p>
+            </div>
+          )}
+
+          <Input
+            id="twoFactorCode"
+            name="twoFactorCode"
+            type="text"
+            inputMode={twoFactor.step === 'setup' ? 'numeric' : 'text'}
+            autoComplete="one-time-code"
+            value={twoFactorCode}
+            onChange={(e) => setTwoFactorCode(e.target.value)}
+            placeholder={twoFactor.step === 'setup' ? '6-digit code' : '6-digit code or backup code'}
+            label={twoFactor.step === 'setup' ? 'Code from your authenticator app *' : 'Two-factor code *'}
+            autoFocus
+            required
+          />
+
+          {/* Submit Error */}
+          {errors.submit && (
+            <Alert variant="error" message={errors.submit} />
+          )}
+
+          <Button
+            type="submit"
+            variant="primary"
+            size="lg"
+            fullWidth
+            isLoading={isLoading}
+            disabled={isLoading}
+          >
+            {twoFactor.step === 'setup' ? 'Enable & Sign In' : 'Verify'}
+          </Button>
+
+          <button
+            type="button"
+            onClick={handleTwoFactorCancel}
+            className="w-full text-sm text-gray-600 hover:text-gray-800"
+          >
+            Back to sign in
+          </button>
+        </form>
+      )}
+
+      {!twoFactor && (
       <form onSubmit={handleSubmit} className="space-y-4">
         {/* Email Field */}
         <div>
@@ -281,6 +469,8 @@ const LoginForm = () => {
           Sign In
         </Button>
 
+        <SocialLoginButtons />
+
         {/* Registration Link */}
         <div className="text-center mt-4">
           <p className="text-gray-600">
@@ -291,6 +481,7 @@ const LoginForm = () => {
           </p>
         </div>
       </form>
+      )}
     </Card>
   );
 };
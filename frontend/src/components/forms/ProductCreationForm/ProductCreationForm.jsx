@@ -3,14 +3,17 @@ import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Card from '@/components/ui/Card'; 
 import Alert from '@/components/ui/Alert'; 
+import VariantMatrix from '@/components/forms/VariantMatrix';
+import CategorySelect from '@/components/forms/CategorySelect';
+import SpecificationFields from '@/components/forms/SpecificationFields';
 
 const ProductCreationForm = ({ onProductCreated }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [isSavingDraft, setIsSavingDraft] = useState(false);
   const [errors, setErrors] = useState({});
   const [success, setSuccess] = useState(''); 
-  const [categories, setCategories] = useState([]);
   const [imagePreviews, setImagePreviews] = useState([]);
+  const [categoryAttributes, setCategoryAttributes] = useState([]);
   
   const [formData, setFormData] = useState({
     // Basic Information
@@ -23,7 +26,6 @@ const ProductCreationForm = ({ onProductCreated }) => {
     
     // Category & Classification
     category: '',
-    subcategory: '',
     brand: '',
     tags: '',
     
@@ -81,24 +83,6 @@ const ProductCreationForm = ({ onProductCreated }) => {
     images: []
   });
 
-  // Fetch categories on component mount
-  useEffect(() => {
-    fetchCategories();
-  }, []);
-
-  const fetchCategories = async () => {
-    try {
-      const response = await fetch('/api/categories');
-      const data = await response.json();
-      
-      if (data.success) {
-        setCategories(data.data || []);
-      }
-    } catch (error) {
-      console.error('Failed to fetch categories:', error);
-    }
-  };
-
   // Auto-generate SKU
   useEffect(() => {
     if (!formData.inventory.sku && formData.brand && formData.name) {
@@ -287,98 +271,36 @@ const ProductCreationForm = ({ onProductCreated }) => {
     setImagePreviews(prev => prev.filter((_, i) => i !== index));
   };
 
-  // Variant management
-  const addVariant = () => {
-    setFormData(prev => ({
-      ...prev,
-      variants: [...prev.variants, {
-        sku: '',
-        price: '',
-        comparePrice: '',
-        quantity: '',
-        attributes: {},
-        images: []
-      }]
-    }));
-  };
+  // Attributes of the chosen category (and its parents) describe the specifications
+  useEffect(() => {
+    if (!formData.category) {
+      setCategoryAttributes([]);
+      return;
+    }
 
-  const removeVariant = (index) => {
-    setFormData(prev => ({
-      ...prev,
-      variants: prev.variants.filter((_, i) => i !== index)
-    }));
-  };
+    const fetchAttributes = async () => {
+      try {
+        const response = await fetch(`/api/categories/${formData.category}/attributes`);
+        const data = await response.json();
 
-  const updateVariant = (index, field, value) => {
-    setFormData(prev => ({
-      ...prev,
-      variants: prev.variants.map((variant, i) => 
-        i === index ? { ...variant, [field]: value } : variant
-      )
-    }));
-  };
-
-  // Option management
-  // eslint-disable-next-line no-unused-vars
-  const addOption = () => {
-    setFormData(prev => ({
-      ...prev,
-      options: [...prev.options, { name: '', values: [] }]
-    }));
-  };
+        if (data.success) {
+          setCategoryAttributes(data.data || []);
+        }
+      } catch (error) {
+        console.error('Failed to fetch category attributes:', error);
+      }
+    };
 
-  // eslint-disable-next-line no-unused-vars
-  const removeOption = (index) => {
-    setFormData(prev => ({
-      ...prev,
-      options: prev.options.filter((_, i) => i !== index)
-    }));
-  };
+    fetchAttributes();
+  }, [formData.category]);
 
-  // eslint-disable-next-line no-unused-vars
-  const updateOption = (index, field, value) => {
-    setFormData(prev => ({
-      ...prev,
-      options: prev.options.map((option, i) => 
-        i === index ? { ...option, [field]: value } : option
-      )
-    }));
+  const handleSpecificationsChange = (specifications) => {
+    setFormData(prev => ({ ...prev, specifications }));
   };
 
-  // eslint-disable-next-line no-unused-vars
-  const addOptionValue = (optionIndex) => {
-    setFormData(prev => ({
-      ...prev,
-      options: prev.options.map((option, i) => 
-        i === optionIndex ? { ...option, values: [...option.values, ''] } : option
-      )
-    }));
-  };
-
-  // eslint-disable-next-line no-unused-vars
-  const removeOptionValue = (optionIndex, valueIndex) => {
-    setFormData(prev => ({
-      ...prev,
-      options: prev.options.map((option, i) => 
-        i === optionIndex ? { 
-          ...option, 
-          values: option.values.filter((_, j) => j !== valueIndex) 
-        } : option
-      )
-    }));
-  };
-
-  // eslint-disable-next-line no-unused-vars
-  const updateOptionValue = (optionIndex, valueIndex, value) => {
-    setFormData(prev => ({
-      ...prev,
-      options: prev.options.map((option, i) => 
-        i === optionIndex ? {
-          ...option,
-          values: option.values.map((val, j) => j === valueIndex ? value : val)
-        } : option
-      )
-    }));
+  // Options and generated variants
+  const handleVariantMatrixChange = ({ options, variants }) => {
+    setFormData(prev => ({ ...prev, options, variants }));
   };
 
   const validateForm = (isDraft = false) => {
@@ -409,6 +331,15 @@ const ProductCreationForm = ({ onProductCreated }) => {
         newErrors.category = 'Category is required';
         isValid = false;
       }
+
+      // Required specifications of the category; the server checks types and allowed values
+      const missing = categoryAttributes.filter(attribute =>
+        attribute.isRequired && !String(formData.specifications[attribute.name] ?? '').trim()
+      );
+      if (missing.length > 0) {
+        newErrors.specifications = Object.fromEntries(missing.map(attribute => [attribute.name, `${attribute.name} is required`]));
+        isValid = false;
+      }
     }
 
     // Inventory validations
@@ -420,6 +351,12 @@ const ProductCreationForm = ({ onProductCreated }) => {
       isValid = false;
     }
 
+    // Variant validations
+    if (!isDraft && formData.hasVariants && formData.variants.length === 0) {
+      newErrors.variants = 'Generate the variants for your options';
+      isValid = false;
+    }
+
     // Image validations
     if (!isDraft && formData.images.length === 0) {
       newErrors.images = 'At least one product image is required';
@@ -453,7 +390,6 @@ const ProductCreationForm = ({ onProductCreated }) => {
         comparePrice: formData.comparePrice ? parseFloat(formData.comparePrice) : undefined,
         costPrice: formData.costPrice ? parseFloat(formData.costPrice) : undefined,
         category: formData.category,
-        subcategory: formData.subcategory || '',
         brand: formData.brand.trim(),
         tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag),
         inventory: {
@@ -474,8 +410,8 @@ const ProductCreationForm = ({ onProductCreated }) => {
         shipping: formData.shipping,
         warranty: formData.warranty,
         hasVariants: formData.hasVariants,
-        variants: formData.variants,
-        options: formData.options
+        variants: formData.hasVariants ? formData.variants : [],
+        options: formData.hasVariants ? formData.options : []
       };
 
       formDataToSend.append('productData', JSON.stringify(productData));
@@ -504,7 +440,9 @@ const ProductCreationForm = ({ onProductCreated }) => {
         } else if (response.status === 403) {
           throw new Error(data.message || 'You are not authorized to create products');
         } else {
-          throw new Error(data.message || 'Failed to create product');
+          const error = new Error(data.message || 'Failed to create product');
+          error.fields = data.details?.fields;
+          throw error;
         }
       }
 
@@ -531,7 +469,6 @@ const ProductCreationForm = ({ onProductCreated }) => {
             comparePrice: '',
             costPrice: '',
             category: '',
-            subcategory: '',
             brand: '',
             tags: '',
             inventory: {
@@ -570,7 +507,12 @@ const ProductCreationForm = ({ onProductCreated }) => {
       }
 
     } catch (error) {
-      setErrors({ submit: error.message });
+      // Specification errors name their attribute (field: 'specifications.<name>')
+      const specificationErrors = Object.fromEntries((error.fields || [])
+        .filter(({ field }) => field.startsWith('specifications.'))
+        .map(({ field, message }) => [field.slice('specifications.'.length), message]));
+
+      setErrors({ submit: error.message, specifications: specificationErrors });
     } finally {
       loadingState(false);
     }
@@ -754,48 +696,23 @@ const ProductCreationForm = ({ onProductCreated }) => {
             <h2 className="text-xl font-semibold text-gray-900 mb-4">Category & Brand</h2>
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Category *
-                </label>
-                <select
-                  name="category"
-                  value={formData.category}
-                  onChange={handleChange}
-                  onBlur={handleBlur}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
-                  required
-                >
-                  <option value="">Select Category</option>
-                  {categories.map(category => (
-                    <option key={category._id} value={category.name}>
-                      {category.name}
-                    </option>
-                  ))}
-                </select>
-                {errors.category && (
-                  <p className="mt-1 text-sm text-red-600">{errors.category}</p>
-                )}
-              </div>
+              <CategorySelect
+                name="category"
+                value={formData.category}
+                onChange={handleChange}
+                onBlur={handleBlur}
+                error={errors.category}
+                required
+              />
 
               <Input
-                name="subcategory"
-                value={formData.subcategory}
+                name="brand"
+                value={formData.brand}
                 onChange={handleChange}
-                placeholder="Enter subcategory"
-                label="Subcategory"
+                placeholder="Enter brand name"
+                label="Brand"
               />
 
-              <div className="md:col-span-2">
-                <Input
-                  name="brand"
-                  value={formData.brand}
-                  onChange={handleChange}
-                  placeholder="Enter brand name"
-                  label="Brand"
-                />
-              </div>
-
               <div className="md:col-span-2">
                 <Input
                   name="tags"
@@ -809,6 +726,19 @@ const ProductCreationForm = ({ onProductCreated }) => {
             </div>
           </section>
 
+          {/* Specifications Section */}
+          {categoryAttributes.length > 0 && (
+            <section className="border-b border-gray-200 pb-8">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Specifications</h2>
+              <SpecificationFields
+                attributes={categoryAttributes}
+                value={formData.specifications}
+                onChange={handleSpecificationsChange}
+                errors={errors.specifications}
+              />
+            </section>
+          )}
+
           {/* Images Section */}
           <section className="border-b border-gray-200 pb-8">
             <h2 className="text-xl font-semibold text-gray-900 mb-4">Product Images</h2>
@@ -884,69 +814,16 @@ const ProductCreationForm = ({ onProductCreated }) => {
               </div>
 
               {formData.hasVariants && (
-                <div className="bg-gray-50 p-4 rounded-lg">
-                  <div className="flex justify-between items-center mb-4">
-                    <h3 className="text-lg font-medium text-gray-900">Variants</h3>
-                    <Button
-                      type="button"
-                      variant="outline"
-                      size="sm"
-                      onClick={addVariant}
-                    >
-                      Add Variant
-                    </Button>
-                  </div>
-
-                  {formData.variants.map((variant, index) => (
-                    <div key={index} className="border border-gray-200 rounded-lg p-4 mb-4">
-                      <div className="flex justify-between items-center mb-3">
-                        <h4 className="font-medium">Variant {index + 1}</h4>
-                        <Button
-                          type="button"
-                          variant="outline"
-                          size="sm"
-                          onClick={() => removeVariant(index)}
-                        >
-                          Remove
-                        </Button>
-                      </div>
-                      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
-                        <Input
-                          placeholder="Variant SKU"
-                          value={variant.sku}
-                          onChange={(e) => updateVariant(index, 'sku', e.target.value)}
-                          label="SKU"
-                        />
-                        <Input
-                          type="number"
-                          placeholder="Price"
-                          value={variant.price}
-                          onChange={(e) => updateVariant(index, 'price', e.target.value)}
-                          label="Price"
-                          min="0"
-                          step="0.01"
-                        />
-                        <Input
-                          type="number"
-                          placeholder="Compare Price"
-                          value={variant.comparePrice}
-                          onChange={(e) => updateVariant(index, 'comparePrice', e.target.value)}
-                          label="Compare Price"
-                          min="0"
-                          step="0.01"
-                        />
-                        <Input
-                          type="number"
-                          placeholder="Quantity"
-                          value={variant.quantity}
-                          onChange={(e) => updateVariant(index, 'quantity', e.target.value)}
-                          label="Quantity"
-                          min="0"
-                        />
-                      </div>
-                    </div>
-                  ))}
-                </div>
+                <VariantMatrix
+                  options={formData.options}
+                  variants={formData.variants}
+                  sku={formData.inventory.sku}
+                  price={formData.price}
+                  onChange={handleVariantMatrixChange}
+                />
+              )}
+              {errors.variants && (
+                <p className="text-sm text-red-600">{errors.variants}</p>
               )}
             </div>
           </section>
@@ -3,6 +3,8 @@ import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
 import { Card } from '@/components/ui/Card';
 import { Alert } from '@/components/ui/Alert';
+import { VariantMatrix } from '@/components/forms/VariantMatrix';
+import { CategorySelect } from '@/components/forms/CategorySelect';
 
 /**
  * Product Edit Form - For Vendor/Admin Only
@@ -33,7 +35,6 @@ const ProductEditForm = ({
       height: ''
     },
     category: '',
-    subcategory: '',
     brand: '',
     tags: [],
     status: 'draft',
@@ -42,7 +43,9 @@ const ProductEditForm = ({
     allowBackorders: false,
     seoTitle: '',
     seoDescription: '',
-    metaKeywords: []
+    metaKeywords: [],
+    options: [],
+    variants: []
   });
 
   const [errors, setErrors] = useState({});
@@ -66,8 +69,8 @@ const ProductEditForm = ({
         quantity: productData.quantity || '',
         weight: productData.weight || '',
         dimensions: productData.dimensions || { length: '', width: '', height: '' },
-        category: productData.category || '',
-        subcategory: productData.subcategory || '',
+        // The product API returns the category populated
+        category: productData.category?._id || productData.category || '',
         brand: productData.brand || '',
         tags: productData.tags || [],
         status: productData.status || 'draft',
@@ -76,7 +79,9 @@ const ProductEditForm = ({
         allowBackorders: productData.allowBackorders || false,
         seoTitle: productData.seoTitle || '',
         seoDescription: productData.seoDescription || '',
-        metaKeywords: productData.metaKeywords || []
+        metaKeywords: productData.metaKeywords || [],
+        options: productData.options || [],
+        variants: productData.variants || []
       });
 
       setImagePreviews(productData.images || []);
@@ -163,6 +168,11 @@ const ProductEditForm = ({
     }
   };
 
+  // Options and generated variants
+  const handleVariantMatrixChange = ({ options, variants }) => {
+    setFormData(prev => ({ ...prev, options, variants }));
+  };
+
   const handleBlur = (e) => {
     const { name, value } = e.target;
     validateField(name, value);
@@ -219,8 +229,8 @@ const ProductEditForm = ({
       isValid = false;
     }
 
-    // Quantity validation if tracking is enabled
-    if (formData.trackQuantity && (isNaN(formData.quantity) || parseInt(formData.quantity) < 0)) {
+    // Quantity validation if tracking is enabled (variants carry their own stock)
+    if (formData.trackQuantity && formData.variants.length === 0 && (isNaN(formData.quantity) || parseInt(formData.quantity) < 0)) {
       newErrors.quantity = 'Valid quantity is required';
       isValid = false;
     }
@@ -407,7 +417,7 @@ const ProductEditForm = ({
               </label>
             </div>
 
-            {formData.trackQuantity && (
+            {formData.trackQuantity && formData.variants.length === 0 && (
               <Input
                 label="Quantity *"
                 name="quantity"
@@ -423,6 +433,18 @@ const ProductEditForm = ({
           </div>
         </section>
 
+        {/* Options & Variants */}
+        <section>
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Options & Variants</h3>
+          <VariantMatrix
+            options={formData.options}
+            variants={formData.variants}
+            sku={formData.sku}
+            price={formData.price}
+            onChange={handleVariantMatrixChange}
+          />
+        </section>
+
         {/* Images */}
         <section>
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Product Images</h3>
@@ -465,25 +487,15 @@ const ProductEditForm = ({
         <section>
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Organization</h3>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <Input
-              label="Category *"
+            <CategorySelect
               name="category"
               value={formData.category}
               onChange={handleChange}
               onBlur={handleBlur}
               error={errors.category}
-              placeholder="Main category"
               required
             />
 
-            <Input
-              label="Subcategory"
-              name="subcategory"
-              value={formData.subcategory}
-              onChange={handleChange}
-              placeholder="Subcategory (optional)"
-            />
-
             <Input
               label="Brand"
               name="brand"
@@ -4,6 +4,9 @@ import Button from '../../ui/Button/Button';
 import Input from '../../ui/Input/Input';
 import Card from '../../ui/Card/Card';
 import Alert from '../../ui/Alert/Alert';
+import SocialLoginButtons from '../../ui/SocialLoginButtons/SocialLoginButtons';
+import VendorBusinessFields from '../VendorBusinessFields/VendorBusinessFields';
+import { getBusinessFieldErrors } from '../../../services/vendorRequestService';
 
 const RegistrationForm = () => {
   const navigate = useNavigate();
@@ -22,6 +25,9 @@ const RegistrationForm = () => {
     vendorRequest: false,
   });
 
+  // Business details sent with a vendor request
+  const [business, setBusiness] = useState({});
+
   // Password strength checker
   const checkPasswordStrength = (password) => {
     const checks = {
@@ -165,7 +171,8 @@ const RegistrationForm = () => {
         email: formData.email.toLowerCase().trim(),
         password: formData.password,
         phone: formData.phone.trim() || '',
-        vendorRequest: formData.vendorRequest
+        vendorRequest: formData.vendorRequest,
+        ...(formData.vendorRequest && { business })
       };
 
       // Use environment variable or proxy
@@ -181,7 +188,9 @@ const RegistrationForm = () => {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || 'Registration failed');
+        const error = new Error(data.message || 'Registration failed');
+        error.fields = data.details?.fields;
+        throw error;
       }
 
       // Handle successful registration
@@ -190,11 +199,13 @@ const RegistrationForm = () => {
       
       if (token) {
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', user.refreshToken);
         localStorage.setItem('user', JSON.stringify({
           id: user._id,
           name: user.name,
           email: user.email,
           role: user.role,
+          isEmailVerified: user.isEmailVerified,
           vendorRequestStatus: user.vendorRequestStatus
         }));
       }
@@ -212,7 +223,7 @@ const RegistrationForm = () => {
       }, 2000);
 
     } catch (error) {
-      setErrors({ submit: error.message });
+      setErrors({ submit: error.message, business: getBusinessFieldErrors(error) });
     } finally {
       setIsLoading(false);
     }
@@ -410,6 +421,18 @@ const RegistrationForm = () => {
           </label>
         </div>
 
+        {/* Business details for the vendor request */}
+        {formData.vendorRequest && (
+          <div className="p-4 border border-gray-200 rounded-lg">
+            <h2 className="text-sm font-semibold text-gray-900 mb-3">Business details</h2>
+            <VendorBusinessFields
+              value={business}
+              onChange={setBusiness}
+              errors={errors.business}
+            />
+          </div>
+        )}
+
         {/* Submit Error */}
         {errors.submit && (
           <Alert variant="error" message={errors.submit} />
@@ -427,6 +450,8 @@ const RegistrationForm = () => {
           Create Account
         </Button>
 
+        <SocialLoginButtons label="Sign up with" />
+
         {/* Login Link */}
         <div className="text-center mt-4">
           <p className="text-gray-600">
@@ -0,0 +1,106 @@
+import React from 'react';
+import Input from '@/components/ui/Input';
+
+const selectClassName = (error) => `w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white ${
+  error ? 'border-red-500' : 'border-gray-300'
+}`;
+
+// Text and number attributes use Input, which shows its own error message
+const usesInput = ({ type }) => !['select', 'boolean', 'color'].includes(type);
+
+/**
+ * Specification inputs for the attributes of a product's category
+ * Each attribute gets the control for its type: text and number inputs, a list of the
+ * allowed values for select (and color attributes with values), Yes/No for boolean and
+ * a color picker for free colors. Values are kept as text, like the server stores them.
+ *
+ * @param {Object} props
+ * @param {Array} props.attributes - [{ name, type, values, isRequired }] (GET /api/categories/:id/attributes)
+ * @param {Object} props.value - Specifications by attribute name
+ * @param {function} props.onChange - Called with the updated specifications
+ * @param {Object} props.errors - Messages by attribute name
+ */
+const SpecificationFields = ({ attributes = [], value = {}, onChange, errors = {} }) => {
+  const setValue = (name, fieldValue) => onChange({ ...value, [name]: fieldValue });
+
+  const renderControl = (attribute) => {
+    const { name, type, values = [] } = attribute;
+    const current = value[name] ?? '';
+    const error = errors[name];
+
+    if (type === 'select' || (type === 'color' && values.length > 0)) {
+      return (
+        <select
+          id={`spec-${name}`}
+          value={current}
+          onChange={(e) => setValue(name, e.target.value)}
+          className={selectClassName(error)}
+        >
+          <option value="">Select {name}</option>
+          {values.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (type === 'boolean') {
+      return (
+        <select
+          id={`spec-${name}`}
+          value={current}
+          onChange={(e) => setValue(name, e.target.value)}
+          className={selectClassName(error)}
+        >
+          <option value="">Select</option>
+          <option value="true">Yes</option>
+          <option value="false">No</option>
+        </select>
+      );
+    }
+
+    if (type === 'color') {
+      return (
+        <div className="flex items-center gap-2">
+          <input
+            id={`spec-${name}`}
+            type="color"
+            value={current || '#000000'}
+            onChange={(e) => setValue(name, e.target.value.toUpperCase())}
+            className="h-10 w-14 border border-gray-300 rounded cursor-pointer"
+          />
+          <span className="text-sm text-gray-600">{current || 'Not set'}</span>
+        </div>
+      );
+    }
+
+    return (
+      <Input
+        id={`spec-${name}`}
+        type={type === 'number' ? 'number' : 'text'}
+        value={current}
+        onChange={(e) => setValue(name, e.target.value)}
+        placeholder={name}
+        error={error}
+      />
+    );
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {attributes.map(attribute => (
+        <div key={attribute.name}>
+          <label htmlFor={`spec-${attribute.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+            {attribute.name}{attribute.isRequired && ' *'}
+          </label>
+          {renderControl(attribute)}
+          {errors[attribute.name] && !usesInput(attribute) && (
+            <p className="mt-1 text-sm text-red-600">{errors[attribute.name]}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SpecificationFields;
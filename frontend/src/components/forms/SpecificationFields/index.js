@@ -0,0 +1,2 @@
+export { default } from './SpecificationFields';
+export { default as SpecificationFields } from './SpecificationFields';
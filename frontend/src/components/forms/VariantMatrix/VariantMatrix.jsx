@@ -0,0 +1,284 @@
+import React, { useState } from 'react';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Alert from '@/components/ui/Alert';
+
+/**
+ * Product options editor and variant matrix
+ * Builds one variant per combination of option values (POST /api/products/variants/generate).
+ * Regenerating after an option change keeps the rows that still exist, with their edits.
+ *
+ * @param {Object} props
+ * @param {Array} props.options - [{ name, values: [String] }]
+ * @param {Array} props.variants - [{ sku, price, comparePrice, quantity, attributes }]
+ * @param {string} props.sku - Parent SKU the variant SKUs are derived from
+ * @param {string|number} props.price - Product price, used by variants without a price
+ * @param {function} props.onChange - Called with { options, variants }
+ */
+const VariantMatrix = ({ options = [], variants = [], sku = '', price = '', onChange }) => {
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [bulk, setBulk] = useState({ price: '', comparePrice: '', quantity: '' });
+
+  const setOptions = (nextOptions) => onChange({ options: nextOptions, variants });
+  const setVariants = (nextVariants) => onChange({ options, variants: nextVariants });
+
+  // Option management
+  const addOption = () => {
+    setOptions([...options, { name: '', values: [] }]);
+  };
+
+  const removeOption = (index) => {
+    setOptions(options.filter((_, i) => i !== index));
+  };
+
+  const updateOptionName = (index, name) => {
+    setOptions(options.map((option, i) => (i === index ? { ...option, name } : option)));
+  };
+
+  // Values are typed comma separated; empty entries are dropped by the server
+  const updateOptionValues = (index, valuesString) => {
+    setOptions(options.map((option, i) => (
+      i === index ? { ...option, values: valuesString.split(',') } : option
+    )));
+  };
+
+  // Variant management
+  const updateVariant = (index, field, value) => {
+    setVariants(variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)));
+  };
+
+  const removeVariant = (index) => {
+    setVariants(variants.filter((_, i) => i !== index));
+    setSelected([]);
+  };
+
+  const toggleSelected = (index) => {
+    setSelected(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.length === variants.length ? [] : variants.map((_, i) => i));
+  };
+
+  const generateVariants = async () => {
+    setIsGenerating(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const token = localStorage.getItem('auth_token');
+
+      const response = await fetch('/api/products/variants/generate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ options, sku, variants }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to generate variants');
+      }
+
+      const { added, kept, removed } = data.data;
+      onChange({ options: data.data.options, variants: data.data.variants });
+      setSelected([]);
+      setMessage(`${added} added, ${kept} kept, ${removed} removed`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // Apply the bulk values to the selected rows, or to every row when none is selected
+  const applyBulk = () => {
+    const changes = Object.fromEntries(Object.entries(bulk).filter(([, value]) => value !== ''));
+    if (Object.keys(changes).length === 0) return;
+
+    setVariants(variants.map((variant, i) => (
+      selected.length === 0 || selected.includes(i) ? { ...variant, ...changes } : variant
+    )));
+    setBulk({ price: '', comparePrice: '', quantity: '' });
+  };
+
+  const getLabel = (variant) => Object.values(variant.attributes || {}).join(' / ') || 'Default';
+
+  return (
+    <div className="space-y-6">
+      {/* Options */}
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Options</h3>
+          <Button type="button" variant="outline" size="sm" onClick={addOption}>
+            Add Option
+          </Button>
+        </div>
+
+        {options.length === 0 && (
+          <p className="text-sm text-gray-500">Add options such as Size or Color, then generate the variants.</p>
+        )}
+
+        {options.map((option, index) => (
+          <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-3 mb-3">
+            <div className="md:col-span-4">
+              <Input
+                placeholder="Option name (e.g. Size)"
+                value={option.name}
+                onChange={(e) => updateOptionName(index, e.target.value)}
+              />
+            </div>
+            <div className="md:col-span-6">
+              <Input
+                placeholder="Values, comma separated (e.g. S, M, L)"
+                value={option.values.join(',')}
+                onChange={(e) => updateOptionValues(index, e.target.value)}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <Button type="button" variant="outline" size="sm" onClick={() => removeOption(index)} fullWidth>
+                Remove
+              </Button>
+            </div>
+          </div>
+        ))}
+
+        <div className="flex items-center gap-3 mt-4">
+          <Button
+            type="button"
+            size="sm"
+            onClick={generateVariants}
+            isLoading={isGenerating}
+            disabled={isGenerating || options.length === 0}
+          >
+            {variants.length > 0 ? 'Regenerate Variants' : 'Generate Variants'}
+          </Button>
+          {message && <span className="text-sm text-gray-600">{message}</span>}
+        </div>
+
+        {error && <Alert variant="error" message={error} className="mt-4" />}
+      </div>
+
+      {/* Variants */}
+      {variants.length > 0 && (
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Variants ({variants.length})</h3>
+
+          {/* Bulk edit */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4">
+            <Input
+              type="number"
+              placeholder="Price"
+              value={bulk.price}
+              onChange={(e) => setBulk(prev => ({ ...prev, price: e.target.value }))}
+              min="0"
+              step="0.01"
+            />
+            <Input
+              type="number"
+              placeholder="Compare Price"
+              value={bulk.comparePrice}
+              onChange={(e) => setBulk(prev => ({ ...prev, comparePrice: e.target.value }))}
+              min="0"
+              step="0.01"
+            />
+            <Input
+              type="number"
+              placeholder="Quantity"
+              value={bulk.quantity}
+              onChange={(e) => setBulk(prev => ({ ...prev, quantity: e.target.value }))}
+              min="0"
+            />
+            <Button type="button" variant="secondary" size="sm" onClick={applyBulk}>
+              {selected.length > 0 ? `Apply to ${selected.length} selected` : 'Apply to all'}
+            </Button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={selected.length === variants.length}
+                      onChange={toggleAll}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                  </th>
+                  <th className="p-2">Variant</th>
+                  <th className="p-2">SKU</th>
+                  <th className="p-2">Price</th>
+                  <th className="p-2">Compare Price</th>
+                  <th className="p-2">Quantity</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {variants.map((variant, index) => (
+                  <tr key={variant._id || variant.sku || index} className="border-t border-gray-200">
+                    <td className="p-2">
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(index)}
+                        onChange={() => toggleSelected(index)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                    </td>
+                    <td className="p-2 font-medium text-gray-900 whitespace-nowrap">{getLabel(variant)}</td>
+                    <td className="p-2">
+                      <Input
+                        value={variant.sku || ''}
+                        onChange={(e) => updateVariant(index, 'sku', e.target.value)}
+                      />
+                    </td>
+                    <td className="p-2">
+                      <Input
+                        type="number"
+                        placeholder={price ? String(price) : 'Price'}
+                        value={variant.price ?? ''}
+                        onChange={(e) => updateVariant(index, 'price', e.target.value)}
+                        min="0"
+                        step="0.01"
+                      />
+                    </td>
+                    <td className="p-2">
+                      <Input
+                        type="number"
+                        value={variant.comparePrice ?? ''}
+                        onChange={(e) => updateVariant(index, 'comparePrice', e.target.value)}
+                        min="0"
+                        step="0.01"
+                      />
+                    </td>
+                    <td className="p-2">
+                      <Input
+                        type="number"
+                        value={variant.quantity ?? ''}
+                        onChange={(e) => updateVariant(index, 'quantity', e.target.value)}
+                        min="0"
+                      />
+                    </td>
+                    <td className="p-2">
+                      <Button type="button" variant="ghost" size="sm" onClick={() => removeVariant(index)}>
+                        ×
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VariantMatrix;
@@ -0,0 +1,2 @@
+export { default } from './VariantMatrix';
+export { default as VariantMatrix } from './VariantMatrix';
\ No newline at end of file
@@ -0,0 +1,142 @@
+import React from 'react';
+import Input from '@/components/ui/Input';
+
+const EMPTY_BUSINESS = {
+  storeName: '',
+  taxId: '',
+  description: '',
+  payout: {
+    method: 'bank_transfer',
+    accountName: '',
+    bankName: '',
+    accountNumber: '',
+    paypalEmail: ''
+  }
+};
+
+const Label = ({ htmlFor, children }) => (
+  <label htmlFor={htmlFor} className="block text-sm font-medium text-gray-700 mb-1">
+    {children}
+  </label>
+);
+
+/**
+ * Business details for a vendor request: store, tax ID and where payouts go
+ * The account number is never sent back by the server, so it has to be entered
+ * again when a request is updated (accountNumberLast4 is shown as a hint).
+ *
+ * @param {Object} props
+ * @param {Object} props.value - { storeName, taxId, description, payout: { method, accountName, bankName, accountNumber, paypalEmail } }
+ * @param {function} props.onChange - Called with the updated details
+ * @param {Object} props.errors - Messages by field path (storeName, payout.accountNumber, ...)
+ */
+const VendorBusinessFields = ({ value = {}, onChange, errors = {} }) => {
+  const payout = { ...EMPTY_BUSINESS.payout, ...value.payout };
+  const details = { ...EMPTY_BUSINESS, ...value, payout };
+
+  const setField = (name) => (e) => onChange({ ...details, [name]: e.target.value });
+  const setPayout = (name) => (e) => onChange({ ...details, payout: { ...payout, [name]: e.target.value } });
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <Label htmlFor="business-storeName">Store name *</Label>
+          <Input
+            id="business-storeName"
+            value={details.storeName || ''}
+            onChange={setField('storeName')}
+            placeholder="Your store's name"
+            error={errors.storeName}
+          />
+        </div>
+        <div>
+          <Label htmlFor="business-taxId">Tax ID *</Label>
+          <Input
+            id="business-taxId"
+            value={details.taxId || ''}
+            onChange={setField('taxId')}
+            placeholder="Business registration or VAT number"
+            error={errors.taxId}
+          />
+        </div>
+      </div>
+
+      <div>
+        <Label htmlFor="business-description">What will you sell?</Label>
+        <textarea
+          id="business-description"
+          value={details.description || ''}
+          onChange={setField('description')}
+          rows={3}
+          maxLength={1000}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        {errors.description && <p className="mt-1 text-sm text-red-600">{errors.description}</p>}
+      </div>
+
+      <div>
+        <Label htmlFor="business-payout-method">Payout method *</Label>
+        <select
+          id="business-payout-method"
+          value={payout.method}
+          onChange={setPayout('method')}
+          className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white ${
+            errors['payout.method'] ? 'border-red-500' : 'border-gray-300'
+          }`}
+        >
+          <option value="bank_transfer">Bank transfer</option>
+          <option value="paypal">PayPal</option>
+        </select>
+        {errors['payout.method'] && <p className="mt-1 text-sm text-red-600">{errors['payout.method']}</p>}
+      </div>
+
+      {payout.method === 'paypal' ? (
+        <div>
+          <Label htmlFor="business-payout-paypalEmail">PayPal email *</Label>
+          <Input
+            id="business-payout-paypalEmail"
+            type="email"
+            value={payout.paypalEmail || ''}
+            onChange={setPayout('paypalEmail')}
+            error={errors['payout.paypalEmail']}
+          />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <Label htmlFor="business-payout-accountName">Account holder *</Label>
+            <Input
+              id="business-payout-accountName"
+              value={payout.accountName || ''}
+              onChange={setPayout('accountName')}
+              error={errors['payout.accountName']}
+            />
+          </div>
+          <div>
+            <Label htmlFor="business-payout-bankName">Bank *</Label>
+            <Input
+              id="business-payout-bankName"
+              value={payout.bankName || ''}
+              onChange={setPayout('bankName')}
+              error={errors['payout.bankName']}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <Label htmlFor="business-payout-accountNumber">Account number or IBAN *</Label>
+            <Input
+              id="business-payout-accountNumber"
+              value={payout.accountNumber || ''}
+              onChange={setPayout('accountNumber')}
+              placeholder={payout.accountNumberLast4 ? `Ending in ${payout.accountNumberLast4} - enter it again to keep it` : ''}
+              autoComplete="off"
+              error={errors['payout.accountNumber']}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VendorBusinessFields;
@@ -0,0 +1,2 @@
+export { default } from './VendorBusinessFields';
+export { default as VendorBusinessFields } from './VendorBusinessFields';
@@ -3,6 +3,8 @@ import React, { useState } from "react";
 import { Button } from "@/components/ui/Button"; // or "../ui/Button" depending on setup
 import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "@/hooks/useAuth";
+import { hasPermission } from "@/utils/permissions";
+import EmailVerificationBanner from "@/components/ui/EmailVerificationBanner";
 
 export default function Header() {
   const navigate = useNavigate();
@@ -15,21 +17,25 @@ export default function Header() {
 
       // Get token from localStorage
       const token = localStorage.getItem('token');
+      const refreshToken = localStorage.getItem('refreshToken');
 
-      // Call backend logout API (optional, for session cleanup)
-      if (token) {
+      // Call backend logout API (revokes the session; the refresh token
+      // identifies it if the access token has expired)
+      if (token || refreshToken) {
         const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
         await fetch(`${API_BASE_URL}/api/auth/logout`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
-          }
+          },
+          body: JSON.stringify({ refreshToken })
         });
       }
 
       // Clear localStorage
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       localStorage.removeItem('remember_me');
 
@@ -42,6 +48,7 @@ export default function Header() {
       console.error('Logout error:', error);
       // Still logout locally even if API call fails
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       logout();
       navigate('/');
@@ -64,6 +71,9 @@ export default function Header() {
           <Link to="/products" className="hover:text-blue-600">Products</Link>
           <Link to="/about" className="hover:text-blue-600">About</Link>
           <Link to="/contact" className="hover:text-blue-600">Contact</Link>
+          {hasPermission(user, 'vendors:review') && (
+            <Link to="/admin/vendor-requests" className="hover:text-blue-600">Vendor Requests</Link>
+          )}
         </nav>
 
         {/* Right Section: Buttons */}
@@ -109,6 +119,9 @@ export default function Header() {
           )}
         </div>
       </div>
+
+      {/* Reminder for accounts that have not verified their email */}
+      {isAuthenticated && user?.isEmailVerified === false && <EmailVerificationBanner email={user.email} />}
     </header>
   );
 }
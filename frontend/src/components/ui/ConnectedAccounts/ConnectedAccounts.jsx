@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/Button';
+import { Card } from '@/components/ui/Card';
+import { Alert } from '@/components/ui/Alert';
+import { getOAuthProviders, startOAuth, unlinkOAuth } from '@/services/authService';
+
+/**
+ * Connected Accounts
+ * Links and unlinks the social accounts (User.socialProfiles) the user can sign in with
+ */
+const ConnectedAccounts = ({ socialProfiles = {}, onChange }) => {
+  const [providers, setProviders] = useState([]);
+  const [pendingProvider, setPendingProvider] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let isMounted = true;
+
+    getOAuthProviders()
+      .then(data => {
+        if (isMounted) setProviders(data.data || []);
+      })
+      .catch(err => console.error('Error fetching sign-in providers:', err));
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const handleLink = async (provider) => {
+    setPendingProvider(provider.name);
+    setMessage('');
+    setError('');
+
+    try {
+      const data = await startOAuth(provider.name, 'link');
+      window.location.assign(data.data.authorizationUrl);
+    } catch (err) {
+      setError(err.message);
+      setPendingProvider(null);
+    }
+  };
+
+  const handleUnlink = async (provider) => {
+    setPendingProvider(provider.name);
+    setMessage('');
+    setError('');
+
+    try {
+      const data = await unlinkOAuth(provider.name);
+      setMessage(data.message);
+      onChange?.({ ...socialProfiles, [provider.profileField]: undefined });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPendingProvider(null);
+    }
+  };
+
+  if (providers.length === 0) return null;
+
+  return (
+    <Card className="mt-6 p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">Connected Accounts</h2>
+
+      {message && <Alert variant="success" message={message} className="mb-4" />}
+      {error && <Alert variant="error" message={error} className="mb-4" />}
+
+      <ul className="divide-y divide-gray-200">
+        {providers.map(provider => {
+          const isLinked = Boolean(socialProfiles?.[provider.profileField]);
+
+          return (
+            <li key={provider.name} className="flex items-center justify-between py-3">
+              <div>
+                <p className="font-medium text-gray-900">{provider.label}</p>
+                <p className="text-sm text-gray-500">{isLinked ? 'Connected' : 'Not connected'}</p>
+              </div>
+
+              <Button
+                type="button"
+                variant={isLinked ? 'outline' : 'primary'}
+                size="sm"
+                isLoading={pendingProvider === provider.name}
+                disabled={Boolean(pendingProvider)}
+                onClick={() => (isLinked ? handleUnlink(provider) : handleLink(provider))}
+              >
+                {isLinked ? 'Unlink' : 'Link'}
+              </Button>
+            </li>
+          );
+        })}
+      </ul>
+    </Card>
+  );
+};
+
+export default ConnectedAccounts;
@@ -0,0 +1,2 @@
+export { default } from './ConnectedAccounts';
+export { default as ConnectedAccounts } from './ConnectedAccounts';
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { resendVerificationEmail } from '@/services/authService';
+
+/**
+ * Email Verification Banner
+ * Reminds users with an unverified email to open the verification link, and resends it
+ */
+const EmailVerificationBanner = ({ email }) => {
+  const [isSending, setIsSending] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleResend = async () => {
+    setIsSending(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const data = await resendVerificationEmail();
+      setMessage(data.message || 'Verification email sent');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-t border-yellow-200" role="status">
+      <div className="max-w-7xl mx-auto px-6 py-2 flex flex-wrap items-center justify-between gap-2 text-sm text-yellow-800">
+        <span>
+          Please verify your email address{email ? ` (${email})` : ''}. Check your inbox for the verification link.
+        </span>
+
+        <div className="flex items-center gap-3">
+          {message && <span className="text-green-700">{message}</span>}
+          {error && <span className="text-red-700">{error}</span>}
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={isSending}
+            className="font-medium underline hover:text-yellow-900 disabled:opacity-50"
+          >
+            {isSending ? 'Sending...' : 'Resend email'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
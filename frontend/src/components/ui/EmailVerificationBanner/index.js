@@ -0,0 +1,2 @@
+export { default } from './EmailVerificationBanner';
+export { default as EmailVerificationBanner } from './EmailVerificationBanner';
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/Button';
+import { Alert } from '@/components/ui/Alert';
+import { getOAuthProviders, startOAuth } from '@/services/authService';
+
+/**
+ * Social Login Buttons
+ * One button per sign-in provider enabled on the server; renders nothing when there are none
+ */
+const SocialLoginButtons = ({ label = 'Continue with' }) => {
+  const [providers, setProviders] = useState([]);
+  const [pendingProvider, setPendingProvider] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let isMounted = true;
+
+    getOAuthProviders()
+      .then(data => {
+        if (isMounted) setProviders(data.data || []);
+      })
+      .catch(err => console.error('Error fetching sign-in providers:', err));
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const handleClick = async (provider) => {
+    setPendingProvider(provider);
+    setError('');
+
+    try {
+      const data = await startOAuth(provider);
+      // Leave for the provider's sign-in page; it sends the user back to /oauth/callback/:provider
+      window.location.assign(data.data.authorizationUrl);
+    } catch (err) {
+      setError(err.message);
+      setPendingProvider(null);
+    }
+  };
+
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="mt-6 space-y-3">
+      <div className="flex items-center gap-3 text-sm text-gray-500">
+        <span className="grow border-t border-gray-200" />
+        or
+        <span className="grow border-t border-gray-200" />
+      </div>
+
+      {error && <Alert variant="error" message={error} />}
+
+      {providers.map(provider => (
+        <Button
+          key={provider.name}
+          type="button"
+          variant="outline"
+          size="lg"
+          fullWidth
+          isLoading={pendingProvider === provider.name}
+          disabled={Boolean(pendingProvider)}
+          onClick={() => handleClick(provider.name)}
+        >
+          {label} {provider.label}
+        </Button>
+      ))}
+    </div>
+  );
+};
+
+export default SocialLoginButtons;
@@ -0,0 +1,2 @@
+export { default } from './SocialLoginButtons';
+export { default as SocialLoginButtons } from './SocialLoginButtons';
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { AuthContext } from '../hooks/useAuth';
 import { setupGlobal401Interceptor } from '../utils/authInterceptor';
+import { logoutUser } from '../services/authService';
 import { useInactivityTimeout, useInactivityWarning } from '../hooks/useInactivityTimeout';
 import { setupMultiTabLogout, broadcastLogout } from '../utils/multiTabSync';
 import InactivityWarning from '../components/ui/InactivityWarning';
@@ -19,6 +20,8 @@ export const AuthProvider = ({ children }) => {
   // Handle automatic logout on inactivity
   const handleInactivityLogout = () => {
     console.warn('User logged out due to inactivity');
+    // Revoke the session on the server too
+    logoutUser();
     logout();
     navigate('/login?reason=inactivity');
   };
@@ -40,6 +43,7 @@ export const AuthProvider = ({ children }) => {
 
   // Handle "Logout Now" button
   const handleLogoutNow = () => {
+    logoutUser();
     logout();
     navigate('/login');
   };
@@ -81,13 +85,16 @@ export const AuthProvider = ({ children }) => {
     return cleanup;
   }, []);
 
-  const login = (userData, token) => {
+  const login = (userData, token, refreshToken) => {
     setUser(userData);
     setIsAuthenticated(true);
     localStorage.setItem('user', JSON.stringify(userData));
     if (token) {
       localStorage.setItem('token', token);
     }
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
   };
 
   const getRedirectPath = (userData) => {
@@ -110,6 +117,7 @@ export const AuthProvider = ({ children }) => {
     setIsAuthenticated(false);
     localStorage.removeItem('user');
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     
     // Broadcast logout to other tabs
     broadcastLogout();
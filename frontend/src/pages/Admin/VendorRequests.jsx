@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Header from '@/components/layout/Header/Header';
+import Footer from '@/components/layout/Footer/Footer';
+import { Card } from '@/components/ui/Card';
+import { Alert } from '@/components/ui/Alert';
+import { Button } from '@/components/ui/Button';
+import { useAuth } from '@/hooks/useAuth';
+import { hasPermission } from '@/utils/permissions';
+import {
+  getVendorRequests,
+  approveVendorRequest,
+  rejectVendorRequest
+} from '@/services/vendorRequestService';
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+const PAYOUT_LABELS = {
+  bank_transfer: 'Bank transfer',
+  paypal: 'PayPal'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// Payout destination without the full account number
+const describePayout = (payout = {}) => {
+  if (payout.method === 'paypal') return `PayPal (${payout.paypalEmail})`;
+  if (payout.method === 'bank_transfer') {
+    return `${payout.bankName} - ${payout.accountName}, account ending ${payout.accountNumberLast4}`;
+  }
+  return '-';
+};
+
+/**
+ * Admin review queue for vendor requests
+ * Pending requests are listed oldest first; each can be approved (grants the vendor
+ * role) or rejected with a reason that is emailed to the applicant.
+ */
+const VendorRequests = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState('pending');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [requests, setRequests] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [rejecting, setRejecting] = useState({ id: null, reason: '' });
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadRequests = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const data = await getVendorRequests({ status, search, page });
+      setRequests(data.data);
+      setPagination(data.pagination);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status, search, page]);
+
+  const canReview = hasPermission(user, 'vendors:review');
+
+  useEffect(() => {
+    if (canReview) {
+      loadRequests();
+    }
+  }, [canReview, loadRequests]);
+
+  const changeStatus = (value) => {
+    setStatus(value);
+    setPage(1);
+    setRejecting({ id: null, reason: '' });
+  };
+
+  const handleApprove = async (request) => {
+    setBusyId(request._id);
+    setMessage('');
+    setError('');
+
+    try {
+      const data = await approveVendorRequest(request._id);
+      setMessage(data.message);
+      await loadRequests();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (e) => {
+    e.preventDefault();
+    setBusyId(rejecting.id);
+    setMessage('');
+    setError('');
+
+    try {
+      const data = await rejectVendorRequest(rejecting.id, rejecting.reason);
+      setMessage(data.message);
+      setRejecting({ id: null, reason: '' });
+      await loadRequests();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!canReview) {
+    return (
+      <div className="min-h-screen flex flex-col">
+        <Header />
+        <main className="grow py-8 bg-gray-50">
+          <div className="max-w-4xl mx-auto px-4">
+            <Alert variant="error" message="You do not have permission to review vendor requests." />
+          </div>
+        </main>
+        <Footer />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <Header />
+      <main className="grow py-8 bg-gray-50">
+        <div className="max-w-5xl mx-auto px-4">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Vendor Requests</h1>
+              <p className="text-gray-600">{pagination.total} {status} request{pagination.total === 1 ? '' : 's'}</p>
+            </div>
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+              placeholder="Search name, email or store"
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div className="flex gap-2 mb-6">
+            {STATUS_TABS.map(tab => (
+              <Button
+                key={tab.value}
+                variant={status === tab.value ? 'primary' : 'outline'}
+                size="sm"
+                onClick={() => changeStatus(tab.value)}
+              >
+                {tab.label}
+              </Button>
+            ))}
+          </div>
+
+          {message && <Alert variant="success" message={message} onClose={() => setMessage('')} className="mb-4" />}
+          {error && <Alert variant="error" message={error} onClose={() => setError('')} className="mb-4" />}
+
+          {isLoading ? (
+            <p className="text-gray-600">Loading vendor requests...</p>
+          ) : requests.length === 0 ? (
+            <Card className="p-6 text-center text-gray-600">No {status} vendor requests.</Card>
+          ) : (
+            <div className="space-y-4">
+              {requests.map(request => {
+                const { business = {}, ...vendorRequest } = request.vendorRequest || {};
+
+                return (
+                  <Card key={request._id} className="p-6">
+                    <div className="flex flex-col md:flex-row md:justify-between gap-4">
+                      <div className="space-y-1 text-sm text-gray-700">
+                        <h2 className="text-lg font-semibold text-gray-900">
+                          {business.storeName || 'No store name'}
+                        </h2>
+                        <p>
+                          {request.name} &lt;{request.email}&gt;
+                          {!request.isEmailVerified && (
+                            <span className="ml-2 text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full">
+                              email not verified
+                            </span>
+                          )}
+                        </p>
+                        {request.phone && <p>Phone: {request.phone}</p>}
+                        <p>Tax ID: {business.taxId || '-'}</p>
+                        <p>Payout: {PAYOUT_LABELS[business.payout?.method] ? describePayout(business.payout) : '-'}</p>
+                        {business.description && <p className="text-gray-600">{business.description}</p>}
+                        <p className="text-gray-500">Requested: {formatDate(vendorRequest.requestedAt)}</p>
+                        {vendorRequest.status === 'approved' && (
+                          <p className="text-green-700">Approved {formatDate(vendorRequest.approvedAt)}</p>
+                        )}
+                        {vendorRequest.status === 'rejected' && (
+                          <p className="text-red-700">
+                            Rejected {formatDate(vendorRequest.rejectedAt)}: {vendorRequest.rejectionReason}
+                          </p>
+                        )}
+                        {vendorRequest.reviewedBy && (
+                          <p className="text-gray-500">Reviewed by {vendorRequest.reviewedBy.name}</p>
+                        )}
+                      </div>
+
+                      {vendorRequest.status === 'pending' && rejecting.id !== request._id && (
+                        <div className="flex md:flex-col gap-2 shrink-0">
+                          <Button
+                            variant="success"
+                            size="sm"
+                            disabled={busyId === request._id}
+                            onClick={() => handleApprove(request)}
+                          >
+                            Approve
+                          </Button>
+                          <Button
+                            variant="danger"
+                            size="sm"
+                            disabled={busyId === request._id}
+                            onClick={() => setRejecting({ id: request._id, reason: '' })}
+                          >
+                            Reject
+                          </Button>
+                        </div>
+                      )}
+                    </div>
+
+                    {rejecting.id === request._id && (
+                      <form onSubmit={handleReject} className="mt-4 space-y-3">
+                        <label htmlFor={`reason-${request._id}`} className="block text-sm font-medium text-gray-700">
+                          Rejection reason (sent to the applicant)
+                        </label>
+                        <textarea
+                          id={`reason-${request._id}`}
+                          value={rejecting.reason}
+                          onChange={(e) => setRejecting({ ...rejecting, reason: e.target.value })}
+                          rows={3}
+                          maxLength={500}
+                          required
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <div className="flex gap-2">
+                          <Button type="submit" variant="danger" size="sm" disabled={busyId === request._id || !rejecting.reason.trim()}>
+                            Reject Request
+                          </Button>
+                          <Button type="button" variant="outline" size="sm" onClick={() => setRejecting({ id: null, reason: '' })}>
+                            Cancel
+                          </Button>
+                        </div>
+                      </form>
+                    )}
+                  </Card>
+                );
+              })}
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="flex justify-center items-center gap-4 mt-6">
+              <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                Previous
+              </Button>
+              <span className="text-sm text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+              <Button variant="outline" size="sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>
+                Next
+              </Button>
+            </div>
+          )}
+        </div>
+      </main>
+      <Footer />
+    </div>
+  );
+};
+
+export default VendorRequests;
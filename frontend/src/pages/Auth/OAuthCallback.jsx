@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useSearchParams, useNavigate, Link } from 'react-router-dom';
+import { Card } from '@/components/ui/Card';
+import { Alert } from '@/components/ui/Alert';
+import Header from '@/components/layout/Header/Header';
+import Footer from '@/components/layout/Footer/Footer';
+import { useAuth } from '@/hooks/useAuth';
+import { completeOAuth, startTwoFactorSetup } from '@/services/authService';
+
+/**
+ * Social login callback
+ * The provider sends the user here with a code; the server finishes the login or account link
+ */
+const OAuthCallback = () => {
+  const { provider } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { login } = useAuth();
+  const [error, setError] = useState('');
+
+  // Codes work once; don't send one twice when effects run twice in development
+  const hasRequested = useRef(false);
+
+  useEffect(() => {
+    if (hasRequested.current) return;
+    hasRequested.current = true;
+
+    const finish = async () => {
+      // The user cancelled or the provider refused
+      if (searchParams.get('error')) {
+        throw new Error(searchParams.get('error_description') || 'Sign-in was cancelled');
+      }
+
+      const data = await completeOAuth(provider, {
+        code: searchParams.get('code'),
+        state: searchParams.get('state'),
+      });
+
+      // Account linked from the profile page
+      if (data.data?.linked) {
+        navigate('/profile', { replace: true, state: { message: data.message } });
+        return;
+      }
+
+      // Second factor: continue on the login page
+      if (data.data?.twoFactorRequired) {
+        navigate('/login', {
+          replace: true,
+          state: { message: data.message, twoFactor: { step: 'code', challengeToken: data.data.challengeToken } },
+        });
+        return;
+      }
+
+      if (data.data?.twoFactorSetupRequired) {
+        const setup = await startTwoFactorSetup(data.data.challengeToken);
+        navigate('/login', {
+          replace: true,
+          state: {
+            message: data.message,
+            twoFactor: { step: 'setup', challengeToken: data.data.challengeToken, provisioning: setup.data },
+          },
+        });
+        return;
+      }
+
+      const userData = {
+        id: data.data._id,
+        name: data.data.name,
+        email: data.data.email,
+        role: data.data.role,
+        permissions: data.data.permissions,
+        avatar: data.data.avatar,
+        phone: data.data.phone,
+        isEmailVerified: data.data.isEmailVerified,
+        isFirstUser: data.data.isFirstUser,
+        isProfileComplete: data.data.isProfileComplete
+      };
+
+      localStorage.setItem('token', data.data.token);
+      localStorage.setItem('refreshToken', data.data.refreshToken);
+      localStorage.setItem('user', JSON.stringify(userData));
+      login(userData, data.data.token, data.data.refreshToken);
+
+      // New accounts start on the profile page to complete it
+      navigate(userData.isProfileComplete && !data.data.isNewUser ? '/products' : '/profile', { replace: true });
+    };
+
+    finish().catch(err => setError(err.message));
+  }, [provider, searchParams, navigate, login]);
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <Header />
+      <main className="grow py-8 bg-gray-50">
+        <div className="max-w-4xl mx-auto px-4">
+          <Card className="max-w-md mx-auto p-6 text-center">
+            <h1 className="text-2xl font-bold text-gray-900 mb-4">
+              Signing In
+            </h1>
+
+            {!error && (
+              <p className="text-gray-600">Finishing sign-in...</p>
+            )}
+
+            {error && (
+              <>
+                <Alert variant="error" message={error} className="mb-4" />
+                <Link
+                  to="/login"
+                  className="inline-block px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  Back to Login
+                </Link>
+              </>
+            )}
+          </Card>
+        </div>
+      </main>
+      <Footer />
+    </div>
+  );
+};
+
+export default OAuthCallback;
@@ -1,15 +1,104 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import Card from '../../components/ui/Card/Card';
+import Alert from '../../components/ui/Alert/Alert';
+import Button from '../../components/ui/Button/Button';
+import VendorBusinessFields from '../../components/forms/VendorBusinessFields/VendorBusinessFields';
+import { useAuth } from '@/hooks/useAuth';
+import {
+  getMyVendorRequest,
+  submitVendorRequest,
+  getBusinessFieldErrors
+} from '../../services/vendorRequestService';
+
+const STATUS_ICONS = {
+  pending: {
+    background: 'bg-yellow-100',
+    color: 'text-yellow-600',
+    path: 'M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z'
+  },
+  approved: {
+    background: 'bg-green-100',
+    color: 'text-green-600',
+    path: 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z'
+  },
+  rejected: {
+    background: 'bg-red-100',
+    color: 'text-red-600',
+    path: 'M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z'
+  }
+};
+
+const TITLES = {
+  none: 'Become a Vendor',
+  pending: 'Vendor Application Pending',
+  approved: 'Vendor Application Approved',
+  rejected: 'Vendor Application Not Approved'
+};
 
 const VendorPending = () => {
+  const { user, isAuthenticated, login } = useAuth();
+  const [request, setRequest] = useState(null);
+  const [business, setBusiness] = useState({});
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const load = async () => {
+      try {
+        const data = await getMyVendorRequest();
+        setRequest(data);
+        setBusiness(data.business || {});
+      } catch (error) {
+        setErrors({ submit: error.message });
+      }
+    };
+
+    load();
+  }, [isAuthenticated]);
+
+  // Approval changes the role; keep the stored user in step
+  useEffect(() => {
+    if (request?.role && user && user.role !== request.role) {
+      login({ ...user, role: request.role, vendorRequestStatus: request.status }, localStorage.getItem('token'));
+    }
+  }, [request, user, login]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setErrors({});
+    setMessage('');
+
+    try {
+      const data = await submitVendorRequest(business);
+      setRequest(data.data);
+      setBusiness(data.data.business || {});
+      setIsEditing(false);
+      setMessage(data.message);
+    } catch (error) {
+      setErrors({ submit: error.message, business: getBusinessFieldErrors(error) });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const status = request?.role === 'vendor' ? 'approved' : request?.status || 'pending';
+  const icon = STATUS_ICONS[status] || STATUS_ICONS.pending;
+  const showForm = request && request.role === 'customer' && (status !== 'pending' || isEditing);
+  const storeName = request?.business?.storeName;
+
   return (
     <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-12">
-      <Card className="max-w-md w-full p-8 text-center">
+      <Card className={`${showForm ? 'max-w-2xl' : 'max-w-md'} w-full p-8 text-center`}>
         <div className="mb-6">
-          <div className="mx-auto flex items-center justify-center h-16 w-16 rounded-full bg-yellow-100 mb-4">
+          <div className={`mx-auto flex items-center justify-center h-16 w-16 rounded-full ${icon.background} mb-4`}>
             <svg
-              className="h-8 w-8 text-yellow-600"
+              className={`h-8 w-8 ${icon.color}`}
               fill="none"
               stroke="currentColor"
               viewBox="0 0 24 24"
@@ -18,51 +107,118 @@ const VendorPending = () => {
                 strokeLinecap="round"
                 strokeLinejoin="round"
                 strokeWidth={2}
-                d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+                d={icon.path}
               />
             </svg>
           </div>
           <h1 className="text-2xl font-bold text-gray-900 mb-2">
-            Vendor Application Pending
+            {TITLES[status]}
           </h1>
           <p className="text-gray-600">
-            Thank you for your interest in becoming a vendor on GlobalStock!
+            {status === 'approved'
+              ? 'You can now list products and manage your orders on GlobalStock.'
+              : 'Thank you for your interest in becoming a vendor on GlobalStock!'}
           </p>
         </div>
 
-        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
-          <p className="text-sm text-blue-800 mb-2">
-            <strong>What happens next?</strong>
-          </p>
-          <ul className="text-left text-sm text-blue-700 space-y-2">
-            <li className="flex items-start">
-              <span className="mr-2">•</span>
-              <span>Our team will review your application within 2-3 business days</span>
-            </li>
-            <li className="flex items-start">
-              <span className="mr-2">•</span>
-              <span>You'll receive an email notification once your application is reviewed</span>
-            </li>
-            <li className="flex items-start">
-              <span className="mr-2">•</span>
-              <span>If approved, you'll gain access to vendor features and can start selling</span>
-            </li>
-          </ul>
-        </div>
+        {message && <Alert variant="success" message={message} className="mb-4 text-left" />}
+
+        {status === 'rejected' && request?.rejectionReason && (
+          <Alert
+            variant="error"
+            title="Reason"
+            message={request.rejectionReason}
+            className="mb-6 text-left"
+          />
+        )}
+
+        {status === 'pending' && !showForm && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+            <p className="text-sm text-blue-800 mb-2">
+              <strong>What happens next?</strong>
+            </p>
+            <ul className="text-left text-sm text-blue-700 space-y-2">
+              <li className="flex items-start">
+                <span className="mr-2">•</span>
+                <span>Our team will review your application within 2-3 business days</span>
+              </li>
+              <li className="flex items-start">
+                <span className="mr-2">•</span>
+                <span>You'll receive an email notification once your application is reviewed</span>
+              </li>
+              <li className="flex items-start">
+                <span className="mr-2">•</span>
+                <span>If approved, you'll gain access to vendor features and can start selling</span>
+              </li>
+            </ul>
+          </div>
+        )}
+
+        {status === 'pending' && storeName && !showForm && (
+          <div className="text-left text-sm text-gray-700 border border-gray-200 rounded-lg p-4 mb-6">
+            <p><span className="font-medium">Store:</span> {storeName}</p>
+            {request.requestedAt && (
+              <p><span className="font-medium">Submitted:</span> {new Date(request.requestedAt).toLocaleDateString()}</p>
+            )}
+            <button
+              type="button"
+              onClick={() => setIsEditing(true)}
+              className="mt-2 text-blue-600 hover:underline"
+            >
+              Update business details
+            </button>
+          </div>
+        )}
+
+        {showForm && (
+          <form onSubmit={handleSubmit} className="text-left mb-6">
+            <h2 className="text-sm font-semibold text-gray-900 mb-3">Business details</h2>
+            <VendorBusinessFields
+              value={business}
+              onChange={setBusiness}
+              errors={errors.business}
+            />
+            <div className="flex gap-3 mt-6">
+              <Button type="submit" variant="primary" disabled={isSubmitting}>
+                {isSubmitting
+                  ? 'Submitting...'
+                  : status === 'pending' ? 'Save Changes' : 'Submit Application'}
+              </Button>
+              {isEditing && (
+                <Button type="button" variant="outline" onClick={() => setIsEditing(false)}>
+                  Cancel
+                </Button>
+              )}
+            </div>
+          </form>
+        )}
+
+        {errors.submit && <Alert variant="error" message={errors.submit} className="mb-4 text-left" />}
 
         <div className="space-y-3">
-          <Link
-            to="/profile"
-            className="block w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-          >
-            View My Profile
-          </Link>
-          <Link
-            to="/login"
-            className="block w-full px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
-          >
-            Go to Login
-          </Link>
+          {status === 'approved' ? (
+            <Link
+              to="/products/create"
+              className="block w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Add Your First Product
+            </Link>
+          ) : (
+            <Link
+              to="/profile"
+              className="block w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              View My Profile
+            </Link>
+          )}
+          {!isAuthenticated && (
+            <Link
+              to="/login"
+              className="block w-full px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              Go to Login
+            </Link>
+          )}
         </div>
 
         <div className="mt-6 pt-6 border-t border-gray-200">
@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Card } from '@/components/ui/Card';
+import { Alert } from '@/components/ui/Alert';
+import Header from '@/components/layout/Header/Header';
+import Footer from '@/components/layout/Footer/Footer';
+import { useAuth } from '@/hooks/useAuth';
+import { verifyEmail } from '@/services/authService';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user, isAuthenticated, login } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  // The token works once; don't send it twice when effects run twice in development
+  const hasRequested = useRef(false);
+
+  useEffect(() => {
+    if (hasRequested.current) return;
+    hasRequested.current = true;
+
+    const verify = async () => {
+      try {
+        const data = await verifyEmail(token);
+        setStatus('success');
+        setMessage(data.message || 'Email verified successfully!');
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.message);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  // Hide the verification banner for a signed-in user
+  useEffect(() => {
+    if (status === 'success' && isAuthenticated && user && !user.isEmailVerified) {
+      login({ ...user, isEmailVerified: true }, localStorage.getItem('token'));
+    }
+  }, [status, isAuthenticated, user, login]);
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <Header />
+      <main className="grow py-8 bg-gray-50">
+        <div className="max-w-4xl mx-auto px-4">
+          <Card className="max-w-md mx-auto p-6 text-center">
+            <h1 className="text-2xl font-bold text-gray-900 mb-4">
+              Email Verification
+            </h1>
+
+            {status === 'verifying' && (
+              <p className="text-gray-600">Verifying your email address...</p>
+            )}
+
+            {status === 'success' && (
+              <>
+                <Alert variant="success" message={message} className="mb-4" />
+                <Link
+                  to={isAuthenticated ? '/products' : '/login'}
+                  className="inline-block px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  {isAuthenticated ? 'Continue Shopping' : 'Go to Login'}
+                </Link>
+              </>
+            )}
+
+            {status === 'error' && (
+              <>
+                <Alert variant="error" message={message} className="mb-4" />
+                <p className="text-sm text-gray-600">
+                  {isAuthenticated
+                    ? 'You can request a new link from the banner at the top of the page.'
+                    : 'Log in to request a new verification link.'}
+                </p>
+              </>
+            )}
+          </Card>
+        </div>
+      </main>
+      <Footer />
+    </div>
+  );
+};
+
+export default VerifyEmail;
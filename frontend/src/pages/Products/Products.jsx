@@ -5,6 +5,24 @@ import Card from '../../components/ui/Card/Card';
 import Header from '@/components/layout/Header/Header';
 import Footer from '@/components/layout/Footer/Footer';
 
+// Attribute filters are kept in the URL as attr[Name]=value1,value2 (or min..max for numbers)
+const ATTRIBUTE_PARAM = /^attr\[(.+)\]$/;
+
+const getAttributeFilters = (searchParams) => {
+  const filters = {};
+  searchParams.forEach((value, key) => {
+    const name = key.match(ATTRIBUTE_PARAM)?.[1];
+    if (name && value) filters[name] = value;
+  });
+  return filters;
+};
+
+// Depth-first list of the category tree, so subcategories follow their parent
+const flattenTree = (nodes, depth = 0) => nodes.flatMap(node => [
+  { ...node, depth },
+  ...flattenTree(node.children || [], depth + 1)
+]);
+
 const Products = () => {
   const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
@@ -24,6 +42,14 @@ const Products = () => {
   const [sortBy, setSortBy] = useState(searchParams.get('sortBy') || 'createdAt');
   const [sortOrder, setSortOrder] = useState(searchParams.get('sortOrder') || 'desc');
   const [inStock, setInStock] = useState(searchParams.get('inStock') === 'true');
+  const [selectedBrands, setSelectedBrands] = useState(
+    searchParams.get('brand') ? searchParams.get('brand').split(',') : []
+  );
+  const [minRating, setMinRating] = useState(searchParams.get('minRating') || '');
+  const [attributeFilters, setAttributeFilters] = useState(() => getAttributeFilters(searchParams));
+
+  // Facet counts from the last search (brands, price buckets, ratings, category attributes)
+  const [facets, setFacets] = useState(null);
 
   // Pagination state
   const [currentPage, setCurrentPage] = useState(parseInt(searchParams.get('page')) || 1);
@@ -33,14 +59,18 @@ const Products = () => {
   // Debounce search
   const [searchDebounce, setSearchDebounce] = useState(null);
 
+  // Search suggestions (products, brands, categories) shown while typing
+  const [suggestions, setSuggestions] = useState(null);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
   // Fetch categories
   useEffect(() => {
     const fetchCategories = async () => {
       try {
-        const response = await fetch('http://localhost:5000/api/categories');
+        const response = await fetch('http://localhost:5000/api/categories/tree');
         const data = await response.json();
         if (data.success) {
-          setCategories(data.data);
+          setCategories(flattenTree(data.data));
         }
       } catch (err) {
         console.error('Failed to fetch categories:', err);
@@ -71,6 +101,11 @@ const Products = () => {
       if (minPrice) params.append('minPrice', minPrice);
       if (maxPrice) params.append('maxPrice', maxPrice);
       if (inStock) params.append('inStock', 'true');
+      if (selectedBrands.length > 0) params.append('brand', selectedBrands.join(','));
+      if (minRating) params.append('minRating', minRating);
+      Object.entries(attributeFilters).forEach(([name, value]) => {
+        if (value) params.append(`attr[${name}]`, value);
+      });
 
       // Update URL search params
       setSearchParams(params);
@@ -82,6 +117,7 @@ const Products = () => {
         setProducts(data.data);
         setTotalPages(data.pagination.pages);
         setTotalProducts(data.pagination.total);
+        setFacets(data.facets || null);
       } else {
         setError(data.message || 'Failed to fetch products');
       }
@@ -91,17 +127,56 @@ const Products = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [currentPage, searchTerm, selectedCategory, minPrice, maxPrice, sortBy, sortOrder, inStock, setSearchParams]);
+  }, [
+    currentPage, searchTerm, selectedCategory, minPrice, maxPrice, sortBy, sortOrder, inStock,
+    selectedBrands, minRating, attributeFilters, setSearchParams
+  ]);
 
   // Fetch products when filters change
   useEffect(() => {
     fetchProducts();
   }, [fetchProducts]);
 
+  // Fetch suggestions for the text typed so far
+  useEffect(() => {
+    const query = searchTerm.trim();
+    if (query.length < 2) {
+      setSuggestions(null);
+      return undefined;
+    }
+
+    let isCurrent = true;
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch(`http://localhost:5000/api/search/suggest?q=${encodeURIComponent(query)}`);
+        const data = await response.json();
+        if (isCurrent && data.success) {
+          setSuggestions(data.data);
+        }
+      } catch (err) {
+        console.error('Failed to fetch suggestions:', err);
+      }
+    }, 200);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeout);
+    };
+  }, [searchTerm]);
+
   // Handle search with debounce
   const handleSearchChange = (e) => {
     const value = e.target.value;
     setSearchTerm(value);
+    setShowSuggestions(true);
+
+    // Searches are listed best match first unless another order was picked
+    if (value.trim() && sortBy === 'createdAt' && sortOrder === 'desc') {
+      setSortBy('relevance');
+    } else if (!value.trim() && sortBy === 'relevance') {
+      setSortBy('createdAt');
+      setSortOrder('desc');
+    }
 
     // Clear previous timeout
     if (searchDebounce) {
@@ -119,6 +194,50 @@ const Products = () => {
   // Handle filter changes
   const handleCategoryChange = (category) => {
     setSelectedCategory(category);
+    // Attributes belong to a category
+    setAttributeFilters({});
+    setCurrentPage(1);
+  };
+
+  const toggleBrand = (brand) => {
+    setSelectedBrands(prev => (prev.includes(brand) ? prev.filter(b => b !== brand) : [...prev, brand]));
+    setCurrentPage(1);
+  };
+
+  // A brand or category suggestion filters by it instead of searching for the text
+  const handleSuggestionFilter = (apply) => {
+    apply();
+    setSearchTerm('');
+    setSuggestions(null);
+    setShowSuggestions(false);
+    if (sortBy === 'relevance') {
+      setSortBy('createdAt');
+      setSortOrder('desc');
+    }
+  };
+
+  const handlePriceBucket = (bucket) => {
+    setMinPrice(String(bucket.min));
+    setMaxPrice(bucket.max === null ? '' : String(bucket.max));
+    setCurrentPage(1);
+  };
+
+  const handleRatingChange = (rating) => {
+    setMinRating(prev => (prev === String(rating) ? '' : String(rating)));
+    setCurrentPage(1);
+  };
+
+  const toggleAttributeValue = (name, value) => {
+    setAttributeFilters(prev => {
+      const values = prev[name] ? prev[name].split(',') : [];
+      const next = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+      return { ...prev, [name]: next.join(',') };
+    });
+    setCurrentPage(1);
+  };
+
+  const handleAttributeRange = (name, min, max) => {
+    setAttributeFilters(prev => ({ ...prev, [name]: min || max ? `${min}..${max}` : '' }));
     setCurrentPage(1);
   };
 
@@ -135,12 +254,16 @@ const Products = () => {
 
   const handleClearFilters = () => {
     setSearchTerm('');
+    setSuggestions(null);
     setSelectedCategory('');
     setMinPrice('');
     setMaxPrice('');
     setSortBy('createdAt');
     setSortOrder('desc');
     setInStock(false);
+    setSelectedBrands([]);
+    setMinRating('');
+    setAttributeFilters({});
     setCurrentPage(1);
     setSearchParams({});
   };
@@ -197,14 +320,89 @@ const Products = () => {
           
           {/* Search Bar */}
           <div className="flex flex-col md:flex-row gap-4">
-            <div className="flex-1">
+            <div className="flex-1 relative">
               <input
                 type="text"
-                placeholder="Search products by name or description..."
+                placeholder="Search products, brands and categories..."
                 value={searchTerm}
                 onChange={handleSearchChange}
+                onFocus={() => setShowSuggestions(true)}
+                onBlur={() => setShowSuggestions(false)}
+                onKeyDown={(e) => e.key === 'Escape' && setShowSuggestions(false)}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
+
+              {/* Suggestions Dropdown (onMouseDown runs before the input loses focus) */}
+              {showSuggestions && suggestions &&
+                (suggestions.products.length > 0 || suggestions.brands.length > 0 || suggestions.categories.length > 0) && (
+                <div className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg py-2">
+                  {suggestions.products.length > 0 && (
+                    <div>
+                      <p className="px-4 py-1 text-xs font-semibold text-gray-500 uppercase">Products</p>
+                      {suggestions.products.map(product => (
+                        <button
+                          key={product._id}
+                          type="button"
+                          onMouseDown={(e) => {
+                            e.preventDefault();
+                            navigate(`/products/${product._id}`);
+                          }}
+                          className="w-full flex items-center gap-3 px-4 py-2 text-left hover:bg-gray-50"
+                        >
+                          <img
+                            src={product.image || 'https://via.placeholder.com/40x40?text=No+Image'}
+                            alt={product.name}
+                            className="w-10 h-10 object-cover rounded"
+                          />
+                          <span className="flex-1 text-sm text-gray-900 line-clamp-1">{product.name}</span>
+                          <span className="text-sm text-gray-600">{formatPrice(product.price)}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  {suggestions.brands.length > 0 && (
+                    <div>
+                      <p className="px-4 py-1 text-xs font-semibold text-gray-500 uppercase">Brands</p>
+                      {suggestions.brands.map(brand => (
+                        <button
+                          key={brand.name}
+                          type="button"
+                          onMouseDown={(e) => {
+                            e.preventDefault();
+                            handleSuggestionFilter(() => {
+                              if (!selectedBrands.includes(brand.name)) toggleBrand(brand.name);
+                            });
+                          }}
+                          className="w-full flex justify-between px-4 py-2 text-left text-sm hover:bg-gray-50"
+                        >
+                          <span className="text-gray-900">{brand.name}</span>
+                          <span className="text-gray-500">{brand.count}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  {suggestions.categories.length > 0 && (
+                    <div>
+                      <p className="px-4 py-1 text-xs font-semibold text-gray-500 uppercase">Categories</p>
+                      {suggestions.categories.map(category => (
+                        <button
+                          key={category._id}
+                          type="button"
+                          onMouseDown={(e) => {
+                            e.preventDefault();
+                            handleSuggestionFilter(() => handleCategoryChange(category.slug));
+                          }}
+                          className="w-full px-4 py-2 text-left text-sm text-gray-900 hover:bg-gray-50"
+                        >
+                          {category.path ? `${category.path} > ${category.name}` : category.name}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
             
             {/* Sort Dropdown */}
@@ -213,6 +411,7 @@ const Products = () => {
               onChange={handleSortChange}
               className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white"
             >
+              {searchTerm.trim() && <option value="relevance-desc">Best Match</option>}
               <option value="createdAt-desc">Newest First</option>
               <option value="createdAt-asc">Oldest First</option>
               <option value="price-asc">Price: Low to High</option>
@@ -224,7 +423,8 @@ const Products = () => {
           </div>
 
           {/* Active Filters Display */}
-          {(searchTerm || selectedCategory || minPrice || maxPrice || inStock) && (
+          {(searchTerm || selectedCategory || minPrice || maxPrice || inStock || selectedBrands.length > 0 ||
+            minRating || Object.values(attributeFilters).some(Boolean)) && (
             <div className="mt-4 flex flex-wrap gap-2 items-center">
               <span className="text-sm text-gray-600">Active Filters:</span>
               {searchTerm && (
@@ -247,6 +447,21 @@ const Products = () => {
                   In Stock Only
                 </span>
               )}
+              {selectedBrands.length > 0 && (
+                <span className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm">
+                  Brand: {selectedBrands.join(', ')}
+                </span>
+              )}
+              {minRating && (
+                <span className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm">
+                  Rating: {minRating}★ & up
+                </span>
+              )}
+              {Object.entries(attributeFilters).filter(([, value]) => value).map(([name, value]) => (
+                <span key={name} className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm">
+                  {name}: {value.replace('..', ' - ').split(',').join(', ')}
+                </span>
+              ))}
               <button
                 onClick={handleClearFilters}
                 className="text-sm text-blue-600 hover:text-blue-800 underline"
@@ -292,10 +507,11 @@ const Products = () => {
                         key={category._id}
                         onClick={() => handleCategoryChange(category.slug)}
                         className={`w-full text-left px-3 py-2 rounded-md text-sm transition-colors ${
-                          selectedCategory === category.slug 
+                          selectedCategory === category.slug || selectedCategory === category._id
                             ? 'bg-blue-50 text-blue-700 font-medium' 
                             : 'text-gray-700 hover:bg-gray-50'
                         }`}
+                        style={{ paddingLeft: `${0.75 + category.depth}rem` }}
                       >
                         {category.name}
                       </button>
@@ -304,9 +520,52 @@ const Products = () => {
                 )}
               </div>
 
+              {/* Brands */}
+              {facets?.brands?.length > 0 && (
+                <div className="mb-6">
+                  <h3 className="text-sm font-medium text-gray-700 mb-3">Brands</h3>
+                  <div className="space-y-2 max-h-48 overflow-y-auto">
+                    {facets.brands.map(({ value, count }) => (
+                      <label key={value} className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={selectedBrands.includes(value)}
+                          onChange={() => toggleBrand(value)}
+                          className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                        />
+                        <span className="text-sm text-gray-700 flex-1">{value}</span>
+                        <span className="text-xs text-gray-500">{count}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Price Range */}
               <div className="mb-6">
                 <h3 className="text-sm font-medium text-gray-700 mb-3">Price Range</h3>
+                {facets?.price?.length > 0 && (
+                  <div className="space-y-1 mb-3">
+                    {facets.price.map((bucket) => (
+                      <button
+                        key={bucket.min}
+                        onClick={() => handlePriceBucket(bucket)}
+                        className={`w-full flex justify-between px-3 py-1 rounded-md text-sm transition-colors ${
+                          minPrice === String(bucket.min) && maxPrice === (bucket.max === null ? '' : String(bucket.max))
+                            ? 'bg-blue-50 text-blue-700 font-medium'
+                            : 'text-gray-700 hover:bg-gray-50'
+                        }`}
+                      >
+                        <span>
+                          {bucket.max === null
+                            ? `${formatPrice(bucket.min)} +`
+                            : `${formatPrice(bucket.min)} - ${formatPrice(bucket.max)}`}
+                        </span>
+                        <span className="text-xs text-gray-500">{bucket.count}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
                 <div className="space-y-3">
                   <input
                     type="number"
@@ -333,6 +592,87 @@ const Products = () => {
                 </div>
               </div>
 
+              {/* Rating */}
+              {facets?.rating && (
+                <div className="mb-6">
+                  <h3 className="text-sm font-medium text-gray-700 mb-3">Customer Rating</h3>
+                  <div className="space-y-1">
+                    {facets.rating.map(({ min, count }) => (
+                      <button
+                        key={min}
+                        onClick={() => handleRatingChange(min)}
+                        disabled={count === 0 && minRating !== String(min)}
+                        className={`w-full flex justify-between items-center px-3 py-1 rounded-md text-sm transition-colors disabled:opacity-50 ${
+                          minRating === String(min)
+                            ? 'bg-blue-50 text-blue-700 font-medium'
+                            : 'text-gray-700 hover:bg-gray-50'
+                        }`}
+                      >
+                        <span className="flex items-center gap-1">{renderRating(min)} & up</span>
+                        <span className="text-xs text-gray-500">{count}</span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Category Attributes */}
+              {facets?.attributes?.map((attribute) => {
+                if (attribute.type === 'number') {
+                  if (attribute.min === null) return null;
+                  const [rangeMin = '', rangeMax = ''] = (attributeFilters[attribute.name] || '').split('..');
+
+                  return (
+                    <div key={attribute.name} className="mb-6">
+                      <h3 className="text-sm font-medium text-gray-700 mb-3">{attribute.name}</h3>
+                      <div className="flex gap-2">
+                        <input
+                          type="number"
+                          placeholder={`Min (${attribute.min})`}
+                          value={rangeMin}
+                          onChange={(e) => handleAttributeRange(attribute.name, e.target.value, rangeMax)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        <input
+                          type="number"
+                          placeholder={`Max (${attribute.max})`}
+                          value={rangeMax}
+                          onChange={(e) => handleAttributeRange(attribute.name, rangeMin, e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                    </div>
+                  );
+                }
+
+                if (attribute.values.length === 0) return null;
+                const selectedValues = attributeFilters[attribute.name] ? attributeFilters[attribute.name].split(',') : [];
+
+                return (
+                  <div key={attribute.name} className="mb-6">
+                    <h3 className="text-sm font-medium text-gray-700 mb-3">{attribute.name}</h3>
+                    <div className="space-y-2 max-h-48 overflow-y-auto">
+                      {attribute.values.map(({ value, count }) => (
+                        <label key={value} className="flex items-center gap-2 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={selectedValues.includes(value)}
+                            onChange={() => toggleAttributeValue(attribute.name, value)}
+                            disabled={count === 0 && !selectedValues.includes(value)}
+                            className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                          />
+                          {attribute.type === 'color' && (
+                            <span className="w-4 h-4 rounded-full border border-gray-300" style={{ backgroundColor: value }} />
+                          )}
+                          <span className={`text-sm flex-1 ${count === 0 ? 'text-gray-400' : 'text-gray-700'}`}>{value}</span>
+                          <span className="text-xs text-gray-500">{count}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+
               {/* Stock Availability */}
               <div className="mb-6">
                 <label className="flex items-center gap-2 cursor-pointer">
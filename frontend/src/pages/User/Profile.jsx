@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
 import ProfileUpdateForm from '@/components/forms/ProfileUpdateForm';
 import Header from '@/components/layout/Header/Header';
 import Footer from '@/components/layout/Footer/Footer';
 import { useAuth } from '@/hooks/useAuth';
 import { Alert } from '@/components/ui/Alert';
+import { ConnectedAccounts } from '@/components/ui/ConnectedAccounts';
 
 const ProfilePage = () => {
+  const location = useLocation();
   const [userData, setUserData] = useState(null);
   const { user, login } = useAuth();
   const [isFirstUser, setIsFirstUser] = useState(false);
@@ -40,6 +43,7 @@ const ProfilePage = () => {
           if (response.status === 401) {
             // Token expired or invalid
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             localStorage.removeItem('user');
             throw new Error('Session expired. Please login again.');
           }
@@ -72,6 +76,7 @@ const ProfilePage = () => {
             role: data.data.role,
             avatar: data.data.avatar,
             phone: data.data.phone,
+            isEmailVerified: data.data.isEmailVerified,
             isFirstUser: firstUserFlag
           };
           localStorage.setItem('user', JSON.stringify(userForStorage));
@@ -108,6 +113,7 @@ const ProfilePage = () => {
       role: updatedData.role,
       avatar: updatedData.avatar,
       phone: updatedData.phone,
+      isEmailVerified: updatedData.isEmailVerified,
       isFirstUser: isFirstUser
     };
     localStorage.setItem('user', JSON.stringify(userForStorage));
@@ -138,6 +144,11 @@ const ProfilePage = () => {
             <Alert variant="error" message={error} className="mb-6" />
           )}
 
+          {/* Message from an account link (OAuthCallback) */}
+          {location.state?.message && (
+            <Alert variant="success" message={location.state.message} className="mb-6" />
+          )}
+
           {/* Profile Content */}
           {!isLoading && !error && userData && (
             <>
@@ -167,6 +178,11 @@ const ProfilePage = () => {
                 userData={userData} 
                 onUpdate={handleProfileUpdate}
               />
+
+              <ConnectedAccounts
+                socialProfiles={userData.socialProfiles}
+                onChange={(socialProfiles) => setUserData(prev => ({ ...prev, socialProfiles }))}
+              />
             </>
           )}
         </div>
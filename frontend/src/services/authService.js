@@ -35,8 +35,9 @@ export const getCurrentUser = async () => {
 
   if (!response.ok) {
     if (response.status === 401) {
-      // Token expired or invalid
+      // Session ended (expired access tokens are refreshed by the auth interceptor)
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       throw new Error('Session expired. Please login again.');
     }
@@ -134,17 +135,20 @@ export const registerUser = async (userData) => {
 };
 
 /**
- * Logout user
+ * Logout user (revokes the session on the server)
  * @returns {Promise<Object>} Logout response
  */
 export const logoutUser = async () => {
   const token = localStorage.getItem('token');
+  const refreshToken = localStorage.getItem('refreshToken');
   
-  if (token) {
+  if (token || refreshToken) {
     try {
+      // The refresh token identifies the session if the access token has expired
       await fetch(`${API_BASE_URL}/api/auth/logout`, {
         method: 'POST',
         headers: getAuthHeaders(),
+        body: JSON.stringify({ refreshToken }),
       });
     } catch (error) {
       console.error('Logout error:', error);
@@ -153,13 +157,210 @@ export const logoutUser = async () => {
   
   // Clear local storage regardless of API response
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
   localStorage.removeItem('user');
 };
 
+/**
+ * Fetch the signed-in devices of the current user
+ * @returns {Promise<Object>} Sessions ({ device, ip, lastUsedAt, isCurrent, ... })
+ */
+export const getSessions = async () => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/sessions`, {
+    method: 'GET',
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch sessions');
+  }
+
+  const data = await response.json();
+  return data;
+};
+
+/**
+ * Sign out one device
+ * @param {string} sessionId - Session to revoke
+ * @returns {Promise<Object>} Revoke response
+ */
+export const revokeSession = async (sessionId) => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/sessions/${sessionId}`, {
+    method: 'DELETE',
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to revoke session');
+  }
+
+  const data = await response.json();
+  return data;
+};
+
+/**
+ * Verify email address with the token from the verification email
+ * @param {string} token - Verification token
+ * @returns {Promise<Object>} Verification response
+ */
+export const verifyEmail = async (token) => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/verify-email/${token}`, {
+    method: 'GET',
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Email verification failed');
+  }
+
+  return data;
+};
+
+/**
+ * Send the verification email again
+ * @returns {Promise<Object>} Resend response
+ */
+export const resendVerificationEmail = async () => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/verify-email/resend`, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to send verification email');
+  }
+
+  return data;
+};
+
+/**
+ * Get the authenticator app secret and QR code for a login that requires two-factor authentication
+ * @param {string} challengeToken - Challenge token from the login response
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+ */
+export const startTwoFactorSetup = async (challengeToken) => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/2fa/setup`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ challengeToken }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to start two-factor setup');
+  }
+
+  return data;
+};
+
+/**
+ * Fetch the social login providers that are enabled
+ * @returns {Promise<Object>} Providers ({ name, label, profileField })
+ */
+export const getOAuthProviders = async () => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/oauth/providers`, {
+    method: 'GET',
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to fetch sign-in providers');
+  }
+
+  return data;
+};
+
+/**
+ * Start a social login, or linking an account to the signed-in user
+ * @param {string} provider - Provider name
+ * @param {string} mode - 'login' or 'link'
+ * @returns {Promise<Object>} { authorizationUrl } of the provider's sign-in page
+ */
+export const startOAuth = async (provider, mode = 'login') => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/oauth/${provider}/start`, {
+    method: 'POST',
+    headers: mode === 'link' ? getAuthHeaders() : { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ mode }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to start sign-in');
+  }
+
+  return data;
+};
+
+/**
+ * Finish a social login or account link with the code the provider sent back
+ * @param {string} provider - Provider name
+ * @param {Object} params - { code, state } from the callback URL
+ * @returns {Promise<Object>} Login response, two-factor challenge or link result
+ */
+export const completeOAuth = async (provider, { code, state }) => {
+  // Signed-in users are linking an account
+  const headers = localStorage.getItem('token')
+    ? getAuthHeaders()
+    : { 'Content-Type': 'application/json' };
+
+  const response = await fetch(`${API_BASE_URL}/api/auth/oauth/${provider}/callback`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ code, state }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Sign-in failed');
+  }
+
+  return data;
+};
+
+/**
+ * Unlink a social account from the current user
+ * @param {string} provider - Provider name
+ * @returns {Promise<Object>} Unlink response
+ */
+export const unlinkOAuth = async (provider) => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/oauth/${provider}`, {
+    method: 'DELETE',
+    headers: getAuthHeaders(),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to unlink account');
+  }
+
+  return data;
+};
+
 export default {
   getCurrentUser,
   updateUserProfile,
   loginUser,
   registerUser,
-  logoutUser
+  logoutUser,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerificationEmail,
+  startTwoFactorSetup,
+  getOAuthProviders,
+  startOAuth,
+  completeOAuth,
+  unlinkOAuth
 };
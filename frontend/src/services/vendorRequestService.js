@@ -0,0 +1,108 @@
+/**
+ * Vendor Request Service
+ * Vendor applications (business details) and the admin review queue
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+/**
+ * Get authentication headers with token
+ * @returns {Object} Headers object with Authorization token
+ */
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`
+  };
+};
+
+/**
+ * Send a request and throw the server message on failure
+ * Field errors (e.g. invalid business details) are attached as error.fields
+ */
+const request = async (path, options, fallbackMessage) => {
+  const response = await fetch(`${API_BASE_URL}/api/vendor-requests${path}`, {
+    headers: getAuthHeaders(),
+    ...options,
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.message || fallbackMessage);
+    error.fields = data.details?.fields;
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Get the signed-in user's vendor request
+ * @returns {Promise<Object>} { role, status, requestedAt, rejectionReason, business, ... }
+ */
+export const getMyVendorRequest = async () => {
+  const data = await request('/my-request', { method: 'GET' }, 'Failed to load your vendor request');
+  return data.data;
+};
+
+/**
+ * Submit or update the vendor request
+ * @param {Object} business - { storeName, taxId, description, payout: { method, ... } }
+ * @returns {Promise<Object>} Response data
+ */
+export const submitVendorRequest = async (business) => {
+  return request('/my-request', {
+    method: 'PUT',
+    body: JSON.stringify({ business }),
+  }, 'Failed to submit vendor request');
+};
+
+/**
+ * List vendor requests (admin)
+ * @param {Object} params - { status, page, limit, search }
+ * @returns {Promise<Object>} { data, pagination }
+ */
+export const getVendorRequests = async (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== '')
+  );
+  return request(`?${query}`, { method: 'GET' }, 'Failed to load vendor requests');
+};
+
+/**
+ * Approve a vendor request (admin)
+ * @param {string} userId - Applicant's user ID
+ */
+export const approveVendorRequest = async (userId) => {
+  return request(`/${userId}/approve`, { method: 'PUT' }, 'Failed to approve vendor request');
+};
+
+/**
+ * Reject a vendor request (admin)
+ * @param {string} userId - Applicant's user ID
+ * @param {string} rejectionReason - Shown to the applicant
+ */
+export const rejectVendorRequest = async (userId, rejectionReason) => {
+  return request(`/${userId}/reject`, {
+    method: 'PUT',
+    body: JSON.stringify({ rejectionReason }),
+  }, 'Failed to reject vendor request');
+};
+
+/**
+ * Business field errors by path (storeName, payout.accountNumber, ...) from error.fields
+ */
+export const getBusinessFieldErrors = (error) => Object.fromEntries((error.fields || [])
+  .filter(({ field }) => field.startsWith('business.'))
+  .map(({ field, message }) => [field.slice('business.'.length), message]));
+
+export default {
+  getMyVendorRequest,
+  submitVendorRequest,
+  getVendorRequests,
+  approveVendorRequest,
+  rejectVendorRequest,
+  getBusinessFieldErrors,
+};
@@ -1,85 +1,133 @@
 /**
  * Global authentication interceptor utility
- * Handles automatic logout on token expiration (401 responses)
+ * Renews expired access tokens with the refresh token (401 responses)
+ * and logs out when the session itself has ended
  */
 
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
+
+// These answer 401 for wrong credentials or ended sessions; refreshing would not help
+const NO_REFRESH_PATHS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+// Refresh in progress, shared by requests that fail at the same time
+let refreshPromise = null;
+
+const requestNewTokens = async (fetchFn) => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return null;
+
+  try {
+    const response = await fetchFn(`${API_BASE_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      localStorage.setItem('token', data.data.token);
+      localStorage.setItem('refreshToken', data.data.refreshToken);
+      return data.data.token;
+    }
+  } catch (error) {
+    console.error('Token refresh error:', error);
+  }
+
+  // Another tab may have refreshed with the same token first
+  const currentRefreshToken = localStorage.getItem('refreshToken');
+  return currentRefreshToken && currentRefreshToken !== refreshToken
+    ? localStorage.getItem('token')
+    : null;
+};
+
+/**
+ * Get a new access token with the stored refresh token
+ * @param {Function} fetchFn - fetch implementation to use
+ * @returns {Promise<string|null>} New access token, or null when the session has ended
+ */
+export const refreshAccessToken = (fetchFn = fetch) => {
+  if (!refreshPromise) {
+    refreshPromise = requestNewTokens(fetchFn).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+const getUrl = (input) => (typeof input === 'string' ? input : input?.url || '');
+
+const isApiCall = (url) => url.includes('/api/') || url.includes('localhost:5000');
+
+// Retry only requests that were sent with a token
+const canRefresh = (url, options = {}) =>
+  isApiCall(url) &&
+  !NO_REFRESH_PATHS.some(path => url.includes(path)) &&
+  new Headers(options.headers).has('Authorization');
+
+const withToken = (options, token) => {
+  const headers = new Headers(options.headers);
+  headers.set('Authorization', `Bearer ${token}`);
+  return { ...options, headers };
+};
+
+// Clear auth data and send the user to the login page
+const endSession = (logoutCallback) => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  localStorage.removeItem('remember_me');
+
+  if (logoutCallback) {
+    logoutCallback();
+  }
+
+  window.location.href = '/login?session_expired=true';
+};
+
+/**
+ * Send a request; on 401, refresh the access token once and retry
+ * @returns {Promise<Response>} Response of the retried request when a refresh happened
+ */
+const fetchWithRefresh = async (fetchFn, input, options, logoutCallback) => {
+  const response = await fetchFn(input, options);
+  const url = getUrl(input);
+
+  if (response.status !== 401 || !canRefresh(url, options)) {
+    return response;
+  }
+
+  const token = await refreshAccessToken(fetchFn);
+
+  if (!token) {
+    console.warn('Session expired. Logging out...');
+    endSession(logoutCallback);
+    return response;
+  }
+
+  return fetchFn(input, withToken(options, token));
+};
+
 /**
- * Create a fetch wrapper that intercepts 401 responses
- * @param {Function} logoutCallback - Function to call when 401 is detected
+ * Create a fetch wrapper that refreshes expired tokens
+ * @param {Function} logoutCallback - Function to call when the session has ended
  * @returns {Function} Enhanced fetch function
  */
 export const createAuthenticatedFetch = (logoutCallback) => {
-  return async (url, options = {}) => {
-    try {
-      const response = await fetch(url, options);
-
-      // Check for 401 Unauthorized
-      if (response.status === 401) {
-        console.warn('Authentication failed (401). Logging out...');
-        
-        // Clear local storage
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        localStorage.removeItem('remember_me');
-        
-        // Call logout callback to update app state
-        if (logoutCallback) {
-          logoutCallback();
-        }
-        
-        // Redirect to login
-        window.location.href = '/login?session_expired=true';
-        
-        // Throw error to stop further processing
-        throw new Error('Session expired. Please login again.');
-      }
-
-      return response;
-    } catch (error) {
-      // Re-throw if it's a network error (not our 401 error)
-      if (error.message !== 'Session expired. Please login again.') {
-        throw error;
-      }
-      throw error;
-    }
-  };
+  return (url, options = {}) => fetchWithRefresh(fetch, url, options, logoutCallback);
 };
 
 /**
- * Setup global 401 listener for all fetch calls
+ * Setup global 401 handling for all fetch calls
  * This is a more aggressive approach that monitors all fetch calls
  */
 export const setupGlobal401Interceptor = (logoutCallback) => {
   const originalFetch = window.fetch;
-  
-  window.fetch = async (...args) => {
-    const response = await originalFetch(...args);
-    
-    // Only intercept API calls, not external resources
-    const isApiCall = args[0]?.includes('/api/') || args[0]?.includes('localhost:5000');
-    
-    if (response.status === 401 && isApiCall) {
-      console.warn('Global 401 interceptor: Session expired');
-      
-      // Clear local storage
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      localStorage.removeItem('remember_me');
-      
-      // Call logout callback
-      if (logoutCallback) {
-        logoutCallback();
-      }
-      
-      // Redirect to login
-      window.location.href = '/login?session_expired=true';
-    }
-    
-    return response;
-  };
+
+  window.fetch = (input, options = {}) => fetchWithRefresh(originalFetch, input, options, logoutCallback);
 };
 
 export default {
+  refreshAccessToken,
   createAuthenticatedFetch,
   setupGlobal401Interceptor
 };
@@ -18,6 +18,7 @@ export const setupMultiTabLogout = (onLogout) => {
       
       // Clear current tab's auth state
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       
       // Call logout callback
@@ -0,0 +1,20 @@
+/**
+ * Permission checks for the signed-in user
+ * The server sends the permissions of the user's role at login ('*' grants all);
+ * it enforces them too, so these checks only decide what to show.
+ */
+
+/**
+ * Whether the user's role has a permission
+ * @param {Object} user - User from useAuth
+ * @param {string} permission - Permission name, e.g. 'vendors:review'
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => {
+  const permissions = user?.permissions || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+export default {
+  hasPermission,
+};